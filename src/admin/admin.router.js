@@ -0,0 +1,297 @@
+const express = require('express');
+const { logger } = require('../app/libs/logger');
+const { BusinessError } = require('../app/middlewares/errorHandler');
+const { requireAdminToken } = require('../app/middlewares/adminAuth');
+const { validateWebhook } = require('../webhooks/prolibu.schema');
+const { processWebhookEvent } = require('../webhooks/prolibu.service');
+const { deadLetterStore, buildDeadLetter } = require('../webhooks/prolibu.worker');
+const { getStageMapping, updateStageMapping } = require('../config/stageMap');
+
+/**
+ * Router de administración
+ * Todos los endpoints requieren `Authorization: Bearer <ADMIN_API_TOKEN>`
+ */
+const router = express.Router();
+
+router.use(requireAdminToken);
+
+/**
+ * Resume una dead letter para listados (sin payloads completos)
+ */
+function summarizeDeadLetter(entry) {
+  return {
+    id: entry.id,
+    createdAt: entry.createdAt,
+    updatedAt: entry.updatedAt,
+    source: entry.source,
+    event: entry.event,
+    proposalId: entry.proposalId,
+    failureReason: entry.failureReason,
+    attempts: entry.attempts,
+    error: {
+      message: entry.error?.message,
+      code: entry.error?.code,
+      classification: entry.error?.classification?.error,
+    },
+  };
+}
+
+/**
+ * Obtiene una dead letter o lanza 404
+ */
+async function findDeadLetterOrFail(id) {
+  const entry = await deadLetterStore.get(id);
+
+  if (!entry) {
+    throw new BusinessError(`Dead letter '${id}' no encontrada`, 'dead_letter_not_found', 404);
+  }
+
+  return entry;
+}
+
+/**
+ * Endpoint para listar dead letters
+ * GET /admin/dead-letters?limit=50&offset=0&proposalId=QNVPIK
+ */
+router.get('/dead-letters', async (req, res, next) => {
+  const adminLogger = logger.child({
+    component: 'admin.controller',
+    operation: 'listDeadLetters',
+    traceId: req.traceId,
+  });
+
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const offset = parseInt(req.query.offset, 10) || 0;
+
+    const { total, items } = await deadLetterStore.list({
+      limit,
+      offset,
+      proposalId: req.query.proposalId,
+    });
+
+    adminLogger.info({ total, returned: items.length }, 'Dead letters listadas');
+
+    res.status(200).json({
+      status: 'ok',
+      traceId: req.traceId,
+      total,
+      limit,
+      offset,
+      items: items.map(summarizeDeadLetter),
+    });
+  } catch (error) {
+    adminLogger.error({ error: error.message }, 'Error listando dead letters');
+
+    next(error);
+  }
+});
+
+/**
+ * Endpoint para inspeccionar una dead letter completa
+ * GET /admin/dead-letters/:id
+ */
+router.get('/dead-letters/:id', async (req, res, next) => {
+  try {
+    const deadLetter = await findDeadLetterOrFail(req.params.id);
+
+    res.status(200).json({
+      status: 'ok',
+      traceId: req.traceId,
+      deadLetter,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Endpoint para (opcionalmente editar y) reprocesar una dead letter
+ * POST /admin/dead-letters/:id/replay
+ *
+ * Body opcional con correcciones sobre el payload adaptado: { event?, data?, webhookId? }
+ * Si el reproceso tiene éxito la dead letter se elimina; si falla, se guardan las
+ * correcciones y el nuevo intento en su historial
+ */
+router.post('/dead-letters/:id/replay', async (req, res, next) => {
+  const { id } = req.params;
+
+  const adminLogger = logger.child({
+    component: 'admin.controller',
+    operation: 'replayDeadLetter',
+    traceId: req.traceId,
+    deadLetterId: id,
+  });
+
+  try {
+    const entry = await findDeadLetterOrFail(id);
+
+    const edits = req.body || {};
+    const candidate = {
+      ...entry.adaptedPayload,
+      ...(edits.event && { event: edits.event }),
+      ...(edits.data && { data: edits.data }),
+      ...(edits.webhookId && { webhookId: edits.webhookId }),
+    };
+
+    // El payload editado debe seguir cumpliendo el schema del webhook
+    const validatedWebhook = validateWebhook(candidate);
+    const adaptedPayload = {
+      event: validatedWebhook.event,
+      data: validatedWebhook.data,
+      webhookId: validatedWebhook.webhookId,
+    };
+
+    adminLogger.info(
+      {
+        event: adaptedPayload.event,
+        proposalId: adaptedPayload.data.proposalId,
+        edited: Object.keys(edits).length > 0,
+      },
+      'Reprocesando dead letter'
+    );
+
+    let result;
+    try {
+      result = await processWebhookEvent(adaptedPayload.event, adaptedPayload.data, req.traceId);
+    } catch (replayError) {
+      const failed = buildDeadLetter({
+        adaptedPayload,
+        error: replayError,
+        reason: 'replay_failed',
+        source: 'replay',
+        traceId: req.traceId,
+        attempts: (entry.attempts || 0) + 1,
+        history: entry.history,
+      });
+
+      await deadLetterStore.update(id, deadLetter => {
+        deadLetter.adaptedPayload = adaptedPayload;
+        deadLetter.failureReason = failed.failureReason;
+        deadLetter.error = failed.error;
+        deadLetter.attempts = failed.attempts;
+        deadLetter.history = failed.history;
+      });
+
+      adminLogger.warn({ error: replayError.message }, 'Reproceso de dead letter fallido');
+
+      throw replayError;
+    }
+
+    await deadLetterStore.remove(id);
+
+    adminLogger.info({ salesforceId: result.salesforceId }, 'Dead letter reprocesada');
+
+    res.status(200).json({
+      status: 'ok',
+      message: 'Dead letter reprocesada exitosamente',
+      traceId: req.traceId,
+      data: {
+        deadLetterId: id,
+        event: adaptedPayload.event,
+        proposalId: adaptedPayload.data.proposalId,
+        salesforceId: result.salesforceId,
+        operation: result.operation,
+        stageMappingVersion: result.stageMappingVersion,
+        sources: result.sources,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Endpoint para descartar una dead letter
+ * DELETE /admin/dead-letters/:id
+ */
+router.delete('/dead-letters/:id', async (req, res, next) => {
+  const adminLogger = logger.child({
+    component: 'admin.controller',
+    operation: 'discardDeadLetter',
+    traceId: req.traceId,
+    deadLetterId: req.params.id,
+  });
+
+  try {
+    const removed = await deadLetterStore.remove(req.params.id);
+
+    if (!removed) {
+      throw new BusinessError(
+        `Dead letter '${req.params.id}' no encontrada`,
+        'dead_letter_not_found',
+        404
+      );
+    }
+
+    adminLogger.info('Dead letter descartada');
+
+    res.status(200).json({
+      status: 'ok',
+      message: 'Dead letter descartada',
+      traceId: req.traceId,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Endpoint para consultar el mapeo de estados activo
+ * GET /admin/stage-mapping
+ */
+router.get('/stage-mapping', (req, res, next) => {
+  try {
+    res.status(200).json({
+      status: 'ok',
+      traceId: req.traceId,
+      stageMapping: getStageMapping(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Endpoint para reemplazar el mapeo de estados sin reiniciar
+ * PUT /admin/stage-mapping
+ *
+ * Body: { version?, statuses, stages }. Se valida contra los estados de Salesforce; si
+ * SF_STAGE_MAPPING_FILE está configurado el cambio también se guarda en el archivo
+ */
+router.put('/stage-mapping', async (req, res, next) => {
+  const adminLogger = logger.child({
+    component: 'admin.controller',
+    operation: 'updateStageMapping',
+    traceId: req.traceId,
+  });
+
+  try {
+    let update;
+    try {
+      update = await updateStageMapping(req.body);
+    } catch (updateError) {
+      if (updateError.code === 'INVALID_STAGE_MAPPING') {
+        throw new BusinessError(updateError.message, 'invalid_stage_mapping', 400);
+      }
+      throw updateError;
+    }
+
+    adminLogger.info(
+      { version: update.mapping.version, persisted: update.persisted },
+      'Mapeo de estados actualizado'
+    );
+
+    res.status(200).json({
+      status: 'ok',
+      message: 'Mapeo de estados actualizado',
+      traceId: req.traceId,
+      persisted: update.persisted,
+      stageMapping: update.mapping,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
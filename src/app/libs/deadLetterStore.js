@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const path = require('path');
+const { readJson, writeJsonAtomic, withFileLock } = require('./fileStore');
+const { computeIdempotencyKey } = require('../middlewares/idempotency');
+
+/**
+ * Almacén de dead letters para webhooks que fallaron definitivamente
+ * Conserva el payload original, el payload adaptado, la clasificación del error
+ * y el historial de intentos para poder inspeccionar, corregir y reprocesar
+ *
+ * Entrada:
+ *   { id, createdAt, updatedAt, source, traceId, event, proposalId, failureReason, deliveryKey,
+ *     rawPayload, adaptedPayload: { event, data, webhookId }, error, attempts, history }
+ *
+ * deliveryKey identifica la entrega igual que el middleware de idempotencia (webhookId o hash
+ * del contenido): si Prolibu reenvía un webhook que ya es dead letter, se suma a la existente
+ */
+
+class DeadLetterStore {
+  constructor({ filePath, now = Date.now } = {}) {
+    if (!filePath) {
+      throw new Error('DeadLetterStore requiere filePath');
+    }
+
+    this.filePath = path.resolve(filePath);
+    this.now = now;
+  }
+
+  async readAll() {
+    return readJson(this.filePath, []);
+  }
+
+  /**
+   * Lee, modifica y persiste las entradas con el bloqueo tomado
+   */
+  async mutate(fn) {
+    return withFileLock(this.filePath, async () => {
+      const entries = await this.readAll();
+      const result = fn(entries, this.now());
+      await writeJsonAtomic(this.filePath, entries);
+      return result;
+    });
+  }
+
+  /**
+   * Agrega una nueva dead letter
+   * Si la misma entrega ya es dead letter, registra el fallo en ella en lugar de duplicarla
+   *
+   * @param {Object} entry - Datos de la entrega fallida
+   * @returns {Promise<Object>} Entrada guardada con su id
+   */
+  async add(entry) {
+    const deliveryKey = computeIdempotencyKey(entry.adaptedPayload);
+
+    return this.mutate((entries, currentTime) => {
+      const timestamp = new Date(currentTime).toISOString();
+      const existing =
+        deliveryKey && entries.find(candidate => candidate.deliveryKey === deliveryKey);
+
+      if (existing) {
+        // Los intentos de la nueva entrega continúan la numeración de la existente
+        existing.history.push(
+          ...(entry.history || []).map(attempt => ({
+            ...attempt,
+            attempt: existing.attempts + attempt.attempt,
+          }))
+        );
+        existing.attempts += entry.attempts || 1;
+        existing.source = entry.source;
+        existing.traceId = entry.traceId;
+        existing.failureReason = entry.failureReason;
+        existing.error = entry.error;
+        existing.updatedAt = timestamp;
+        return existing;
+      }
+
+      const deadLetter = {
+        id: crypto.randomUUID(),
+        createdAt: timestamp,
+        updatedAt: timestamp,
+        attempts: 0,
+        history: [],
+        ...entry,
+        deliveryKey,
+        event: entry.adaptedPayload?.event,
+        proposalId: entry.adaptedPayload?.data?.proposalId,
+      };
+
+      entries.push(deadLetter);
+      return deadLetter;
+    });
+  }
+
+  /**
+   * Lista dead letters, más recientes primero
+   *
+   * @param {Object} [options] - Filtros y paginación
+   * @param {number} [options.limit] - Máximo de resultados
+   * @param {number} [options.offset] - Desplazamiento
+   * @param {string} [options.proposalId] - Filtrar por propuesta
+   * @returns {Promise<Object>} { total, items }
+   */
+  async list({ limit = 50, offset = 0, proposalId } = {}) {
+    const entries = (await this.readAll())
+      .filter(entry => !proposalId || entry.proposalId === proposalId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    return {
+      total: entries.length,
+      items: entries.slice(offset, offset + limit),
+    };
+  }
+
+  async get(id) {
+    const entries = await this.readAll();
+    return entries.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Actualiza una dead letter (por ejemplo tras un reproceso fallido)
+   *
+   * @param {string} id - Id de la dead letter
+   * @param {Function} updater - Recibe la entrada y la modifica en sitio
+   * @returns {Promise<Object|null>} Entrada actualizada o null si no existe
+   */
+  async update(id, updater) {
+    return this.mutate((entries, currentTime) => {
+      const entry = entries.find(candidate => candidate.id === id);
+      if (!entry) {
+        return null;
+      }
+
+      updater(entry);
+      entry.event = entry.adaptedPayload?.event;
+      entry.proposalId = entry.adaptedPayload?.data?.proposalId;
+      entry.updatedAt = new Date(currentTime).toISOString();
+      return entry;
+    });
+  }
+
+  /**
+   * Elimina una dead letter (descartada o reprocesada con éxito)
+   *
+   * @param {string} id - Id de la dead letter
+   * @returns {Promise<boolean>} true si existía
+   */
+  async remove(id) {
+    return this.mutate(entries => {
+      const index = entries.findIndex(entry => entry.id === id);
+      if (index === -1) {
+        return false;
+      }
+
+      entries.splice(index, 1);
+      return true;
+    });
+  }
+
+  async count() {
+    return (await this.readAll()).length;
+  }
+}
+
+module.exports = {
+  DeadLetterStore,
+};
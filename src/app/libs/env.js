@@ -1,6 +1,37 @@
+const fs = require('fs');
+const path = require('path');
 const { z } = require('zod');
 const { logger } = require('./logger');
 
+// Reglas para encontrar Accounts y Contacts existentes, en orden de prioridad
+const CLIENT_MATCH_RULES = ['externalId', 'email', 'name'];
+
+// Fuentes del monto y de la fecha de cierre de la Opportunity, en orden de prioridad
+const AMOUNT_SOURCES = ['total', 'products', 'hours'];
+const CLOSE_DATE_SOURCES = ['expected', 'expiration'];
+
+/**
+ * Schema para una lista separada por comas de valores permitidos
+ *
+ * @param {string[]} allowed - Valores válidos
+ * @param {string} description - Sujeto del mensaje de error
+ */
+function listSchema(allowed, description) {
+  return z
+    .string()
+    .transform(val =>
+      val
+        .split(',')
+        .map(item => item.trim())
+        .filter(Boolean)
+    )
+    .refine(items => items.every(item => allowed.includes(item)), {
+      message: `${description} válidas son: ${allowed.join(', ')}`,
+    });
+}
+
+const matchRulesSchema = listSchema(CLIENT_MATCH_RULES, 'Las reglas de coincidencia');
+
 /**
  * Schema de validación para variables de entorno requeridas
  * Define tipos, valores por defecto y validaciones para todas las env vars
@@ -26,6 +57,249 @@ const envSchema = z.object({
   SF_TOKEN: z.string().optional(),
   SF_CLIENT_ID: z.string().optional(),
   SF_CLIENT_SECRET: z.string().optional(),
+  SF_AUTH_STRATEGY: z.enum(['password', 'jwt', 'client_credentials']).default('password'),
+  SF_PRIVATE_KEY_FILE: z.string().optional(), // Llave privada PEM para el flujo JWT bearer
+  SF_JWT_AUDIENCE: z.string().url().optional(),
+  SF_SYNC_LINE_ITEMS: z
+    .enum(['true', 'false'])
+    .default('true')
+    .transform(val => val === 'true'), // Productos de Prolibu como OpportunityLineItems
+  SF_PRICEBOOK_ID: z.string().optional(), // Catálogo de precios; por defecto el estándar
+  SF_SYNC_CLIENTS: z
+    .enum(['true', 'false'])
+    .default('true')
+    .transform(val => val === 'true'), // Resolver Account/Contact de la propuesta
+  SF_CREATE_MISSING_CLIENTS: z
+    .enum(['true', 'false'])
+    .default('true')
+    .transform(val => val === 'true'),
+  SF_ACCOUNT_MATCH_RULES: matchRulesSchema.default('externalId,email,name'),
+  SF_CONTACT_MATCH_RULES: matchRulesSchema.default('externalId,email,name'),
+  SF_ACCOUNT_EXTERNAL_ID_FIELD: z.string().optional(), // Campo External ID en Account
+  SF_CONTACT_EXTERNAL_ID_FIELD: z.string().optional(), // Campo External ID en Contact
+  SF_CONTACT_ROLE: z.string().default('Decision Maker'), // Rol del contacto principal
+  SF_ASSIGN_OWNER: z
+    .enum(['true', 'false'])
+    .default('true')
+    .transform(val => val === 'true'), // OwnerId a partir de responsible/createdBy
+  SF_DEFAULT_OWNER_ID: z.string().optional(), // Propietario si ningún usuario coincide
+  SF_OWNER_MAP_FILE: z.string().optional(), // Overrides { "email o id de Prolibu": "005..." }
+  SF_USER_CACHE_TTL_SECONDS: z
+    .string()
+    .transform(val => parseInt(val, 10))
+    .refine(val => Number.isInteger(val) && val > 0, {
+      message: 'SF_USER_CACHE_TTL_SECONDS debe ser un entero positivo',
+    })
+    .default('3600'),
+  SF_SYNC_DOCUMENTS: z
+    .enum(['true', 'false'])
+    .default('true')
+    .transform(val => val === 'true'), // PDFs de la propuesta como Salesforce Files
+  SF_SYNC_QUOTES: z
+    .enum(['true', 'false'])
+    .default('false')
+    .transform(val => val === 'true'), // Versiones de la propuesta como Quotes
+  SF_QUOTE_VERSION_FIELD: z.string().optional(), // Campo de Quote con el id de la versión
+  SF_DOCUMENT_MAX_BYTES: z
+    .string()
+    .transform(val => parseInt(val, 10))
+    .refine(val => Number.isInteger(val) && val > 0, {
+      message: 'SF_DOCUMENT_MAX_BYTES debe ser un entero positivo',
+    })
+    .default('10485760'),
+  SF_DOCUMENT_TIMEOUT_MS: z
+    .string()
+    .transform(val => parseInt(val, 10))
+    .refine(val => Number.isInteger(val) && val > 0, {
+      message: 'SF_DOCUMENT_TIMEOUT_MS debe ser un entero positivo',
+    })
+    .default('15000'),
+  SF_AMOUNT_SOURCES: listSchema(AMOUNT_SOURCES, 'Las fuentes de monto').default('total,products'),
+  SF_HOURLY_RATE: z
+    .string()
+    .transform(val => parseFloat(val))
+    .refine(val => Number.isFinite(val) && val > 0, {
+      message: 'SF_HOURLY_RATE debe ser un número positivo',
+    })
+    .optional(), // Tarifa por hora de la fuente de monto hours
+  SF_CLOSE_DATE_SOURCES: listSchema(CLOSE_DATE_SOURCES, 'Las fuentes de fecha de cierre').default(
+    'expected,expiration'
+  ),
+  SF_CLOSE_DATE_DEFAULT_DAYS: z
+    .string()
+    .transform(val => parseInt(val, 10))
+    .refine(val => Number.isInteger(val) && val >= 0, {
+      message: 'SF_CLOSE_DATE_DEFAULT_DAYS debe ser un entero no negativo',
+    })
+    .default('30'), // Sin fecha de Prolibu al crear (CloseDate es obligatorio): hoy + N días
+  SF_SYNC_CURRENCY: z
+    .enum(['true', 'false'])
+    .default('true')
+    .transform(val => val === 'true'), // CurrencyIsoCode o conversión a la moneda corporativa
+  SF_EXCHANGE_RATE_MODE: z.enum(['divide', 'multiply']).default('divide'), // Cómo aplicar la tasa de Prolibu
+  SF_ORIGINAL_AMOUNT_FIELD: z.string().optional(), // Monto original al convertir (ej. Original_Amount__c)
+  SF_ORIGINAL_CURRENCY_FIELD: z.string().optional(), // Moneda original al convertir
+  SF_EXCHANGE_RATE_FIELD: z.string().optional(), // Tasa usada al convertir
+  SF_FIELD_MAPPING_FILE: z.string().optional(), // Mapeo de campos; por defecto src/config/fieldMapping.json
+  SF_RECORD_TYPE_RULES_FILE: z.string().optional(), // Reglas de tipo de registro de la Opportunity
+  SF_STAGE_MAPPING_FILE: z.string().optional(), // Mapeo de estados; por defecto src/config/stageMapping.json
+  SF_STAGE_MAPPING_WATCH: z
+    .enum(['true', 'false'])
+    .default('true')
+    .transform(val => val === 'true'), // Recargar el mapeo de estados cuando cambia el archivo
+  SF_USE_ORG_STAGES: z
+    .enum(['true', 'false'])
+    .default('true')
+    .transform(val => val === 'true'), // Etapas reales de la org (OpportunityStage)
+  SF_STAGE_REFRESH_MINUTES: z
+    .string()
+    .transform(val => parseInt(val, 10))
+    .refine(val => Number.isInteger(val) && val > 0, {
+      message: 'SF_STAGE_REFRESH_MINUTES debe ser un entero positivo',
+    })
+    .default('60'),
+  SF_SESSION_MAX_AGE_MINUTES: z
+    .string()
+    .transform(val => parseInt(val, 10))
+    .refine(val => Number.isInteger(val) && val > 0, {
+      message: 'SF_SESSION_MAX_AGE_MINUTES debe ser un entero positivo',
+    })
+    .default('90'), // Renovación proactiva de la sesión
+
+  // Verificación de firma HMAC de webhooks de Prolibu
+  PROLIBU_WEBHOOK_SECRET: z
+    .string()
+    .min(16, 'El secreto del webhook debe tener al menos 16 caracteres')
+    .optional(),
+  PROLIBU_WEBHOOK_SECRET_PREVIOUS: z.string().optional(), // Secreto anterior durante rotación
+  WEBHOOK_SIGNATURE_HEADER: z.string().default('x-prolibu-signature'),
+  WEBHOOK_TIMESTAMP_HEADER: z.string().default('x-prolibu-timestamp'),
+  WEBHOOK_SIGNATURE_TOLERANCE_SECONDS: z
+    .string()
+    .transform(val => parseInt(val, 10))
+    .refine(val => Number.isInteger(val) && val > 0, {
+      message: 'WEBHOOK_SIGNATURE_TOLERANCE_SECONDS debe ser un entero positivo',
+    })
+    .default('300'),
+
+  // Protección contra replay de webhooks
+  WEBHOOK_REPLAY_WINDOW_SECONDS: z
+    .string()
+    .transform(val => parseInt(val, 10))
+    .refine(val => Number.isInteger(val) && val > 0, {
+      message: 'WEBHOOK_REPLAY_WINDOW_SECONDS debe ser un entero positivo',
+    })
+    .default('300'),
+  NONCE_STORE: z.enum(['memory', 'file']).default('memory'),
+  NONCE_STORE_FILE: z.string().default('./data/nonces.json'),
+  NONCE_STORE_MAX_ENTRIES: z
+    .string()
+    .transform(val => parseInt(val, 10))
+    .refine(val => Number.isInteger(val) && val > 0, {
+      message: 'NONCE_STORE_MAX_ENTRIES debe ser un entero positivo',
+    })
+    .default('10000'),
+
+  // Ordenamiento de eventos por propuesta
+  PROPOSAL_SEQUENCER_MAX_ENTRIES: z
+    .string()
+    .transform(val => parseInt(val, 10))
+    .refine(val => Number.isInteger(val) && val > 0, {
+      message: 'PROPOSAL_SEQUENCER_MAX_ENTRIES debe ser un entero positivo',
+    })
+    .default('10000'),
+
+  // Idempotencia de entregas de webhooks
+  IDEMPOTENCY_ENABLED: z
+    .enum(['true', 'false'])
+    .default('true')
+    .transform(val => val === 'true'),
+  IDEMPOTENCY_STORE: z.enum(['memory', 'file']).default('memory'),
+  IDEMPOTENCY_STORE_FILE: z.string().default('./data/idempotency.json'),
+  IDEMPOTENCY_TTL_SECONDS: z
+    .string()
+    .transform(val => parseInt(val, 10))
+    .refine(val => Number.isInteger(val) && val > 0, {
+      message: 'IDEMPOTENCY_TTL_SECONDS debe ser un entero positivo',
+    })
+    .default('86400'),
+
+  // Modo asíncrono: encolar webhooks y responder 202
+  WEBHOOK_ASYNC_MODE: z
+    .enum(['true', 'false'])
+    .default('false')
+    .transform(val => val === 'true'),
+  WEBHOOK_QUEUE_FILE: z.string().default('./data/webhook-queue.json'),
+  WEBHOOK_QUEUE_POLL_INTERVAL_MS: z
+    .string()
+    .transform(val => parseInt(val, 10))
+    .refine(val => Number.isInteger(val) && val > 0, {
+      message: 'WEBHOOK_QUEUE_POLL_INTERVAL_MS debe ser un entero positivo',
+    })
+    .default('1000'),
+  WEBHOOK_RETRY_MAX_ATTEMPTS: z
+    .string()
+    .transform(val => parseInt(val, 10))
+    .refine(val => Number.isInteger(val) && val > 0, {
+      message: 'WEBHOOK_RETRY_MAX_ATTEMPTS debe ser un entero positivo',
+    })
+    .default('5'),
+  DEAD_LETTER_FILE: z.string().default('./data/dead-letters.json'),
+
+  // Token para los endpoints de administración (/admin)
+  ADMIN_API_TOKEN: z
+    .string()
+    .min(16, 'ADMIN_API_TOKEN debe tener al menos 16 caracteres')
+    .optional(),
+
+  // Sincronización inversa Salesforce → Prolibu (/webhooks/salesforce)
+  SF_REVERSE_SYNC: z
+    .enum(['true', 'false'])
+    .default('false')
+    .transform(val => val === 'true'),
+  SF_INBOUND_TOKEN: z
+    .string()
+    .min(16, 'SF_INBOUND_TOKEN debe tener al menos 16 caracteres')
+    .optional(), // Header x-salesforce-token o parámetro ?token= (Outbound Messages)
+  SF_ORGANIZATION_ID: z.string().optional(), // Org esperada en los Outbound Messages
+  PROLIBU_API_URL: z.string().url().optional(), // Ej. https://miempresa.prolibu.com/v2
+  PROLIBU_API_TOKEN: z.string().optional(),
+  PROLIBU_STATUS_FIELD: z.string().default('status'), // Campo de la propuesta con el status
+  PROLIBU_API_TIMEOUT_MS: z
+    .string()
+    .transform(val => parseInt(val, 10))
+    .refine(val => Number.isInteger(val) && val > 0, {
+      message: 'PROLIBU_API_TIMEOUT_MS debe ser un entero positivo',
+    })
+    .default('10000'),
+
+  // Supresión de ecos: último estado escrito por propuesta y marca de origen en Salesforce
+  ECHO_SUPPRESSION_ENABLED: z
+    .enum(['true', 'false'])
+    .default('true')
+    .transform(val => val === 'true'),
+  SYNC_STATE_STORE: z.enum(['memory', 'file']).default('memory'),
+  SYNC_STATE_STORE_FILE: z.string().default('./data/sync-state.json'),
+  SYNC_STATE_MAX_ENTRIES: z
+    .string()
+    .transform(val => parseInt(val, 10))
+    .refine(val => Number.isInteger(val) && val > 0, {
+      message: 'SYNC_STATE_MAX_ENTRIES debe ser un entero positivo',
+    })
+    .default('10000'),
+  SF_SYNC_ORIGIN_FIELD: z.string().optional(), // Campo de la Opportunity con el origen de la escritura
+  SF_SYNC_ORIGIN_VALUE: z.string().default('Prolibu'), // Valor que marca las escrituras de la integración
+
+  // Detección de cambios: solo se envían a Salesforce los campos que cambiaron respecto de lo
+  // último sincronizado (cache) o de la Opportunity actual (opportunity, con una consulta extra)
+  SF_CHANGE_DETECTION: z.enum(['cache', 'opportunity', 'off']).default('cache'),
+
+  // Escrituras dependientes de cada webhook (Account, Contact, Opportunity, líneas, contacto
+  // principal) en una sola request Composite all-or-none
+  SF_COMPOSITE_WRITES: z
+    .enum(['true', 'false'])
+    .default('false')
+    .transform(val => val === 'true'),
 });
 
 /**
@@ -78,26 +352,45 @@ function loadAndValidateEnv() {
 }
 
 /**
- * Valida que las variables críticas de Salesforce estén presentes
- * Se usará en pasos posteriores cuando implementemos la integración
+ * Variables requeridas por cada estrategia de autenticación de Salesforce
+ */
+const SALESFORCE_AUTH_REQUIRED_VARS = {
+  password: ['SF_LOGIN_URL', 'SF_USERNAME', 'SF_PASSWORD'],
+  jwt: ['SF_LOGIN_URL', 'SF_USERNAME', 'SF_CLIENT_ID', 'SF_PRIVATE_KEY_FILE'],
+  client_credentials: ['SF_LOGIN_URL', 'SF_CLIENT_ID', 'SF_CLIENT_SECRET'],
+};
+
+/**
+ * Valida que las variables de Salesforce requeridas por la estrategia de
+ * autenticación configurada (SF_AUTH_STRATEGY) estén presentes
  *
  * @param {Object} env - Variables de entorno validadas
- * @returns {boolean} true si todas las variables de SF están presentes
+ * @returns {boolean} true si la estrategia puede autenticarse
  */
 function validateSalesforceConfig(env) {
-  const requiredSfVars = [
-    'SF_LOGIN_URL',
-    'SF_USERNAME',
-    'SF_PASSWORD',
-    'SF_CLIENT_ID',
-    'SF_CLIENT_SECRET',
-  ];
+  const strategy = env.SF_AUTH_STRATEGY || 'password';
+  const requiredSfVars = SALESFORCE_AUTH_REQUIRED_VARS[strategy];
+
+  if (!requiredSfVars) {
+    logger.warn({ strategy }, 'Estrategia de autenticación de Salesforce no soportada');
+    return false;
+  }
 
   const missing = requiredSfVars.filter(varName => !env[varName]);
 
+  // La llave privada del flujo JWT debe existir en disco
+  if (
+    strategy === 'jwt' &&
+    env.SF_PRIVATE_KEY_FILE &&
+    !fs.existsSync(path.resolve(env.SF_PRIVATE_KEY_FILE))
+  ) {
+    missing.push('SF_PRIVATE_KEY_FILE (archivo no encontrado)');
+  }
+
   if (missing.length > 0) {
     logger.warn(
       {
+        strategy,
         missingVars: missing,
       },
       'Variables de Salesforce no configuradas - funcionalidad limitada'
@@ -129,5 +422,9 @@ module.exports = {
   config,
   loadAndValidateEnv,
   validateSalesforceConfig,
+  SALESFORCE_AUTH_REQUIRED_VARS,
+  CLIENT_MATCH_RULES,
+  AMOUNT_SOURCES,
+  CLOSE_DATE_SOURCES,
   envSchema,
 };
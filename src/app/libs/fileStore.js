@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Utilidades para persistencia en archivos JSON
+ * Escritura atómica (archivo temporal + rename) y bloqueo entre procesos
+ * mediante un archivo .lock, para que varias instancias compartan el mismo archivo
+ */
+
+const LOCK_RETRY_MS = 20;
+const LOCK_STALE_MS = 10000;
+const LOCK_TIMEOUT_MS = 5000;
+
+/**
+ * Lee un archivo JSON, devolviendo un valor por defecto si no existe
+ *
+ * @param {string} filePath - Ruta del archivo
+ * @param {*} defaultValue - Valor a devolver si el archivo no existe o está vacío
+ * @returns {Promise<*>} Contenido parseado
+ */
+async function readJson(filePath, defaultValue) {
+  try {
+    const content = await fs.promises.readFile(filePath, 'utf8');
+    return content.trim() ? JSON.parse(content) : defaultValue;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return defaultValue;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Escribe un archivo JSON de forma atómica
+ * Escribe en un temporal y lo renombra para no dejar archivos a medio escribir
+ *
+ * @param {string} filePath - Ruta del archivo
+ * @param {*} data - Datos serializables a JSON
+ * @param {Object} [options] - Opciones
+ * @param {boolean} [options.pretty=false] - Indentar el JSON (archivos editados a mano)
+ */
+async function writeJsonAtomic(filePath, data, { pretty = false } = {}) {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+  const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  const content = pretty ? `${JSON.stringify(data, null, 2)}\n` : JSON.stringify(data);
+  await fs.promises.writeFile(tmpPath, content, 'utf8');
+  await fs.promises.rename(tmpPath, filePath);
+}
+
+/**
+ * Ejecuta una función con un bloqueo exclusivo sobre el archivo
+ * El bloqueo se libera siempre, incluso si la función falla
+ *
+ * @param {string} filePath - Ruta del archivo a bloquear
+ * @param {Function} fn - Función async a ejecutar con el bloqueo tomado
+ * @returns {Promise<*>} Resultado de la función
+ */
+async function withFileLock(filePath, fn) {
+  const lockPath = `${filePath}.lock`;
+  const startedAt = Date.now();
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+  for (;;) {
+    try {
+      const handle = await fs.promises.open(lockPath, 'wx');
+      await handle.close();
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+
+      // Liberar bloqueos huérfanos de procesos que murieron con el lock tomado
+      const stat = await fs.promises.stat(lockPath).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+        await fs.promises.unlink(lockPath).catch(() => {});
+        continue;
+      }
+
+      if (Date.now() - startedAt > LOCK_TIMEOUT_MS) {
+        throw new Error(`Timeout esperando el bloqueo de ${filePath}`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await fs.promises.unlink(lockPath).catch(() => {});
+  }
+}
+
+module.exports = {
+  readJson,
+  writeJsonAtomic,
+  withFileLock,
+};
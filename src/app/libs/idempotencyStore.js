@@ -0,0 +1,164 @@
+const path = require('path');
+const { readJson, writeJsonAtomic, withFileLock } = require('./fileStore');
+
+/**
+ * Almacenes de idempotencia para entregas de webhooks
+ * Registran cada entrega procesada junto con su respuesta durante un TTL
+ *
+ * Interfaz común:
+ *   begin(key, processingTtlMs) → registro existente (processing/completed) o null si se reservó
+ *   complete(key, response, ttlMs) → guarda la respuesta de una entrega exitosa
+ *   release(key) → libera la reserva para que un reintento pueda reprocesar
+ *
+ * Registro: { status: 'processing' | 'completed', response?, completedAt?, expiresAt }
+ */
+
+/**
+ * Almacén en memoria con expiración y capacidad máxima
+ * Adecuado para una sola instancia del servicio
+ */
+class MemoryIdempotencyStore {
+  constructor({ maxEntries = 10000, now = Date.now } = {}) {
+    this.maxEntries = maxEntries;
+    this.now = now;
+    this.records = new Map();
+  }
+
+  getActive(key) {
+    const record = this.records.get(key);
+
+    if (record && record.expiresAt <= this.now()) {
+      this.records.delete(key);
+      return null;
+    }
+
+    return record || null;
+  }
+
+  put(key, record) {
+    this.records.delete(key);
+    this.records.set(key, record);
+
+    while (this.records.size > this.maxEntries) {
+      this.records.delete(this.records.keys().next().value);
+    }
+  }
+
+  async begin(key, processingTtlMs) {
+    const existing = this.getActive(key);
+    if (existing) {
+      return existing;
+    }
+
+    this.put(key, { status: 'processing', expiresAt: this.now() + processingTtlMs });
+    return null;
+  }
+
+  async complete(key, response, ttlMs) {
+    const completedAt = this.now();
+    this.put(key, {
+      status: 'completed',
+      response,
+      completedAt: new Date(completedAt).toISOString(),
+      expiresAt: completedAt + ttlMs,
+    });
+  }
+
+  async release(key) {
+    this.records.delete(key);
+  }
+}
+
+/**
+ * Almacén persistido en un archivo JSON compartido
+ * Sobrevive reinicios y permite compartir el registro entre instancias
+ */
+class FileIdempotencyStore {
+  constructor({ filePath, maxEntries = 10000, now = Date.now } = {}) {
+    if (!filePath) {
+      throw new Error('FileIdempotencyStore requiere filePath');
+    }
+
+    this.filePath = path.resolve(filePath);
+    this.maxEntries = maxEntries;
+    this.now = now;
+  }
+
+  /**
+   * Lee, modifica y persiste el archivo con el bloqueo tomado
+   * Descarta registros expirados y recorta a la capacidad máxima
+   */
+  async mutate(fn) {
+    return withFileLock(this.filePath, async () => {
+      const currentTime = this.now();
+      const stored = await readJson(this.filePath, {});
+      const records = Object.fromEntries(
+        Object.entries(stored).filter(([, record]) => record.expiresAt > currentTime)
+      );
+
+      const result = fn(records, currentTime);
+
+      const kept = Object.entries(records)
+        .sort((a, b) => a[1].expiresAt - b[1].expiresAt)
+        .slice(-this.maxEntries);
+
+      await writeJsonAtomic(this.filePath, Object.fromEntries(kept));
+      return result;
+    });
+  }
+
+  async begin(key, processingTtlMs) {
+    return this.mutate((records, currentTime) => {
+      if (records[key]) {
+        return records[key];
+      }
+
+      records[key] = { status: 'processing', expiresAt: currentTime + processingTtlMs };
+      return null;
+    });
+  }
+
+  async complete(key, response, ttlMs) {
+    await this.mutate((records, currentTime) => {
+      records[key] = {
+        status: 'completed',
+        response,
+        completedAt: new Date(currentTime).toISOString(),
+        expiresAt: currentTime + ttlMs,
+      };
+    });
+  }
+
+  async release(key) {
+    await this.mutate(records => {
+      delete records[key];
+    });
+  }
+}
+
+/**
+ * Crea el almacén de idempotencia según la configuración
+ *
+ * @param {Object} options - Opciones del almacén
+ * @param {string} [options.type] - 'memory' (por defecto) o 'file'
+ * @param {string} [options.filePath] - Ruta del archivo para el tipo 'file'
+ * @param {number} [options.maxEntries] - Capacidad máxima
+ * @returns {MemoryIdempotencyStore|FileIdempotencyStore} Almacén configurado
+ */
+function createIdempotencyStore({ type = 'memory', filePath, maxEntries } = {}) {
+  if (type === 'file') {
+    return new FileIdempotencyStore({ filePath, maxEntries });
+  }
+
+  if (type === 'memory') {
+    return new MemoryIdempotencyStore({ maxEntries });
+  }
+
+  throw new Error(`Tipo de almacén de idempotencia no soportado: ${type}`);
+}
+
+module.exports = {
+  MemoryIdempotencyStore,
+  FileIdempotencyStore,
+  createIdempotencyStore,
+};
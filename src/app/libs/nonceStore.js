@@ -0,0 +1,124 @@
+const path = require('path');
+const { readJson, writeJsonAtomic, withFileLock } = require('./fileStore');
+
+/**
+ * Almacenes de nonces para protección contra replay de webhooks
+ * Todos implementan la misma interfaz:
+ *   checkAndRemember(nonce, ttlMs) → true si el nonce es nuevo, false si ya se vio
+ *   size() → cantidad de nonces vigentes
+ */
+
+/**
+ * Almacén en memoria con expiración y política LRU
+ * Adecuado para una sola instancia del servicio
+ */
+class MemoryNonceStore {
+  constructor({ maxEntries = 10000, now = Date.now } = {}) {
+    this.maxEntries = maxEntries;
+    this.now = now;
+    this.entries = new Map();
+  }
+
+  async checkAndRemember(nonce, ttlMs) {
+    const currentTime = this.now();
+    const expiresAt = this.entries.get(nonce);
+
+    if (expiresAt !== undefined && expiresAt > currentTime) {
+      return false;
+    }
+
+    // Reinsertar para que quede como el más reciente
+    this.entries.delete(nonce);
+    this.entries.set(nonce, currentTime + ttlMs);
+
+    // Expulsar los más antiguos si se supera la capacidad
+    while (this.entries.size > this.maxEntries) {
+      const oldestNonce = this.entries.keys().next().value;
+      this.entries.delete(oldestNonce);
+    }
+
+    return true;
+  }
+
+  async size() {
+    const currentTime = this.now();
+    for (const [nonce, expiresAt] of this.entries) {
+      if (expiresAt <= currentTime) {
+        this.entries.delete(nonce);
+      }
+    }
+    return this.entries.size;
+  }
+}
+
+/**
+ * Almacén persistido en un archivo JSON compartido
+ * Permite que varias instancias (mismo volumen) compartan los nonces vistos
+ */
+class FileNonceStore {
+  constructor({ filePath, maxEntries = 10000, now = Date.now } = {}) {
+    if (!filePath) {
+      throw new Error('FileNonceStore requiere filePath');
+    }
+
+    this.filePath = path.resolve(filePath);
+    this.maxEntries = maxEntries;
+    this.now = now;
+  }
+
+  async checkAndRemember(nonce, ttlMs) {
+    return withFileLock(this.filePath, async () => {
+      const currentTime = this.now();
+      const stored = await readJson(this.filePath, {});
+
+      // Descartar nonces expirados
+      const entries = Object.entries(stored).filter(([, expiresAt]) => expiresAt > currentTime);
+
+      if (entries.some(([storedNonce]) => storedNonce === nonce)) {
+        return false;
+      }
+
+      entries.push([nonce, currentTime + ttlMs]);
+
+      // Conservar solo los más recientes si se supera la capacidad
+      entries.sort((a, b) => a[1] - b[1]);
+      const kept = entries.slice(Math.max(0, entries.length - this.maxEntries));
+
+      await writeJsonAtomic(this.filePath, Object.fromEntries(kept));
+      return true;
+    });
+  }
+
+  async size() {
+    const currentTime = this.now();
+    const stored = await readJson(this.filePath, {});
+    return Object.values(stored).filter(expiresAt => expiresAt > currentTime).length;
+  }
+}
+
+/**
+ * Crea el almacén de nonces según la configuración
+ *
+ * @param {Object} options - Opciones del almacén
+ * @param {string} [options.type] - 'memory' (por defecto) o 'file'
+ * @param {string} [options.filePath] - Ruta del archivo para el tipo 'file'
+ * @param {number} [options.maxEntries] - Capacidad máxima
+ * @returns {MemoryNonceStore|FileNonceStore} Almacén configurado
+ */
+function createNonceStore({ type = 'memory', filePath, maxEntries } = {}) {
+  if (type === 'file') {
+    return new FileNonceStore({ filePath, maxEntries });
+  }
+
+  if (type === 'memory') {
+    return new MemoryNonceStore({ maxEntries });
+  }
+
+  throw new Error(`Tipo de almacén de nonces no soportado: ${type}`);
+}
+
+module.exports = {
+  MemoryNonceStore,
+  FileNonceStore,
+  createNonceStore,
+};
@@ -0,0 +1,124 @@
+/**
+ * Ordenamiento de eventos por propuesta
+ * Serializa el procesamiento de webhooks de una misma propuesta y descarta los eventos
+ * cuyo `updatedAt` de Prolibu es anterior al último aplicado
+ */
+
+/**
+ * Mutex por clave: las funciones con la misma clave se ejecutan en orden de llegada,
+ * las de claves distintas en paralelo
+ */
+class KeyedMutex {
+  constructor() {
+    this.tails = new Map();
+  }
+
+  /**
+   * Ejecuta fn cuando terminen las ejecuciones previas con la misma clave
+   *
+   * @param {string} key - Clave a serializar
+   * @param {Function} fn - Función asíncrona a ejecutar
+   * @returns {Promise<*>} Resultado de fn
+   */
+  async run(key, fn) {
+    const previous = this.tails.get(key) || Promise.resolve();
+
+    let release;
+    const current = new Promise(resolve => {
+      release = resolve;
+    });
+    const tail = previous.then(() => current);
+    this.tails.set(key, tail);
+
+    await previous;
+
+    try {
+      return await fn();
+    } finally {
+      release();
+
+      // Liberar la clave si nadie más se encoló detrás
+      if (this.tails.get(key) === tail) {
+        this.tails.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Cantidad de claves con ejecuciones en curso o en espera
+   */
+  size() {
+    return this.tails.size;
+  }
+}
+
+/**
+ * Convierte un updatedAt a milisegundos, o null si no viene o no es válido
+ */
+function parseVersion(updatedAt) {
+  if (!updatedAt) {
+    return null;
+  }
+
+  const version = Date.parse(updatedAt);
+  return Number.isNaN(version) ? null : version;
+}
+
+/**
+ * Secuenciador de eventos por propuesta
+ * Recuerda en memoria (LRU) el último updatedAt aplicado de cada propuesta
+ */
+class ProposalSequencer {
+  constructor({ maxEntries = 10000, mutex = new KeyedMutex() } = {}) {
+    this.maxEntries = maxEntries;
+    this.mutex = mutex;
+    this.lastApplied = new Map();
+  }
+
+  /**
+   * Ejecuta fn en exclusión mutua para la propuesta, salvo que el evento esté obsoleto
+   * Los eventos sin updatedAt siempre se aplican; los de igual updatedAt también
+   * (p. ej. reintentos del mismo evento)
+   *
+   * @param {Object} proposal - Datos de la propuesta
+   * @param {string} proposal.proposalId - ID de la propuesta
+   * @param {string} [proposal.updatedAt] - Fecha de modificación en Prolibu
+   * @param {Function} fn - Procesamiento del evento
+   * @returns {Promise<Object>} { stale: false, result } o { stale: true, lastAppliedAt }
+   */
+  async run({ proposalId, updatedAt }, fn) {
+    return this.mutex.run(proposalId, async () => {
+      const version = parseVersion(updatedAt);
+      const lastApplied = this.lastApplied.get(proposalId);
+
+      if (version !== null && lastApplied !== undefined && version < lastApplied) {
+        return { stale: true, lastAppliedAt: new Date(lastApplied).toISOString() };
+      }
+
+      const result = await fn();
+
+      if (version !== null) {
+        this.remember(proposalId, Math.max(version, lastApplied ?? version));
+      }
+
+      return { stale: false, result };
+    });
+  }
+
+  remember(proposalId, version) {
+    // Reinsertar para que quede como el más reciente
+    this.lastApplied.delete(proposalId);
+    this.lastApplied.set(proposalId, version);
+
+    while (this.lastApplied.size > this.maxEntries) {
+      const oldestProposal = this.lastApplied.keys().next().value;
+      this.lastApplied.delete(oldestProposal);
+    }
+  }
+}
+
+module.exports = {
+  KeyedMutex,
+  ProposalSequencer,
+  parseVersion,
+};
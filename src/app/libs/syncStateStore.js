@@ -0,0 +1,130 @@
+const path = require('path');
+const { readJson, writeJsonAtomic, withFileLock } = require('./fileStore');
+
+/**
+ * Almacenes del último estado escrito por propuesta (Prolibu_External_Id__c)
+ * Permiten reconocer los webhooks que solo repiten lo que la integración ya escribió
+ *
+ * Interfaz común:
+ *   get(key) → registro o null
+ *   set(key, record) → guarda el registro
+ *   delete(key) → olvida la propuesta
+ *   clear() → olvida todas las propuestas
+ *
+ * Registro: { salesforceId, fields, syncedFields, relatedChecksum, origin, writtenAt }
+ */
+
+/**
+ * Almacén en memoria con capacidad máxima (se descartan las propuestas menos recientes)
+ * Adecuado para una sola instancia del servicio
+ */
+class MemorySyncStateStore {
+  constructor({ maxEntries = 10000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.records = new Map();
+  }
+
+  async get(key) {
+    return this.records.get(key) || null;
+  }
+
+  async set(key, record) {
+    this.records.delete(key);
+    this.records.set(key, record);
+
+    while (this.records.size > this.maxEntries) {
+      this.records.delete(this.records.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.records.delete(key);
+  }
+
+  async clear() {
+    this.records.clear();
+  }
+}
+
+/**
+ * Almacén persistido en un archivo JSON compartido
+ * Sobrevive reinicios y permite compartir el estado entre instancias
+ */
+class FileSyncStateStore {
+  constructor({ filePath, maxEntries = 10000 } = {}) {
+    if (!filePath) {
+      throw new Error('FileSyncStateStore requiere filePath');
+    }
+
+    this.filePath = path.resolve(filePath);
+    this.maxEntries = maxEntries;
+  }
+
+  /**
+   * Lee, modifica y persiste el archivo con el bloqueo tomado
+   * Recorta a la capacidad máxima conservando las escrituras más recientes
+   */
+  async mutate(fn) {
+    return withFileLock(this.filePath, async () => {
+      const records = await readJson(this.filePath, {});
+
+      fn(records);
+
+      const kept = Object.entries(records)
+        .sort((a, b) => Date.parse(a[1].writtenAt) - Date.parse(b[1].writtenAt))
+        .slice(-this.maxEntries);
+
+      await writeJsonAtomic(this.filePath, Object.fromEntries(kept));
+    });
+  }
+
+  async get(key) {
+    const records = await readJson(this.filePath, {});
+    return records[key] || null;
+  }
+
+  async set(key, record) {
+    await this.mutate(records => {
+      records[key] = record;
+    });
+  }
+
+  async delete(key) {
+    await this.mutate(records => {
+      delete records[key];
+    });
+  }
+
+  async clear() {
+    await this.mutate(records => {
+      Object.keys(records).forEach(key => delete records[key]);
+    });
+  }
+}
+
+/**
+ * Crea el almacén del último estado escrito según la configuración
+ *
+ * @param {Object} options - Opciones del almacén
+ * @param {string} [options.type] - 'memory' (por defecto) o 'file'
+ * @param {string} [options.filePath] - Ruta del archivo para el tipo 'file'
+ * @param {number} [options.maxEntries] - Capacidad máxima
+ * @returns {MemorySyncStateStore|FileSyncStateStore} Almacén configurado
+ */
+function createSyncStateStore({ type = 'memory', filePath, maxEntries } = {}) {
+  if (type === 'file') {
+    return new FileSyncStateStore({ filePath, maxEntries });
+  }
+
+  if (type === 'memory') {
+    return new MemorySyncStateStore({ maxEntries });
+  }
+
+  throw new Error(`Tipo de almacén de estado de sincronización no soportado: ${type}`);
+}
+
+module.exports = {
+  MemorySyncStateStore,
+  FileSyncStateStore,
+  createSyncStateStore,
+};
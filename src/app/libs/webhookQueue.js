@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const path = require('path');
+const { readJson, writeJsonAtomic, withFileLock } = require('./fileStore');
+
+/**
+ * Cola durable de webhooks entrantes persistida en un archivo JSON
+ * Cada entrega aceptada se guarda antes de responder 202, por lo que sobrevive reinicios
+ *
+ * Estados de una entrega:
+ *   pending → processing → eliminada (completada o fallida) | pending (reintento)
+ * Las entregas fallidas definitivamente se trasladan al almacén de dead letters
+ */
+
+const EMPTY_STATS = { enqueuedTotal: 0, processedTotal: 0, failedTotal: 0, retriedTotal: 0 };
+
+/**
+ * Resume un error para guardarlo en el historial de intentos
+ */
+function summarizeError(error) {
+  return {
+    message: error.message,
+    code: error.errorCode || error.code,
+  };
+}
+
+/**
+ * Lee la cola del archivo, devolviendo una cola vacía nueva si no existe
+ */
+async function readQueue(filePath) {
+  const queue = await readJson(filePath, null);
+
+  return {
+    items: queue?.items || [],
+    stats: { ...EMPTY_STATS, ...queue?.stats },
+  };
+}
+
+class WebhookQueue {
+  constructor({ filePath, now = Date.now } = {}) {
+    if (!filePath) {
+      throw new Error('WebhookQueue requiere filePath');
+    }
+
+    this.filePath = path.resolve(filePath);
+    this.now = now;
+  }
+
+  /**
+   * Lee, modifica y persiste la cola con el bloqueo tomado
+   */
+  async mutate(fn) {
+    return withFileLock(this.filePath, async () => {
+      const queue = await readQueue(this.filePath);
+
+      const result = fn(queue, this.now());
+
+      await writeJsonAtomic(this.filePath, queue);
+      return result;
+    });
+  }
+
+  /**
+   * Persiste una nueva entrega en la cola
+   *
+   * @param {Object} delivery - Datos de la entrega
+   * @param {string} delivery.event - Tipo de evento validado
+   * @param {Object} delivery.data - Datos validados de la propuesta
+   * @param {string} [delivery.webhookId] - ID del webhook si Prolibu lo envió
+   * @param {string} [delivery.traceId] - Trace ID del request que la recibió
+   * @param {Object} [delivery.rawPayload] - Payload original recibido (para dead letters)
+   * @param {Object} [retry] - Para entregas que ya fallaron de forma síncrona
+   * @param {Error} [retry.error] - Error del intento ya realizado
+   * @param {number} [retry.delayMs] - Espera antes del siguiente intento
+   * @returns {Promise<Object>} Entrega encolada con su deliveryId
+   */
+  async enqueue({ event, data, webhookId, traceId, rawPayload }, { error, delayMs = 0 } = {}) {
+    return this.mutate((queue, currentTime) => {
+      const item = {
+        id: crypto.randomUUID(),
+        event,
+        data,
+        webhookId,
+        traceId,
+        rawPayload,
+        status: 'pending',
+        attempts: 0,
+        enqueuedAt: new Date(currentTime).toISOString(),
+        availableAt: currentTime + delayMs,
+        history: [],
+      };
+
+      if (error) {
+        item.attempts = 1;
+        item.lastError = summarizeError(error);
+        item.history.push({
+          attempt: 1,
+          at: new Date(currentTime).toISOString(),
+          error: item.lastError,
+        });
+        queue.stats.retriedTotal++;
+      }
+
+      queue.items.push(item);
+      queue.stats.enqueuedTotal++;
+
+      return item;
+    });
+  }
+
+  /**
+   * Toma la siguiente entrega disponible y la marca como en proceso
+   *
+   * @returns {Promise<Object|null>} Entrega reclamada o null si no hay pendientes
+   */
+  async claim() {
+    // Lectura sin bloqueo para no reescribir el archivo en cada sondeo vacío
+    const snapshot = await readQueue(this.filePath);
+    const snapshotTime = this.now();
+    if (
+      !snapshot.items.some(item => item.status === 'pending' && item.availableAt <= snapshotTime)
+    ) {
+      return null;
+    }
+
+    return this.mutate((queue, currentTime) => {
+      const item = queue.items.find(
+        candidate => candidate.status === 'pending' && candidate.availableAt <= currentTime
+      );
+
+      if (!item) {
+        return null;
+      }
+
+      item.status = 'processing';
+      item.attempts++;
+      item.claimedAt = new Date(currentTime).toISOString();
+
+      return { ...item };
+    });
+  }
+
+  /**
+   * Elimina una entrega procesada exitosamente
+   *
+   * @param {string} id - deliveryId
+   */
+  async complete(id) {
+    await this.mutate(queue => {
+      queue.items = queue.items.filter(item => item.id !== id);
+      queue.stats.processedTotal++;
+    });
+  }
+
+  /**
+   * Reprograma una entrega fallida para un nuevo intento
+   *
+   * @param {string} id - deliveryId
+   * @param {Error} error - Error del intento actual
+   * @param {number} delayMs - Espera antes del siguiente intento
+   */
+  async retry(id, error, delayMs) {
+    await this.mutate((queue, currentTime) => {
+      const item = queue.items.find(candidate => candidate.id === id);
+      if (!item) {
+        return;
+      }
+
+      item.status = 'pending';
+      item.availableAt = currentTime + delayMs;
+      item.lastError = summarizeError(error);
+      item.history = [
+        ...(item.history || []),
+        { attempt: item.attempts, at: new Date(currentTime).toISOString(), error: item.lastError },
+      ];
+      queue.stats.retriedTotal++;
+    });
+  }
+
+  /**
+   * Retira de la cola una entrega fallida definitivamente
+   * El llamador es responsable de haberla guardado antes como dead letter
+   *
+   * @param {string} id - deliveryId
+   */
+  async fail(id) {
+    await this.mutate(queue => {
+      const sizeBefore = queue.items.length;
+      queue.items = queue.items.filter(item => item.id !== id);
+
+      if (queue.items.length < sizeBefore) {
+        queue.stats.failedTotal++;
+      }
+    });
+  }
+
+  /**
+   * Devuelve a pendientes las entregas que quedaron en proceso tras un reinicio
+   *
+   * @returns {Promise<number>} Cantidad de entregas recuperadas
+   */
+  async recoverInterrupted() {
+    return this.mutate(queue => {
+      const interrupted = queue.items.filter(item => item.status === 'processing');
+      interrupted.forEach(item => {
+        item.status = 'pending';
+      });
+      return interrupted.length;
+    });
+  }
+
+  /**
+   * Métricas de profundidad y throughput de la cola
+   *
+   * @returns {Promise<Object>} Métricas actuales
+   */
+  async getMetrics() {
+    const queue = await readQueue(this.filePath);
+    const currentTime = this.now();
+    const countByStatus = status => queue.items.filter(item => item.status === status).length;
+
+    const pendingItems = queue.items.filter(item => item.status === 'pending');
+    const retrying = pendingItems.filter(item => item.attempts > 0).length;
+    const oldestPending = pendingItems.reduce(
+      (oldest, item) => Math.min(oldest, Date.parse(item.enqueuedAt)),
+      Infinity
+    );
+
+    return {
+      depth: pendingItems.length,
+      retrying,
+      processing: countByStatus('processing'),
+      oldestPendingAgeMs: pendingItems.length > 0 ? currentTime - oldestPending : 0,
+      ...queue.stats,
+    };
+  }
+}
+
+module.exports = {
+  WebhookQueue,
+  summarizeError,
+};
@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+const { config } = require('../libs/env');
+const { BusinessError } = require('./errorHandler');
+
+/**
+ * Middleware de autenticación para endpoints de administración
+ * Exige `Authorization: Bearer <ADMIN_API_TOKEN>`; sin token configurado los
+ * endpoints de administración quedan deshabilitados
+ *
+ * @param {Object} req - Request de Express
+ * @param {Object} res - Response de Express
+ * @param {Function} next - Siguiente middleware
+ */
+function requireAdminToken(req, res, next) {
+  const expectedToken = config.ADMIN_API_TOKEN;
+
+  if (!expectedToken) {
+    return next(
+      new BusinessError(
+        'Los endpoints de administración están deshabilitados (ADMIN_API_TOKEN no configurado)',
+        'admin_disabled',
+        403
+      )
+    );
+  }
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  const expected = Buffer.from(expectedToken);
+  const received = Buffer.from(token || '');
+
+  const isValid =
+    scheme === 'Bearer' &&
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received);
+
+  if (!isValid) {
+    return next(new BusinessError('Token de administración inválido', 'admin_unauthorized', 401));
+  }
+
+  next();
+}
+
+module.exports = {
+  requireAdminToken,
+};
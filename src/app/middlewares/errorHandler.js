@@ -88,6 +88,25 @@ function errorHandler(err, req, res, next) {
     });
   }
 
+  // Manejar errores de autenticación de webhooks (firma HMAC)
+  if (err.name === 'WebhookAuthError') {
+    requestLogger.warn(
+      {
+        error: 'webhook_auth_error',
+        message: err.message,
+        code: err.code,
+        ip: req.ip,
+      },
+      'Webhook rechazado por autenticación'
+    );
+
+    return res.status(err.statusCode || 401).json({
+      error: err.code || 'unauthorized',
+      message: err.message,
+      traceId,
+    });
+  }
+
   // Manejar errores de Salesforce (para pasos futuros)
   if (err.name === 'SalesforceError') {
     requestLogger.error(
@@ -147,6 +166,19 @@ class BusinessError extends Error {
   }
 }
 
+/**
+ * Clase para errores de autenticación de webhooks
+ * Se lanza cuando la firma, el timestamp o el secreto del webhook no son válidos
+ */
+class WebhookAuthError extends Error {
+  constructor(message, code = 'unauthorized', statusCode = 401) {
+    super(message);
+    this.name = 'WebhookAuthError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
 /**
  * Clase para errores de Salesforce (para uso futuro)
  * Permite manejar errores específicos de la integración con SF
@@ -163,5 +195,6 @@ class SalesforceError extends Error {
 module.exports = {
   errorHandler,
   BusinessError,
+  WebhookAuthError,
   SalesforceError,
 };
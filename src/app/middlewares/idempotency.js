@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const { config } = require('../libs/env');
+const { logger } = require('../libs/logger');
+const { createIdempotencyStore } = require('../libs/idempotencyStore');
+const { BusinessError } = require('./errorHandler');
+
+/**
+ * Middleware de idempotencia para webhooks de Prolibu
+ * Registra cada entrega procesada con su respuesta y, si Prolibu reintenta la misma
+ * entrega dentro del TTL, devuelve la respuesta guardada sin volver a llamar a Salesforce
+ *
+ * Debe montarse después de prolibuWebhookAdapter para trabajar sobre el body adaptado
+ */
+
+const REPLAY_HEADER = 'Idempotent-Replayed';
+const KEY_HEADER = 'Idempotency-Key';
+
+// Tiempo máximo que una entrega puede quedar "en proceso" antes de liberarse
+const PROCESSING_TTL_MS = 60 * 1000;
+
+/**
+ * Serializa un valor con las claves ordenadas para obtener un hash estable
+ *
+ * @param {*} value - Valor a serializar
+ * @returns {string} JSON con claves ordenadas
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * Calcula la clave de idempotencia de un webhook
+ * Usa webhookId si viene; si no, un hash del evento y los datos adaptados
+ * (el timestamp generado por el adaptador se excluye porque cambia en cada entrega)
+ *
+ * @param {Object} body - Body del webhook (formato interno)
+ * @returns {string|null} Clave o null si el body no tiene evento
+ */
+function computeIdempotencyKey(body) {
+  if (!body || !body.event) {
+    return null;
+  }
+
+  if (body.webhookId) {
+    return `id:${body.webhookId}`;
+  }
+
+  const hash = crypto
+    .createHash('sha256')
+    .update(stableStringify({ event: body.event, data: body.data }))
+    .digest('hex');
+
+  return `hash:${hash}`;
+}
+
+/**
+ * Crea el middleware de idempotencia
+ *
+ * @param {Object} options - Opciones
+ * @param {Object} options.store - Almacén de idempotencia (ver libs/idempotencyStore.js)
+ * @param {number} [options.ttlSeconds] - Tiempo que se recuerda una entrega procesada
+ * @param {boolean} [options.enabled] - Permite desactivar la deduplicación
+ * @returns {Function} Middleware async de Express
+ */
+function createIdempotencyMiddleware(options = {}) {
+  const { store, ttlSeconds = 86400, enabled = true } = options;
+
+  if (!store) {
+    throw new Error('createIdempotencyMiddleware requiere un almacén de idempotencia');
+  }
+
+  return async function idempotentWebhook(req, res, next) {
+    const key = enabled ? computeIdempotencyKey(req.body) : null;
+
+    if (!key) {
+      return next();
+    }
+
+    const idempotencyLogger = logger.child({
+      component: 'idempotency',
+      traceId: req.traceId,
+      idempotencyKey: key,
+    });
+
+    try {
+      const existing = await store.begin(key, PROCESSING_TTL_MS);
+
+      if (existing && existing.status === 'completed') {
+        idempotencyLogger.info(
+          { completedAt: existing.completedAt },
+          'Entrega duplicada - devolviendo respuesta almacenada'
+        );
+
+        res.set(REPLAY_HEADER, 'true');
+        res.set(KEY_HEADER, key);
+        return res.status(existing.response.statusCode).json(existing.response.body);
+      }
+
+      if (existing) {
+        idempotencyLogger.warn('Entrega duplicada mientras la original sigue en proceso');
+        res.set('Retry-After', String(Math.ceil(PROCESSING_TTL_MS / 1000)));
+        return next(
+          new BusinessError(
+            'La misma entrega del webhook ya se está procesando',
+            'webhook_in_progress',
+            409
+          )
+        );
+      }
+    } catch (error) {
+      idempotencyLogger.error(
+        { error: error.message },
+        'Error consultando almacén de idempotencia'
+      );
+      return next(error);
+    }
+
+    res.set(REPLAY_HEADER, 'false');
+    res.set(KEY_HEADER, key);
+
+    // Guardar la respuesta final: las exitosas se recuerdan, las fallidas liberan la clave
+    const originalJson = res.json;
+    res.json = function (body) {
+      const statusCode = res.statusCode;
+      const persist =
+        statusCode >= 200 && statusCode < 300
+          ? store.complete(key, { statusCode, body }, ttlSeconds * 1000)
+          : store.release(key);
+
+      persist.catch(error =>
+        idempotencyLogger.error(
+          { error: error.message, statusCode },
+          'Error guardando resultado de idempotencia'
+        )
+      );
+
+      return originalJson.call(this, body);
+    };
+
+    next();
+  };
+}
+
+/**
+ * Middleware por defecto construido desde las variables de entorno
+ */
+const idempotentWebhook = createIdempotencyMiddleware({
+  store: createIdempotencyStore({
+    type: config.IDEMPOTENCY_STORE,
+    filePath: config.IDEMPOTENCY_STORE_FILE,
+  }),
+  ttlSeconds: config.IDEMPOTENCY_TTL_SECONDS,
+  enabled: config.IDEMPOTENCY_ENABLED !== false,
+});
+
+module.exports = {
+  idempotentWebhook,
+  createIdempotencyMiddleware,
+  computeIdempotencyKey,
+  stableStringify,
+  REPLAY_HEADER,
+};
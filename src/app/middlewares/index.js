@@ -3,18 +3,36 @@
  * Facilita la importación desde otros módulos
  */
 
-const { errorHandler, BusinessError, SalesforceError } = require('./errorHandler');
+const {
+  errorHandler,
+  BusinessError,
+  WebhookAuthError,
+  SalesforceError,
+} = require('./errorHandler');
 const { notFound } = require('./notFound');
 const { requestLogger, healthCheckLogger } = require('./requestLogger');
+const { verifyWebhookSignature } = require('./webhookSignature');
+const { rejectReplayedWebhooks } = require('./replayProtection');
+const { idempotentWebhook } = require('./idempotency');
+const { requireAdminToken } = require('./adminAuth');
 
 module.exports = {
   // Error handling
   errorHandler,
   BusinessError,
+  WebhookAuthError,
   SalesforceError,
 
   // Request lifecycle
   requestLogger,
   healthCheckLogger,
   notFound,
+
+  // Seguridad de webhooks
+  verifyWebhookSignature,
+  rejectReplayedWebhooks,
+  idempotentWebhook,
+
+  // Administración
+  requireAdminToken,
 };
@@ -0,0 +1,116 @@
+const { config } = require('../libs/env');
+const { logger } = require('../libs/logger');
+const { createNonceStore } = require('../libs/nonceStore');
+const { WebhookAuthError } = require('./errorHandler');
+
+/**
+ * Middleware de protección contra replay de webhooks
+ * Rechaza webhooks cuyo timestamp firmado está fuera de la ventana configurada
+ * y webhooks cuyo nonce ya fue visto dentro de esa ventana
+ * Debe montarse después de verifyWebhookSignature: sin firma no hay nada confiable que comparar
+ *
+ * Resolución del nonce (en orden), solo a partir de material firmado:
+ *   1. `webhookId` del body combinado con el timestamp firmado; un reintento legítimo
+ *      de Prolibu se firma con un timestamp nuevo, una captura reenviada no
+ *   2. La firma HMAC verificada (única por timestamp + body), normalizada por
+ *      verifyWebhookSignature: el prefijo sha256= o las mayúsculas del header no la cambian
+ * Un header de nonce no sirve: la firma no lo cubre y una captura podría reenviarse con otro
+ */
+
+/**
+ * Determina el nonce de un request con firma verificada
+ *
+ * @param {Object} req - Request de Express (con req.webhookSignature)
+ * @returns {string} Nonce de la entrega
+ */
+function resolveNonce(req) {
+  const { timestamp, digest } = req.webhookSignature;
+
+  const webhookId = req.body?.webhookId;
+  if (webhookId) {
+    return `webhook:${webhookId}@${timestamp}`;
+  }
+
+  return `signature:${digest}`;
+}
+
+/**
+ * Crea el middleware de protección contra replay
+ *
+ * @param {Object} options - Opciones
+ * @param {Object} options.store - Almacén de nonces (ver libs/nonceStore.js)
+ * @param {number} [options.windowSeconds] - Antigüedad máxima del webhook
+ * @param {Function} [options.now] - Reloj inyectable para testing
+ * @returns {Function} Middleware async de Express
+ */
+function createReplayProtection(options = {}) {
+  const { store, windowSeconds = 300, now = Date.now } = options;
+
+  if (!store) {
+    throw new Error('createReplayProtection requiere un almacén de nonces');
+  }
+
+  return async function rejectReplayedWebhooks(req, res, next) {
+    const replayLogger = logger.child({
+      component: 'replayProtection',
+      traceId: req.traceId,
+    });
+
+    try {
+      // Sin firma verificada el timestamp y el nonce no son confiables
+      if (!req.webhookSignature) {
+        replayLogger.debug('Webhook sin firma verificada - protección de replay omitida');
+        return next();
+      }
+
+      const timestampMs = req.webhookSignature.timestamp;
+      const ageSeconds = Math.abs(now() - timestampMs) / 1000;
+
+      if (ageSeconds > windowSeconds) {
+        replayLogger.warn({ ageSeconds, windowSeconds }, 'Webhook fuera de la ventana de replay');
+        return next(
+          new WebhookAuthError(
+            'El webhook está fuera de la ventana de tiempo permitida',
+            'webhook_expired'
+          )
+        );
+      }
+
+      const nonce = resolveNonce(req);
+
+      // Recordar el nonce mientras su timestamp siga siendo aceptable
+      const isNew = await store.checkAndRemember(nonce, windowSeconds * 2 * 1000);
+
+      if (!isNew) {
+        replayLogger.warn({ nonce }, 'Webhook repetido rechazado');
+        return next(
+          new WebhookAuthError('El webhook ya fue recibido anteriormente', 'webhook_replayed', 409)
+        );
+      }
+
+      req.webhookNonce = nonce;
+      next();
+    } catch (error) {
+      replayLogger.error({ error: error.message }, 'Error verificando replay de webhook');
+      next(error);
+    }
+  };
+}
+
+/**
+ * Middleware por defecto construido desde las variables de entorno
+ */
+const rejectReplayedWebhooks = createReplayProtection({
+  store: createNonceStore({
+    type: config.NONCE_STORE,
+    filePath: config.NONCE_STORE_FILE,
+    maxEntries: config.NONCE_STORE_MAX_ENTRIES,
+  }),
+  windowSeconds: config.WEBHOOK_REPLAY_WINDOW_SECONDS,
+});
+
+module.exports = {
+  rejectReplayedWebhooks,
+  createReplayProtection,
+  resolveNonce,
+};
@@ -19,6 +19,37 @@ function handleSalesforceError(error, traceId) {
     errorType: error.name || 'SalesforceError',
   });
 
+  // Request Composite: cada subrequest que falló se clasifica por separado y la respuesta es
+  // la de la causa raíz (las revertidas por all-or-none quedan en halted)
+  if (error.subrequests?.length > 0) {
+    const subrequests = error.subrequests.map(subrequest => ({
+      referenceId: subrequest.referenceId,
+      errorCode: subrequest.errorCode,
+      fields: subrequest.fields,
+      ...handleSalesforceError(
+        { errorCode: subrequest.errorCode, message: subrequest.message },
+        traceId
+      ),
+    }));
+    const rootCause =
+      subrequests.find(subrequest => subrequest.referenceId === error.referenceId) ||
+      subrequests[0];
+
+    sfLogger.error(
+      { referenceId: rootCause.referenceId, halted: error.halted },
+      'Request Composite de Salesforce revertida'
+    );
+
+    return {
+      statusCode: rootCause.statusCode,
+      error: rootCause.error,
+      message: rootCause.message,
+      details: rootCause.details,
+      subrequests,
+      halted: error.halted || [],
+    };
+  }
+
   // Errores de autenticación/autorización
   if (error.name === 'INVALID_LOGIN' || error.errorCode === 'INVALID_LOGIN') {
     sfLogger.error('Error de autenticación en Salesforce');
@@ -114,6 +145,11 @@ function handleSalesforceError(error, traceId) {
  * Se ejecuta cuando hay errores en operaciones de Salesforce
  */
 function salesforceErrorMiddleware(error, req, res, next) {
+  // Los errores de negocio y de autenticación (ej. en /webhooks/salesforce) tienen su propio status
+  if (error.name === 'BusinessError' || error.name === 'WebhookAuthError') {
+    return next(error);
+  }
+
   // Solo procesar si el error viene de operaciones de Salesforce
   const isSalesforceError =
     error.name === 'INVALID_LOGIN' ||
@@ -144,7 +180,13 @@ function salesforceErrorMiddleware(error, req, res, next) {
  * @returns {boolean} True si es recuperable
  */
 function isRecoverableError(error) {
-  const recoverableErrors = ['ECONNREFUSED', 'ENOTFOUND', 'ETIMEDOUT', 'REQUEST_LIMIT_EXCEEDED'];
+  const recoverableErrors = [
+    'ECONNREFUSED',
+    'ENOTFOUND',
+    'ETIMEDOUT',
+    'REQUEST_LIMIT_EXCEEDED',
+    'UNABLE_TO_LOCK_ROW',
+  ];
 
   return recoverableErrors.includes(error.code) || recoverableErrors.includes(error.errorCode);
 }
@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+const { config } = require('../libs/env');
+const { BusinessError, WebhookAuthError } = require('./errorHandler');
+
+/**
+ * Middleware de autenticación para las notificaciones de Salesforce (sincronización inversa)
+ * Exige el token compartido SF_INBOUND_TOKEN en el header x-salesforce-token o, para los
+ * Outbound Messages (que no permiten headers propios), en el parámetro ?token= de la URL.
+ * Sin SF_REVERSE_SYNC=true o sin token configurado el endpoint queda deshabilitado
+ *
+ * @param {Object} req - Request de Express
+ * @param {Object} res - Response de Express
+ * @param {Function} next - Siguiente middleware
+ */
+function requireSalesforceToken(req, res, next) {
+  const expectedToken = config.SF_INBOUND_TOKEN;
+
+  if (!config.SF_REVERSE_SYNC || !expectedToken) {
+    return next(
+      new BusinessError(
+        'La sincronización inversa está deshabilitada (SF_REVERSE_SYNC o SF_INBOUND_TOKEN)',
+        'reverse_sync_disabled',
+        403
+      )
+    );
+  }
+
+  const expected = Buffer.from(expectedToken);
+  const received = Buffer.from(req.get('x-salesforce-token') || req.query.token || '');
+
+  const isValid = expected.length === received.length && crypto.timingSafeEqual(expected, received);
+
+  if (!isValid) {
+    return next(new WebhookAuthError('Token de Salesforce inválido', 'invalid_salesforce_token'));
+  }
+
+  next();
+}
+
+module.exports = {
+  requireSalesforceToken,
+};
@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const { config } = require('../libs/env');
+const { logger } = require('../libs/logger');
+const { WebhookAuthError } = require('./errorHandler');
+
+/**
+ * Middleware de verificación de firma HMAC para webhooks de Prolibu
+ * Valida que el webhook fue firmado con el secreto compartido y que el timestamp
+ * firmado está dentro de la tolerancia configurada
+ *
+ * Esquema de firma:
+ *   signature = HMAC-SHA256(secret, `${timestamp}.${rawBody}`) en hexadecimal
+ *   Header de firma: `sha256=<hex>` (el prefijo es opcional)
+ *   Header de timestamp: segundos Unix o fecha ISO 8601
+ */
+
+const SIGNATURE_PREFIX = 'sha256=';
+
+/**
+ * Calcula la firma HMAC esperada para un payload
+ *
+ * @param {string} secret - Secreto compartido con Prolibu
+ * @param {string} timestamp - Timestamp tal como viene en el header
+ * @param {Buffer|string} rawBody - Body crudo del request
+ * @returns {string} Firma en hexadecimal
+ */
+function computeSignature(secret, timestamp, rawBody) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(rawBody || '')
+    .digest('hex');
+}
+
+/**
+ * Convierte el header de timestamp a milisegundos
+ * Acepta segundos Unix (como string numérico) o fechas ISO 8601
+ *
+ * @param {string} value - Valor del header
+ * @returns {number|null} Milisegundos desde epoch o null si no es válido
+ */
+function parseTimestamp(value) {
+  if (!value) {
+    return null;
+  }
+
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10) * 1000;
+  }
+
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Compara dos firmas hexadecimales en tiempo constante
+ *
+ * @param {string} expected - Firma calculada
+ * @param {string} received - Firma recibida
+ * @returns {boolean} true si coinciden
+ */
+function safeCompare(expected, received) {
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  const receivedBuffer = Buffer.from(received, 'hex');
+
+  if (expectedBuffer.length === 0 || expectedBuffer.length !== receivedBuffer.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+/**
+ * Crea un middleware de verificación de firma con la configuración indicada
+ * Soporta rotación de secretos: acepta el secreto actual y el anterior
+ *
+ * @param {Object} options - Opciones de verificación
+ * @param {string} [options.secret] - Secreto actual
+ * @param {string} [options.previousSecret] - Secreto anterior (rotación)
+ * @param {string} [options.signatureHeader] - Nombre del header de firma
+ * @param {string} [options.timestampHeader] - Nombre del header de timestamp
+ * @param {number} [options.toleranceSeconds] - Diferencia máxima permitida con el reloj local
+ * @param {boolean} [options.required] - Rechazar si no hay secreto configurado
+ * @param {Function} [options.now] - Reloj inyectable para testing
+ * @returns {Function} Middleware de Express
+ */
+function createWebhookSignatureVerifier(options = {}) {
+  const {
+    secret,
+    previousSecret,
+    signatureHeader = 'x-prolibu-signature',
+    timestampHeader = 'x-prolibu-timestamp',
+    toleranceSeconds = 300,
+    required = false,
+    now = Date.now,
+  } = options;
+
+  const secrets = [
+    { version: 'current', value: secret },
+    { version: 'previous', value: previousSecret },
+  ].filter(entry => entry.value);
+
+  return function verifyWebhookSignature(req, res, next) {
+    const verifyLogger = logger.child({
+      component: 'webhookSignature',
+      traceId: req.traceId,
+    });
+
+    // Sin secreto configurado: solo se permite fuera de producción
+    if (secrets.length === 0) {
+      if (required) {
+        verifyLogger.error('Verificación de firma requerida pero no hay secreto configurado');
+        return next(
+          new WebhookAuthError(
+            'La verificación de firma del webhook no está configurada',
+            'signature_not_configured'
+          )
+        );
+      }
+
+      verifyLogger.warn('PROLIBU_WEBHOOK_SECRET no configurado - webhook aceptado sin verificar');
+      return next();
+    }
+
+    const signatureValue = req.get(signatureHeader);
+    const timestampValue = req.get(timestampHeader);
+
+    if (!signatureValue || !timestampValue) {
+      return next(
+        new WebhookAuthError(
+          `Faltan los headers de autenticación ${signatureHeader} y/o ${timestampHeader}`,
+          'missing_signature'
+        )
+      );
+    }
+
+    const timestampMs = parseTimestamp(timestampValue);
+    if (timestampMs === null) {
+      return next(
+        new WebhookAuthError('El timestamp de la firma no es válido', 'invalid_signature_timestamp')
+      );
+    }
+
+    const skewSeconds = Math.abs(now() - timestampMs) / 1000;
+    if (skewSeconds > toleranceSeconds) {
+      verifyLogger.warn({ skewSeconds, toleranceSeconds }, 'Timestamp de webhook fuera de rango');
+      return next(
+        new WebhookAuthError(
+          'El timestamp de la firma está fuera de la tolerancia permitida',
+          'signature_timestamp_out_of_range'
+        )
+      );
+    }
+
+    const receivedSignature = signatureValue.trim().startsWith(SIGNATURE_PREFIX)
+      ? signatureValue.trim().slice(SIGNATURE_PREFIX.length)
+      : signatureValue.trim();
+
+    const matched = secrets
+      .map(entry => ({
+        ...entry,
+        digest: computeSignature(entry.value, timestampValue, req.rawBody),
+      }))
+      .find(entry => safeCompare(entry.digest, receivedSignature));
+
+    if (!matched) {
+      return next(new WebhookAuthError('La firma del webhook no es válida', 'invalid_signature'));
+    }
+
+    if (matched.version === 'previous') {
+      verifyLogger.warn('Webhook firmado con el secreto anterior - completar rotación en Prolibu');
+    }
+
+    // Exponer datos de la firma para middlewares posteriores
+    // digest es la firma calculada (hex en minúsculas): no depende del formato del header
+    req.webhookSignature = {
+      timestamp: timestampMs,
+      secretVersion: matched.version,
+      digest: matched.digest,
+    };
+
+    verifyLogger.debug({ secretVersion: matched.version }, 'Firma de webhook verificada');
+
+    next();
+  };
+}
+
+/**
+ * Middleware por defecto construido desde las variables de entorno
+ * En producción la firma es obligatoria
+ */
+const verifyWebhookSignature = createWebhookSignatureVerifier({
+  secret: config.PROLIBU_WEBHOOK_SECRET,
+  previousSecret: config.PROLIBU_WEBHOOK_SECRET_PREVIOUS,
+  signatureHeader: config.WEBHOOK_SIGNATURE_HEADER,
+  timestampHeader: config.WEBHOOK_TIMESTAMP_HEADER,
+  toleranceSeconds: config.WEBHOOK_SIGNATURE_TOLERANCE_SECONDS,
+  required: config.NODE_ENV === 'production',
+});
+
+module.exports = {
+  verifyWebhookSignature,
+  createWebhookSignatureVerifier,
+  computeSignature,
+  parseTimestamp,
+};
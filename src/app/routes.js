@@ -3,7 +3,9 @@ const { config } = require('./libs/env');
 
 // Importar routers
 const prolibuWebhookRouter = require('../webhooks/prolibu.router');
+const salesforceWebhookRouter = require('../webhooks/salesforce.router');
 const salesforceRouter = require('../salesforce/salesforce.router');
+const adminRouter = require('../admin/admin.router');
 
 /**
  * Configuración de rutas principales de la aplicación
@@ -26,9 +28,13 @@ router.get('/', (req, res) => {
       health: 'GET /health',
       webhookHealth: 'GET /webhooks/prolibu/health',
       webhookInfo: 'GET /webhooks/prolibu/info',
+      webhookQueue: 'GET /webhooks/prolibu/queue',
+      salesforceWebhook: 'POST /webhooks/salesforce',
       salesforceHealth: 'GET /salesforce/health',
       salesforceReconnect: 'POST /salesforce/reconnect',
       getOpportunity: 'GET /salesforce/opportunity/:prolibuId',
+      deadLetters: 'GET /admin/dead-letters',
+      replayDeadLetter: 'POST /admin/dead-letters/:id/replay',
     },
     documentation: {
       examples: '/examples/',
@@ -84,7 +90,13 @@ router.get('/ping', (req, res) => {
 // Webhooks de Prolibu en /webhooks/prolibu
 router.use('/webhooks/prolibu', prolibuWebhookRouter);
 
+// Notificaciones de Salesforce (sincronización inversa) en /webhooks/salesforce
+router.use('/webhooks/salesforce', salesforceWebhookRouter);
+
 // Endpoints de Salesforce en /salesforce
 router.use('/salesforce', salesforceRouter);
 
+// Endpoints de administración en /admin (requieren ADMIN_API_TOKEN)
+router.use('/admin', adminRouter);
+
 module.exports = router;
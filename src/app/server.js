@@ -13,6 +13,9 @@ const { salesforceErrorMiddleware } = require('./middlewares/salesforceErrorHand
 // Importar rutas
 const routes = require('./routes');
 
+// Worker de la cola durable (modo asíncrono)
+const { webhookWorker } = require('../webhooks/prolibu.worker');
+
 /**
  * Crea y configura la instancia de Express
  * Aplica middlewares, rutas y manejo de errores
@@ -55,19 +58,31 @@ function createServer() {
               // Agregar otros orígenes autorizados según necesidad
             ],
       methods: ['GET', 'POST'],
-      allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+      allowedHeaders: [
+        'Content-Type',
+        'Authorization',
+        'X-Requested-With',
+        config.WEBHOOK_SIGNATURE_HEADER || 'x-prolibu-signature',
+        config.WEBHOOK_TIMESTAMP_HEADER || 'x-prolibu-timestamp',
+      ],
       credentials: false,
     })
   );
 
   // ===== MIDDLEWARES DE PARSING =====
 
+  // Conservar el body crudo para la verificación de firma HMAC de webhooks
+  const captureRawBody = (req, res, buf) => {
+    req.rawBody = buf;
+  };
+
   // Parser JSON con límite de tamaño
   app.use(
     express.json({
       limit: '1mb',
       strict: true,
       type: 'application/json',
+      verify: captureRawBody,
     })
   );
 
@@ -76,6 +91,7 @@ function createServer() {
     express.urlencoded({
       extended: true,
       limit: '1mb',
+      verify: captureRawBody,
     })
   );
 
@@ -145,6 +161,15 @@ function startServer() {
     );
   });
 
+  // ===== WORKER DE COLA (MODO ASÍNCRONO Y REINTENTOS) =====
+
+  // En modo síncrono el worker solo procesa los reintentos de errores recuperables
+  if (config.WEBHOOK_ASYNC_MODE || config.WEBHOOK_RETRY_MAX_ATTEMPTS > 1) {
+    webhookWorker.start().catch(error => {
+      logger.error({ error: error.message }, 'Error iniciando worker de cola de webhooks');
+    });
+  }
+
   // ===== GRACEFUL SHUTDOWN =====
 
   const gracefulShutdown = signal => {
@@ -156,8 +181,11 @@ function startServer() {
         process.exit(1);
       }
 
-      logger.info('Servidor cerrado correctamente');
-      process.exit(0);
+      // Esperar a que el worker termine la entrega en curso; el resto queda en la cola
+      webhookWorker.stop().finally(() => {
+        logger.info('Servidor cerrado correctamente');
+        process.exit(0);
+      });
     });
 
     // Forzar cierre después de 10 segundos
@@ -0,0 +1,239 @@
+/**
+ * Mapeo declarativo de campos Prolibu → Salesforce Opportunity
+ * Se define en un archivo JSON (SF_FIELD_MAPPING_FILE o src/config/fieldMapping.json)
+ * que se valida con zod al arrancar el servicio
+ *
+ * Cada campo indica:
+ *   target     → API name del campo en Salesforce (ej. Rating__c)
+ *   source     → ruta dentro de los datos del webhook (ej. amount.total, prolibu.rating);
+ *                prolibu.* lee del payload original de Prolibu (el adaptador conserva solo
+ *                las rutas referenciadas aquí y en las reglas de tipo de registro)
+ *   type       → coerción: string, number, integer, boolean, date (YYYY-MM-DD) o datetime
+ *   transform  → uno o varios de: trim, uppercase, lowercase, stage (mapeo de estados, según el
+ *                tipo de registro de la Opportunity)
+ *   maxLength  → recorta textos al largo del campo en Salesforce
+ *   default    → valor si el origen falta o no se puede convertir (solo al crear)
+ *   on         → eventos en los que aplica (created, updated; por defecto ambos)
+ *
+ * Al actualizar solo se envían los campos que traen valor, para no borrar datos en Salesforce
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { z } = require('zod');
+const { config } = require('../app/libs/env');
+const { logger } = require('../app/libs/logger');
+const { mapStageToSalesforce } = require('./stageMap');
+
+const DEFAULT_FIELD_MAPPING_FILE = path.join(__dirname, 'fieldMapping.json');
+
+// Campos que administra el servicio y no se pueden mapear
+const RESERVED_TARGETS = ['Id', 'Prolibu_External_Id__c'];
+
+const TRANSFORMS = {
+  trim: value => (typeof value === 'string' ? value.trim() : value),
+  uppercase: value => (typeof value === 'string' ? value.toUpperCase() : value),
+  lowercase: value => (typeof value === 'string' ? value.toLowerCase() : value),
+  stage: (value, context) => mapStageToSalesforce(value, context.recordType),
+};
+
+/**
+ * Conversores por tipo: devuelven undefined si el valor no se puede convertir
+ */
+const COERCIONS = {
+  string: value => (typeof value === 'object' ? undefined : String(value)),
+  number: value => {
+    const number = typeof value === 'string' ? parseFloat(value) : value;
+    return typeof number === 'number' && Number.isFinite(number) ? number : undefined;
+  },
+  integer: value => {
+    const number = COERCIONS.number(value);
+    return number === undefined ? undefined : Math.round(number);
+  },
+  boolean: value => {
+    if (typeof value === 'boolean') {
+      return value;
+    }
+    const normalized = String(value).trim().toLowerCase();
+    if (['true', '1', 'yes', 'si', 'sí'].includes(normalized)) {
+      return true;
+    }
+    return ['false', '0', 'no'].includes(normalized) ? false : undefined;
+  },
+  date: value => {
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? undefined : new Date(time).toISOString().split('T')[0];
+  },
+  datetime: value => {
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? undefined : new Date(time).toISOString();
+  },
+};
+
+const transformNameSchema = z.enum(Object.keys(TRANSFORMS));
+
+const fieldSchema = z.object({
+  target: z
+    .string()
+    .regex(/^[A-Za-z][A-Za-z0-9_]*$/, 'target debe ser un API name de Salesforce')
+    .refine(target => !RESERVED_TARGETS.includes(target), {
+      message: `target no puede ser un campo reservado (${RESERVED_TARGETS.join(', ')})`,
+    }),
+  source: z.string().min(1, 'source es requerido'),
+  type: z.enum(Object.keys(COERCIONS)).optional(),
+  transform: z.union([transformNameSchema, z.array(transformNameSchema)]).optional(),
+  maxLength: z.number().int().positive().optional(),
+  default: z.union([z.string(), z.number(), z.boolean(), z.null()]).optional(),
+  on: z
+    .array(z.enum(['created', 'updated']))
+    .min(1)
+    .default(['created', 'updated']),
+});
+
+const fieldMappingSchema = z.object({
+  fields: z
+    .array(fieldSchema)
+    .min(1, 'El mapeo debe definir al menos un campo')
+    .refine(fields => new Set(fields.map(field => field.target)).size === fields.length, {
+      message: 'Cada target solo puede mapearse una vez',
+    }),
+});
+
+/**
+ * Lee y valida un archivo de mapeo de campos
+ *
+ * @param {string} filePath - Ruta del archivo JSON
+ * @returns {Object} Mapeo validado { fields }
+ * @throws {Error} Si el archivo no existe, no es JSON o no cumple el schema
+ */
+function loadFieldMapping(filePath) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`No se pudo leer el mapeo de campos ${filePath}: ${error.message}`);
+  }
+
+  const result = fieldMappingSchema.safeParse(raw);
+  if (!result.success) {
+    const errorMessages = result.error.errors
+      .map(err => `${err.path.join('.')}: ${err.message}`)
+      .join(', ');
+
+    throw new Error(`Mapeo de campos inválido (${filePath}): ${errorMessages}`);
+  }
+
+  return result.data;
+}
+
+let activeMapping = null;
+
+/**
+ * Devuelve el mapeo configurado, cargándolo la primera vez
+ *
+ * @returns {Object} Mapeo validado { fields }
+ */
+function getFieldMapping() {
+  if (!activeMapping) {
+    const filePath = config.SF_FIELD_MAPPING_FILE || DEFAULT_FIELD_MAPPING_FILE;
+    activeMapping = loadFieldMapping(filePath);
+
+    logger.info(
+      { filePath, fields: activeMapping.fields.map(field => field.target) },
+      'Mapeo de campos cargado'
+    );
+  }
+
+  return activeMapping;
+}
+
+/**
+ * Reemplaza el mapeo activo (null vuelve a cargarlo desde el archivo en el próximo uso)
+ */
+function setFieldMapping(mapping) {
+  activeMapping = mapping ? fieldMappingSchema.parse(mapping) : null;
+}
+
+/**
+ * Lee un valor por ruta con puntos (ej. amount.total); undefined si algún tramo falta
+ */
+function readPath(data, sourcePath) {
+  return sourcePath
+    .split('.')
+    .reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), data);
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Calcula el valor de un campo: lee el origen, convierte el tipo y aplica transformaciones
+ *
+ * @returns {*} Valor para Salesforce o undefined si falta o no se pudo convertir
+ */
+function resolveFieldValue(field, data, context) {
+  let value = readPath(data, field.source);
+  if (isMissing(value)) {
+    return undefined;
+  }
+
+  if (field.type) {
+    value = COERCIONS[field.type](value);
+    if (value === undefined) {
+      logger.warn(
+        { target: field.target, source: field.source, type: field.type },
+        'Valor no convertible para el campo mapeado, se omite'
+      );
+      return undefined;
+    }
+  }
+
+  [].concat(field.transform || []).forEach(name => {
+    value = TRANSFORMS[name](value, context);
+  });
+
+  if (field.maxLength && typeof value === 'string') {
+    value = value.slice(0, field.maxLength);
+  }
+
+  return isMissing(value) ? undefined : value;
+}
+
+/**
+ * Construye los campos de la Opportunity a partir de los datos del webhook
+ *
+ * @param {Object} data - Datos validados del webhook (incluye prolibu con el payload original)
+ * @param {'created'|'updated'} event - Evento que se está procesando
+ * @param {Object} [mapping] - Mapeo a usar (por defecto el configurado)
+ * @param {Object} [context] - Contexto de las transformaciones
+ * @param {string} [context.recordType] - Tipo de registro de la Opportunity (mapeo de estados)
+ * @returns {Object} Campos de Salesforce { [target]: valor }
+ */
+function applyFieldMapping(data, event, mapping = getFieldMapping(), context = {}) {
+  const record = {};
+
+  mapping.fields
+    .filter(field => field.on.includes(event))
+    .forEach(field => {
+      const value = resolveFieldValue(field, data, context);
+
+      if (value !== undefined) {
+        record[field.target] = value;
+      } else if (event === 'created' && field.default !== undefined) {
+        record[field.target] = field.default;
+      }
+    });
+
+  return record;
+}
+
+module.exports = {
+  DEFAULT_FIELD_MAPPING_FILE,
+  readPath,
+  fieldMappingSchema,
+  loadFieldMapping,
+  getFieldMapping,
+  setFieldMapping,
+  applyFieldMapping,
+};
@@ -0,0 +1,144 @@
+/**
+ * Reglas para elegir el tipo de registro (RecordType) de la Opportunity
+ * Se definen en un archivo JSON (SF_RECORD_TYPE_RULES_FILE) validado con zod al arrancar;
+ * sin archivo las Opportunities se crean con el tipo de registro por defecto del usuario
+ *
+ * Cada regla indica:
+ *   recordType → DeveloperName (o Id 012...) del tipo de registro
+ *   when       → condiciones { ruta: valor | [valores] } sobre los datos del webhook, todas
+ *                deben cumplirse (ej. prolibu.responsible.company, prolibu.source, amount.currency)
+ *
+ * Gana la primera regla que coincide; si ninguna coincide se usa `default` (opcional)
+ *
+ * Las reglas también se evalúan en cada actualización para elegir el mapeo de estados, sin
+ * consultar el RecordTypeId real de la Opportunity: las condiciones deben usar datos que no
+ * cambian después de crear la propuesta
+ */
+
+const fs = require('fs');
+const { z } = require('zod');
+const { config } = require('../app/libs/env');
+const { logger } = require('../app/libs/logger');
+const { readPath } = require('./fieldMapping');
+
+const conditionValueSchema = z.union([z.string(), z.number(), z.boolean()]);
+
+const ruleSchema = z.object({
+  recordType: z.string().min(1, 'recordType es requerido'),
+  when: z
+    .record(z.union([conditionValueSchema, z.array(conditionValueSchema).min(1)]))
+    .refine(when => Object.keys(when).length > 0, 'La regla debe tener al menos una condición'),
+});
+
+const recordTypeRulesSchema = z.object({
+  rules: z.array(ruleSchema).default([]),
+  default: z.string().min(1).optional(),
+});
+
+/**
+ * Lee y valida un archivo de reglas de tipo de registro
+ *
+ * @param {string} filePath - Ruta del archivo JSON
+ * @returns {Object} Reglas validadas { rules, default }
+ * @throws {Error} Si el archivo no existe, no es JSON o no cumple el schema
+ */
+function loadRecordTypeRules(filePath) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(
+      `No se pudieron leer las reglas de tipo de registro ${filePath}: ${error.message}`
+    );
+  }
+
+  const result = recordTypeRulesSchema.safeParse(raw);
+  if (!result.success) {
+    const errorMessages = result.error.errors
+      .map(err => `${err.path.join('.')}: ${err.message}`)
+      .join(', ');
+
+    throw new Error(`Reglas de tipo de registro inválidas (${filePath}): ${errorMessages}`);
+  }
+
+  return result.data;
+}
+
+// undefined: sin cargar; null: sin reglas configuradas
+let activeRules;
+
+/**
+ * Devuelve las reglas configuradas, cargándolas la primera vez
+ *
+ * @returns {Object|null} Reglas { rules, default } o null si no hay archivo configurado
+ */
+function getRecordTypeRules() {
+  if (activeRules === undefined) {
+    const filePath = config.SF_RECORD_TYPE_RULES_FILE;
+    activeRules = filePath ? loadRecordTypeRules(filePath) : null;
+
+    if (activeRules) {
+      logger.info(
+        {
+          filePath,
+          recordTypes: activeRules.rules.map(rule => rule.recordType),
+          default: activeRules.default,
+        },
+        'Reglas de tipo de registro cargadas'
+      );
+    }
+  }
+
+  return activeRules;
+}
+
+/**
+ * Reemplaza las reglas activas (undefined vuelve a cargarlas desde el archivo en el próximo uso)
+ *
+ * @param {Object|null|undefined} rules - Reglas { rules, default }
+ */
+function setRecordTypeRules(rules) {
+  activeRules = rules ? recordTypeRulesSchema.parse(rules) : rules;
+}
+
+function matchesValue(actual, expected) {
+  if (actual === undefined || actual === null) {
+    return false;
+  }
+
+  return [].concat(expected).some(value => {
+    if (typeof value === 'string') {
+      return String(actual).trim().toLowerCase() === value.trim().toLowerCase();
+    }
+    return actual === value;
+  });
+}
+
+/**
+ * Elige el tipo de registro de la Opportunity para una propuesta
+ *
+ * @param {Object} data - Datos validados del webhook
+ * @param {Object|null} [rules] - Reglas a usar (por defecto las configuradas)
+ * @returns {string|null} DeveloperName (o Id) del tipo de registro, o null si no aplica ninguno
+ */
+function selectRecordType(data, rules = getRecordTypeRules()) {
+  if (!rules) {
+    return null;
+  }
+
+  const rule = rules.rules.find(candidate =>
+    Object.entries(candidate.when).every(([sourcePath, expected]) =>
+      matchesValue(readPath(data, sourcePath), expected)
+    )
+  );
+
+  return rule ? rule.recordType : rules.default || null;
+}
+
+module.exports = {
+  recordTypeRulesSchema,
+  loadRecordTypeRules,
+  getRecordTypeRules,
+  setRecordTypeRules,
+  selectRecordType,
+};
@@ -1,50 +1,36 @@
 /**
  * Mapeo de estados de propuestas desde Prolibu hacia Salesforce
  * Define la correspondencia entre los estados del sistema de origen y destino
+ *
+ * Las tablas se cargan de un archivo JSON (SF_STAGE_MAPPING_FILE o src/config/stageMapping.json)
+ * o desde la API de administración, y se recargan sin reiniciar cuando el archivo cambia:
+ *   statuses → status nativo de Prolibu (Draft, Sent...) → estado intermedio (proposal, won...)
+ *   stages   → estado intermedio → StageName de Salesforce
+ *   recordTypes.<DeveloperName>.stages → excepciones de stages para el proceso de ventas de ese
+ *              tipo de registro (el resto de los estados usa la tabla general)
+ *
+ * Cada mapeo cargado tiene una versión (la declarada en el archivo más su checksum) que queda
+ * registrada en el resultado de cada webhook procesado
+ *
+ * Las etapas de Salesforce (cerrada, ganada, probabilidad) se toman de los registros
+ * OpportunityStage de la org, y las etapas de cada proceso de ventas de los tipos de registro de
+ * Opportunity, cargados al arrancar y refrescados periódicamente; mientras no estén disponibles
+ * se usa la copia estática del proceso de ventas estándar
  */
 
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { z } = require('zod');
+const { config } = require('../app/libs/env');
 const { logger } = require('../app/libs/logger');
+const { writeJsonAtomic } = require('../app/libs/fileStore');
 
-/**
- * Mapeo principal de estados Prolibu → Salesforce StageName
- * Basado en el proceso de ventas estándar de Salesforce
- */
-const STAGE_MAPPING = {
-  // Estados iniciales
-  lead: 'Prospecting',
-  qualification: 'Qualification',
-  qualified: 'Qualification',
-
-  // Estados de desarrollo de propuesta
-  analysis: 'Needs Analysis',
-  needs_analysis: 'Needs Analysis',
-  solution_design: 'Value Proposition',
-  proposal: 'Proposal/Price Quote',
-  proposal_draft: 'Proposal/Price Quote',
-  proposal_review: 'Proposal/Price Quote',
-
-  // Estados de negociación
-  negotiation: 'Negotiation/Review',
-  review: 'Negotiation/Review',
-  final_review: 'Negotiation/Review',
-
-  // Estados de cierre positivo
-  approved: 'Closed Won',
-  won: 'Closed Won',
-  closed_won: 'Closed Won',
-  accepted: 'Closed Won',
-
-  // Estados de cierre negativo
-  rejected: 'Closed Lost',
-  lost: 'Closed Lost',
-  closed_lost: 'Closed Lost',
-  cancelled: 'Closed Lost',
-  declined: 'Closed Lost',
-};
+const DEFAULT_STAGE_MAPPING_FILE = path.join(__dirname, 'stageMapping.json');
 
 /**
  * Estados válidos de Salesforce Opportunity
- * Lista completa de valores permitidos para StageName
+ * Valores del proceso de ventas estándar; se usan hasta cargar las etapas de la org
  */
 const VALID_SALESFORCE_STAGES = [
   'Prospecting',
@@ -82,23 +68,454 @@ const STAGE_PROBABILITIES = {
   'Closed Lost': 0,
 };
 
+const stageMappingSchema = z
+  .object({
+    version: z.union([z.string().min(1), z.number()]).optional(),
+    statuses: z.record(z.string().min(1)).default({}),
+    stages: z
+      .record(z.string().min(1))
+      .refine(stages => Object.keys(stages).length > 0, 'Debe definir al menos un estado'),
+    recordTypes: z.record(z.object({ stages: z.record(z.string().min(1)) })).default({}),
+  })
+  .transform(mapping => ({
+    version: mapping.version === undefined ? undefined : String(mapping.version),
+    statuses: mapping.statuses,
+    stages: normalizeStageTable(mapping.stages),
+    recordTypes: Object.fromEntries(
+      Object.entries(mapping.recordTypes).map(([recordType, overrides]) => [
+        recordType,
+        { stages: normalizeStageTable(overrides.stages) },
+      ])
+    ),
+  }))
+  .superRefine((mapping, ctx) => {
+    Object.entries(mapping.statuses).forEach(([status, stage]) => {
+      if (!mapping.stages[normalizeStage(stage)]) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ['statuses', status],
+          message: `El estado '${stage}' no está definido en stages`,
+        });
+      }
+    });
+  });
+
+function normalizeStage(stage) {
+  return stage.toLowerCase().trim();
+}
+
+// Los estados intermedios se buscan normalizados (minúsculas, sin espacios)
+function normalizeStageTable(stages) {
+  return Object.fromEntries(
+    Object.entries(stages).map(([stage, stageName]) => [normalizeStage(stage), stageName])
+  );
+}
+
+// Etapas de la org: StageName → { label, isClosed, isWon, probability }
+let orgStages = null;
+// Tipos de registro de la org: DeveloperName e Id → { id, developerName, name, stages }
+let orgRecordTypes = null;
+let orgStagesLoadedAt = null;
+let orgStageTimer = null;
+
+/**
+ * Nombres de etapa válidos: los de la org si ya se cargaron, o los del proceso estándar
+ * Con un tipo de registro conocido, solo las etapas de su proceso de ventas
+ *
+ * @param {string} [recordType] - DeveloperName o Id del tipo de registro
+ * @returns {string[]} Valores válidos de StageName
+ */
+function getSalesforceStages(recordType) {
+  const recordTypeStages = recordType && orgRecordTypes?.get(recordType)?.stages;
+  if (recordTypeStages) {
+    return recordTypeStages;
+  }
+
+  return orgStages ? [...orgStages.keys()] : VALID_SALESFORCE_STAGES;
+}
+
+/**
+ * Estados del mapeo cuya etapa de destino no existe en Salesforce
+ * Las excepciones por tipo de registro se comparan con las etapas de su proceso de ventas
+ *
+ * @param {Object} mapping - Tablas { stages, recordTypes }
+ * @returns {Object[]} Estados a revisar { stage, target, recordType? }
+ */
+function findUnknownStageTargets({ stages, recordTypes = {} }) {
+  const unknownTargets = (table, recordType) => {
+    const validStages = getSalesforceStages(recordType);
+
+    return Object.entries(table)
+      .filter(([, target]) => !validStages.includes(target))
+      .map(([stage, target]) => ({ stage, target, ...(recordType && { recordType }) }));
+  };
+
+  return [
+    ...unknownTargets(stages),
+    ...Object.entries(recordTypes).flatMap(([recordType, overrides]) =>
+      unknownTargets(overrides.stages, recordType)
+    ),
+  ];
+}
+
+function warnUnknownStageTargets(mapping) {
+  const unknownStages = findUnknownStageTargets(mapping);
+
+  if (unknownStages.length > 0) {
+    logger.warn(
+      {
+        version: mapping.version,
+        unknownStages,
+        stageSource: orgStages ? 'org' : 'static',
+      },
+      'El mapeo de estados apunta a etapas que no existen en Salesforce'
+    );
+  }
+}
+
+/**
+ * Valida unas tablas de estados y les asigna versión
+ * La versión combina la declarada (si existe) con un checksum del contenido, así dos
+ * mapeos distintos nunca comparten versión aunque no se haya actualizado el archivo
+ *
+ * @param {Object} raw - Tablas { version?, statuses, stages, recordTypes? }
+ * @param {string} source - Origen del mapeo (ruta del archivo o 'api')
+ * @returns {Object} Mapeo { version, checksum, statuses, stages, recordTypes, source, loadedAt }
+ * @throws {Error} code INVALID_STAGE_MAPPING si las tablas no cumplen el schema
+ */
+function buildStageMapping(raw, source) {
+  const result = stageMappingSchema.safeParse(raw);
+  if (!result.success) {
+    const errorMessages = result.error.errors
+      .map(err => `${err.path.join('.')}: ${err.message}`)
+      .join(', ');
+
+    const error = new Error(`Mapeo de estados inválido (${source}): ${errorMessages}`);
+    error.code = 'INVALID_STAGE_MAPPING';
+    throw error;
+  }
+
+  const { version, statuses, stages, recordTypes } = result.data;
+
+  // Con las etapas de la org cargadas el destino se puede validar con certeza; con la copia
+  // estática solo se avisa, porque la org puede tener etapas propias
+  const unknownStages = orgStages ? findUnknownStageTargets({ stages, recordTypes }) : [];
+  if (unknownStages.length > 0) {
+    const error = new Error(
+      `Mapeo de estados inválido (${source}): ` +
+        unknownStages
+          .map(({ stage, target, recordType }) => {
+            const tablePath = recordType ? `recordTypes.${recordType}.stages` : 'stages';
+            return `${tablePath}.${stage}: la etapa '${target}' no existe en Salesforce`;
+          })
+          .join(', ')
+    );
+    error.code = 'INVALID_STAGE_MAPPING';
+    throw error;
+  }
+
+  const checksum = crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ statuses, stages, recordTypes }))
+    .digest('hex')
+    .slice(0, 8);
+
+  return {
+    version: version ? `${version}+${checksum}` : checksum,
+    checksum,
+    statuses,
+    stages,
+    recordTypes,
+    source,
+    loadedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Lee y valida un archivo de mapeo de estados
+ *
+ * @param {string} filePath - Ruta del archivo JSON
+ * @returns {Object} Mapeo validado y versionado
+ * @throws {Error} Si el archivo no existe, no es JSON o no cumple el schema
+ */
+function loadStageMapping(filePath) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`No se pudo leer el mapeo de estados ${filePath}: ${error.message}`);
+  }
+
+  return buildStageMapping(raw, filePath);
+}
+
+let activeMapping = null;
+let watchedFile = null;
+
+function stageMappingFile() {
+  return config.SF_STAGE_MAPPING_FILE || DEFAULT_STAGE_MAPPING_FILE;
+}
+
+function activate(mapping) {
+  const previousVersion = activeMapping?.version;
+  activeMapping = mapping;
+
+  logger.info(
+    {
+      version: mapping.version,
+      previousVersion,
+      source: mapping.source,
+      statuses: Object.keys(mapping.statuses).length,
+      stages: Object.keys(mapping.stages).length,
+    },
+    'Mapeo de estados activado'
+  );
+  warnUnknownStageTargets(mapping);
+
+  return mapping;
+}
+
+/**
+ * Devuelve el mapeo de estados activo, cargándolo del archivo la primera vez
+ *
+ * @returns {Object} Mapeo { version, checksum, statuses, stages, source, loadedAt }
+ */
+function getStageMapping() {
+  if (!activeMapping) {
+    activate(loadStageMapping(stageMappingFile()));
+  }
+
+  return activeMapping;
+}
+
+/**
+ * Reemplaza el mapeo activo (null vuelve a cargarlo desde el archivo en el próximo uso)
+ *
+ * @param {Object|null} raw - Tablas { version?, statuses, stages }
+ * @param {string} [source='api'] - Origen del mapeo
+ * @returns {Object|null} Mapeo activado
+ * @throws {Error} Si las tablas no son válidas (el mapeo activo no cambia)
+ */
+function setStageMapping(raw, source = 'api') {
+  if (!raw) {
+    activeMapping = null;
+    return null;
+  }
+
+  return activate(buildStageMapping(raw, source));
+}
+
+/**
+ * Reemplaza el mapeo desde la API de administración
+ * Si SF_STAGE_MAPPING_FILE está configurado también se escribe en el archivo, para que el
+ * cambio sobreviva a un reinicio; si no, dura hasta el próximo arranque. La escritura es atómica:
+ * la recarga por cambios nunca lee un archivo a medio escribir
+ *
+ * @param {Object} raw - Tablas { version?, statuses, stages }
+ * @returns {Promise<{mapping: Object, persisted: boolean}>} Mapeo activado y si se guardó
+ * @throws {Error} Si las tablas no son válidas
+ */
+async function updateStageMapping(raw) {
+  const filePath = config.SF_STAGE_MAPPING_FILE;
+  const mapping = buildStageMapping(raw, filePath || 'api');
+
+  if (filePath) {
+    const { version } = stageMappingSchema.parse(raw);
+    const { statuses, stages, recordTypes } = mapping;
+    const content = { version, statuses, stages, recordTypes };
+    await writeJsonAtomic(filePath, content, { pretty: true });
+  }
+
+  return { mapping: activate(mapping), persisted: Boolean(filePath) };
+}
+
+/**
+ * Vuelve a leer el archivo de mapeo de estados
+ * Un archivo inválido no reemplaza al mapeo activo: se registra el error y se conserva
+ *
+ * @returns {boolean} true si se activó una nueva versión
+ */
+function reloadStageMapping() {
+  const filePath = stageMappingFile();
+
+  try {
+    const mapping = loadStageMapping(filePath);
+
+    if (activeMapping && activeMapping.version === mapping.version) {
+      logger.debug({ version: mapping.version }, 'Mapeo de estados sin cambios');
+      return false;
+    }
+
+    activate(mapping);
+    return true;
+  } catch (error) {
+    logger.error(
+      { filePath, error: error.message, version: activeMapping?.version },
+      'Mapeo de estados inválido, se conserva la versión activa'
+    );
+    return false;
+  }
+}
+
+/**
+ * Observa el archivo de mapeo y lo recarga cuando cambia
+ * Usa polling (fs.watchFile) para detectar también los reemplazos atómicos de los editores
+ * y no mantiene vivo el proceso
+ *
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs=2000] - Intervalo de revisión del archivo
+ */
+function watchStageMapping({ intervalMs = 2000 } = {}) {
+  unwatchStageMapping();
+
+  watchedFile = stageMappingFile();
+  fs.watchFile(watchedFile, { interval: intervalMs, persistent: false }, (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs) {
+      reloadStageMapping();
+    }
+  });
+
+  logger.info({ filePath: watchedFile, intervalMs }, 'Observando cambios del mapeo de estados');
+}
+
+/**
+ * Deja de observar el archivo de mapeo
+ */
+function unwatchStageMapping() {
+  if (watchedFile) {
+    fs.unwatchFile(watchedFile);
+    watchedFile = null;
+  }
+}
+
+/**
+ * Reemplaza las etapas y tipos de registro de la org (null vuelve a la copia estática)
+ * Si el mapeo activo apunta a etapas que ya no existen, se avisa en los logs
+ *
+ * @param {Object[]|null} stages - Etapas { name, label, isClosed, isWon, probability }
+ * @param {Object[]|null} [recordTypes] - Tipos de registro { id, developerName, name, stages }
+ */
+function setOrgStages(stages, recordTypes = null) {
+  if (!stages) {
+    orgStages = null;
+    orgRecordTypes = null;
+    orgStagesLoadedAt = null;
+    return;
+  }
+
+  orgStages = new Map(stages.map(stage => [stage.name, stage]));
+  orgRecordTypes = null;
+  if (recordTypes) {
+    // Se pueden buscar tanto por DeveloperName como por Id
+    orgRecordTypes = new Map(
+      recordTypes.flatMap(recordType => [
+        [recordType.developerName, recordType],
+        [recordType.id, recordType],
+      ])
+    );
+  }
+  orgStagesLoadedAt = new Date().toISOString();
+
+  logger.info(
+    {
+      stages: [...orgStages.keys()],
+      recordTypes: recordTypes?.map(recordType => recordType.developerName),
+    },
+    'Etapas de Opportunity de la org cargadas'
+  );
+
+  if (activeMapping) {
+    warnUnknownStageTargets(activeMapping);
+  }
+}
+
+/**
+ * Vuelve a cargar las etapas (y, si se indica, los tipos de registro) de la org
+ * Un error no descarta lo ya cargado: se registra y se reintenta en el próximo ciclo
+ *
+ * @param {Function} fetchStages - Función async que devuelve las etapas activas de Salesforce
+ * @param {Function} [fetchRecordTypes] - Función async que devuelve los tipos de registro
+ * @returns {Promise<boolean>} true si se cargaron
+ */
+async function refreshOrgStages(fetchStages, fetchRecordTypes) {
+  try {
+    const [stages, recordTypes] = await Promise.all([
+      fetchStages(),
+      fetchRecordTypes ? fetchRecordTypes() : null,
+    ]);
+    setOrgStages(stages, recordTypes);
+    return true;
+  } catch (error) {
+    logger.warn(
+      { error: error.message, stageSource: orgStages ? 'org' : 'static' },
+      'No se pudieron cargar las etapas de Opportunity de la org'
+    );
+    return false;
+  }
+}
+
+/**
+ * Refresca las etapas de la org periódicamente (sin mantener vivo el proceso)
+ *
+ * @param {Function} fetchStages - Función async que devuelve las etapas activas de Salesforce
+ * @param {Object} options
+ * @param {number} options.intervalMs - Intervalo entre cargas
+ * @param {Function} [options.fetchRecordTypes] - Función async que devuelve los tipos de registro
+ */
+function startOrgStageRefresh(fetchStages, { intervalMs, fetchRecordTypes }) {
+  stopOrgStageRefresh();
+
+  orgStageTimer = setInterval(() => refreshOrgStages(fetchStages, fetchRecordTypes), intervalMs);
+  orgStageTimer.unref();
+}
+
+/**
+ * Detiene el refresco periódico de las etapas de la org
+ */
+function stopOrgStageRefresh() {
+  if (orgStageTimer) {
+    clearInterval(orgStageTimer);
+    orgStageTimer = null;
+  }
+}
+
+/**
+ * Convierte un status nativo de Prolibu (Draft, Sent, Accepted...) al estado intermedio
+ *
+ * @param {string} status - Status de la propuesta en Prolibu
+ * @returns {string|undefined} Estado intermedio o undefined si no tiene mapeo
+ */
+function mapStatusToStage(status) {
+  return getStageMapping().statuses[status];
+}
+
 /**
  * Convierte un estado de Prolibu a un estado válido de Salesforce
  *
+ * Con tipo de registro se aplican primero sus excepciones y la etapa debe pertenecer a su
+ * proceso de ventas (si las etapas de la org están cargadas)
+ *
  * @param {string} prolibsStage - Estado desde Prolibu
+ * @param {string} [recordType] - DeveloperName o Id del tipo de registro de la Opportunity
  * @returns {string} Estado válido de Salesforce
- * @throws {Error} Si el estado no tiene mapeo definido
+ * @throws {Error} Si el estado no tiene mapeo definido o no pertenece al proceso de ventas
  */
-function mapStageToSalesforce(prolibsStage) {
+function mapStageToSalesforce(prolibsStage, recordType) {
   if (!prolibsStage || typeof prolibsStage !== 'string') {
     throw new Error('El estado de Prolibu debe ser una cadena no vacía');
   }
 
+  const mapping = getStageMapping();
+  const stages = {
+    ...mapping.stages,
+    ...(recordType && mapping.recordTypes[recordType]?.stages),
+  };
+
   // Normalizar: convertir a lowercase y limpiar espacios
-  const normalizedStage = prolibsStage.toLowerCase().trim();
+  const normalizedStage = normalizeStage(prolibsStage);
 
   // Buscar mapeo exacto
-  const mappedStage = STAGE_MAPPING[normalizedStage];
+  const mappedStage = stages[normalizedStage];
 
   if (!mappedStage) {
     // Log para debugging en desarrollo
@@ -108,10 +525,19 @@ function mapStageToSalesforce(prolibsStage) {
 
     throw new Error(
       `Estado de Prolibu "${prolibsStage}" no tiene mapeo definido. ` +
-        `Estados válidos: ${Object.keys(STAGE_MAPPING).join(', ')}`
+        `Estados válidos: ${Object.keys(stages).join(', ')}`
     );
   }
 
+  if (recordType && orgRecordTypes?.has(recordType)) {
+    if (!getSalesforceStages(recordType).includes(mappedStage)) {
+      throw new Error(
+        `La etapa "${mappedStage}" (estado "${prolibsStage}") no pertenece al proceso de ventas ` +
+          `del tipo de registro "${recordType}"`
+      );
+    }
+  }
+
   return mappedStage;
 }
 
@@ -122,7 +548,7 @@ function mapStageToSalesforce(prolibsStage) {
  * @returns {boolean} true si es válido
  */
 function isValidSalesforceStage(salesforceStage) {
-  return VALID_SALESFORCE_STAGES.includes(salesforceStage);
+  return getSalesforceStages().includes(salesforceStage);
 }
 
 /**
@@ -132,7 +558,19 @@ function isValidSalesforceStage(salesforceStage) {
  * @returns {boolean} true si está cerrado
  */
 function isStageClosed(salesforceStage) {
-  return CLOSED_STAGES.includes(salesforceStage);
+  const orgStage = orgStages?.get(salesforceStage);
+  return orgStage ? orgStage.isClosed : CLOSED_STAGES.includes(salesforceStage);
+}
+
+/**
+ * Determina si un estado indica que la oportunidad se ganó
+ *
+ * @param {string} salesforceStage - Estado de Salesforce
+ * @returns {boolean} true si está cerrado como ganado
+ */
+function isStageWon(salesforceStage) {
+  const orgStage = orgStages?.get(salesforceStage);
+  return orgStage ? orgStage.isWon : salesforceStage === 'Closed Won';
 }
 
 /**
@@ -142,7 +580,8 @@ function isStageClosed(salesforceStage) {
  * @returns {number} Probabilidad entre 0 y 100
  */
 function getStageProbability(salesforceStage) {
-  return STAGE_PROBABILITIES[salesforceStage] || 0;
+  const orgStage = orgStages?.get(salesforceStage);
+  return (orgStage ? orgStage.probability : STAGE_PROBABILITIES[salesforceStage]) || 0;
 }
 
 /**
@@ -152,39 +591,88 @@ function getStageProbability(salesforceStage) {
  * @returns {string[]} Posibles estados de Prolibu que mapean a este estado
  */
 function getProlibuStagesForSalesforce(salesforceStage) {
-  return Object.entries(STAGE_MAPPING)
+  return Object.entries(getStageMapping().stages)
     .filter(([_, sfStage]) => sfStage === salesforceStage)
     .map(([prolibsStage, _]) => prolibsStage);
 }
 
+/**
+ * Status nativo de Prolibu para un estado de Salesforce (sincronización inversa)
+ * Recorre la tabla statuses en orden y devuelve el primero cuyo estado intermedio
+ * mapea al estado de Salesforce
+ *
+ * @param {string} salesforceStage - Estado de Salesforce (StageName)
+ * @returns {string|null} Status de Prolibu (Sent, Accepted...) o null si no hay equivalente
+ */
+function getProlibuStatusForSalesforce(salesforceStage) {
+  const prolibuStages = getProlibuStagesForSalesforce(salesforceStage);
+  const match = Object.entries(getStageMapping().statuses).find(([_, stage]) =>
+    prolibuStages.includes(stage)
+  );
+
+  return match ? match[0] : null;
+}
+
 /**
  * Información completa sobre el mapeo de estados
  * Útil para documentación y debugging
  */
 function getMappingInfo() {
+  const mapping = getStageMapping();
+  const { version, loadedAt, statuses, stages, recordTypes } = mapping;
+
   return {
-    totalMappings: Object.keys(STAGE_MAPPING).length,
-    prolibsStages: Object.keys(STAGE_MAPPING),
-    salesforceStages: VALID_SALESFORCE_STAGES,
-    closedStages: CLOSED_STAGES,
-    mappingTable: STAGE_MAPPING,
+    version,
+    loadedAt,
+    totalMappings: Object.keys(stages).length,
+    prolibsStages: Object.keys(stages),
+    salesforceStages: getSalesforceStages(),
+    closedStages: getSalesforceStages().filter(isStageClosed),
+    stageSource: orgStages ? 'org' : 'static',
+    orgStagesLoadedAt,
+    orgRecordTypes: orgRecordTypes
+      ? [...new Set(orgRecordTypes.values())].map(recordType => recordType.developerName)
+      : null,
+    unknownStages: findUnknownStageTargets(mapping),
+    statusTable: statuses,
+    mappingTable: stages,
+    recordTypeTables: recordTypes,
   };
 }
 
 module.exports = {
   // Mapeos principales
-  STAGE_MAPPING,
+  DEFAULT_STAGE_MAPPING_FILE,
   VALID_SALESFORCE_STAGES,
   CLOSED_STAGES,
   STAGE_PROBABILITIES,
 
+  // Carga y recarga del mapeo
+  loadStageMapping,
+  getStageMapping,
+  setStageMapping,
+  updateStageMapping,
+  reloadStageMapping,
+  watchStageMapping,
+  unwatchStageMapping,
+
+  // Etapas de la org
+  setOrgStages,
+  refreshOrgStages,
+  startOrgStageRefresh,
+  stopOrgStageRefresh,
+  getSalesforceStages,
+
   // Funciones de conversión
+  mapStatusToStage,
   mapStageToSalesforce,
   isValidSalesforceStage,
   isStageClosed,
+  isStageWon,
   getStageProbability,
 
   // Funciones utilitarias
   getProlibuStagesForSalesforce,
+  getProlibuStatusForSalesforce,
   getMappingInfo,
 };
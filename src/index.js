@@ -4,8 +4,17 @@
  */
 
 const { logger } = require('./app/libs/logger');
-const { config } = require('./app/libs/env');
+const { config, validateSalesforceConfig } = require('./app/libs/env');
 const { startServer } = require('./app/server');
+const { getFieldMapping } = require('./config/fieldMapping');
+const { getRecordTypeRules } = require('./config/recordTypeRules');
+const {
+  getStageMapping,
+  watchStageMapping,
+  refreshOrgStages,
+  startOrgStageRefresh,
+} = require('./config/stageMap');
+const salesforceService = require('./services/salesforce.service');
 
 /**
  * Función principal de arranque
@@ -32,6 +41,55 @@ async function main() {
       'Configuración cargada'
     );
 
+    // Verificar credenciales de la estrategia de autenticación de Salesforce
+    // En producción no se arranca sin credenciales válidas para la estrategia elegida
+    const salesforceConfigured = validateSalesforceConfig(config);
+    if (!salesforceConfigured && config.NODE_ENV === 'production') {
+      throw new Error(
+        `Configuración de Salesforce incompleta para la estrategia '${config.SF_AUTH_STRATEGY}'`
+      );
+    }
+
+    logger.info(
+      {
+        strategy: config.SF_AUTH_STRATEGY,
+        configured: salesforceConfigured,
+      },
+      'Configuración de Salesforce verificada'
+    );
+
+    // Validar el mapeo de campos: un archivo inválido impide arrancar
+    const fieldMapping = getFieldMapping();
+    logger.info({ fields: fieldMapping.fields.length }, 'Mapeo de campos verificado');
+
+    // Cargar las etapas reales de la org antes de validar el mapeo de estados
+    // Si Salesforce no responde se arranca con las etapas estándar y se reintenta en cada ciclo
+    if (salesforceConfigured && config.SF_USE_ORG_STAGES !== false) {
+      const fetchStages = () => salesforceService.getOpportunityStages();
+      const fetchRecordTypes = () => salesforceService.getOpportunityRecordTypes();
+      await refreshOrgStages(fetchStages, fetchRecordTypes);
+      startOrgStageRefresh(fetchStages, {
+        intervalMs: (config.SF_STAGE_REFRESH_MINUTES || 60) * 60 * 1000,
+        fetchRecordTypes,
+      });
+    }
+
+    // Validar el mapeo de estados; los cambios posteriores del archivo se recargan en caliente
+    const stageMapping = getStageMapping();
+    logger.info({ version: stageMapping.version }, 'Mapeo de estados verificado');
+    if (config.SF_STAGE_MAPPING_WATCH !== false) {
+      watchStageMapping();
+    }
+
+    // Validar las reglas de tipo de registro (opcionales)
+    const recordTypeRules = getRecordTypeRules();
+    if (recordTypeRules) {
+      logger.info(
+        { rules: recordTypeRules.rules.length },
+        'Reglas de tipo de registro verificadas'
+      );
+    }
+
     // Iniciar servidor
     startServer();
 
@@ -0,0 +1,113 @@
+const { isDeepStrictEqual } = require('util');
+const { config } = require('../app/libs/env');
+const salesforceService = require('./salesforce.service');
+const echoSuppression = require('./echoSuppression');
+
+/**
+ * Detección de cambios a nivel de campo para las actualizaciones de la Opportunity
+ * Compara el registro a enviar con lo último sincronizado (SF_CHANGE_DETECTION=cache) o con la
+ * Opportunity actual (opportunity) para enviar solo los campos que cambiaron: cada escritura
+ * consume API y dispara triggers y flows en Salesforce
+ */
+
+// Campo External ID que enlaza cada Opportunity con su propuesta en Prolibu
+const EXTERNAL_ID_FIELD = 'Prolibu_External_Id__c';
+
+/**
+ * Normaliza un valor para compararlo: vacío (null, undefined, '') equivale a ausente y los
+ * Ids de Salesforce se comparan en su forma de 15 caracteres
+ */
+function normalizeValue(field, value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  if (field.endsWith('Id') && typeof value === 'string' && /^[a-zA-Z0-9]{18}$/.test(value)) {
+    return value.slice(0, 15);
+  }
+
+  return value;
+}
+
+/**
+ * Campos del registro cuyo valor difiere de la base
+ *
+ * @param {Object} record - Registro a enviar a la Opportunity
+ * @param {Object} baseline - Valores conocidos de la Opportunity
+ * @returns {Object} Solo los campos que cambiaron (sin el External ID)
+ */
+function diffFields(record, baseline) {
+  return Object.fromEntries(
+    Object.entries(record).filter(
+      ([field, value]) =>
+        field !== EXTERNAL_ID_FIELD &&
+        !isDeepStrictEqual(normalizeValue(field, value), normalizeValue(field, baseline[field]))
+    )
+  );
+}
+
+/**
+ * Obtiene los valores conocidos de la Opportunity según SF_CHANGE_DETECTION
+ *
+ * @param {Object} record - Registro a enviar (incluye Prolibu_External_Id__c)
+ * @returns {Promise<Object|null>} { salesforceId, fields } o null si no hay con qué comparar
+ */
+async function loadBaseline(record) {
+  const proposalId = record[EXTERNAL_ID_FIELD];
+
+  if (config.SF_CHANGE_DETECTION === 'cache') {
+    const state = await echoSuppression.syncStateStore.get(proposalId);
+    if (!state?.syncedFields || !state.salesforceId) {
+      return null;
+    }
+
+    return { salesforceId: state.salesforceId, fields: state.syncedFields };
+  }
+
+  if (config.SF_CHANGE_DETECTION === 'opportunity') {
+    const fields = Object.keys(record).filter(field => field !== EXTERNAL_ID_FIELD);
+    const opportunity = await salesforceService.getOpportunityFields(proposalId, fields);
+    if (!opportunity) {
+      return null;
+    }
+
+    return { salesforceId: opportunity.Id, fields: opportunity };
+  }
+
+  return null;
+}
+
+/**
+ * Reduce la actualización de la Opportunity a los campos que cambiaron
+ * Sin base conocida (detección desactivada, propuesta no sincronizada por este proceso u
+ * Opportunity inexistente) se envía el registro completo
+ *
+ * @param {Object} record - Registro a enviar (incluye Prolibu_External_Id__c)
+ * @returns {Promise<Object>} { record, changedFields, unchanged, salesforceId? } donde record
+ *   trae solo los campos cambiados más el External ID y unchanged indica que no hay nada que enviar
+ */
+async function planOpportunityUpdate(record) {
+  const baseline = await loadBaseline(record);
+  if (!baseline) {
+    return {
+      record,
+      changedFields: Object.keys(record).filter(field => field !== EXTERNAL_ID_FIELD),
+      unchanged: false,
+    };
+  }
+
+  const changes = diffFields(record, baseline.fields);
+
+  return {
+    record: { [EXTERNAL_ID_FIELD]: record[EXTERNAL_ID_FIELD], ...changes },
+    changedFields: Object.keys(changes),
+    unchanged: Object.keys(changes).length === 0,
+    salesforceId: baseline.salesforceId,
+  };
+}
+
+module.exports = {
+  diffFields,
+  loadBaseline,
+  planOpportunityUpdate,
+};
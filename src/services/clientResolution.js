@@ -0,0 +1,108 @@
+/**
+ * Utilidades para resolver el cliente de una propuesta como Account y Contact
+ * Funciones puras: traducen las reglas de coincidencia a criterios de búsqueda y
+ * construyen los registros a crear, sin llamar a Salesforce
+ */
+
+/**
+ * Criterios para encontrar el Account del cliente, en el orden de las reglas
+ * La regla email busca un Contact con ese email y usa su Account
+ *
+ * @param {Object} client - Cliente { id, name, contact }
+ * @param {string[]} rules - Reglas en orden de prioridad (externalId, email, name)
+ * @param {string} [externalIdField] - Campo External ID del Account
+ * @returns {Object[]} Criterios { rule, sobject, conditions, field }
+ */
+function accountCriteria(client, rules, externalIdField) {
+  const email = client.contact?.email;
+  const externalId = externalIdField && client.id;
+  const criteria = {
+    externalId: externalId && {
+      sobject: 'Account',
+      conditions: { [externalIdField]: externalId },
+    },
+    email: email && {
+      sobject: 'Contact',
+      conditions: { Email: email, AccountId: { $ne: null } },
+      field: 'AccountId',
+    },
+    name: client.name && {
+      sobject: 'Account',
+      conditions: { Name: client.name },
+    },
+  };
+
+  return rules
+    .filter(rule => criteria[rule])
+    .map(rule => ({ rule, field: 'Id', ...criteria[rule] }));
+}
+
+/**
+ * Criterios para encontrar el Contact principal, en el orden de las reglas
+ * La regla name se limita al Account resuelto para no mezclar homónimos
+ *
+ * @param {Object} contact - Contacto { id, firstName, lastName, email }
+ * @param {string|null} accountId - Account ya resuelto
+ * @param {string[]} rules - Reglas en orden de prioridad (externalId, email, name)
+ * @param {string} [externalIdField] - Campo External ID del Contact
+ * @returns {Object[]} Criterios { rule, sobject, conditions, field }
+ */
+function contactCriteria(contact, accountId, rules, externalIdField) {
+  const criteria = {
+    externalId: externalIdField && contact.id && { [externalIdField]: contact.id },
+    email: contact.email && { Email: contact.email },
+    name: contact.lastName && {
+      LastName: contact.lastName,
+      ...(contact.firstName && { FirstName: contact.firstName }),
+      ...(accountId && { AccountId: accountId }),
+    },
+  };
+
+  return rules
+    .filter(rule => criteria[rule])
+    .map(rule => ({ rule, sobject: 'Contact', conditions: criteria[rule], field: 'Id' }));
+}
+
+/**
+ * Construye el Account a crear para el cliente
+ *
+ * @returns {Object|null} Registro de Account o null si el cliente no tiene nombre
+ */
+function buildAccountRecord(client, externalIdField) {
+  if (!client.name) {
+    return null;
+  }
+
+  return {
+    Name: client.name,
+    ...(externalIdField && client.id && { [externalIdField]: client.id }),
+  };
+}
+
+/**
+ * Construye el Contact a crear (LastName es obligatorio en Salesforce)
+ *
+ * @returns {Object|null} Registro de Contact o null si no hay con qué nombrarlo
+ */
+function buildContactRecord(contact, accountId, externalIdField) {
+  const lastName = contact.lastName || contact.firstName || contact.email;
+  if (!lastName) {
+    return null;
+  }
+
+  return {
+    FirstName: contact.lastName ? contact.firstName : undefined,
+    LastName: lastName,
+    Email: contact.email,
+    Phone: contact.phone,
+    AccountId: accountId || undefined,
+    ...(externalIdField && contact.id && { [externalIdField]: contact.id }),
+  };
+}
+
+module.exports = {
+  accountCriteria,
+  contactCriteria,
+  buildAccountRecord,
+  buildContactRecord,
+};
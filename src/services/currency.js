@@ -0,0 +1,91 @@
+/**
+ * Utilidades para llevar la moneda de la propuesta a Salesforce
+ * Funciones puras: deciden si se usa CurrencyIsoCode (org multimoneda) o si se convierte
+ * a la moneda corporativa (org de una sola moneda), sin llamar a Salesforce
+ *
+ * La tasa de Prolibu expresa cuántas unidades de la moneda de la propuesta equivalen a una
+ * unidad de la moneda base (ej. COP con exchangeRate 4017.5 → 1 USD = 4017.5 COP), por lo
+ * que por defecto se divide; SF_EXCHANGE_RATE_MODE=multiply invierte la convención
+ */
+
+// Campos de tasa de Prolibu en orden de prioridad (la tasa fijada a mano gana)
+const EXCHANGE_RATE_FIELDS = ['customExchangeRate', 'exchangeRate', 'dayExchangeRate'];
+
+/**
+ * Elige la tasa de cambio de la propuesta de Prolibu
+ *
+ * @param {Object} proposalData - Propuesta de Prolibu
+ * @returns {number|undefined} Primera tasa positiva, o undefined si no trae ninguna
+ */
+function pickExchangeRate(proposalData) {
+  for (const field of EXCHANGE_RATE_FIELDS) {
+    const rate =
+      typeof proposalData?.[field] === 'string'
+        ? parseFloat(proposalData[field])
+        : proposalData?.[field];
+
+    if (typeof rate === 'number' && Number.isFinite(rate) && rate > 0) {
+      return rate;
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Convierte un monto con la tasa dada, redondeando a 2 decimales
+ *
+ * @param {number} value - Monto en la moneda de la propuesta
+ * @param {number} rate - Tasa de cambio
+ * @param {string} [mode] - 'divide' (por defecto) o 'multiply'
+ * @returns {number} Monto en la moneda corporativa
+ */
+function convertAmount(value, rate, mode = 'divide') {
+  const converted = mode === 'multiply' ? value * rate : value / rate;
+  return Math.round(converted * 100) / 100;
+}
+
+/**
+ * Decide cómo reflejar la moneda de la propuesta en la org
+ *
+ * @param {Object} amount - Monto de la propuesta { currency, exchangeRate }
+ * @param {Object} settings - Monedas de la org { multiCurrency, corporateCurrency, activeCurrencies }
+ * @returns {Object|null} { currencyIsoCode } en orgs multimoneda, { conversion: { from, to, rate } }
+ *   si hay que convertir, o null si la propuesta ya está en la moneda de la org
+ * @throws {Error} Si la moneda no está activa en la org o falta la tasa para convertir
+ */
+function planCurrency(amount, settings) {
+  const currency = amount?.currency?.trim().toUpperCase();
+  if (!currency) {
+    return null;
+  }
+
+  if (settings.multiCurrency) {
+    if (!settings.activeCurrencies.includes(currency)) {
+      throw new Error(`La moneda ${currency} no está activa en la org de Salesforce`);
+    }
+
+    return { currencyIsoCode: currency };
+  }
+
+  if (currency === settings.corporateCurrency) {
+    return null;
+  }
+
+  if (!amount.exchangeRate) {
+    throw new Error(
+      `La propuesta está en ${currency} y no trae tasa de cambio para convertir a ${settings.corporateCurrency}`
+    );
+  }
+
+  return {
+    conversion: { from: currency, to: settings.corporateCurrency, rate: amount.exchangeRate },
+  };
+}
+
+module.exports = {
+  EXCHANGE_RATE_FIELDS,
+  pickExchangeRate,
+  convertAmount,
+  planCurrency,
+};
@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { config } = require('../app/libs/env');
+const { logger } = require('../app/libs/logger');
+const salesforceService = require('./salesforce.service');
+
+/**
+ * Sincronización de los PDFs de la propuesta como Salesforce Files
+ * Cada PDF se descarga, se compara por checksum MD5 (el mismo que calcula Salesforce en
+ * ContentVersion.Checksum) con el archivo ya vinculado y solo se sube si cambió
+ */
+
+const MAX_REDIRECTS = 3;
+
+/**
+ * Descarga un archivo completo en memoria respetando un tamaño máximo
+ *
+ * @param {string} url - URL http(s) del archivo
+ * @param {Object} options
+ * @param {number} options.maxBytes - Tamaño máximo permitido
+ * @param {number} options.timeoutMs - Tiempo máximo sin respuesta
+ * @returns {Promise<Buffer>} Contenido del archivo
+ * @throws {Error} code DOCUMENT_TOO_LARGE si supera maxBytes, o el error de red/HTTP
+ */
+function downloadFile(url, { maxBytes, timeoutMs }, redirects = 0) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+
+    const request = client.get(url, { timeout: timeoutMs }, response => {
+      const { statusCode, headers } = response;
+
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        response.resume();
+        if (redirects >= MAX_REDIRECTS) {
+          reject(new Error(`Demasiadas redirecciones descargando ${url}`));
+          return;
+        }
+        resolve(
+          downloadFile(
+            new URL(headers.location, url).toString(),
+            { maxBytes, timeoutMs },
+            redirects + 1
+          )
+        );
+        return;
+      }
+
+      if (statusCode !== 200) {
+        response.resume();
+        reject(new Error(`Descarga fallida (HTTP ${statusCode}): ${url}`));
+        return;
+      }
+
+      const tooLarge = () => {
+        const error = new Error(`El archivo supera el máximo de ${maxBytes} bytes: ${url}`);
+        error.code = 'DOCUMENT_TOO_LARGE';
+        return error;
+      };
+
+      if (Number(headers['content-length']) > maxBytes) {
+        response.destroy();
+        reject(tooLarge());
+        return;
+      }
+
+      const chunks = [];
+      let size = 0;
+
+      response.on('data', chunk => {
+        size += chunk.length;
+        if (size > maxBytes) {
+          response.destroy();
+          reject(tooLarge());
+          return;
+        }
+        chunks.push(chunk);
+      });
+      response.on('end', () => resolve(Buffer.concat(chunks)));
+      response.on('error', reject);
+    });
+
+    request.on('timeout', () => {
+      request.destroy(new Error(`Tiempo de espera agotado descargando ${url}`));
+    });
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Checksum MD5 en hexadecimal, comparable con ContentVersion.Checksum
+ */
+function checksum(content) {
+  return crypto.createHash('md5').update(content).digest('hex');
+}
+
+/**
+ * Título estable del archivo en Salesforce para un PDF de la propuesta
+ * Se usa para encontrar el archivo en sincronizaciones posteriores
+ */
+function documentTitle(proposalId, slot) {
+  return `Propuesta ${proposalId} - ${slot}`;
+}
+
+/**
+ * Descarga los PDFs de la propuesta y los vincula a la Opportunity
+ * Un PDF que falla (descarga, tamaño o API) no interrumpe los demás ni la sincronización
+ * de la Opportunity: queda reportado con status 'failed' o 'too_large'. Si no se pueden
+ * consultar los archivos actuales, todos los PDFs se reportan como 'failed'
+ *
+ * @param {Object} params
+ * @param {string} params.opportunityId - Id de la Opportunity
+ * @param {string} params.proposalId - Id de la propuesta en Prolibu
+ * @param {Object[]} params.documents - PDFs { slot, url }
+ * @param {string} params.traceId - ID de trazabilidad
+ * @returns {Promise<Object[]>} Resultado por PDF { slot, status, contentDocumentId?, error? }
+ */
+async function syncOpportunityDocuments({ opportunityId, proposalId, documents, traceId }) {
+  const syncLogger = logger.child({
+    component: 'documentSync',
+    operation: 'syncOpportunityDocuments',
+    traceId,
+    proposalId,
+    salesforceId: opportunityId,
+  });
+
+  const options = {
+    maxBytes: config.SF_DOCUMENT_MAX_BYTES || 10 * 1024 * 1024,
+    timeoutMs: config.SF_DOCUMENT_TIMEOUT_MS || 15000,
+  };
+
+  let existingFiles;
+  try {
+    existingFiles = await salesforceService.getOpportunityFiles(opportunityId);
+  } catch (error) {
+    // Sin los archivos actuales no se puede distinguir entre crear y versionar: subirlos
+    // igual duplicaría los PDFs, así que se reportan como fallidos
+    syncLogger.warn(
+      { error: error.message },
+      'No se pudieron consultar los PDFs de la Opportunity'
+    );
+
+    return documents.map(document => ({
+      slot: document.slot,
+      status: 'failed',
+      error: error.message,
+    }));
+  }
+
+  const results = [];
+
+  for (const document of documents) {
+    const title = documentTitle(proposalId, document.slot);
+    const existing = existingFiles.get(title);
+
+    try {
+      const content = await downloadFile(document.url, options);
+      const fileChecksum = checksum(content);
+
+      if (existing && existing.checksum === fileChecksum) {
+        results.push({
+          slot: document.slot,
+          status: 'unchanged',
+          contentDocumentId: existing.contentDocumentId,
+        });
+        continue;
+      }
+
+      const contentDocumentId = await salesforceService.uploadOpportunityFile(
+        opportunityId,
+        {
+          title,
+          fileName: `${proposalId}-${document.slot}.pdf`,
+          content,
+          contentDocumentId: existing?.contentDocumentId,
+        },
+        traceId
+      );
+
+      results.push({
+        slot: document.slot,
+        status: existing ? 'updated' : 'created',
+        contentDocumentId,
+      });
+    } catch (error) {
+      syncLogger.warn(
+        {
+          slot: document.slot,
+          url: document.url,
+          error: error.message,
+        },
+        'No se pudo sincronizar el PDF de la propuesta'
+      );
+
+      results.push({
+        slot: document.slot,
+        status: error.code === 'DOCUMENT_TOO_LARGE' ? 'too_large' : 'failed',
+        error: error.message,
+      });
+    }
+  }
+
+  syncLogger.info(
+    { documents: results.map(result => `${result.slot}:${result.status}`) },
+    'PDFs de la propuesta sincronizados'
+  );
+
+  return results;
+}
+
+module.exports = {
+  downloadFile,
+  checksum,
+  documentTitle,
+  syncOpportunityDocuments,
+};
@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const { isDeepStrictEqual } = require('util');
+const { config } = require('../app/libs/env');
+const { createSyncStateStore } = require('../app/libs/syncStateStore');
+
+/**
+ * Supresión de ecos en la sincronización bidireccional
+ * Recuerda por propuesta los valores mapeados que la integración escribió en Salesforce (y los
+ * que la sincronización inversa escribió en Prolibu) para reconocer los webhooks que solo
+ * repiten ese estado, como el proposal.updated que Prolibu emite tras una actualización nuestra
+ * El mismo estado guarda el registro enviado a la Opportunity, base de la detección de cambios
+ */
+
+const syncStateStore = createSyncStateStore({
+  type: config.SYNC_STATE_STORE,
+  filePath: config.SYNC_STATE_STORE_FILE,
+  maxEntries: config.SYNC_STATE_MAX_ENTRIES,
+});
+
+/**
+ * Indica si se guarda el último estado escrito: lo usan la supresión de ecos y la detección
+ * de cambios contra lo último sincronizado (SF_CHANGE_DETECTION=cache)
+ */
+function isTracking() {
+  return config.ECHO_SUPPRESSION_ENABLED !== false || config.SF_CHANGE_DETECTION === 'cache';
+}
+
+/**
+ * Checksum de las partes de la propuesta que no son campos de la Opportunity
+ * (productos, versiones, PDFs, cliente y propietarios)
+ *
+ * @param {Object} proposalData - Datos de la propuesta
+ * @returns {string} SHA-256 en hexadecimal
+ */
+function relatedChecksum(proposalData) {
+  const { products, versions, documents, client, clientId, clientName, owners } = proposalData;
+
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ products, versions, documents, client, clientId, clientName, owners }))
+    .digest('hex');
+}
+
+/**
+ * Registra lo que la integración escribió en Salesforce para una propuesta
+ * Los campos se combinan con los ya conocidos: una actualización parcial no borra los demás
+ *
+ * @param {string} proposalId - Id de la propuesta (Prolibu_External_Id__c)
+ * @param {Object} params
+ * @param {string} params.salesforceId - Id de la Opportunity
+ * @param {Object} params.fields - Valores mapeados enviados (sin preparar)
+ * @param {Object} [params.syncedFields] - Registro enviado a la Opportunity (ya preparado)
+ * @param {Object} params.proposalData - Datos de la propuesta
+ */
+async function recordWrite(proposalId, { salesforceId, fields, syncedFields, proposalData }) {
+  if (!isTracking()) {
+    return;
+  }
+
+  const state = await syncStateStore.get(proposalId);
+
+  await syncStateStore.set(proposalId, {
+    salesforceId,
+    fields: { ...state?.fields, ...fields },
+    syncedFields: { ...state?.syncedFields, ...syncedFields },
+    relatedChecksum: relatedChecksum(proposalData),
+    origin: 'prolibu',
+    writtenAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Registra los campos que la sincronización inversa llevó a Prolibu
+ * Solo actualiza propuestas con un estado conocido: sin él no hay con qué comparar el eco
+ *
+ * @param {string} proposalId - Id de la propuesta
+ * @param {Object} fields - Campos de la Opportunity reflejados en Prolibu (ej. { StageName })
+ */
+async function recordReverseWrite(proposalId, fields) {
+  if (!isTracking()) {
+    return;
+  }
+
+  const state = await syncStateStore.get(proposalId);
+  if (!state) {
+    return;
+  }
+
+  await syncStateStore.set(proposalId, {
+    ...state,
+    fields: { ...state.fields, ...fields },
+    syncedFields: { ...state.syncedFields, ...fields },
+    origin: 'salesforce',
+    writtenAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Busca el último estado escrito si el webhook no cambia nada respecto de él
+ *
+ * @param {string} proposalId - Id de la propuesta
+ * @param {Object} fields - Valores mapeados del webhook
+ * @param {Object} proposalData - Datos de la propuesta
+ * @returns {Promise<Object|null>} Estado escrito si el webhook es un eco, o null
+ */
+async function findEcho(proposalId, fields, proposalData) {
+  if (config.ECHO_SUPPRESSION_ENABLED === false) {
+    return null;
+  }
+
+  const state = await syncStateStore.get(proposalId);
+  if (!state || state.relatedChecksum !== relatedChecksum(proposalData)) {
+    return null;
+  }
+
+  const unchanged = Object.entries(fields).every(([field, value]) =>
+    isDeepStrictEqual(state.fields[field], value)
+  );
+
+  return unchanged ? state : null;
+}
+
+/**
+ * Olvida el estado escrito de una propuesta (por ejemplo, al cerrarla por eliminación)
+ *
+ * @param {string} proposalId - Id de la propuesta
+ */
+async function forget(proposalId) {
+  await syncStateStore.delete(proposalId);
+}
+
+/**
+ * Olvida el estado escrito de todas las propuestas
+ */
+async function clear() {
+  await syncStateStore.clear();
+}
+
+module.exports = {
+  syncStateStore,
+  relatedChecksum,
+  recordWrite,
+  recordReverseWrite,
+  findEcho,
+  forget,
+  clear,
+};
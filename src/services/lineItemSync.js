@@ -0,0 +1,122 @@
+/**
+ * Utilidades para reconciliar productos de Prolibu con OpportunityLineItems
+ * Funciones puras: no llaman a Salesforce, solo construyen consultas y planes de cambios
+ */
+
+/**
+ * Escapa un valor para usarlo dentro de comillas simples en SOQL
+ */
+function escapeSoql(value) {
+  return String(value).replace(/[\\']/g, char => `\\${char}`);
+}
+
+/**
+ * Clave con la que se identifica un producto: ProductCode si viene, si no el nombre
+ * (SOQL compara sin distinguir mayúsculas, así que la clave tampoco lo hace)
+ *
+ * @param {Object} product - Línea de producto { code, name }
+ * @returns {string} Clave del producto
+ */
+function productKey(product) {
+  return product.code ? `code:${product.code.toLowerCase()}` : `name:${product.name.toLowerCase()}`;
+}
+
+/**
+ * Construye el filtro SOQL que encuentra los productos por código o nombre
+ *
+ * @param {Object[]} products - Líneas de producto
+ * @param {string} prefix - Prefijo de relación ('' para Product2, 'Product2.' para PricebookEntry)
+ * @returns {string} Condición SOQL
+ */
+function buildProductFilter(products, prefix = '') {
+  const quoteAll = values => [...new Set(values)].map(value => `'${escapeSoql(value)}'`).join(', ');
+  const codes = products.filter(product => product.code).map(product => product.code);
+  const names = products.filter(product => !product.code).map(product => product.name);
+
+  const conditions = [];
+  if (codes.length > 0) {
+    conditions.push(`${prefix}ProductCode IN (${quoteAll(codes)})`);
+  }
+  if (names.length > 0) {
+    conditions.push(`${prefix}Name IN (${quoteAll(names)})`);
+  }
+
+  return conditions.join(' OR ');
+}
+
+/**
+ * Indexa registros de Product2 por las claves de productKey
+ *
+ * @param {Object[]} records - Registros con ProductCode y Name
+ * @returns {Map<string, Object>} Registro por clave
+ */
+function indexByProductKey(records) {
+  const index = new Map();
+
+  records.forEach(record => {
+    if (record.ProductCode) {
+      index.set(productKey({ code: record.ProductCode }), record);
+    }
+    if (record.Name && !index.has(productKey({ name: record.Name }))) {
+      index.set(productKey({ name: record.Name }), record);
+    }
+  });
+
+  return index;
+}
+
+function differs(current, desired) {
+  return (
+    Number(current.Quantity) !== Number(desired.Quantity) ||
+    Number(current.UnitPrice) !== Number(desired.UnitPrice) ||
+    (current.Description || null) !== (desired.Description || null)
+  );
+}
+
+/**
+ * Calcula los cambios necesarios para que las líneas existentes coincidan con las deseadas
+ * Las líneas se emparejan por PricebookEntryId (en orden si un producto se repite)
+ *
+ * @param {Object[]} existing - OpportunityLineItems actuales { Id, PricebookEntryId, Quantity, UnitPrice, Description }
+ * @param {Object[]} desired - Líneas deseadas { PricebookEntryId, Quantity, UnitPrice, Description }
+ * @returns {Object} { toCreate, toUpdate, toDelete, unchanged }
+ */
+function planLineItemChanges(existing, desired) {
+  const pool = new Map();
+  existing.forEach(item => {
+    pool.set(item.PricebookEntryId, [...(pool.get(item.PricebookEntryId) || []), item]);
+  });
+
+  const toCreate = [];
+  const toUpdate = [];
+  let unchanged = 0;
+
+  desired.forEach(line => {
+    const match = pool.get(line.PricebookEntryId)?.shift();
+
+    if (!match) {
+      toCreate.push(line);
+    } else if (differs(match, line)) {
+      toUpdate.push({
+        Id: match.Id,
+        Quantity: line.Quantity,
+        UnitPrice: line.UnitPrice,
+        Description: line.Description,
+      });
+    } else {
+      unchanged++;
+    }
+  });
+
+  const toDelete = [...pool.values()].flat().map(item => item.Id);
+
+  return { toCreate, toUpdate, toDelete, unchanged };
+}
+
+module.exports = {
+  escapeSoql,
+  productKey,
+  buildProductFilter,
+  indexByProductKey,
+  planLineItemChanges,
+};
@@ -0,0 +1,109 @@
+const http = require('http');
+const https = require('https');
+const { config } = require('../app/libs/env');
+const { logger } = require('../app/libs/logger');
+
+/**
+ * Cliente REST de la API de Prolibu para la sincronización inversa
+ * Usa PROLIBU_API_URL como base y PROLIBU_API_TOKEN como Bearer token
+ */
+
+/**
+ * Envía un request JSON a la API de Prolibu
+ *
+ * @param {string} method - Método HTTP
+ * @param {string} path - Ruta relativa a PROLIBU_API_URL
+ * @param {Object} [body] - Body JSON
+ * @returns {Promise<Object|null>} Respuesta JSON (null si viene vacía)
+ * @throws {Error} Con statusCode si Prolibu responde un error HTTP
+ */
+function requestJson(method, path, body) {
+  if (!config.PROLIBU_API_URL || !config.PROLIBU_API_TOKEN) {
+    return Promise.reject(
+      new Error('Cliente de Prolibu no configurado (PROLIBU_API_URL y PROLIBU_API_TOKEN)')
+    );
+  }
+
+  const url = new URL(`${config.PROLIBU_API_URL.replace(/\/+$/, '')}${path}`);
+  const payload = body === undefined ? null : JSON.stringify(body);
+  const client = url.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(
+      url,
+      {
+        method,
+        timeout: config.PROLIBU_API_TIMEOUT_MS || 10000,
+        headers: {
+          Accept: 'application/json',
+          Authorization: `Bearer ${config.PROLIBU_API_TOKEN}`,
+          ...(payload && {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(payload),
+          }),
+        },
+      },
+      response => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => {
+          const text = Buffer.concat(chunks).toString('utf8');
+
+          if (response.statusCode < 200 || response.statusCode >= 300) {
+            const error = new Error(
+              `Prolibu respondió HTTP ${response.statusCode} en ${method} ${url.pathname}`
+            );
+            error.statusCode = response.statusCode;
+            error.responseBody = text.slice(0, 500);
+            reject(error);
+            return;
+          }
+
+          try {
+            resolve(text ? JSON.parse(text) : null);
+          } catch {
+            resolve(null);
+          }
+        });
+        response.on('error', reject);
+      }
+    );
+
+    request.on('timeout', () => {
+      request.destroy(new Error(`Tiempo de espera agotado en ${method} ${url.pathname}`));
+    });
+    request.on('error', reject);
+
+    if (payload) {
+      request.write(payload);
+    }
+    request.end();
+  });
+}
+
+/**
+ * Actualiza el status de una propuesta en Prolibu
+ *
+ * @param {string} proposalId - Id de la propuesta (Prolibu_External_Id__c)
+ * @param {string} status - Status nativo de Prolibu (Sent, Accepted...)
+ * @param {string} traceId - ID de trazabilidad
+ * @returns {Promise<Object|null>} Propuesta actualizada según la respuesta de Prolibu
+ */
+async function updateProposalStatus(proposalId, status, traceId) {
+  const statusField = config.PROLIBU_STATUS_FIELD || 'status';
+
+  const result = await requestJson('PATCH', `/proposal/${encodeURIComponent(proposalId)}`, {
+    [statusField]: status,
+  });
+
+  logger
+    .child({ component: 'prolibuClient', operation: 'updateProposalStatus', traceId, proposalId })
+    .info({ status, statusField }, 'Status de la propuesta actualizado en Prolibu');
+
+  return result;
+}
+
+module.exports = {
+  requestJson,
+  updateProposalStatus,
+};
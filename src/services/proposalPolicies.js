@@ -0,0 +1,130 @@
+/**
+ * Políticas para el monto y la fecha de cierre de la propuesta
+ * Funciones puras: eligen de qué dato de Prolibu sale cada valor, en el orden configurado,
+ * y nunca inventan uno; si ninguna fuente aplica el valor queda vacío
+ *
+ * Fuentes de monto (SF_AMOUNT_SOURCES):
+ *   total    → total de Prolibu o, si falta, amount - discount + tax
+ *   products → suma de price * quantity de los productos
+ *   hours    → workingTime * SF_HOURLY_RATE (solo si hay tarifa configurada)
+ *
+ * Fuentes de fecha de cierre (SF_CLOSE_DATE_SOURCES):
+ *   expected   → expectedCloseDate (o closeDate/close_date)
+ *   expiration → expirationDate
+ */
+
+const DEFAULT_AMOUNT_SOURCES = ['total', 'products'];
+const DEFAULT_CLOSE_DATE_SOURCES = ['expected', 'expiration'];
+
+/**
+ * Convierte un valor numérico de Prolibu (number o string) a número
+ */
+function toNumber(value) {
+  const number = typeof value === 'string' ? parseFloat(value) : value;
+  return typeof number === 'number' && Number.isFinite(number) ? number : 0;
+}
+
+const AMOUNT_STRATEGIES = {
+  total: proposalData => {
+    const total = toNumber(proposalData.total);
+    if (total > 0) {
+      return total;
+    }
+
+    const subtotal = toNumber(proposalData.amount);
+    if (subtotal <= 0) {
+      return 0;
+    }
+
+    return subtotal - toNumber(proposalData.discount) + toNumber(proposalData.tax);
+  },
+  products: proposalData => {
+    if (!Array.isArray(proposalData.products)) {
+      return 0;
+    }
+
+    return proposalData.products.reduce(
+      (sum, product) => sum + toNumber(product.price) * toNumber(product.quantity),
+      0
+    );
+  },
+  hours: (proposalData, { hourlyRate }) => {
+    if (!hourlyRate) {
+      return 0;
+    }
+
+    return toNumber(proposalData.workingTime) * hourlyRate;
+  },
+};
+
+/**
+ * Elige el monto de la propuesta con la primera fuente que da un valor positivo
+ *
+ * @param {Object} proposalData - Propuesta de Prolibu
+ * @param {string[]} [sources] - Fuentes en orden de prioridad
+ * @param {Object} [options] - { hourlyRate } para la fuente hours
+ * @returns {Object} { total, source } redondeado a 2 decimales, o { total: null, source: null }
+ */
+function resolveAmount(proposalData, sources = DEFAULT_AMOUNT_SOURCES, options = {}) {
+  for (const source of sources) {
+    const total = AMOUNT_STRATEGIES[source](proposalData, options);
+
+    if (total > 0) {
+      return { total: Math.round(total * 100) / 100, source };
+    }
+  }
+
+  return { total: null, source: null };
+}
+
+const CLOSE_DATE_FIELDS = {
+  expected: ['expectedCloseDate', 'closeDate', 'close_date'],
+  expiration: ['expirationDate'],
+};
+
+/**
+ * Normaliza una fecha de Prolibu (YYYY-MM-DD o ISO con hora) a YYYY-MM-DD
+ *
+ * @param {*} value - Fecha recibida
+ * @returns {string|undefined} Fecha YYYY-MM-DD o undefined si no es válida
+ */
+function toDateOnly(value) {
+  if (typeof value !== 'string') {
+    return undefined;
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return value;
+  }
+
+  const timestamp = Date.parse(value);
+  return Number.isNaN(timestamp) ? undefined : new Date(timestamp).toISOString().split('T')[0];
+}
+
+/**
+ * Elige la fecha de cierre de la propuesta con la primera fuente que trae una fecha válida
+ *
+ * @param {Object} proposalData - Propuesta de Prolibu
+ * @param {string[]} [sources] - Fuentes en orden de prioridad
+ * @returns {Object} { closeDate, source }, o { closeDate: undefined, source: null }
+ */
+function resolveCloseDate(proposalData, sources = DEFAULT_CLOSE_DATE_SOURCES) {
+  for (const source of sources) {
+    for (const field of CLOSE_DATE_FIELDS[source]) {
+      const closeDate = toDateOnly(proposalData[field]);
+      if (closeDate) {
+        return { closeDate, source };
+      }
+    }
+  }
+
+  return { closeDate: undefined, source: null };
+}
+
+module.exports = {
+  DEFAULT_AMOUNT_SOURCES,
+  DEFAULT_CLOSE_DATE_SOURCES,
+  resolveAmount,
+  resolveCloseDate,
+  toDateOnly,
+};
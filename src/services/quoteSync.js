@@ -0,0 +1,132 @@
+const { config } = require('../app/libs/env');
+const { logger } = require('../app/libs/logger');
+const salesforceService = require('./salesforce.service');
+
+/**
+ * Sincronización de las versiones de la propuesta como Quotes de la Opportunity
+ * Cada versión de Prolibu es una Quote identificada por SF_QUOTE_VERSION_FIELD. La versión
+ * activa recibe las líneas de producto y queda como Quote sincronizada (Salesforce copia sus
+ * líneas a la Opportunity); las versiones reemplazadas se conservan sin cambios como historial
+ */
+
+const DEFAULT_QUOTE_VERSION_FIELD = 'Prolibu_Version_Id__c';
+
+/**
+ * Construye la Quote de una versión de la propuesta
+ *
+ * @param {Object} version - Versión { versionId, name, title, total, currency }
+ * @param {Object} context - { opportunityId, pricebookId, versionField, quoteId? }
+ * @returns {Object} Registro Quote (con Id si ya existe)
+ */
+function buildQuoteRecord(version, { opportunityId, pricebookId, versionField, quoteId }) {
+  const record = {
+    Name: (version.name || version.title || `Versión ${version.versionId}`).slice(0, 255),
+    [versionField]: version.versionId,
+  };
+
+  if (version.total !== undefined) {
+    record.Description = `Total en Prolibu: ${version.total} ${version.currency || ''}`.trim();
+  }
+
+  if (quoteId) {
+    return { Id: quoteId, ...record };
+  }
+
+  return { ...record, OpportunityId: opportunityId, Pricebook2Id: pricebookId };
+}
+
+/**
+ * Refleja las versiones de la propuesta como Quotes de la Opportunity
+ * Las versiones reemplazadas que ya tienen Quote no se modifican
+ *
+ * @param {Object} params
+ * @param {string} params.opportunityId - Id de la Opportunity
+ * @param {string} params.proposalId - Id de la propuesta en Prolibu
+ * @param {Object[]} params.versions - Versiones { versionId, name, title, total, currency, active }
+ * @param {Object[]} [params.products] - Líneas de la versión activa (sin valor no se tocan)
+ * @param {string} [params.currencyIsoCode] - Moneda de la Opportunity en orgs multimoneda
+ * @param {string} params.traceId - ID de trazabilidad
+ * @returns {Promise<Object[]>} Resultado por versión { versionId, quoteId, status, active, lineItems? }
+ */
+async function syncProposalQuotes({
+  opportunityId,
+  proposalId,
+  versions,
+  products,
+  currencyIsoCode,
+  traceId,
+}) {
+  const syncLogger = logger.child({
+    component: 'quoteSync',
+    operation: 'syncProposalQuotes',
+    traceId,
+    proposalId,
+    salesforceId: opportunityId,
+  });
+
+  const versionField = config.SF_QUOTE_VERSION_FIELD || DEFAULT_QUOTE_VERSION_FIELD;
+  const { quotes, syncedQuoteId } = await salesforceService.getOpportunityQuotes(
+    opportunityId,
+    versionField
+  );
+  const pricebookId = await salesforceService.getPricebookId();
+
+  // Las versiones reemplazadas con Quote existente se conservan tal cual
+  const pending = versions.filter(version => version.active || !quotes.has(version.versionId));
+  const quoteIds = await salesforceService.saveQuotes(
+    pending.map(version =>
+      buildQuoteRecord(version, {
+        opportunityId,
+        pricebookId,
+        versionField,
+        quoteId: quotes.get(version.versionId),
+      })
+    )
+  );
+
+  const results = versions.map(version => {
+    const index = pending.indexOf(version);
+    let status = 'kept';
+    if (index !== -1) {
+      status = quotes.has(version.versionId) ? 'updated' : 'created';
+    }
+
+    return {
+      versionId: version.versionId,
+      quoteId: index === -1 ? quotes.get(version.versionId) : quoteIds[index],
+      status,
+      active: version.active,
+    };
+  });
+
+  const active = results.find(result => result.active);
+  if (active) {
+    if (products) {
+      active.lineItems = await salesforceService.syncQuoteLineItems(
+        active.quoteId,
+        products,
+        traceId,
+        { currencyIsoCode }
+      );
+    }
+
+    if (syncedQuoteId !== active.quoteId) {
+      await salesforceService.setSyncedQuote(opportunityId, active.quoteId);
+    }
+  }
+
+  syncLogger.info(
+    {
+      quotes: results.map(result => `${result.versionId}:${result.status}`),
+      syncedQuoteId: active?.quoteId,
+    },
+    'Versiones de la propuesta sincronizadas como Quotes'
+  );
+
+  return results;
+}
+
+module.exports = {
+  buildQuoteRecord,
+  syncProposalQuotes,
+};
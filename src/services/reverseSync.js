@@ -0,0 +1,118 @@
+const { config } = require('../app/libs/env');
+const { logger } = require('../app/libs/logger');
+const { getProlibuStatusForSalesforce } = require('../config/stageMap');
+const salesforceService = require('./salesforce.service');
+const prolibuClient = require('./prolibuClient');
+const echoSuppression = require('./echoSuppression');
+
+/**
+ * Sincronización inversa: cambios de etapa de la Opportunity en Salesforce → status de la
+ * propuesta en Prolibu. Los cambios hechos por el usuario de la integración se descartan para
+ * que nuestras propias escrituras no vuelvan a Prolibu
+ */
+
+/**
+ * Compara Ids de Salesforce sin distinguir entre su forma de 15 y de 18 caracteres
+ */
+function isSameSalesforceId(a, b) {
+  return Boolean(a && b) && a.slice(0, 15) === b.slice(0, 15);
+}
+
+/**
+ * Refleja en Prolibu el cambio de etapa de una Opportunity
+ *
+ * @param {Object} change - { opportunityId, prolibuId?, stageName?, modifiedById?, syncOrigin? }
+ * @param {string} traceId - ID de trazabilidad
+ * @returns {Promise<Object>} { opportunityId, proposalId?, status: 'pushed'|'skipped', reason?, prolibuStatus? }
+ */
+async function pushStageChange(change, traceId) {
+  const { opportunityId, stageName } = change;
+  const syncLogger = logger.child({
+    component: 'reverseSync',
+    operation: 'pushStageChange',
+    traceId,
+    salesforceId: opportunityId,
+  });
+
+  const skip = (reason, extra = {}) => {
+    syncLogger.info({ reason, stageName, ...extra }, 'Cambio de Salesforce no enviado a Prolibu');
+    return { opportunityId, status: 'skipped', reason, ...extra };
+  };
+
+  if (!stageName) {
+    return skip('no_stage');
+  }
+
+  // Prevención de bucles: los cambios de la propia integración no se devuelven, ya sea por
+  // su autor o por la marca de origen (SF_SYNC_ORIGIN_FIELD) que dejan sus escrituras
+  if (
+    (config.SF_SYNC_ORIGIN_FIELD &&
+      change.syncOrigin === (config.SF_SYNC_ORIGIN_VALUE || 'Prolibu')) ||
+    (change.modifiedById &&
+      isSameSalesforceId(change.modifiedById, await salesforceService.getIntegrationUserId()))
+  ) {
+    return skip('integration_write');
+  }
+
+  let proposalId = change.prolibuId;
+  if (!proposalId) {
+    const opportunity = await salesforceService.getOpportunityById(opportunityId);
+    proposalId = opportunity?.Prolibu_External_Id__c;
+  }
+
+  if (!proposalId) {
+    return skip('not_linked');
+  }
+
+  const prolibuStatus = getProlibuStatusForSalesforce(stageName);
+  if (!prolibuStatus) {
+    return skip('unmapped_stage', { proposalId });
+  }
+
+  await prolibuClient.updateProposalStatus(proposalId, prolibuStatus, traceId);
+  // Prolibu notificará el cambio con un proposal.updated: se reconoce como eco
+  await echoSuppression.recordReverseWrite(proposalId, { StageName: stageName });
+
+  syncLogger.info(
+    { proposalId, stageName, prolibuStatus },
+    'Cambio de etapa de Salesforce enviado a Prolibu'
+  );
+
+  return { opportunityId, proposalId, status: 'pushed', stageName, prolibuStatus };
+}
+
+/**
+ * Procesa los cambios de una notificación de Salesforce en orden
+ * Un cambio que falla no interrumpe los demás: queda con status 'failed'
+ *
+ * @param {Object[]} changes - Cambios de Opportunity (ver salesforce.adapter.js)
+ * @param {string} traceId - ID de trazabilidad
+ * @returns {Promise<Object[]>} Resultado por cambio
+ */
+async function pushStageChanges(changes, traceId) {
+  const results = [];
+
+  for (const change of changes) {
+    try {
+      results.push(await pushStageChange(change, traceId));
+    } catch (error) {
+      logger.child({ component: 'reverseSync', operation: 'pushStageChanges', traceId }).error(
+        {
+          error: error.message,
+          statusCode: error.statusCode,
+          salesforceId: change.opportunityId,
+        },
+        'Error enviando el cambio de Salesforce a Prolibu'
+      );
+      results.push({ opportunityId: change.opportunityId, status: 'failed', error: error.message });
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  isSameSalesforceId,
+  pushStageChange,
+  pushStageChanges,
+};
@@ -1,24 +1,98 @@
-const jsforce = require('jsforce');
 const { logger } = require('../app/libs/logger');
+const { config, SALESFORCE_AUTH_REQUIRED_VARS } = require('../app/libs/env');
+const { authenticateSalesforce } = require('./salesforceAuth');
+const {
+  escapeSoql,
+  productKey,
+  buildProductFilter,
+  indexByProductKey,
+  planLineItemChanges,
+} = require('./lineItemSync');
+const {
+  accountCriteria,
+  contactCriteria,
+  buildAccountRecord,
+  buildContactRecord,
+} = require('./clientResolution');
+const { CLIENT_MATCH_RULES } = require('../app/libs/env');
+const { isReference } = require('./salesforceUnitOfWork');
 
 /**
  * Servicio para integración con Salesforce
  * Maneja la conexión, autenticación y operaciones CRUD en Salesforce
  */
 
+// Campo External ID que enlaza cada Opportunity con su propuesta en Prolibu
+const EXTERNAL_ID_FIELD = 'Prolibu_External_Id__c';
+
+/**
+ * Normaliza el resultado de un DML (uno o varios registros) y falla si alguno no se guardó
+ * El error lleva el statusCode del primer fallo como errorCode, para que se clasifique igual que
+ * los errores de la API (reintento, dead letter, respuesta HTTP)
+ */
+function assertSaveResults(results, description) {
+  const list = Array.isArray(results) ? results : [results];
+  const failed = list.filter(result => !result.success);
+
+  if (failed.length > 0) {
+    const error = new Error(
+      `Salesforce ${description} failed: ${JSON.stringify(failed.map(result => result.errors))}`
+    );
+    const [firstError] = [].concat(failed[0].errors || []);
+    error.errorCode = firstError?.statusCode || firstError?.errorCode;
+    throw error;
+  }
+
+  return list;
+}
+
+/**
+ * Condición SOQL para limitar las PricebookEntries a una moneda (vacía si no aplica)
+ */
+function currencyFilter(currencyIsoCode) {
+  return currencyIsoCode ? `AND CurrencyIsoCode = '${escapeSoql(currencyIsoCode)}' ` : '';
+}
+
+/**
+ * Marca una escritura de la Opportunity como originada por la integración
+ * (SF_SYNC_ORIGIN_FIELD), para que flujos y la sincronización inversa la reconozcan
+ */
+function withSyncOrigin(record) {
+  if (!config.SF_SYNC_ORIGIN_FIELD) {
+    return record;
+  }
+
+  return { ...record, [config.SF_SYNC_ORIGIN_FIELD]: config.SF_SYNC_ORIGIN_VALUE || 'Prolibu' };
+}
+
+/**
+ * Indica si Salesforce rechazó la llamada por sesión expirada o revocada
+ */
+function isSessionExpiredError(error) {
+  return error?.errorCode === 'INVALID_SESSION_ID' || error?.name === 'INVALID_SESSION_ID';
+}
+
 class SalesforceService {
   constructor() {
     this.connection = null;
     this.isConnected = false;
     this.connectionRetries = 0;
     this.maxRetries = 3;
+    this.sessionEstablishedAt = null;
+    this.userId = null;
+    this.sessionMaxAgeMs = (config.SF_SESSION_MAX_AGE_MINUTES || 90) * 60 * 1000;
+    this.refreshPromise = null;
+    this.standardPricebookId = null;
+    this.recordTypeIds = new Map();
+    this.currencySettings = null;
     this.serviceLogger = logger.child({
       component: 'salesforce.service',
     });
   }
 
   /**
-   * Establece conexión con Salesforce usando credenciales del entorno
+   * Establece conexión con Salesforce usando la estrategia de autenticación del entorno
+   * (SF_AUTH_STRATEGY: password, jwt o client_credentials)
    * Implementa retry logic para reconexión automática
    */
   async connect() {
@@ -28,47 +102,44 @@ class SalesforceService {
     });
 
     try {
-      // Validar que las credenciales básicas estén presentes
-      const requiredVars = ['SF_LOGIN_URL', 'SF_USERNAME', 'SF_PASSWORD', 'SF_TOKEN'];
+      // Validar que la estrategia configurada tenga sus credenciales
+      const strategy = process.env.SF_AUTH_STRATEGY || 'password';
+      const requiredVars = SALESFORCE_AUTH_REQUIRED_VARS[strategy] || [];
       const missingVars = requiredVars.filter(varName => !process.env[varName]);
 
       if (missingVars.length > 0) {
         throw new Error(
-          `Credenciales de Salesforce no configuradas: ${missingVars.join(', ')}. ` +
-            'Verifica las variables: SF_USERNAME, SF_PASSWORD, SF_TOKEN, SF_LOGIN_URL'
+          `Credenciales de Salesforce no configuradas para la estrategia '${strategy}': ` +
+            `${missingVars.join(', ')}`
         );
       }
 
-      connectLogger.info('Iniciando conexión con Salesforce');
-
-      // Crear nueva conexión
-      this.connection = new jsforce.Connection({
-        loginUrl: process.env.SF_LOGIN_URL || 'https://login.salesforce.com',
-      });
+      connectLogger.info({ strategy }, 'Iniciando conexión con Salesforce');
 
-      // Autenticar con username/password + security token
-      const loginResult = await this.connection.login(
-        process.env.SF_USERNAME,
-        process.env.SF_PASSWORD + process.env.SF_TOKEN
-      );
+      const { connection, userInfo } = await authenticateSalesforce(process.env);
+      this.connection = connection;
+      this.userId = userInfo.id;
 
       this.isConnected = true;
+      this.sessionEstablishedAt = Date.now();
       this.connectionRetries = 0;
 
       connectLogger.info(
         {
-          organizationId: loginResult.organizationId,
-          userId: loginResult.id,
-          serverUrl: loginResult.serverUrl,
+          strategy,
+          organizationId: userInfo.organizationId,
+          userId: userInfo.id,
+          serverUrl: connection.instanceUrl,
         },
         'Conexión con Salesforce establecida exitosamente'
       );
 
       return {
         success: true,
-        organizationId: loginResult.organizationId,
-        userId: loginResult.id,
-        serverUrl: loginResult.serverUrl,
+        strategy,
+        organizationId: userInfo.organizationId,
+        userId: userInfo.id,
+        serverUrl: connection.instanceUrl,
       };
     } catch (error) {
       this.isConnected = false;
@@ -94,167 +165,1084 @@ class SalesforceService {
         return this.connect();
       }
 
-      throw new Error(
+      const connectError = new Error(
         `Failed to connect to Salesforce after ${this.maxRetries} attempts: ${error.message}`
       );
+      // Conservar los códigos originales para clasificar el error (isRecoverableError)
+      connectError.code = error.code;
+      connectError.errorCode = error.errorCode;
+      throw connectError;
+    }
+  }
+
+  /**
+   * Renueva la sesión autenticando de nuevo con la estrategia configurada
+   * Las llamadas concurrentes comparten una única renovación
+   *
+   * @param {string} reason - Motivo de la renovación (para logs)
+   */
+  async refreshSession(reason) {
+    if (!this.refreshPromise) {
+      this.serviceLogger.info(
+        {
+          reason,
+          sessionAgeMs: this.sessionEstablishedAt ? Date.now() - this.sessionEstablishedAt : null,
+        },
+        'Renovando sesión de Salesforce'
+      );
+
+      this.isConnected = false;
+      this.refreshPromise = this.connect().finally(() => {
+        this.refreshPromise = null;
+      });
     }
+
+    await this.refreshPromise;
   }
 
   /**
-   * Verifica si la conexión está activa y reconecta si es necesario
+   * Verifica que haya una sesión activa y la renueva de forma proactiva
+   * cuando supera SF_SESSION_MAX_AGE_MINUTES (sin consultas de prueba a la API)
    */
   async ensureConnection() {
     if (!this.isConnected || !this.connection) {
-      await this.connect();
+      await this.refreshSession('not_connected');
+      return;
     }
 
-    // Test de conectividad simple
+    if (Date.now() - this.sessionEstablishedAt >= this.sessionMaxAgeMs) {
+      await this.refreshSession('session_age');
+    }
+  }
+
+  /**
+   * Ejecuta una llamada a la API asegurando la sesión; si Salesforce responde
+   * INVALID_SESSION_ID renueva la sesión y reintenta la llamada una sola vez
+   *
+   * @param {Function} apiCall - Llamada que usa this.connection
+   * @returns {Promise<*>} Resultado de la llamada
+   */
+  async withSession(apiCall) {
+    await this.ensureConnection();
+
     try {
-      await this.connection.query('SELECT Id FROM Organization LIMIT 1');
+      return await apiCall();
     } catch (error) {
-      this.serviceLogger.warn('Conexión perdida, reconectando...');
-      this.isConnected = false;
-      await this.connect();
+      if (!isSessionExpiredError(error)) {
+        throw error;
+      }
+
+      this.serviceLogger.warn('Sesión de Salesforce expirada (INVALID_SESSION_ID), reintentando');
+      await this.refreshSession('invalid_session');
+
+      return apiCall();
     }
   }
 
   /**
-   * Crea una nueva Opportunity en Salesforce
+   * Crea o actualiza una Opportunity con un único upsert por External ID
+   * Salesforce decide si el registro existe, evitando la búsqueda previa y la carrera
+   * entre webhooks concurrentes de la misma propuesta
    *
-   * @param {Object} opportunityData - Datos de la opportunity
+   * Con unidad de trabajo el upsert se registra para el commit sin consultar Salesforce:
+   * salesforceId es el Id ya conocido de la Opportunity (options.salesforceId) o la referencia
+   * '@{opportunity.id}', y operation queda 'pending'
+   *
+   * @param {Object} opportunityData - Datos de la opportunity (incluye Prolibu_External_Id__c)
    * @param {string} traceId - ID de trazabilidad
-   * @returns {Promise<Object>} Resultado de la creación
+   * @param {Object} [options] - { unitOfWork, salesforceId } para acumular la escritura
+   * @returns {Promise<Object>} Resultado con operation 'created', 'updated' o 'pending'
    */
-  async createOpportunity(opportunityData, traceId) {
-    const createLogger = this.serviceLogger.child({
-      operation: 'createOpportunity',
+  async upsertOpportunity(opportunityData, traceId, { unitOfWork, salesforceId } = {}) {
+    const upsertLogger = this.serviceLogger.child({
+      operation: 'upsertOpportunity',
       traceId,
       prolibuId: opportunityData.Prolibu_External_Id__c,
     });
 
-    try {
-      await this.ensureConnection();
+    if (unitOfWork) {
+      const reference = unitOfWork.upsert(
+        'Opportunity',
+        EXTERNAL_ID_FIELD,
+        withSyncOrigin(opportunityData),
+        'opportunity'
+      );
+
+      upsertLogger.debug(
+        { salesforceId, fields: Object.keys(opportunityData) },
+        'Upsert de la Opportunity registrado en la unidad de trabajo'
+      );
+
+      return {
+        success: true,
+        salesforceId: salesforceId || reference,
+        operation: 'pending',
+        opportunityData,
+      };
+    }
 
-      createLogger.info(
+    try {
+      upsertLogger.info(
         {
           opportunityName: opportunityData.Name,
           stage: opportunityData.StageName,
           amount: opportunityData.Amount,
         },
-        'Creando Opportunity en Salesforce'
+        'Sincronizando Opportunity en Salesforce (upsert)'
       );
 
-      // Verificar si ya existe una opportunity con este External ID
-      const existingOpportunity = await this.connection.sobject('Opportunity').findOne({
-        Prolibu_External_Id__c: opportunityData.Prolibu_External_Id__c,
-      });
+      const [result] = assertSaveResults(
+        await this.withSession(() =>
+          this.connection
+            .sobject('Opportunity')
+            .upsert(withSyncOrigin(opportunityData), EXTERNAL_ID_FIELD)
+        ),
+        'upsert'
+      );
 
-      if (existingOpportunity) {
-        createLogger.warn(
-          { existingSalesforceId: existingOpportunity.Id },
-          'Opportunity ya existe, actualizando en lugar de crear'
+      // Versiones de API anteriores a la 46.0 responden 204 sin cuerpo a un upsert que actualiza
+      let salesforceId = result.id;
+      if (!salesforceId) {
+        const existingOpportunity = await this.withSession(() =>
+          this.connection
+            .sobject('Opportunity')
+            .findOne({ [EXTERNAL_ID_FIELD]: opportunityData[EXTERNAL_ID_FIELD] }, ['Id'])
         );
-        return this.updateOpportunity(opportunityData, traceId);
+        salesforceId = existingOpportunity?.Id;
       }
 
-      // Crear nueva opportunity
-      const result = await this.connection.sobject('Opportunity').create(opportunityData);
+      const operation = result.created ? 'created' : 'updated';
 
-      if (!result.success) {
-        throw new Error(`Salesforce creation failed: ${JSON.stringify(result.errors)}`);
-      }
-
-      createLogger.info(
+      upsertLogger.info(
         {
-          salesforceId: result.id,
-          opportunityName: opportunityData.Name,
+          salesforceId,
+          operation,
+          fields: Object.keys(opportunityData),
         },
-        'Opportunity creada exitosamente en Salesforce'
+        `Opportunity ${operation === 'created' ? 'creada' : 'actualizada'} exitosamente en Salesforce`
       );
 
       return {
         success: true,
-        salesforceId: result.id,
-        operation: 'created',
+        salesforceId,
+        operation,
         opportunityData,
       };
     } catch (error) {
-      createLogger.error(
+      upsertLogger.error(
         {
           error: error.message,
           opportunityData,
         },
-        'Error creando Opportunity en Salesforce'
+        'Error sincronizando Opportunity en Salesforce'
       );
 
       throw error;
     }
   }
 
+  /**
+   * Crea una nueva Opportunity en Salesforce
+   * Si ya existe una con el mismo External ID se actualiza (upsert)
+   *
+   * @param {Object} opportunityData - Datos de la opportunity
+   * @param {string} traceId - ID de trazabilidad
+   * @param {Object} [options] - { unitOfWork } para acumular la escritura
+   * @returns {Promise<Object>} Resultado de la creación
+   */
+  async createOpportunity(opportunityData, traceId, options) {
+    return this.upsertOpportunity(opportunityData, traceId, options);
+  }
+
   /**
    * Actualiza una Opportunity existente en Salesforce
+   * Si no existe una con el mismo External ID se crea (upsert)
    *
    * @param {Object} opportunityData - Datos actualizados
    * @param {string} traceId - ID de trazabilidad
+   * @param {Object} [options] - { unitOfWork, salesforceId } para acumular la escritura
    * @returns {Promise<Object>} Resultado de la actualización
    */
-  async updateOpportunity(opportunityData, traceId) {
-    const updateLogger = this.serviceLogger.child({
-      operation: 'updateOpportunity',
+  async updateOpportunity(opportunityData, traceId, options) {
+    return this.upsertOpportunity(opportunityData, traceId, options);
+  }
+
+  /**
+   * Obtiene la configuración de monedas de la org (cacheada por proceso)
+   * La org es multimoneda si Opportunity tiene el campo CurrencyIsoCode
+   *
+   * @returns {Promise<Object>} { multiCurrency, corporateCurrency, activeCurrencies }
+   */
+  async getCurrencySettings() {
+    if (!this.currencySettings) {
+      const describe = await this.withSession(() =>
+        this.connection.sobject('Opportunity').describe()
+      );
+      const multiCurrency = describe.fields.some(field => field.name === 'CurrencyIsoCode');
+
+      if (multiCurrency) {
+        const currencies = await this.withSession(() =>
+          this.connection.query(
+            'SELECT IsoCode, IsCorporate FROM CurrencyType WHERE IsActive = true'
+          )
+        );
+        const corporate = currencies.records.find(record => record.IsCorporate);
+
+        this.currencySettings = {
+          multiCurrency,
+          corporateCurrency: corporate?.IsoCode,
+          activeCurrencies: currencies.records.map(record => record.IsoCode),
+        };
+      } else {
+        const organization = await this.withSession(() =>
+          this.connection.query('SELECT DefaultCurrencyIsoCode FROM Organization LIMIT 1')
+        );
+        const corporateCurrency = organization.records[0]?.DefaultCurrencyIsoCode;
+
+        this.currencySettings = {
+          multiCurrency,
+          corporateCurrency,
+          activeCurrencies: corporateCurrency ? [corporateCurrency] : [],
+        };
+      }
+    }
+
+    return this.currencySettings;
+  }
+
+  /**
+   * Obtiene el Id del catálogo de precios a usar para las líneas de producto
+   * SF_PRICEBOOK_ID si está configurado; si no, el catálogo estándar de la org
+   *
+   * @returns {Promise<string>} Id del Pricebook2
+   */
+  async getPricebookId() {
+    if (config.SF_PRICEBOOK_ID) {
+      return config.SF_PRICEBOOK_ID;
+    }
+
+    return this.getStandardPricebookId();
+  }
+
+  async getStandardPricebookId() {
+    if (!this.standardPricebookId) {
+      const result = await this.withSession(() =>
+        this.connection.query('SELECT Id FROM Pricebook2 WHERE IsStandard = true LIMIT 1')
+      );
+
+      if (!result.records[0]) {
+        throw new Error('Salesforce standard pricebook not found');
+      }
+
+      this.standardPricebookId = result.records[0].Id;
+    }
+
+    return this.standardPricebookId;
+  }
+
+  /**
+   * Busca (o crea) la PricebookEntry de cada producto en el catálogo configurado
+   * Los productos se identifican por ProductCode o, si no traen código, por nombre;
+   * los que no existen se crean como Product2 con su precio estándar
+   *
+   * @param {string} pricebookId - Catálogo de precios de la Opportunity
+   * @param {Object[]} products - Líneas de producto validadas
+   * @param {Object} syncLogger - Logger de la operación
+   * @param {string} [currencyIsoCode] - Moneda de las entradas (solo en orgs multimoneda)
+   * @returns {Promise<Map<string, string>>} PricebookEntryId por productKey
+   */
+  async resolvePricebookEntries(pricebookId, products, syncLogger, currencyIsoCode) {
+    const entries = await this.withSession(() =>
+      this.connection.query(
+        'SELECT Id, IsActive, Product2Id, Product2.ProductCode, Product2.Name FROM PricebookEntry ' +
+          `WHERE Pricebook2Id = '${escapeSoql(pricebookId)}' ` +
+          currencyFilter(currencyIsoCode) +
+          `AND (${buildProductFilter(products, 'Product2.')})`
+      )
+    );
+
+    const entryByKey = indexByProductKey(
+      entries.records.map(entry => ({ ...entry.Product2, entry }))
+    );
+    const resolved = new Map();
+    const missing = new Map();
+    const inactive = [];
+
+    products.forEach(product => {
+      const key = productKey(product);
+      const match = entryByKey.get(key);
+
+      if (!match) {
+        missing.set(key, product);
+        return;
+      }
+
+      resolved.set(key, match.entry.Id);
+      if (!match.entry.IsActive && !inactive.includes(match.entry.Id)) {
+        inactive.push(match.entry.Id);
+      }
+    });
+
+    // Reactivar entradas desactivadas para poder usarlas en líneas
+    if (inactive.length > 0) {
+      const results = await this.withSession(() =>
+        this.connection
+          .sobject('PricebookEntry')
+          .update(inactive.map(Id => ({ Id, IsActive: true })))
+      );
+      assertSaveResults(results, 'PricebookEntry activation');
+    }
+
+    if (missing.size === 0) {
+      return resolved;
+    }
+
+    const missingProducts = [...missing.values()];
+    const productIds = await this.resolveProducts(missingProducts, syncLogger);
+
+    // Salesforce exige un precio en el catálogo estándar antes de agregar otro catálogo
+    const standardPricebookId = await this.getStandardPricebookId();
+    if (pricebookId !== standardPricebookId) {
+      await this.ensurePricebookEntries(
+        standardPricebookId,
+        missingProducts,
+        productIds,
+        currencyIsoCode
+      );
+    }
+
+    const createdEntries = await this.ensurePricebookEntries(
+      pricebookId,
+      missingProducts,
+      productIds,
+      currencyIsoCode
+    );
+    createdEntries.forEach((entryId, key) => resolved.set(key, entryId));
+
+    syncLogger.info(
+      { createdEntries: createdEntries.size, pricebookId },
+      'PricebookEntries creadas para productos nuevos'
+    );
+
+    return resolved;
+  }
+
+  /**
+   * Busca los Product2 por código o nombre y crea los que no existan
+   *
+   * @returns {Promise<Map<string, string>>} Product2Id por productKey
+   */
+  async resolveProducts(products, syncLogger) {
+    const existing = await this.withSession(() =>
+      this.connection.query(
+        `SELECT Id, ProductCode, Name FROM Product2 WHERE ${buildProductFilter(products)}`
+      )
+    );
+
+    const productByKey = indexByProductKey(existing.records);
+    const productIds = new Map();
+    const toCreate = [];
+
+    products.forEach(product => {
+      const match = productByKey.get(productKey(product));
+      if (match) {
+        productIds.set(productKey(product), match.Id);
+      } else {
+        toCreate.push(product);
+      }
+    });
+
+    if (toCreate.length > 0) {
+      const results = await this.withSession(() =>
+        this.connection.sobject('Product2').create(
+          toCreate.map(product => ({
+            Name: product.name,
+            ProductCode: product.code,
+            IsActive: true,
+          }))
+        )
+      );
+
+      assertSaveResults(results, 'Product2 creation').forEach((result, index) => {
+        productIds.set(productKey(toCreate[index]), result.id);
+      });
+
+      syncLogger.info({ createdProducts: toCreate.length }, 'Productos creados en Salesforce');
+    }
+
+    return productIds;
+  }
+
+  /**
+   * Crea en el catálogo las PricebookEntries que falten para los productos dados
+   * En orgs multimoneda cada moneda tiene su propia entrada por producto
+   *
+   * @returns {Promise<Map<string, string>>} PricebookEntryId por productKey
+   */
+  async ensurePricebookEntries(pricebookId, products, productIds, currencyIsoCode) {
+    const ids = [...new Set(products.map(product => productIds.get(productKey(product))))];
+
+    const existing = await this.withSession(() =>
+      this.connection.query(
+        'SELECT Id, Product2Id FROM PricebookEntry ' +
+          `WHERE Pricebook2Id = '${escapeSoql(pricebookId)}' ` +
+          currencyFilter(currencyIsoCode) +
+          `AND Product2Id IN (${ids.map(id => `'${escapeSoql(id)}'`).join(', ')})`
+      )
+    );
+
+    const entryByProductId = new Map(existing.records.map(entry => [entry.Product2Id, entry.Id]));
+    const entryIds = new Map();
+    const toCreate = [];
+
+    products.forEach(product => {
+      const key = productKey(product);
+      const productId = productIds.get(key);
+
+      if (entryByProductId.has(productId)) {
+        entryIds.set(key, entryByProductId.get(productId));
+      } else if (!toCreate.some(pending => pending.key === key)) {
+        toCreate.push({ key, productId, unitPrice: product.unitPrice });
+      }
+    });
+
+    if (toCreate.length > 0) {
+      const results = await this.withSession(() =>
+        this.connection.sobject('PricebookEntry').create(
+          toCreate.map(pending => ({
+            Pricebook2Id: pricebookId,
+            Product2Id: pending.productId,
+            UnitPrice: pending.unitPrice,
+            IsActive: true,
+            ...(currencyIsoCode && { CurrencyIsoCode: currencyIsoCode }),
+          }))
+        )
+      );
+
+      assertSaveResults(results, 'PricebookEntry creation').forEach((result, index) => {
+        entryIds.set(toCreate[index].key, result.id);
+      });
+    }
+
+    return entryIds;
+  }
+
+  /**
+   * Reconcilia las líneas de producto de un registro padre (Opportunity o Quote)
+   * Crea, actualiza y elimina líneas para que coincidan con los productos recibidos
+   *
+   * @param {string} lineObject - Objeto de las líneas (OpportunityLineItem o QuoteLineItem)
+   * @param {string} parentField - Campo que apunta al padre (OpportunityId o QuoteId)
+   * @param {string} parentId - Id del registro padre
+   * @param {Object[]} products - Líneas de producto validadas (vacío elimina todas)
+   * @param {Object} syncLogger - Logger de la operación
+   * @param {string} [currencyIsoCode] - Moneda de las PricebookEntries (orgs multimoneda)
+   * @param {Object} [unitOfWork] - Unidad de trabajo donde registrar las escrituras de líneas
+   * @returns {Promise<Object>} Conteo de líneas { created, updated, deleted, unchanged }
+   */
+  async reconcileLineItems(
+    lineObject,
+    parentField,
+    parentId,
+    products,
+    syncLogger,
+    currencyIsoCode,
+    unitOfWork = null
+  ) {
+    // Un padre pendiente de crear (referencia de la unidad de trabajo) aún no tiene líneas
+    let existingLines = [];
+    if (!isReference(parentId)) {
+      const existing = await this.withSession(() =>
+        this.connection.query(
+          'SELECT Id, PricebookEntryId, Quantity, UnitPrice, Description ' +
+            `FROM ${lineObject} WHERE ${parentField} = '${escapeSoql(parentId)}'`
+        )
+      );
+      existingLines = existing.records;
+    }
+
+    let desired = [];
+    if (products.length > 0) {
+      const pricebookId = await this.getPricebookId();
+      const entries = await this.resolvePricebookEntries(
+        pricebookId,
+        products,
+        syncLogger,
+        currencyIsoCode
+      );
+
+      desired = products.map(product => ({
+        PricebookEntryId: entries.get(productKey(product)),
+        Quantity: product.quantity,
+        UnitPrice: product.unitPrice,
+        Description: product.description || null,
+      }));
+    }
+
+    const plan = planLineItemChanges(existingLines, desired);
+
+    if (unitOfWork) {
+      plan.toDelete.forEach(id => unitOfWork.destroy(lineObject, id));
+      plan.toUpdate.forEach(line => unitOfWork.update(lineObject, line));
+      plan.toCreate.forEach(line =>
+        unitOfWork.create(lineObject, { ...line, [parentField]: parentId })
+      );
+    } else {
+      await this.saveLineItems(lineObject, parentField, parentId, plan);
+    }
+
+    return {
+      created: plan.toCreate.length,
+      updated: plan.toUpdate.length,
+      deleted: plan.toDelete.length,
+      unchanged: plan.unchanged,
+    };
+  }
+
+  /**
+   * Aplica el plan de líneas de producto con llamadas DML por lotes
+   *
+   * @param {string} lineObject - Objeto de las líneas
+   * @param {string} parentField - Campo que apunta al padre
+   * @param {string} parentId - Id del registro padre
+   * @param {Object} plan - Resultado de planLineItemChanges
+   */
+  async saveLineItems(lineObject, parentField, parentId, plan) {
+    if (plan.toDelete.length > 0) {
+      const results = await this.withSession(() =>
+        this.connection.sobject(lineObject).destroy(plan.toDelete)
+      );
+      assertSaveResults(results, `${lineObject} deletion`);
+    }
+
+    if (plan.toUpdate.length > 0) {
+      const results = await this.withSession(() =>
+        this.connection.sobject(lineObject).update(plan.toUpdate)
+      );
+      assertSaveResults(results, `${lineObject} update`);
+    }
+
+    if (plan.toCreate.length > 0) {
+      const results = await this.withSession(() =>
+        this.connection
+          .sobject(lineObject)
+          .create(plan.toCreate.map(line => ({ ...line, [parentField]: parentId })))
+      );
+      assertSaveResults(results, `${lineObject} creation`);
+    }
+  }
+
+  /**
+   * Refleja los productos de la propuesta como OpportunityLineItems
+   * El Amount de la Opportunity lo calcula Salesforce sumando las líneas
+   *
+   * @param {string} opportunityId - Id de la Opportunity
+   * @param {Object[]} products - Líneas de producto validadas (vacío elimina todas)
+   * @param {string} traceId - ID de trazabilidad
+   * @param {Object} [options] - { currencyIsoCode } de la Opportunity en orgs multimoneda y
+   *   { unitOfWork } para acumular las escrituras
+   * @returns {Promise<Object>} Conteo de líneas { created, updated, deleted, unchanged }
+   */
+  async syncOpportunityLineItems(opportunityId, products, traceId, options = {}) {
+    const syncLogger = this.serviceLogger.child({
+      operation: 'syncOpportunityLineItems',
       traceId,
-      prolibuId: opportunityData.Prolibu_External_Id__c,
+      salesforceId: opportunityId,
     });
 
     try {
-      await this.ensureConnection();
+      const summary = await this.reconcileLineItems(
+        'OpportunityLineItem',
+        'OpportunityId',
+        opportunityId,
+        products,
+        syncLogger,
+        options.currencyIsoCode,
+        options.unitOfWork
+      );
 
-      updateLogger.info('Actualizando Opportunity en Salesforce');
+      syncLogger.info(summary, 'Líneas de producto sincronizadas en Salesforce');
 
-      // Buscar opportunity por External ID
-      const existingOpportunity = await this.connection.sobject('Opportunity').findOne({
-        Prolibu_External_Id__c: opportunityData.Prolibu_External_Id__c,
+      return summary;
+    } catch (error) {
+      syncLogger.error(
+        {
+          error: error.message,
+          products: products.length,
+        },
+        'Error sincronizando líneas de producto en Salesforce'
+      );
+
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene las Quotes de la Opportunity creadas desde versiones de Prolibu
+   *
+   * @param {string} opportunityId - Id de la Opportunity
+   * @param {string} versionField - Campo de Quote con el id de la versión
+   * @returns {Promise<Object>} { quotes: Map<versionId, quoteId>, syncedQuoteId }
+   */
+  async getOpportunityQuotes(opportunityId, versionField) {
+    const quotes = await this.withSession(() =>
+      this.connection.query(
+        `SELECT Id, ${versionField} FROM Quote ` +
+          `WHERE OpportunityId = '${escapeSoql(opportunityId)}' AND ${versionField} != null`
+      )
+    );
+    const opportunity = await this.withSession(() =>
+      this.connection.sobject('Opportunity').findOne({ Id: opportunityId }, ['SyncedQuoteId'])
+    );
+
+    return {
+      quotes: new Map(quotes.records.map(quote => [quote[versionField], quote.Id])),
+      syncedQuoteId: opportunity?.SyncedQuoteId || null,
+    };
+  }
+
+  /**
+   * Crea o actualiza Quotes de la Opportunity
+   *
+   * @param {Object[]} records - Quotes a guardar (con Id las existentes)
+   * @returns {Promise<string[]>} Ids de las Quotes, en el mismo orden
+   */
+  async saveQuotes(records) {
+    const toCreate = records.filter(record => !record.Id);
+    const toUpdate = records.filter(record => record.Id);
+    const createdIds = [];
+
+    if (toCreate.length > 0) {
+      const results = await this.withSession(() =>
+        this.connection.sobject('Quote').create(toCreate)
+      );
+      assertSaveResults(results, 'Quote creation').forEach(result => createdIds.push(result.id));
+    }
+
+    if (toUpdate.length > 0) {
+      const results = await this.withSession(() =>
+        this.connection.sobject('Quote').update(toUpdate)
+      );
+      assertSaveResults(results, 'Quote update');
+    }
+
+    return records.map(record => record.Id || createdIds.shift());
+  }
+
+  /**
+   * Refleja los productos de la versión de la propuesta como QuoteLineItems
+   *
+   * @param {string} quoteId - Id de la Quote
+   * @param {Object[]} products - Líneas de producto validadas (vacío elimina todas)
+   * @param {string} traceId - ID de trazabilidad
+   * @param {Object} [options] - { currencyIsoCode } de la Opportunity en orgs multimoneda
+   * @returns {Promise<Object>} Conteo de líneas { created, updated, deleted, unchanged }
+   */
+  async syncQuoteLineItems(quoteId, products, traceId, options = {}) {
+    const syncLogger = this.serviceLogger.child({
+      operation: 'syncQuoteLineItems',
+      traceId,
+      quoteId,
+    });
+
+    const summary = await this.reconcileLineItems(
+      'QuoteLineItem',
+      'QuoteId',
+      quoteId,
+      products,
+      syncLogger,
+      options.currencyIsoCode
+    );
+
+    syncLogger.info(summary, 'Líneas de la Quote sincronizadas en Salesforce');
+
+    return summary;
+  }
+
+  /**
+   * Marca la Quote como sincronizada con la Opportunity
+   * Salesforce copia entonces sus líneas a la Opportunity y las mantiene alineadas
+   *
+   * @param {string} opportunityId - Id de la Opportunity
+   * @param {string} quoteId - Id de la Quote
+   */
+  async setSyncedQuote(opportunityId, quoteId) {
+    const result = await this.withSession(() =>
+      this.connection
+        .sobject('Opportunity')
+        .update(withSyncOrigin({ Id: opportunityId, SyncedQuoteId: quoteId }))
+    );
+    assertSaveResults(result, 'Opportunity quote sync');
+  }
+
+  /**
+   * Busca el User activo de Salesforce con el email dado
+   *
+   * @param {string} email - Email del usuario
+   * @returns {Promise<string|null>} Id del User o null si no existe
+   */
+  async findActiveUserIdByEmail(email) {
+    const user = await this.withSession(() =>
+      this.connection.sobject('User').findOne({ Email: email, IsActive: true }, ['Id'])
+    );
+
+    return user?.Id || null;
+  }
+
+  /**
+   * Obtiene las etapas activas de Opportunity configuradas en la org
+   * ApiName es el valor que se guarda en StageName (MasterLabel puede estar traducido)
+   *
+   * @returns {Promise<Object[]>} Etapas { name, label, isClosed, isWon, probability }
+   */
+  async getOpportunityStages() {
+    const result = await this.withSession(() =>
+      this.connection.query(
+        'SELECT ApiName, MasterLabel, IsClosed, IsWon, DefaultProbability FROM OpportunityStage ' +
+          'WHERE IsActive = true ORDER BY SortOrder'
+      )
+    );
+
+    return result.records.map(record => ({
+      name: record.ApiName || record.MasterLabel,
+      label: record.MasterLabel,
+      isClosed: record.IsClosed,
+      isWon: record.IsWon,
+      probability: record.DefaultProbability,
+    }));
+  }
+
+  /**
+   * Obtiene los tipos de registro activos de Opportunity con las etapas de su proceso de ventas
+   * Las etapas de cada proceso se leen de los valores de StageName por tipo de registro (UI API)
+   *
+   * @returns {Promise<Object[]>} Tipos de registro { id, developerName, name, stages }
+   */
+  async getOpportunityRecordTypes() {
+    const records = await this.withSession(() =>
+      this.connection
+        .sobject('RecordType')
+        .find({ SobjectType: 'Opportunity', IsActive: true }, ['Id', 'DeveloperName', 'Name'])
+    );
+
+    const recordTypes = [];
+    for (const record of records) {
+      const picklist = await this.withSession(() =>
+        this.connection.request(
+          `/ui-api/object-info/Opportunity/picklist-values/${record.Id}/StageName`
+        )
+      );
+
+      recordTypes.push({
+        id: record.Id,
+        developerName: record.DeveloperName,
+        name: record.Name,
+        stages: picklist.values.map(value => value.value),
       });
+    }
 
-      if (!existingOpportunity) {
-        updateLogger.warn('Opportunity no encontrada, creando nueva');
-        return this.createOpportunity(opportunityData, traceId);
+    return recordTypes;
+  }
+
+  /**
+   * Obtiene el Id de un tipo de registro de Opportunity (cacheado por proceso)
+   *
+   * @param {string} recordType - DeveloperName o Id (012...) del tipo de registro
+   * @returns {Promise<string>} Id del RecordType
+   * @throws {Error} Si el tipo de registro no existe o está inactivo
+   */
+  async getRecordTypeId(recordType) {
+    if (/^012[A-Za-z0-9]{12}([A-Za-z0-9]{3})?$/.test(recordType)) {
+      return recordType;
+    }
+
+    if (!this.recordTypeIds.has(recordType)) {
+      const record = await this.withSession(() =>
+        this.connection
+          .sobject('RecordType')
+          .findOne({ SobjectType: 'Opportunity', DeveloperName: recordType, IsActive: true }, [
+            'Id',
+          ])
+      );
+
+      if (!record) {
+        throw new Error(`Opportunity record type '${recordType}' not found or inactive`);
       }
 
-      // Actualizar opportunity existente
-      const updateData = { ...opportunityData, Id: existingOpportunity.Id };
-      const result = await this.connection.sobject('Opportunity').update(updateData);
+      this.recordTypeIds.set(recordType, record.Id);
+    }
+
+    return this.recordTypeIds.get(recordType);
+  }
+
+  /**
+   * Busca el primer registro que cumpla alguno de los criterios, en orden
+   *
+   * @param {Object[]} criteria - Criterios { rule, sobject, conditions, field }
+   * @returns {Promise<Object|null>} { id, rule } del primer criterio con resultado
+   */
+  async findByCriteria(criteria) {
+    for (const criterion of criteria) {
+      const record = await this.withSession(() =>
+        this.connection.sobject(criterion.sobject).findOne(criterion.conditions, [criterion.field])
+      );
 
-      if (!result.success) {
-        throw new Error(`Salesforce update failed: ${JSON.stringify(result.errors)}`);
+      if (record?.[criterion.field]) {
+        return { id: record[criterion.field], rule: criterion.rule };
       }
+    }
 
-      updateLogger.info(
-        {
-          salesforceId: existingOpportunity.Id,
-          updatedFields: Object.keys(opportunityData),
-        },
-        'Opportunity actualizada exitosamente en Salesforce'
+    return null;
+  }
+
+  /**
+   * Resuelve el cliente de la propuesta como Account y Contact principal
+   * Busca con las reglas SF_ACCOUNT_MATCH_RULES / SF_CONTACT_MATCH_RULES y, si
+   * SF_CREATE_MISSING_CLIENTS está activo, crea los registros que no existan
+   *
+   * Con unidad de trabajo los registros a crear se registran para el commit y sus Ids son
+   * referencias ('@{Account_1.id}') que la Opportunity y el contacto principal pueden usar
+   *
+   * @param {Object} client - Cliente { id, name, contact: { id, firstName, lastName, email, phone } }
+   * @param {string} traceId - ID de trazabilidad
+   * @param {Object} [options] - { unitOfWork } para acumular las creaciones
+   * @returns {Promise<Object>} { accountId, contactId, account, contact } con cómo se resolvió cada uno
+   */
+  async resolveClient(client, traceId, { unitOfWork } = {}) {
+    const clientLogger = this.serviceLogger.child({
+      operation: 'resolveClient',
+      traceId,
+    });
+
+    const createMissing = config.SF_CREATE_MISSING_CLIENTS !== false;
+    const accountField = config.SF_ACCOUNT_EXTERNAL_ID_FIELD;
+    const contactField = config.SF_CONTACT_EXTERNAL_ID_FIELD;
+
+    try {
+      let accountId = null;
+      let account = 'not_found';
+
+      const accountMatch = await this.findByCriteria(
+        accountCriteria(client, config.SF_ACCOUNT_MATCH_RULES || CLIENT_MATCH_RULES, accountField)
       );
+      const accountRecord = buildAccountRecord(client, accountField);
+
+      if (accountMatch) {
+        accountId = accountMatch.id;
+        account = `matched_by_${accountMatch.rule}`;
+      } else if (createMissing && accountRecord && unitOfWork) {
+        accountId = unitOfWork.create('Account', accountRecord);
+        account = 'created';
+      } else if (createMissing && accountRecord) {
+        const [result] = assertSaveResults(
+          await this.withSession(() => this.connection.sobject('Account').create(accountRecord)),
+          'Account creation'
+        );
+        accountId = result.id;
+        account = 'created';
+      }
 
-      return {
-        success: true,
-        salesforceId: existingOpportunity.Id,
-        operation: 'updated',
-        opportunityData,
-      };
+      let contactId = null;
+      let contact = 'not_found';
+
+      if (client.contact) {
+        // Un Account pendiente de crear aún no tiene contactos: se omite la regla por nombre
+        const contactMatch = await this.findByCriteria(
+          contactCriteria(
+            client.contact,
+            accountId,
+            config.SF_CONTACT_MATCH_RULES || CLIENT_MATCH_RULES,
+            contactField
+          ).filter(criterion => !isReference(criterion.conditions.AccountId))
+        );
+        const contactRecord = buildContactRecord(client.contact, accountId, contactField);
+
+        if (contactMatch) {
+          contactId = contactMatch.id;
+          contact = `matched_by_${contactMatch.rule}`;
+        } else if (createMissing && contactRecord && unitOfWork) {
+          contactId = unitOfWork.create('Contact', contactRecord);
+          contact = 'created';
+        } else if (createMissing && contactRecord) {
+          const [result] = assertSaveResults(
+            await this.withSession(() => this.connection.sobject('Contact').create(contactRecord)),
+            'Contact creation'
+          );
+          contactId = result.id;
+          contact = 'created';
+        }
+      }
+
+      clientLogger.info(
+        { accountId, account, contactId, contact },
+        'Cliente resuelto como Account/Contact en Salesforce'
+      );
+
+      return { accountId, contactId, account, contact };
     } catch (error) {
-      updateLogger.error(
+      clientLogger.error(
         {
           error: error.message,
-          opportunityData,
+          clientId: client.id,
         },
-        'Error actualizando Opportunity en Salesforce'
+        'Error resolviendo Account/Contact en Salesforce'
       );
 
       throw error;
     }
   }
 
+  /**
+   * Asegura que el Contact sea el contacto principal de la Opportunity
+   * (OpportunityContactRole con IsPrimary y el rol SF_CONTACT_ROLE)
+   *
+   * @param {string} opportunityId - Id de la Opportunity (o referencia de la unidad de trabajo)
+   * @param {string} contactId - Id del Contact (o referencia de la unidad de trabajo)
+   * @param {string} traceId - ID de trazabilidad
+   * @param {Object} [options] - { unitOfWork } para acumular la escritura
+   * @returns {Promise<string>} 'created', 'updated' o 'unchanged'
+   */
+  async ensurePrimaryContactRole(opportunityId, contactId, traceId, { unitOfWork } = {}) {
+    const roleLogger = this.serviceLogger.child({
+      operation: 'ensurePrimaryContactRole',
+      traceId,
+      salesforceId: opportunityId,
+      contactId,
+    });
+
+    // Si la Opportunity o el Contact se van a crear, el rol no puede existir todavía
+    let existing = null;
+    if (!isReference(opportunityId) && !isReference(contactId)) {
+      existing = await this.withSession(() =>
+        this.connection
+          .sobject('OpportunityContactRole')
+          .findOne({ OpportunityId: opportunityId, ContactId: contactId }, ['Id', 'IsPrimary'])
+      );
+    }
+
+    if (existing?.IsPrimary) {
+      return 'unchanged';
+    }
+
+    const role = {
+      OpportunityId: opportunityId,
+      ContactId: contactId,
+      Role: config.SF_CONTACT_ROLE || 'Decision Maker',
+      IsPrimary: true,
+    };
+
+    if (unitOfWork && existing) {
+      unitOfWork.update('OpportunityContactRole', { Id: existing.Id, IsPrimary: true });
+      return 'updated';
+    }
+
+    if (unitOfWork) {
+      unitOfWork.create('OpportunityContactRole', role);
+      return 'created';
+    }
+
+    if (existing) {
+      assertSaveResults(
+        await this.withSession(() =>
+          this.connection
+            .sobject('OpportunityContactRole')
+            .update({ Id: existing.Id, IsPrimary: true })
+        ),
+        'OpportunityContactRole update'
+      );
+      roleLogger.info('Contacto marcado como principal de la Opportunity');
+      return 'updated';
+    }
+
+    assertSaveResults(
+      await this.withSession(() => this.connection.sobject('OpportunityContactRole').create(role)),
+      'OpportunityContactRole creation'
+    );
+    roleLogger.info('Contacto principal agregado a la Opportunity');
+    return 'created';
+  }
+
+  /**
+   * Lista los Salesforce Files vinculados a la Opportunity
+   *
+   * @param {string} opportunityId - Id de la Opportunity
+   * @returns {Promise<Map<string, Object>>} Por título: { contentDocumentId, checksum }
+   */
+  async getOpportunityFiles(opportunityId) {
+    const links = await this.withSession(() =>
+      this.connection.query(
+        'SELECT ContentDocumentId, ContentDocument.Title, ' +
+          'ContentDocument.LatestPublishedVersion.Checksum FROM ContentDocumentLink ' +
+          `WHERE LinkedEntityId = '${escapeSoql(opportunityId)}'`
+      )
+    );
+
+    return new Map(
+      links.records.map(link => [
+        link.ContentDocument.Title,
+        {
+          contentDocumentId: link.ContentDocumentId,
+          checksum: link.ContentDocument.LatestPublishedVersion?.Checksum || null,
+        },
+      ])
+    );
+  }
+
+  /**
+   * Sube un archivo como ContentVersion y lo vincula a la Opportunity
+   * Si se indica contentDocumentId se agrega como nueva versión del archivo existente,
+   * que ya está vinculado; si no, se crea el ContentDocumentLink
+   *
+   * @param {string} opportunityId - Id de la Opportunity
+   * @param {Object} file - { title, fileName, content (Buffer), contentDocumentId? }
+   * @param {string} traceId - ID de trazabilidad
+   * @returns {Promise<string>} ContentDocumentId del archivo
+   */
+  async uploadOpportunityFile(opportunityId, file, traceId) {
+    const fileLogger = this.serviceLogger.child({
+      operation: 'uploadOpportunityFile',
+      traceId,
+      salesforceId: opportunityId,
+      title: file.title,
+    });
+
+    const [version] = assertSaveResults(
+      await this.withSession(() =>
+        this.connection.sobject('ContentVersion').create({
+          Title: file.title,
+          PathOnClient: file.fileName,
+          VersionData: file.content.toString('base64'),
+          ...(file.contentDocumentId && { ContentDocumentId: file.contentDocumentId }),
+        })
+      ),
+      'ContentVersion creation'
+    );
+
+    if (file.contentDocumentId) {
+      fileLogger.info({ bytes: file.content.length }, 'Nueva versión del archivo subida');
+      return file.contentDocumentId;
+    }
+
+    const created = await this.withSession(() =>
+      this.connection.sobject('ContentVersion').findOne({ Id: version.id }, ['ContentDocumentId'])
+    );
+
+    assertSaveResults(
+      await this.withSession(() =>
+        this.connection.sobject('ContentDocumentLink').create({
+          ContentDocumentId: created.ContentDocumentId,
+          LinkedEntityId: opportunityId,
+          ShareType: 'V',
+          Visibility: 'AllUsers',
+        })
+      ),
+      'ContentDocumentLink creation'
+    );
+
+    fileLogger.info({ bytes: file.content.length }, 'Archivo subido y vinculado a la Opportunity');
+    return created.ContentDocumentId;
+  }
+
   /**
    * Marca una Opportunity como Closed Lost en Salesforce
    *
@@ -271,14 +1259,14 @@ class SalesforceService {
     });
 
     try {
-      await this.ensureConnection();
-
       deleteLogger.info('Marcando Opportunity como Closed Lost en Salesforce');
 
       // Buscar opportunity por External ID
-      const existingOpportunity = await this.connection.sobject('Opportunity').findOne({
-        Prolibu_External_Id__c: prolibuId,
-      });
+      const existingOpportunity = await this.withSession(() =>
+        this.connection.sobject('Opportunity').findOne({
+          Prolibu_External_Id__c: prolibuId,
+        })
+      );
 
       if (!existingOpportunity) {
         deleteLogger.warn('Opportunity no encontrada en Salesforce');
@@ -302,11 +1290,12 @@ class SalesforceService {
           `${existingOpportunity.Description || ''}\n\nClosed Reason: ${reason}`.trim();
       }
 
-      const result = await this.connection.sobject('Opportunity').update(updateData);
-
-      if (!result.success) {
-        throw new Error(`Salesforce update failed: ${JSON.stringify(result.errors)}`);
-      }
+      assertSaveResults(
+        await this.withSession(() =>
+          this.connection.sobject('Opportunity').update(withSyncOrigin(updateData))
+        ),
+        'update'
+      );
 
       deleteLogger.info(
         {
@@ -351,25 +1340,25 @@ class SalesforceService {
     });
 
     try {
-      await this.ensureConnection();
-
       getLogger.info('Buscando Opportunity en Salesforce por Prolibu ID');
 
-      const opportunity = await this.connection.sobject('Opportunity').findOne(
-        {
-          Prolibu_External_Id__c: prolibuId,
-        },
-        {
-          Id: 1,
-          Name: 1,
-          StageName: 1,
-          Amount: 1,
-          CloseDate: 1,
-          Description: 1,
-          Prolibu_External_Id__c: 1,
-          CreatedDate: 1,
-          LastModifiedDate: 1,
-        }
+      const opportunity = await this.withSession(() =>
+        this.connection.sobject('Opportunity').findOne(
+          {
+            Prolibu_External_Id__c: prolibuId,
+          },
+          {
+            Id: 1,
+            Name: 1,
+            StageName: 1,
+            Amount: 1,
+            CloseDate: 1,
+            Description: 1,
+            Prolibu_External_Id__c: 1,
+            CreatedDate: 1,
+            LastModifiedDate: 1,
+          }
+        )
       );
 
       if (!opportunity) {
@@ -399,6 +1388,99 @@ class SalesforceService {
     }
   }
 
+  /**
+   * Envía las escrituras acumuladas en una sola request Composite (all-or-none)
+   * Si una subrequest falla, Salesforce revierte todas y se lanza SalesforceCompositeError
+   * con el errorCode de la causa raíz y el detalle de cada subrequest
+   *
+   * @param {SalesforceUnitOfWork} unitOfWork - Unidad de trabajo del webhook
+   * @param {string} traceId - ID de trazabilidad
+   * @returns {Promise<Map<string, Object>>} Resultados por reference id: { statusCode, id, created }
+   */
+  async commitUnitOfWork(unitOfWork, traceId) {
+    const commitLogger = this.serviceLogger.child({
+      operation: 'commitUnitOfWork',
+      traceId,
+      subrequests: unitOfWork.size,
+    });
+
+    if (unitOfWork.size === 0) {
+      return unitOfWork.results;
+    }
+
+    try {
+      const response = await this.withSession(() => {
+        const { url, body } = unitOfWork.buildRequest(this.connection.version);
+        return this.connection.requestPost(url, body);
+      });
+      const results = unitOfWork.parseResponse(response);
+
+      commitLogger.info('Escrituras aplicadas en Salesforce con una request Composite');
+
+      return results;
+    } catch (error) {
+      commitLogger.error(
+        {
+          error: error.message,
+          errorCode: error.errorCode,
+          referenceId: error.referenceId,
+          halted: error.halted?.length,
+        },
+        'Error aplicando la request Composite en Salesforce'
+      );
+
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene los valores actuales de algunos campos de una Opportunity por External ID
+   * Base de la detección de cambios con SF_CHANGE_DETECTION=opportunity
+   *
+   * @param {string} prolibuId - ID externo de Prolibu
+   * @param {string[]} fields - Campos a consultar (además de Id)
+   * @returns {Promise<Object|null>} Opportunity con Id y los campos pedidos, o null si no existe
+   */
+  async getOpportunityFields(prolibuId, fields) {
+    const opportunity = await this.withSession(() =>
+      this.connection
+        .sobject('Opportunity')
+        .findOne({ [EXTERNAL_ID_FIELD]: prolibuId }, ['Id', ...fields])
+    );
+
+    return opportunity || null;
+  }
+
+  /**
+   * Id del User con el que se autentica la integración
+   * Sus cambios en Salesforce no se devuelven a Prolibu (prevención de bucles)
+   *
+   * @returns {Promise<string|null>} Id del User
+   */
+  async getIntegrationUserId() {
+    await this.ensureConnection();
+    return this.userId;
+  }
+
+  /**
+   * Obtiene los campos de la Opportunity que usa la sincronización inversa
+   *
+   * @param {string} opportunityId - Id de la Opportunity
+   * @returns {Promise<Object|null>} { Id, StageName, Prolibu_External_Id__c, LastModifiedById }
+   */
+  async getOpportunityById(opportunityId) {
+    return this.withSession(() =>
+      this.connection
+        .sobject('Opportunity')
+        .findOne({ Id: opportunityId }, [
+          'Id',
+          'StageName',
+          'Prolibu_External_Id__c',
+          'LastModifiedById',
+        ])
+    );
+  }
+
   /**
    * Obtiene estadísticas de salud de la conexión con Salesforce
    *
@@ -420,6 +1502,7 @@ class SalesforceService {
         status: 'connected',
         organizationName: orgInfo.records[0]?.Name,
         serverUrl: this.connection.instanceUrl,
+        sessionAgeMs: Date.now() - this.sessionEstablishedAt,
         connectionRetries: this.connectionRetries,
       };
     } catch (error) {
@@ -449,6 +1532,7 @@ class SalesforceService {
 
     this.connection = null;
     this.isConnected = false;
+    this.sessionEstablishedAt = null;
     this.connectionRetries = 0;
   }
 }
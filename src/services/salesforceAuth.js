@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const jsforce = require('jsforce');
+
+/**
+ * Estrategias de autenticación con Salesforce
+ * Se selecciona con SF_AUTH_STRATEGY:
+ *   password            → usuario + contraseña + security token (login SOAP)
+ *   jwt                 → OAuth 2.0 JWT bearer (connected app + llave privada + usuario)
+ *   client_credentials  → OAuth 2.0 client credentials (connected app con usuario de ejecución)
+ */
+
+const DEFAULT_LOGIN_URL = 'https://login.salesforce.com';
+const JWT_BEARER_GRANT = 'urn:ietf:params:oauth:grant-type:jwt-bearer';
+const JWT_EXPIRATION_SECONDS = 180;
+
+function base64Url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+/**
+ * Determina el `aud` del JWT: SF_JWT_AUDIENCE si está configurado, test.salesforce.com
+ * para sandboxes y login.salesforce.com en otro caso
+ *
+ * @param {Object} env - Variables de entorno
+ * @returns {string} Audiencia del JWT
+ */
+function resolveJwtAudience(env) {
+  if (env.SF_JWT_AUDIENCE) {
+    return env.SF_JWT_AUDIENCE;
+  }
+
+  const loginUrl = env.SF_LOGIN_URL || DEFAULT_LOGIN_URL;
+  return /test\.salesforce\.com|\.sandbox\.my\.salesforce\.com/.test(loginUrl)
+    ? 'https://test.salesforce.com'
+    : DEFAULT_LOGIN_URL;
+}
+
+/**
+ * Construye y firma (RS256) la aserción del flujo JWT bearer
+ *
+ * @param {Object} params - Datos de la aserción
+ * @param {string} params.clientId - Consumer key de la connected app
+ * @param {string} params.username - Usuario de Salesforce a impersonar
+ * @param {string} params.audience - Audiencia (login o test.salesforce.com)
+ * @param {string|Buffer} params.privateKey - Llave privada PEM
+ * @param {Function} [params.now] - Reloj inyectable para tests
+ * @returns {string} JWT firmado
+ */
+function createJwtAssertion({ clientId, username, audience, privateKey, now = Date.now }) {
+  const header = base64Url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+  const claims = base64Url(
+    JSON.stringify({
+      iss: clientId,
+      sub: username,
+      aud: audience,
+      exp: Math.floor(now() / 1000) + JWT_EXPIRATION_SECONDS,
+    })
+  );
+
+  const signature = crypto
+    .sign('RSA-SHA256', Buffer.from(`${header}.${claims}`), privateKey)
+    .toString('base64url');
+
+  return `${header}.${claims}.${signature}`;
+}
+
+const strategies = {
+  async password(env) {
+    const connection = new jsforce.Connection({
+      loginUrl: env.SF_LOGIN_URL || DEFAULT_LOGIN_URL,
+    });
+
+    const userInfo = await connection.login(
+      env.SF_USERNAME,
+      env.SF_PASSWORD + (env.SF_TOKEN || '')
+    );
+    return { connection, userInfo };
+  },
+
+  async jwt(env) {
+    const connection = new jsforce.Connection({
+      oauth2: { loginUrl: env.SF_LOGIN_URL || DEFAULT_LOGIN_URL },
+    });
+
+    const assertion = createJwtAssertion({
+      clientId: env.SF_CLIENT_ID,
+      username: env.SF_USERNAME,
+      audience: resolveJwtAudience(env),
+      privateKey: fs.readFileSync(env.SF_PRIVATE_KEY_FILE),
+    });
+
+    const userInfo = await connection.authorize({ grant_type: JWT_BEARER_GRANT, assertion });
+    return { connection, userInfo };
+  },
+
+  async client_credentials(env) {
+    // Las credenciales van en la solicitud del token y no en la configuración oauth2: así
+    // jsforce no intenta renovar con un refresh token que este flujo no emite, y una sesión
+    // expirada llega al servicio como INVALID_SESSION_ID para re-autenticar
+    const connection = new jsforce.Connection({
+      oauth2: { loginUrl: env.SF_LOGIN_URL || DEFAULT_LOGIN_URL },
+    });
+
+    const userInfo = await connection.authorize({
+      grant_type: 'client_credentials',
+      client_id: env.SF_CLIENT_ID,
+      client_secret: env.SF_CLIENT_SECRET,
+    });
+    return { connection, userInfo };
+  },
+};
+
+/**
+ * Autentica con Salesforce usando la estrategia configurada
+ *
+ * @param {Object} [env] - Variables de entorno (por defecto process.env)
+ * @returns {Promise<Object>} { strategy, connection, userInfo: { id, organizationId } }
+ * @throws {Error} Si la estrategia no existe o la autenticación falla
+ */
+async function authenticateSalesforce(env = process.env) {
+  const strategy = env.SF_AUTH_STRATEGY || 'password';
+  const authenticate = strategies[strategy];
+
+  if (!authenticate) {
+    throw new Error(`Estrategia de autenticación de Salesforce no soportada: ${strategy}`);
+  }
+
+  const { connection, userInfo } = await authenticate(env);
+  return { strategy, connection, userInfo };
+}
+
+module.exports = {
+  authenticateSalesforce,
+  createJwtAssertion,
+  resolveJwtAudience,
+  JWT_BEARER_GRANT,
+};
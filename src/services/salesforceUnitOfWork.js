@@ -0,0 +1,250 @@
+/**
+ * Unidad de trabajo para las escrituras de un webhook en Salesforce
+ * Acumula las escrituras dependientes (Account, Contact, Opportunity, líneas, roles) y las envía
+ * en una sola llamada a la Composite API, enlazadas por reference ids y con all-or-none:
+ * si una falla, Salesforce revierte todas
+ *
+ * Hasta 25 subrequests se usa /composite; por encima, /composite/graph (hasta 500 nodos)
+ */
+
+// Límites de la Composite API por request
+const COMPOSITE_MAX_SUBREQUESTS = 25;
+const GRAPH_MAX_NODES = 500;
+
+// Código de las subrequests revertidas por el fallo de otra (allOrNone)
+const PROCESSING_HALTED = 'PROCESSING_HALTED';
+
+const REFERENCE_PATTERN = /^@\{([A-Za-z][A-Za-z0-9_]*)\.id\}$/;
+
+/**
+ * Indica si un valor es una referencia a un registro pendiente (ej. '@{opportunity.id}')
+ */
+function isReference(value) {
+  return typeof value === 'string' && REFERENCE_PATTERN.test(value);
+}
+
+/**
+ * Error de una request Composite: conserva el errorCode de la causa raíz para clasificarlo
+ * (handleSalesforceError, isRecoverableError) y el detalle de cada subrequest que falló
+ */
+class SalesforceCompositeError extends Error {
+  constructor(message, { referenceId, errorCode, subrequests = [], halted = [] } = {}) {
+    super(message);
+    this.name = 'SalesforceCompositeError';
+    this.referenceId = referenceId;
+    this.errorCode = errorCode;
+    this.subrequests = subrequests;
+    this.halted = halted;
+  }
+}
+
+class SalesforceUnitOfWork {
+  constructor({ allOrNone = true } = {}) {
+    this.allOrNone = allOrNone;
+    this.subrequests = [];
+    this.results = new Map();
+    this.counters = new Map();
+  }
+
+  get size() {
+    return this.subrequests.length;
+  }
+
+  /**
+   * Genera un reference id único por objeto (Account_1, Account_2...)
+   */
+  nextReferenceId(sobject) {
+    const count = (this.counters.get(sobject) || 0) + 1;
+    this.counters.set(sobject, count);
+    return `${sobject}_${count}`;
+  }
+
+  add(subrequest) {
+    if (this.subrequests.some(existing => existing.referenceId === subrequest.referenceId)) {
+      throw new Error(`Reference id duplicado en la unidad de trabajo: ${subrequest.referenceId}`);
+    }
+
+    this.subrequests.push(subrequest);
+    return `@{${subrequest.referenceId}.id}`;
+  }
+
+  /**
+   * Registra la creación de un registro
+   *
+   * @param {string} sobject - Objeto de Salesforce
+   * @param {Object} record - Campos (pueden contener referencias)
+   * @param {string} [referenceId] - Reference id; por defecto se genera uno
+   * @returns {string} Referencia al Id del registro ('@{referenceId.id}')
+   */
+  create(sobject, record, referenceId = this.nextReferenceId(sobject)) {
+    return this.add({ referenceId, method: 'POST', path: `sobjects/${sobject}`, body: record });
+  }
+
+  /**
+   * Registra la actualización de un registro existente o pendiente (record.Id)
+   *
+   * @param {string} sobject - Objeto de Salesforce
+   * @param {Object} record - Campos con Id
+   * @returns {string} Referencia a la subrequest
+   */
+  update(sobject, record) {
+    const { Id, ...fields } = record;
+
+    return this.add({
+      referenceId: this.nextReferenceId(sobject),
+      method: 'PATCH',
+      path: `sobjects/${sobject}/${Id}`,
+      body: fields,
+    });
+  }
+
+  /**
+   * Registra un upsert por External ID
+   *
+   * @param {string} sobject - Objeto de Salesforce
+   * @param {string} externalIdField - Campo External ID
+   * @param {Object} record - Campos, incluido el External ID
+   * @param {string} [referenceId] - Reference id; por defecto se genera uno
+   * @returns {string} Referencia al Id del registro
+   */
+  upsert(sobject, externalIdField, record, referenceId = this.nextReferenceId(sobject)) {
+    const { [externalIdField]: externalId, ...fields } = record;
+
+    return this.add({
+      referenceId,
+      method: 'PATCH',
+      path: `sobjects/${sobject}/${externalIdField}/${encodeURIComponent(externalId)}`,
+      body: fields,
+    });
+  }
+
+  /**
+   * Registra la eliminación de un registro
+   *
+   * @param {string} sobject - Objeto de Salesforce
+   * @param {string} id - Id del registro
+   * @returns {string} Referencia a la subrequest
+   */
+  destroy(sobject, id) {
+    return this.add({
+      referenceId: this.nextReferenceId(sobject),
+      method: 'DELETE',
+      path: `sobjects/${sobject}/${id}`,
+    });
+  }
+
+  /**
+   * Construye la request Composite (o Composite Graph si supera 25 subrequests)
+   *
+   * @param {string} apiVersion - Versión de la API (ej. '59.0')
+   * @returns {Object} { url, body } para POST relativo a /services/data/vXX.X
+   */
+  buildRequest(apiVersion) {
+    if (this.size > GRAPH_MAX_NODES) {
+      throw new Error(
+        `La unidad de trabajo excede el máximo de ${GRAPH_MAX_NODES} escrituras por request`
+      );
+    }
+
+    const compositeRequest = this.subrequests.map(({ referenceId, method, path, body }) => ({
+      referenceId,
+      method,
+      url: `/services/data/v${apiVersion}/${path}`,
+      ...(body && { body }),
+    }));
+
+    if (this.size <= COMPOSITE_MAX_SUBREQUESTS) {
+      return { url: '/composite', body: { allOrNone: this.allOrNone, compositeRequest } };
+    }
+
+    // Cada graph se procesa como una transacción: all-or-none implícito
+    return {
+      url: '/composite/graph',
+      body: { graphs: [{ graphId: 'webhook', compositeRequest }] },
+    };
+  }
+
+  /**
+   * Interpreta la respuesta y guarda los resultados por reference id
+   * Falla con SalesforceCompositeError si alguna subrequest no se aplicó
+   *
+   * @param {Object} response - Respuesta de /composite o /composite/graph
+   * @returns {Map<string, Object>} Por reference id: { statusCode, id, created }
+   */
+  parseResponse(response) {
+    const compositeResponse = response.graphs
+      ? response.graphs.flatMap(graph => graph.graphResponse?.compositeResponse || [])
+      : response.compositeResponse || [];
+
+    const failures = compositeResponse
+      .filter(subresponse => subresponse.httpStatusCode >= 400)
+      .map(subresponse => {
+        const [error] = Array.isArray(subresponse.body) ? subresponse.body : [subresponse.body];
+        return {
+          referenceId: subresponse.referenceId,
+          statusCode: subresponse.httpStatusCode,
+          errorCode: error?.errorCode,
+          message: error?.message,
+          fields: error?.fields,
+        };
+      });
+
+    if (failures.length > 0) {
+      const subrequests = failures.filter(failure => failure.errorCode !== PROCESSING_HALTED);
+      const rootCause = subrequests[0] || failures[0];
+
+      throw new SalesforceCompositeError(
+        `Salesforce composite request failed at ${rootCause.referenceId}: ` +
+          `${rootCause.errorCode} ${rootCause.message || ''}`.trim(),
+        {
+          referenceId: rootCause.referenceId,
+          errorCode: rootCause.errorCode,
+          subrequests,
+          halted: failures
+            .filter(failure => failure.errorCode === PROCESSING_HALTED)
+            .map(failure => failure.referenceId),
+        }
+      );
+    }
+
+    compositeResponse.forEach(subresponse => {
+      this.results.set(subresponse.referenceId, {
+        statusCode: subresponse.httpStatusCode,
+        id: subresponse.body?.id,
+        created: subresponse.body?.created ?? subresponse.httpStatusCode === 201,
+      });
+    });
+
+    return this.results;
+  }
+
+  /**
+   * Reemplaza las referencias por los Ids reales tras el commit
+   * Acepta un valor suelto o un registro (se resuelven sus campos)
+   *
+   * @param {*} value - Referencia, registro o cualquier otro valor
+   * @returns {*} Valor con las referencias resueltas
+   */
+  resolve(value) {
+    if (isReference(value)) {
+      const [, referenceId] = value.match(REFERENCE_PATTERN);
+      return this.results.get(referenceId)?.id ?? value;
+    }
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      return Object.fromEntries(
+        Object.entries(value).map(([field, fieldValue]) => [field, this.resolve(fieldValue)])
+      );
+    }
+
+    return value;
+  }
+}
+
+module.exports = {
+  COMPOSITE_MAX_SUBREQUESTS,
+  GRAPH_MAX_NODES,
+  isReference,
+  SalesforceCompositeError,
+  SalesforceUnitOfWork,
+};
@@ -0,0 +1,124 @@
+const { readJson } = require('../app/libs/fileStore');
+
+/**
+ * Mapeo de usuarios de Prolibu a propietarios (OwnerId) en Salesforce
+ *
+ * Cada candidato { id, email } se resuelve en este orden:
+ *   1. Tabla de overrides (SF_OWNER_MAP_FILE): email o id de Prolibu → Id de Salesforce
+ *   2. User activo de Salesforce con el mismo email (búsqueda cacheada)
+ * Si ningún candidato coincide se usa el propietario por defecto (SF_DEFAULT_OWNER_ID)
+ */
+
+/**
+ * Normaliza las claves de la tabla de overrides (emails sin distinguir mayúsculas)
+ *
+ * @param {Object} table - { "email o id de Prolibu": "Id de Salesforce" }
+ * @returns {Map<string, string>} Tabla normalizada
+ */
+function normalizeOverrides(table) {
+  return new Map(
+    Object.entries(table || {}).map(([key, ownerId]) => [key.trim().toLowerCase(), ownerId])
+  );
+}
+
+class UserMapper {
+  /**
+   * @param {Object} options
+   * @param {Function} options.lookup - async (email) → Id del User activo o null
+   * @param {string} [options.overridesFile] - Archivo JSON con la tabla de overrides
+   * @param {Object} [options.overrides] - Tabla de overrides en memoria (tiene prioridad sobre el archivo)
+   * @param {string} [options.defaultOwnerId] - Propietario cuando no hay coincidencias
+   * @param {number} [options.cacheTtlMs] - Vigencia de cada búsqueda por email (incluye no encontrados)
+   * @param {Function} [options.now] - Reloj inyectable para tests
+   */
+  constructor({
+    lookup,
+    overridesFile,
+    overrides,
+    defaultOwnerId = null,
+    cacheTtlMs = 60 * 60 * 1000,
+    now = Date.now,
+  }) {
+    this.lookup = lookup;
+    this.overridesFile = overridesFile;
+    this.initialOverrides = overrides;
+    this.overrides = null;
+    this.defaultOwnerId = defaultOwnerId;
+    this.cacheTtlMs = cacheTtlMs;
+    this.now = now;
+    this.cache = new Map();
+  }
+
+  async getOverrides() {
+    if (!this.overrides) {
+      const table =
+        this.initialOverrides || (this.overridesFile ? await readJson(this.overridesFile, {}) : {});
+      this.overrides = normalizeOverrides(table);
+    }
+
+    return this.overrides;
+  }
+
+  async lookupByEmail(email) {
+    const cached = this.cache.get(email);
+    if (cached && cached.expiresAt > this.now()) {
+      return cached.ownerId;
+    }
+
+    const ownerId = (await this.lookup(email)) || null;
+    this.cache.set(email, { ownerId, expiresAt: this.now() + this.cacheTtlMs });
+
+    return ownerId;
+  }
+
+  /**
+   * Resuelve el propietario a partir de los usuarios de Prolibu, en orden de prioridad
+   *
+   * @param {Object[]} candidates - Usuarios { id, email } (responsable, creador...)
+   * @returns {Promise<Object>} { ownerId, source: 'override' | 'email' | 'default' | null, email }
+   */
+  async resolve(candidates = []) {
+    const overrides = await this.getOverrides();
+
+    for (const candidate of candidates) {
+      const keys = [candidate.email, candidate.id]
+        .filter(Boolean)
+        .map(key => key.trim().toLowerCase());
+      const override = keys.find(key => overrides.has(key));
+
+      if (override) {
+        return { ownerId: overrides.get(override), source: 'override', email: candidate.email };
+      }
+    }
+
+    for (const candidate of candidates) {
+      if (!candidate.email) {
+        continue;
+      }
+
+      const ownerId = await this.lookupByEmail(candidate.email.trim().toLowerCase());
+      if (ownerId) {
+        return { ownerId, source: 'email', email: candidate.email };
+      }
+    }
+
+    return {
+      ownerId: this.defaultOwnerId,
+      source: this.defaultOwnerId ? 'default' : null,
+      email: null,
+    };
+  }
+
+  /**
+   * Olvida las búsquedas cacheadas y recarga la tabla de overrides en el próximo uso
+   */
+  clear() {
+    this.cache.clear();
+    this.overrides = null;
+  }
+}
+
+module.exports = {
+  UserMapper,
+  normalizeOverrides,
+};
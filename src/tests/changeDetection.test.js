@@ -0,0 +1,212 @@
+const request = require('supertest');
+const { config } = require('../app/libs/env');
+const { createServer } = require('../app/server');
+const { diffFields, planOpportunityUpdate } = require('../services/changeDetection');
+const echoSuppression = require('../services/echoSuppression');
+const { processWebhookEvent } = require('../webhooks/prolibu.service');
+const salesforceService = require('../services/salesforce.service');
+
+/**
+ * Tests para la detección de cambios a nivel de campo en las actualizaciones
+ * Verifica la comparación de valores, las fuentes de la base y el flujo del servicio
+ */
+
+jest.mock('../services/salesforce.service', () => ({
+  createOpportunity: jest.fn(),
+  updateOpportunity: jest.fn(),
+  markOpportunityAsClosedLost: jest.fn(),
+  getOpportunityFields: jest.fn(),
+}));
+
+describe('Change detection', () => {
+  const record = {
+    Prolibu_External_Id__c: 'QNVPIK',
+    StageName: 'Negotiation/Review',
+    Amount: 1000,
+    OwnerId: '005XX0000000001AAA',
+  };
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await echoSuppression.clear();
+  });
+
+  describe('diffFields', () => {
+    test('should only keep the fields that differ from the baseline', () => {
+      expect(
+        diffFields(record, {
+          StageName: 'Negotiation/Review',
+          Amount: 900,
+          OwnerId: '005XX0000000001',
+        })
+      ).toEqual({ Amount: 1000 });
+    });
+
+    test('should treat empty values as equal and ignore the external id', () => {
+      expect(
+        diffFields({ Prolibu_External_Id__c: 'QNVPIK', Description: '' }, { Description: null })
+      ).toEqual({});
+      expect(diffFields({ Description: 'Nueva' }, {})).toEqual({ Description: 'Nueva' });
+    });
+  });
+
+  describe('planOpportunityUpdate', () => {
+    const originalMode = config.SF_CHANGE_DETECTION;
+
+    afterEach(() => {
+      config.SF_CHANGE_DETECTION = originalMode;
+    });
+
+    test('should send the whole record without a known baseline', async () => {
+      const plan = await planOpportunityUpdate(record);
+
+      expect(plan).toEqual({
+        record,
+        changedFields: ['StageName', 'Amount', 'OwnerId'],
+        unchanged: false,
+      });
+    });
+
+    test('should compare against the last synced values', async () => {
+      await echoSuppression.recordWrite('QNVPIK', {
+        salesforceId: '006XX0000001',
+        fields: {},
+        syncedFields: { ...record, Amount: 900 },
+        proposalData: {},
+      });
+
+      const plan = await planOpportunityUpdate(record);
+
+      expect(plan).toEqual({
+        record: { Prolibu_External_Id__c: 'QNVPIK', Amount: 1000 },
+        changedFields: ['Amount'],
+        unchanged: false,
+        salesforceId: '006XX0000001',
+      });
+      expect(salesforceService.getOpportunityFields).not.toHaveBeenCalled();
+    });
+
+    test('should query the current opportunity in opportunity mode', async () => {
+      config.SF_CHANGE_DETECTION = 'opportunity';
+      salesforceService.getOpportunityFields.mockResolvedValue({
+        Id: '006XX0000001AAA',
+        StageName: 'Negotiation/Review',
+        Amount: 1000,
+        OwnerId: '005XX0000000001AAA',
+      });
+
+      const plan = await planOpportunityUpdate(record);
+
+      expect(salesforceService.getOpportunityFields).toHaveBeenCalledWith('QNVPIK', [
+        'StageName',
+        'Amount',
+        'OwnerId',
+      ]);
+      expect(plan).toMatchObject({ unchanged: true, salesforceId: '006XX0000001AAA' });
+    });
+
+    test('should send the whole record when the opportunity does not exist', async () => {
+      config.SF_CHANGE_DETECTION = 'opportunity';
+      salesforceService.getOpportunityFields.mockResolvedValue(null);
+
+      expect(await planOpportunityUpdate(record)).toMatchObject({ record, unchanged: false });
+    });
+
+    test('should not compare when change detection is off', async () => {
+      config.SF_CHANGE_DETECTION = 'off';
+      await echoSuppression.recordWrite('QNVPIK', {
+        salesforceId: '006XX0000001',
+        fields: {},
+        syncedFields: record,
+        proposalData: {},
+      });
+
+      expect(await planOpportunityUpdate(record)).toMatchObject({ record, unchanged: false });
+    });
+  });
+
+  describe('processWebhookEvent', () => {
+    const proposal = {
+      proposalId: 'QNVPIK',
+      title: 'Propuesta QNVPIK',
+      stage: 'proposal',
+      amount: { total: 1000 },
+      closeDate: '2025-09-30',
+    };
+
+    const originalEchoSuppression = config.ECHO_SUPPRESSION_ENABLED;
+
+    beforeEach(() => {
+      // Sin supresión de ecos para que el update repetido llegue a la detección de cambios
+      config.ECHO_SUPPRESSION_ENABLED = false;
+      salesforceService.createOpportunity.mockResolvedValue({
+        success: true,
+        salesforceId: '006XX0000001',
+        operation: 'created',
+      });
+      salesforceService.updateOpportunity.mockResolvedValue({
+        success: true,
+        salesforceId: '006XX0000001',
+        operation: 'updated',
+      });
+    });
+
+    afterEach(() => {
+      config.ECHO_SUPPRESSION_ENABLED = originalEchoSuppression;
+    });
+
+    test('should report unchanged without calling Salesforce', async () => {
+      await processWebhookEvent('proposal.created', proposal, 'trace-1');
+
+      const result = await processWebhookEvent('proposal.updated', { ...proposal }, 'trace-2');
+
+      expect(result).toMatchObject({
+        success: true,
+        salesforceId: '006XX0000001',
+        operation: 'unchanged',
+      });
+      expect(salesforceService.updateOpportunity).not.toHaveBeenCalled();
+    });
+
+    test('should only send the changed fields', async () => {
+      await processWebhookEvent('proposal.created', proposal, 'trace-1');
+
+      const result = await processWebhookEvent(
+        'proposal.updated',
+        { ...proposal, amount: { total: 1500 } },
+        'trace-2'
+      );
+
+      expect(result.operation).toBe('updated');
+      expect(salesforceService.updateOpportunity).toHaveBeenCalledWith(
+        { Prolibu_External_Id__c: 'QNVPIK', Amount: 1500 },
+        'trace-2',
+        { unitOfWork: null }
+      );
+    });
+
+    test('should report the operation in the webhook response', async () => {
+      const app = createServer();
+      const webhook = event => ({
+        event,
+        timestamp: '2025-08-28T21:51:14.000Z',
+        source: 'prolibu',
+        data: { ...proposal, proposalId: 'QNVPIL' },
+      });
+
+      await request(app).post('/webhooks/prolibu').send(webhook('proposal.created')).expect(200);
+      const response = await request(app)
+        .post('/webhooks/prolibu')
+        .send(webhook('proposal.updated'))
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({
+        proposalId: 'QNVPIL',
+        salesforceId: '006XX0000001',
+        processed: true,
+        operation: 'unchanged',
+      });
+      expect(salesforceService.updateOpportunity).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,179 @@
+const {
+  accountCriteria,
+  contactCriteria,
+  buildAccountRecord,
+  buildContactRecord,
+} = require('../services/clientResolution');
+const { adaptClient } = require('../webhooks/prolibu.adapter');
+const { processWebhookEvent } = require('../webhooks/prolibu.service');
+const salesforceService = require('../services/salesforce.service');
+
+/**
+ * Tests para la resolución del cliente de la propuesta como Account y Contact
+ * Verifica la adaptación del lead, las reglas de coincidencia y el flujo del servicio
+ */
+
+jest.mock('../services/salesforce.service', () => ({
+  createOpportunity: jest.fn(),
+  updateOpportunity: jest.fn(),
+  markOpportunityAsClosedLost: jest.fn(),
+  resolveClient: jest.fn(),
+  ensurePrimaryContactRole: jest.fn(),
+}));
+
+describe('Client resolution', () => {
+  const client = {
+    id: 'COMP-1',
+    name: 'Empresa ABC S.A.',
+    contact: { id: 'LEAD-1', firstName: 'Ana', lastName: 'Pérez', email: 'ana@abc.com' },
+  };
+
+  describe('adaptClient', () => {
+    test('should map a populated relatedLead to account and contact data', () => {
+      expect(
+        adaptClient({
+          _id: 'LEAD-1',
+          firstName: 'Ana',
+          lastName: 'Pérez',
+          email: 'ana@abc.com',
+          mobile: '+573001234567',
+          company: { _id: 'COMP-1', companyName: 'Empresa ABC S.A.' },
+        })
+      ).toEqual({
+        id: 'COMP-1',
+        name: 'Empresa ABC S.A.',
+        contact: {
+          id: 'LEAD-1',
+          firstName: 'Ana',
+          lastName: 'Pérez',
+          email: 'ana@abc.com',
+          phone: '+573001234567',
+        },
+      });
+    });
+
+    test('should keep only the id when relatedLead is not populated', () => {
+      expect(adaptClient('LEAD-1')).toEqual({ contact: { id: 'LEAD-1' } });
+      expect(adaptClient(null)).toBeUndefined();
+    });
+  });
+
+  describe('match criteria', () => {
+    test('should follow the configured rule order for accounts', () => {
+      const criteria = accountCriteria(client, ['name', 'email', 'externalId'], 'Prolibu_Id__c');
+
+      expect(criteria.map(criterion => criterion.rule)).toEqual(['name', 'email', 'externalId']);
+      expect(criteria[1]).toEqual({
+        rule: 'email',
+        sobject: 'Contact',
+        conditions: { Email: 'ana@abc.com', AccountId: { $ne: null } },
+        field: 'AccountId',
+      });
+      expect(criteria[2].conditions).toEqual({ Prolibu_Id__c: 'COMP-1' });
+    });
+
+    test('should skip rules without data or without an External ID field', () => {
+      expect(accountCriteria({ name: 'ABC' }, ['externalId', 'email', 'name'])).toEqual([
+        { rule: 'name', sobject: 'Account', conditions: { Name: 'ABC' }, field: 'Id' },
+      ]);
+    });
+
+    test('should scope contact name matches to the resolved account', () => {
+      const [criterion] = contactCriteria(client.contact, '001ABC', ['name']);
+
+      expect(criterion.conditions).toEqual({
+        LastName: 'Pérez',
+        FirstName: 'Ana',
+        AccountId: '001ABC',
+      });
+    });
+  });
+
+  describe('records to create', () => {
+    test('should build the account and contact with their External IDs', () => {
+      expect(buildAccountRecord(client, 'Prolibu_Id__c')).toEqual({
+        Name: 'Empresa ABC S.A.',
+        Prolibu_Id__c: 'COMP-1',
+      });
+      expect(buildContactRecord(client.contact, '001ABC', 'Prolibu_Id__c')).toEqual({
+        FirstName: 'Ana',
+        LastName: 'Pérez',
+        Email: 'ana@abc.com',
+        Phone: undefined,
+        AccountId: '001ABC',
+        Prolibu_Id__c: 'LEAD-1',
+      });
+    });
+
+    test('should not create records that Salesforce would reject', () => {
+      expect(buildAccountRecord({ id: 'COMP-1' })).toBeNull();
+      expect(buildContactRecord({ id: 'LEAD-1' }, null)).toBeNull();
+      expect(buildContactRecord({ email: 'ana@abc.com' }, null).LastName).toBe('ana@abc.com');
+    });
+  });
+
+  describe('processWebhookEvent with a client', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      salesforceService.updateOpportunity.mockResolvedValue({
+        success: true,
+        salesforceId: '006XX0000001',
+        operation: 'updated',
+      });
+      salesforceService.ensurePrimaryContactRole.mockResolvedValue('created');
+    });
+
+    test('should link the account and add the primary contact role', async () => {
+      salesforceService.resolveClient.mockResolvedValue({
+        accountId: '001ABC',
+        contactId: '003ABC',
+        account: 'matched_by_name',
+        contact: 'created',
+      });
+
+      const result = await processWebhookEvent(
+        'proposal.updated',
+        { proposalId: 'CLIENT-001', client },
+        'trace-1'
+      );
+
+      expect(salesforceService.updateOpportunity.mock.calls[0][0].AccountId).toBe('001ABC');
+      expect(salesforceService.ensurePrimaryContactRole).toHaveBeenCalledWith(
+        '006XX0000001',
+        '003ABC',
+        'trace-1',
+        { unitOfWork: null }
+      );
+      expect(result.client).toMatchObject({ accountId: '001ABC', contactRole: 'created' });
+    });
+
+    test('should use the flat clientId and clientName fields', async () => {
+      salesforceService.resolveClient.mockResolvedValue({
+        accountId: '001ABC',
+        contactId: null,
+        account: 'created',
+        contact: 'not_found',
+      });
+
+      await processWebhookEvent(
+        'proposal.updated',
+        { proposalId: 'CLIENT-002', clientId: 'COMP-1', clientName: 'Empresa ABC S.A.' },
+        'trace-1'
+      );
+
+      expect(salesforceService.resolveClient).toHaveBeenCalledWith(
+        { id: 'COMP-1', name: 'Empresa ABC S.A.' },
+        'trace-1',
+        { unitOfWork: null }
+      );
+      expect(salesforceService.ensurePrimaryContactRole).not.toHaveBeenCalled();
+    });
+
+    test('should leave the opportunity without account when there is no client', async () => {
+      await processWebhookEvent('proposal.updated', { proposalId: 'CLIENT-003' }, 'trace-1');
+
+      expect(salesforceService.resolveClient).not.toHaveBeenCalled();
+      expect(salesforceService.updateOpportunity.mock.calls[0][0]).not.toHaveProperty('AccountId');
+    });
+  });
+});
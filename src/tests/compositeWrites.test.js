@@ -0,0 +1,333 @@
+const { config } = require('../app/libs/env');
+const {
+  SalesforceUnitOfWork,
+  SalesforceCompositeError,
+  isReference,
+} = require('../services/salesforceUnitOfWork');
+const {
+  handleSalesforceError,
+  isRecoverableError,
+} = require('../app/middlewares/salesforceErrorHandler');
+const { processWebhookEvent } = require('../webhooks/prolibu.service');
+const salesforceService = require('../services/salesforce.service');
+const echoSuppression = require('../services/echoSuppression');
+
+/**
+ * Tests para las escrituras de un webhook en una sola request Composite
+ * Verifica la unidad de trabajo, la clasificación de errores por subrequest y el flujo completo
+ */
+
+describe('Composite writes', () => {
+  describe('SalesforceUnitOfWork', () => {
+    test('should link dependent writes with reference ids', () => {
+      const unitOfWork = new SalesforceUnitOfWork();
+
+      const accountId = unitOfWork.create('Account', { Name: 'Empresa ABC S.A.' });
+      const opportunityId = unitOfWork.upsert(
+        'Opportunity',
+        'Prolibu_External_Id__c',
+        { Prolibu_External_Id__c: 'QNVPIK', Name: 'Propuesta', AccountId: accountId },
+        'opportunity'
+      );
+      unitOfWork.update('OpportunityLineItem', { Id: '00kXX0000001', Quantity: 3 });
+      unitOfWork.destroy('OpportunityLineItem', '00kXX0000002');
+
+      expect(accountId).toBe('@{Account_1.id}');
+      expect(isReference(opportunityId)).toBe(true);
+      expect(unitOfWork.buildRequest('59.0')).toEqual({
+        url: '/composite',
+        body: {
+          allOrNone: true,
+          compositeRequest: [
+            {
+              referenceId: 'Account_1',
+              method: 'POST',
+              url: '/services/data/v59.0/sobjects/Account',
+              body: { Name: 'Empresa ABC S.A.' },
+            },
+            {
+              referenceId: 'opportunity',
+              method: 'PATCH',
+              url: '/services/data/v59.0/sobjects/Opportunity/Prolibu_External_Id__c/QNVPIK',
+              body: { Name: 'Propuesta', AccountId: '@{Account_1.id}' },
+            },
+            {
+              referenceId: 'OpportunityLineItem_1',
+              method: 'PATCH',
+              url: '/services/data/v59.0/sobjects/OpportunityLineItem/00kXX0000001',
+              body: { Quantity: 3 },
+            },
+            {
+              referenceId: 'OpportunityLineItem_2',
+              method: 'DELETE',
+              url: '/services/data/v59.0/sobjects/OpportunityLineItem/00kXX0000002',
+            },
+          ],
+        },
+      });
+    });
+
+    test('should switch to a composite graph above 25 subrequests', () => {
+      const unitOfWork = new SalesforceUnitOfWork();
+      for (let i = 0; i < 26; i++) {
+        unitOfWork.create('OpportunityLineItem', { Quantity: i + 1 });
+      }
+
+      const { url, body } = unitOfWork.buildRequest('59.0');
+
+      expect(url).toBe('/composite/graph');
+      expect(body.graphs).toHaveLength(1);
+      expect(body.graphs[0].compositeRequest).toHaveLength(26);
+    });
+
+    test('should resolve references after a successful response', () => {
+      const unitOfWork = new SalesforceUnitOfWork();
+      const accountId = unitOfWork.create('Account', { Name: 'Empresa ABC S.A.' });
+      unitOfWork.upsert('Opportunity', 'Prolibu_External_Id__c', {}, 'opportunity');
+
+      const results = unitOfWork.parseResponse({
+        compositeResponse: [
+          { referenceId: 'Account_1', httpStatusCode: 201, body: { id: '001XX0000001' } },
+          {
+            referenceId: 'opportunity',
+            httpStatusCode: 200,
+            body: { id: '006XX0000001', created: false },
+          },
+        ],
+      });
+
+      expect(results.get('Account_1')).toEqual({
+        statusCode: 201,
+        id: '001XX0000001',
+        created: true,
+      });
+      expect(results.get('opportunity').created).toBe(false);
+      expect(unitOfWork.resolve({ AccountId: accountId, Name: 'Propuesta' })).toEqual({
+        AccountId: '001XX0000001',
+        Name: 'Propuesta',
+      });
+    });
+
+    test('should report the root cause and the halted subrequests', () => {
+      const unitOfWork = new SalesforceUnitOfWork();
+
+      expect(() =>
+        unitOfWork.parseResponse({
+          compositeResponse: [
+            {
+              referenceId: 'Account_1',
+              httpStatusCode: 400,
+              body: [{ errorCode: 'PROCESSING_HALTED', message: 'Operation rolled back' }],
+            },
+            {
+              referenceId: 'opportunity',
+              httpStatusCode: 400,
+              body: [
+                {
+                  errorCode: 'REQUIRED_FIELD_MISSING',
+                  message: 'Required fields are missing: [CloseDate]',
+                  fields: ['CloseDate'],
+                },
+              ],
+            },
+          ],
+        })
+      ).toThrow(
+        expect.objectContaining({
+          name: 'SalesforceCompositeError',
+          referenceId: 'opportunity',
+          errorCode: 'REQUIRED_FIELD_MISSING',
+          halted: ['Account_1'],
+        })
+      );
+    });
+  });
+
+  describe('handleSalesforceError', () => {
+    test('should classify every failed subrequest and answer with the root cause', () => {
+      const error = new SalesforceCompositeError('Salesforce composite request failed', {
+        referenceId: 'Contact_1',
+        errorCode: 'DUPLICATE_VALUE',
+        subrequests: [
+          {
+            referenceId: 'Contact_1',
+            statusCode: 400,
+            errorCode: 'DUPLICATE_VALUE',
+            message: 'duplicate value found',
+          },
+          {
+            referenceId: 'OpportunityLineItem_1',
+            statusCode: 400,
+            errorCode: 'FIELD_CUSTOM_VALIDATION_EXCEPTION',
+            message: 'Descuento máximo excedido',
+          },
+        ],
+        halted: ['opportunity'],
+      });
+
+      const handled = handleSalesforceError(error, 'trace-1');
+
+      expect(handled).toMatchObject({
+        statusCode: 409,
+        error: 'salesforce_duplicate_error',
+        halted: ['opportunity'],
+      });
+      expect(handled.subrequests).toEqual([
+        expect.objectContaining({ referenceId: 'Contact_1', statusCode: 409 }),
+        expect.objectContaining({
+          referenceId: 'OpportunityLineItem_1',
+          statusCode: 400,
+          error: 'salesforce_validation_error',
+          details: 'Descuento máximo excedido',
+        }),
+      ]);
+      expect(isRecoverableError(error)).toBe(false);
+    });
+  });
+
+  describe('processWebhookEvent with SF_COMPOSITE_WRITES', () => {
+    let sobject;
+    let requestPost;
+
+    const proposal = {
+      proposalId: 'QNVPIK',
+      title: 'Propuesta QNVPIK',
+      stage: 'proposal',
+      amount: { total: 1000 },
+      closeDate: '2025-09-30',
+      client: {
+        id: 'COMP-1',
+        name: 'Empresa ABC S.A.',
+        contact: { firstName: 'Ana', lastName: 'Pérez', email: 'ana@abc.com' },
+      },
+    };
+
+    beforeEach(async () => {
+      await echoSuppression.clear();
+      config.SF_COMPOSITE_WRITES = true;
+      sobject = { findOne: jest.fn().mockResolvedValue(null), create: jest.fn() };
+      requestPost = jest.fn();
+      salesforceService.connection = {
+        version: '59.0',
+        sobject: jest.fn(() => sobject),
+        requestPost,
+      };
+      jest.spyOn(salesforceService, 'ensureConnection').mockResolvedValue();
+    });
+
+    afterEach(() => {
+      config.SF_COMPOSITE_WRITES = false;
+      jest.restoreAllMocks();
+      salesforceService.connection = null;
+    });
+
+    test('should create the client and opportunity in one request', async () => {
+      sobject.create.mockResolvedValue({ success: true, id: '00KXX0000001' });
+      requestPost.mockResolvedValue({
+        compositeResponse: [
+          { referenceId: 'Account_1', httpStatusCode: 201, body: { id: '001XX0000001' } },
+          { referenceId: 'Contact_1', httpStatusCode: 201, body: { id: '003XX0000001' } },
+          {
+            referenceId: 'opportunity',
+            httpStatusCode: 201,
+            body: { id: '006XX0000001', created: true },
+          },
+        ],
+      });
+
+      const result = await processWebhookEvent('proposal.created', proposal, 'trace-1');
+
+      expect(requestPost).toHaveBeenCalledTimes(1);
+      expect(salesforceService.connection.sobject).not.toHaveBeenCalledWith('Opportunity');
+
+      const [url, body] = requestPost.mock.calls[0];
+      expect(url).toBe('/composite');
+      expect(body.allOrNone).toBe(true);
+      expect(body.compositeRequest.map(subrequest => subrequest.referenceId)).toEqual([
+        'Account_1',
+        'Contact_1',
+        'opportunity',
+      ]);
+      expect(body.compositeRequest[1].body.AccountId).toBe('@{Account_1.id}');
+      expect(body.compositeRequest[2].body.AccountId).toBe('@{Account_1.id}');
+
+      // Sin Id conocido de la Opportunity, el rol de contacto se sincroniza tras el commit
+      expect(sobject.create).toHaveBeenCalledTimes(1);
+      expect(sobject.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          OpportunityId: '006XX0000001',
+          ContactId: '003XX0000001',
+          IsPrimary: true,
+        })
+      );
+      expect(result).toMatchObject({
+        success: true,
+        salesforceId: '006XX0000001',
+        operation: 'created',
+        client: { accountId: '001XX0000001', contactId: '003XX0000001', contactRole: 'created' },
+      });
+    });
+
+    test('should include the contact role when the opportunity id is already known', async () => {
+      await echoSuppression.recordWrite('QNVPIK', {
+        salesforceId: '006XX0000001',
+        fields: {},
+        syncedFields: { Prolibu_External_Id__c: 'QNVPIK', Amount: 900 },
+        proposalData: {},
+      });
+      requestPost.mockResolvedValue({
+        compositeResponse: [
+          { referenceId: 'Account_1', httpStatusCode: 201, body: { id: '001XX0000001' } },
+          { referenceId: 'Contact_1', httpStatusCode: 201, body: { id: '003XX0000001' } },
+          {
+            referenceId: 'opportunity',
+            httpStatusCode: 200,
+            body: { id: '006XX0000001', created: false },
+          },
+          {
+            referenceId: 'OpportunityContactRole_1',
+            httpStatusCode: 201,
+            body: { id: '00KXX0000001' },
+          },
+        ],
+      });
+
+      const result = await processWebhookEvent('proposal.updated', proposal, 'trace-1');
+
+      const [, body] = requestPost.mock.calls[0];
+      expect(body.compositeRequest.map(subrequest => subrequest.referenceId)).toEqual([
+        'Account_1',
+        'Contact_1',
+        'opportunity',
+        'OpportunityContactRole_1',
+      ]);
+      expect(body.compositeRequest[3].body).toMatchObject({
+        OpportunityId: '006XX0000001',
+        ContactId: '@{Contact_1.id}',
+      });
+      expect(sobject.create).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ salesforceId: '006XX0000001', operation: 'updated' });
+    });
+
+    test('should fail the webhook when Salesforce rolls back the request', async () => {
+      requestPost.mockResolvedValue({
+        compositeResponse: [
+          {
+            referenceId: 'Account_1',
+            httpStatusCode: 400,
+            body: [{ errorCode: 'DUPLICATE_VALUE', message: 'duplicate value found' }],
+          },
+          {
+            referenceId: 'Contact_1',
+            httpStatusCode: 400,
+            body: [{ errorCode: 'PROCESSING_HALTED', message: 'rolled back' }],
+          },
+        ],
+      });
+
+      await expect(
+        processWebhookEvent('proposal.created', { ...proposal, proposalId: 'QNVPIL' }, 'trace-1')
+      ).rejects.toMatchObject({ errorCode: 'DUPLICATE_VALUE', referenceId: 'Account_1' });
+    });
+  });
+});
@@ -0,0 +1,169 @@
+const { pickExchangeRate, convertAmount, planCurrency } = require('../services/currency');
+const { adaptProlibuWebhook } = require('../webhooks/prolibu.adapter');
+const { validateWebhook } = require('../webhooks/prolibu.schema');
+const { processWebhookEvent } = require('../webhooks/prolibu.service');
+const { config } = require('../app/libs/env');
+const salesforceService = require('../services/salesforce.service');
+
+/**
+ * Tests para la moneda de la propuesta
+ * Verifica la elección de la tasa, la conversión y el uso de CurrencyIsoCode en el servicio
+ */
+
+jest.mock('../services/salesforce.service', () => ({
+  createOpportunity: jest.fn(),
+  updateOpportunity: jest.fn(),
+  markOpportunityAsClosedLost: jest.fn(),
+  getCurrencySettings: jest.fn(),
+  getPricebookId: jest.fn(),
+  syncOpportunityLineItems: jest.fn(),
+}));
+
+describe('Currency', () => {
+  const singleCurrency = {
+    multiCurrency: false,
+    corporateCurrency: 'USD',
+    activeCurrencies: ['USD'],
+  };
+  const multiCurrency = {
+    multiCurrency: true,
+    corporateCurrency: 'USD',
+    activeCurrencies: ['USD', 'COP'],
+  };
+
+  describe('pickExchangeRate', () => {
+    test('should prefer the custom rate, then the proposal rate, then the day rate', () => {
+      expect(
+        pickExchangeRate({ customExchangeRate: 4000, exchangeRate: 4017.5, dayExchangeRate: 4100 })
+      ).toBe(4000);
+      expect(
+        pickExchangeRate({ customExchangeRate: 0, exchangeRate: 4017.5, dayExchangeRate: 0 })
+      ).toBe(4017.5);
+      expect(pickExchangeRate({ exchangeRate: 0, dayExchangeRate: '4100.25' })).toBe(4100.25);
+      expect(pickExchangeRate({ exchangeRate: 0 })).toBeUndefined();
+    });
+  });
+
+  describe('convertAmount', () => {
+    test('should divide by default and round to cents', () => {
+      expect(convertAmount(1000000, 4017.5)).toBe(248.91);
+      expect(convertAmount(100, 1.1, 'multiply')).toBe(110);
+    });
+  });
+
+  describe('planCurrency', () => {
+    test('should use CurrencyIsoCode on multi-currency orgs', () => {
+      expect(planCurrency({ currency: 'cop' }, multiCurrency)).toEqual({ currencyIsoCode: 'COP' });
+      expect(() => planCurrency({ currency: 'EUR' }, multiCurrency)).toThrow(
+        'La moneda EUR no está activa en la org de Salesforce'
+      );
+    });
+
+    test('should convert to the corporate currency on single-currency orgs', () => {
+      expect(planCurrency({ currency: 'USD' }, singleCurrency)).toBeNull();
+      expect(planCurrency({ currency: 'COP', exchangeRate: 4017.5 }, singleCurrency)).toEqual({
+        conversion: { from: 'COP', to: 'USD', rate: 4017.5 },
+      });
+      expect(() => planCurrency({ currency: 'COP' }, singleCurrency)).toThrow(
+        'no trae tasa de cambio para convertir a USD'
+      );
+    });
+  });
+
+  describe('processWebhookEvent with currencies', () => {
+    const originalFields = {
+      SF_ORIGINAL_AMOUNT_FIELD: config.SF_ORIGINAL_AMOUNT_FIELD,
+      SF_ORIGINAL_CURRENCY_FIELD: config.SF_ORIGINAL_CURRENCY_FIELD,
+      SF_EXCHANGE_RATE_FIELD: config.SF_EXCHANGE_RATE_FIELD,
+    };
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      salesforceService.createOpportunity.mockResolvedValue({
+        success: true,
+        salesforceId: '006XX0000001',
+        operation: 'created',
+      });
+      salesforceService.getPricebookId.mockResolvedValue('01sSTANDARD');
+      salesforceService.syncOpportunityLineItems.mockResolvedValue({ created: 1 });
+    });
+
+    afterEach(() => {
+      Object.assign(config, originalFields);
+    });
+
+    const adaptCop = (proposalNumber, extra = {}) => {
+      const adapted = adaptProlibuWebhook({
+        model: 'proposal',
+        action: 'create',
+        body: {
+          proposalNumber,
+          title: 'Propuesta',
+          total: 1000000,
+          currency: 'COP',
+          customExchangeRate: 0,
+          dayExchangeRate: 0,
+          exchangeRate: 4017.5,
+          ...extra,
+        },
+      });
+      return { event: adapted.event, data: validateWebhook(adapted).data };
+    };
+
+    test('should set CurrencyIsoCode and keep the amount on multi-currency orgs', async () => {
+      salesforceService.getCurrencySettings.mockResolvedValue(multiCurrency);
+      const { event, data } = adaptCop('CUR-001', {
+        products: [{ code: 'SKU-1', name: 'Licencia', price: 500000, quantity: 2 }],
+      });
+
+      await processWebhookEvent(event, data, 'trace-1');
+
+      expect(salesforceService.createOpportunity.mock.calls[0][0]).toMatchObject({
+        CurrencyIsoCode: 'COP',
+      });
+      expect(salesforceService.syncOpportunityLineItems).toHaveBeenCalledWith(
+        '006XX0000001',
+        [expect.objectContaining({ unitPrice: 500000 })],
+        'trace-1',
+        { currencyIsoCode: 'COP' }
+      );
+    });
+
+    test('should convert the amount and store the original values on single-currency orgs', async () => {
+      salesforceService.getCurrencySettings.mockResolvedValue(singleCurrency);
+      Object.assign(config, {
+        SF_ORIGINAL_AMOUNT_FIELD: 'Original_Amount__c',
+        SF_ORIGINAL_CURRENCY_FIELD: 'Original_Currency__c',
+        SF_EXCHANGE_RATE_FIELD: 'Exchange_Rate__c',
+      });
+      const { event, data } = adaptCop('CUR-002');
+
+      await processWebhookEvent(event, data, 'trace-1');
+
+      const opportunityData = salesforceService.createOpportunity.mock.calls[0][0];
+      expect(opportunityData).toMatchObject({
+        Amount: 248.91,
+        Original_Amount__c: 1000000,
+        Original_Currency__c: 'COP',
+        Exchange_Rate__c: 4017.5,
+      });
+      expect(opportunityData).not.toHaveProperty('CurrencyIsoCode');
+    });
+
+    test('should convert line item prices on single-currency orgs', async () => {
+      salesforceService.getCurrencySettings.mockResolvedValue(singleCurrency);
+      const { event, data } = adaptCop('CUR-003', {
+        products: [{ code: 'SKU-1', name: 'Licencia', price: 500000, quantity: 2 }],
+      });
+
+      await processWebhookEvent(event, data, 'trace-1');
+
+      expect(salesforceService.syncOpportunityLineItems).toHaveBeenCalledWith(
+        '006XX0000001',
+        [expect.objectContaining({ unitPrice: 124.46 })],
+        'trace-1',
+        {}
+      );
+    });
+  });
+});
@@ -0,0 +1,212 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { DeadLetterStore } = require('../app/libs/deadLetterStore');
+const { deadLetterStore, buildDeadLetter } = require('../webhooks/prolibu.worker');
+const salesforceService = require('../services/salesforce.service');
+const { config } = require('../app/libs/env');
+const { createServer } = require('../app/server');
+
+/**
+ * Tests para el almacén de dead letters y los endpoints de administración
+ * Verifica autenticación, listado, inspección, reproceso (con edición) y descarte
+ */
+
+jest.mock('../services/salesforce.service', () => ({
+  createOpportunity: jest.fn(),
+  updateOpportunity: jest.fn(),
+  markOpportunityAsClosedLost: jest.fn(),
+}));
+
+const ADMIN_TOKEN = 'admin-token-for-tests-123';
+
+describe('Dead letters', () => {
+  let tmpDir;
+  let originalFilePath;
+  let originalToken;
+
+  const failedDelivery = (proposalId = 'QNVPIK') =>
+    buildDeadLetter({
+      adaptedPayload: {
+        event: 'proposal.updated',
+        data: { proposalId, stage: 'proposal' },
+      },
+      rawPayload: { _id: proposalId },
+      error: new Error('Salesforce rechazó el registro'),
+      reason: 'non_recoverable',
+      source: 'sync',
+      traceId: 'trace-1',
+    });
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dead-letters-'));
+    originalFilePath = deadLetterStore.filePath;
+    originalToken = config.ADMIN_API_TOKEN;
+    deadLetterStore.filePath = path.join(tmpDir, 'dead-letters.json');
+    config.ADMIN_API_TOKEN = ADMIN_TOKEN;
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    deadLetterStore.filePath = originalFilePath;
+    config.ADMIN_API_TOKEN = originalToken;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('DeadLetterStore', () => {
+    test('should list newest first and filter by proposalId', async () => {
+      let currentTime = Date.parse('2025-08-28T21:51:14.000Z');
+      const store = new DeadLetterStore({
+        filePath: path.join(tmpDir, 'store.json'),
+        now: () => currentTime,
+      });
+
+      const first = await store.add(failedDelivery('A'));
+      currentTime += 1000;
+      const second = await store.add(failedDelivery('B'));
+
+      expect((await store.list()).items.map(entry => entry.id)).toEqual([second.id, first.id]);
+      expect(await store.list({ proposalId: 'A' })).toMatchObject({
+        total: 1,
+        items: [{ id: first.id, event: 'proposal.updated', proposalId: 'A' }],
+      });
+    });
+
+    test('should merge redeliveries of the same webhook into one dead letter', async () => {
+      const store = new DeadLetterStore({ filePath: path.join(tmpDir, 'store.json') });
+      const redelivery = traceId =>
+        buildDeadLetter({
+          adaptedPayload: {
+            event: 'proposal.updated',
+            data: { proposalId: 'QNVPIK', stage: 'proposal' },
+            webhookId: 'wh-001',
+          },
+          rawPayload: { _id: 'QNVPIK' },
+          error: new Error('Salesforce rechazó el registro'),
+          reason: 'non_recoverable',
+          source: 'sync',
+          traceId,
+        });
+
+      const first = await store.add(redelivery('trace-1'));
+      const second = await store.add(redelivery('trace-2'));
+
+      expect(second.id).toBe(first.id);
+      expect(await store.count()).toBe(1);
+      expect(await store.get(first.id)).toMatchObject({
+        traceId: 'trace-2',
+        attempts: 2,
+        history: [{ attempt: 1 }, { attempt: 2 }],
+      });
+
+      await store.add(failedDelivery());
+      await store.add(failedDelivery());
+      expect(await store.count()).toBe(2);
+    });
+  });
+
+  describe('admin authentication', () => {
+    test('should reject requests without a valid token', async () => {
+      const response = await request(createServer())
+        .get('/admin/dead-letters')
+        .set('Authorization', 'Bearer wrong-token')
+        .expect(401);
+
+      expect(response.body.error).toBe('admin_unauthorized');
+    });
+
+    test('should be disabled when no token is configured', async () => {
+      config.ADMIN_API_TOKEN = undefined;
+
+      const response = await request(createServer()).get('/admin/dead-letters').expect(403);
+
+      expect(response.body.error).toBe('admin_disabled');
+    });
+  });
+
+  describe('admin endpoints', () => {
+    const admin = (method, url) =>
+      request(createServer())[method](url).set('Authorization', `Bearer ${ADMIN_TOKEN}`);
+
+    test('should list and inspect dead letters', async () => {
+      const entry = await deadLetterStore.add(failedDelivery());
+
+      const list = await admin('get', '/admin/dead-letters').expect(200);
+      expect(list.body).toMatchObject({
+        total: 1,
+        items: [{ id: entry.id, proposalId: 'QNVPIK', failureReason: 'non_recoverable' }],
+      });
+      expect(list.body.items[0].rawPayload).toBeUndefined();
+
+      const detail = await admin('get', `/admin/dead-letters/${entry.id}`).expect(200);
+      expect(detail.body.deadLetter).toMatchObject({
+        rawPayload: { _id: 'QNVPIK' },
+        adaptedPayload: { event: 'proposal.updated' },
+      });
+    });
+
+    test('should return 404 for unknown dead letters', async () => {
+      const response = await admin('get', '/admin/dead-letters/unknown').expect(404);
+
+      expect(response.body.error).toBe('dead_letter_not_found');
+    });
+
+    test('should replay an edited payload and remove the dead letter', async () => {
+      const entry = await deadLetterStore.add(failedDelivery());
+      salesforceService.updateOpportunity.mockResolvedValueOnce({
+        success: true,
+        salesforceId: 'SF_1',
+        operation: 'updated',
+      });
+
+      const response = await admin('post', `/admin/dead-letters/${entry.id}/replay`)
+        .send({ data: { proposalId: 'QNVPIK', stage: 'negotiation' } })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ deadLetterId: entry.id, salesforceId: 'SF_1' });
+      expect(salesforceService.updateOpportunity).toHaveBeenCalledWith(
+        expect.objectContaining({ StageName: 'Negotiation/Review' }),
+        expect.any(String),
+        { unitOfWork: null }
+      );
+      expect(await deadLetterStore.count()).toBe(0);
+    });
+
+    test('should keep the dead letter and record the attempt when replay fails', async () => {
+      const entry = await deadLetterStore.add(failedDelivery());
+      salesforceService.updateOpportunity.mockRejectedValueOnce(
+        new Error('Salesforce sigue rechazando')
+      );
+
+      await admin('post', `/admin/dead-letters/${entry.id}/replay`).send({}).expect(500);
+
+      const updated = await deadLetterStore.get(entry.id);
+      expect(updated).toMatchObject({
+        source: 'sync',
+        failureReason: 'replay_failed',
+        attempts: 2,
+        error: { message: 'Salesforce sigue rechazando' },
+      });
+      expect(updated.history).toHaveLength(2);
+    });
+
+    test('should reject edited payloads that fail validation', async () => {
+      const entry = await deadLetterStore.add(failedDelivery());
+
+      await admin('post', `/admin/dead-letters/${entry.id}/replay`)
+        .send({ event: 'proposal.unknown' })
+        .expect(400);
+
+      expect(salesforceService.updateOpportunity).not.toHaveBeenCalled();
+      expect(await deadLetterStore.count()).toBe(1);
+    });
+
+    test('should discard dead letters', async () => {
+      const entry = await deadLetterStore.add(failedDelivery());
+
+      await admin('delete', `/admin/dead-letters/${entry.id}`).expect(200);
+      await admin('delete', `/admin/dead-letters/${entry.id}`).expect(404);
+    });
+  });
+});
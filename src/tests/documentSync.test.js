@@ -0,0 +1,162 @@
+const { config } = require('../app/libs/env');
+const {
+  downloadFile,
+  checksum,
+  documentTitle,
+  syncOpportunityDocuments,
+} = require('../services/documentSync');
+const { adaptDocuments } = require('../webhooks/prolibu.adapter');
+const salesforceService = require('../services/salesforce.service');
+
+/**
+ * Tests para la sincronización de PDFs de la propuesta como Salesforce Files
+ * Usa un servidor HTTP local en lugar de las URLs reales de Prolibu
+ */
+
+jest.mock('../services/salesforce.service', () => ({
+  getOpportunityFiles: jest.fn(),
+  uploadOpportunityFile: jest.fn(),
+}));
+
+describe('Document sync', () => {
+  const pdf = Buffer.from('%PDF-1.4 propuesta QNVPIK');
+  const updatedPdf = Buffer.from('%PDF-1.4 propuesta QNVPIK v2');
+  let fileServer;
+
+  beforeAll(async () => {
+    fileServer = await global.testUtils.startFileServer({
+      '/proposal.pdf': pdf,
+      '/annex.pdf': updatedPdf,
+      '/moved.pdf': { status: 302, headers: { location: '/proposal.pdf' } },
+      '/large.pdf': Buffer.alloc(2048),
+    });
+  });
+
+  afterAll(async () => {
+    await fileServer.close();
+  });
+
+  describe('adaptDocuments', () => {
+    test('should collect the http PDF fields of the proposal', () => {
+      expect(
+        adaptDocuments({
+          pdfUrl: 'https://files.prolibu.com/QNVPIK.pdf',
+          pdf1: null,
+          pdf2: 'https://files.prolibu.com/QNVPIK-anexo.pdf',
+          pdf3: 'not-a-url',
+        })
+      ).toEqual([
+        { slot: 'pdfUrl', url: 'https://files.prolibu.com/QNVPIK.pdf' },
+        { slot: 'pdf2', url: 'https://files.prolibu.com/QNVPIK-anexo.pdf' },
+      ]);
+    });
+  });
+
+  describe('downloadFile', () => {
+    const options = { maxBytes: 1024, timeoutMs: 2000 };
+
+    test('should download the file following redirects', async () => {
+      await expect(downloadFile(`${fileServer.url}/moved.pdf`, options)).resolves.toEqual(pdf);
+    });
+
+    test('should reject files over the size limit and failed responses', async () => {
+      await expect(downloadFile(`${fileServer.url}/large.pdf`, options)).rejects.toMatchObject({
+        code: 'DOCUMENT_TOO_LARGE',
+      });
+      await expect(downloadFile(`${fileServer.url}/missing.pdf`, options)).rejects.toThrow(
+        'HTTP 404'
+      );
+    });
+  });
+
+  describe('syncOpportunityDocuments', () => {
+    const originalMaxBytes = config.SF_DOCUMENT_MAX_BYTES;
+
+    beforeEach(() => {
+      config.SF_DOCUMENT_MAX_BYTES = 1024;
+      salesforceService.uploadOpportunityFile.mockResolvedValue('069XX0000001');
+    });
+
+    afterEach(() => {
+      config.SF_DOCUMENT_MAX_BYTES = originalMaxBytes;
+    });
+
+    test('should upload new and changed files and skip unchanged ones', async () => {
+      salesforceService.getOpportunityFiles.mockResolvedValue(
+        new Map([
+          [
+            documentTitle('QNVPIK', 'pdfUrl'),
+            { contentDocumentId: '069XX0000001', checksum: checksum(pdf) },
+          ],
+          [
+            documentTitle('QNVPIK', 'pdf1'),
+            { contentDocumentId: '069XX0000002', checksum: checksum(pdf) },
+          ],
+        ])
+      );
+
+      const results = await syncOpportunityDocuments({
+        opportunityId: '006XX0000001',
+        proposalId: 'QNVPIK',
+        documents: [
+          { slot: 'pdfUrl', url: `${fileServer.url}/proposal.pdf` },
+          { slot: 'pdf1', url: `${fileServer.url}/annex.pdf` },
+          { slot: 'pdf2', url: `${fileServer.url}/proposal.pdf` },
+        ],
+        traceId: 'trace-1',
+      });
+
+      expect(results.map(result => result.status)).toEqual(['unchanged', 'updated', 'created']);
+      expect(salesforceService.uploadOpportunityFile).toHaveBeenCalledTimes(2);
+      expect(salesforceService.uploadOpportunityFile).toHaveBeenNthCalledWith(
+        1,
+        '006XX0000001',
+        {
+          title: 'Propuesta QNVPIK - pdf1',
+          fileName: 'QNVPIK-pdf1.pdf',
+          content: updatedPdf,
+          contentDocumentId: '069XX0000002',
+        },
+        'trace-1'
+      );
+    });
+
+    test('should report failed documents without stopping the others', async () => {
+      salesforceService.getOpportunityFiles.mockResolvedValue(new Map());
+
+      const results = await syncOpportunityDocuments({
+        opportunityId: '006XX0000001',
+        proposalId: 'QNVPIK',
+        documents: [
+          { slot: 'pdf1', url: `${fileServer.url}/large.pdf` },
+          { slot: 'pdf2', url: `${fileServer.url}/missing.pdf` },
+          { slot: 'pdf3', url: `${fileServer.url}/proposal.pdf` },
+        ],
+        traceId: 'trace-1',
+      });
+
+      expect(results.map(result => result.status)).toEqual(['too_large', 'failed', 'created']);
+    });
+
+    test('should report every document as failed when the files lookup fails', async () => {
+      salesforceService.getOpportunityFiles.mockRejectedValue(new Error('INVALID_SESSION_ID'));
+      salesforceService.uploadOpportunityFile.mockClear();
+
+      const results = await syncOpportunityDocuments({
+        opportunityId: '006XX0000001',
+        proposalId: 'QNVPIK',
+        documents: [
+          { slot: 'pdfUrl', url: `${fileServer.url}/proposal.pdf` },
+          { slot: 'pdf1', url: `${fileServer.url}/annex.pdf` },
+        ],
+        traceId: 'trace-1',
+      });
+
+      expect(results).toEqual([
+        { slot: 'pdfUrl', status: 'failed', error: 'INVALID_SESSION_ID' },
+        { slot: 'pdf1', status: 'failed', error: 'INVALID_SESSION_ID' },
+      ]);
+      expect(salesforceService.uploadOpportunityFile).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,234 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { config } = require('../app/libs/env');
+const { MemorySyncStateStore, FileSyncStateStore } = require('../app/libs/syncStateStore');
+const echoSuppression = require('../services/echoSuppression');
+const { pushStageChange } = require('../services/reverseSync');
+const { processWebhookEvent } = require('../webhooks/prolibu.service');
+const prolibuClient = require('../services/prolibuClient');
+const salesforceService = require('../services/salesforce.service');
+
+/**
+ * Tests para la supresión de ecos de la sincronización bidireccional
+ * Verifica los almacenes de estado, la detección de ecos y la marca de origen
+ */
+
+jest.mock('../services/salesforce.service', () => ({
+  createOpportunity: jest.fn(),
+  updateOpportunity: jest.fn(),
+  markOpportunityAsClosedLost: jest.fn(),
+  getIntegrationUserId: jest.fn(),
+  getOpportunityById: jest.fn(),
+}));
+
+describe('Echo suppression', () => {
+  const proposal = {
+    proposalId: 'QNVPIK',
+    title: 'Propuesta QNVPIK',
+    stage: 'proposal',
+    amount: { total: 1000 },
+    closeDate: '2025-09-30',
+  };
+  const result = { success: true, salesforceId: '006XX0000001' };
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    await echoSuppression.clear();
+    salesforceService.createOpportunity.mockResolvedValue({ ...result, operation: 'created' });
+    salesforceService.updateOpportunity.mockResolvedValue({ ...result, operation: 'updated' });
+    salesforceService.markOpportunityAsClosedLost.mockResolvedValue(result);
+    salesforceService.getIntegrationUserId.mockResolvedValue('005XX0000000001AAA');
+  });
+
+  describe('sync state stores', () => {
+    test('should drop the least recently written proposals beyond capacity', async () => {
+      const store = new MemorySyncStateStore({ maxEntries: 2 });
+
+      await store.set('A', { fields: { Amount: 1 } });
+      await store.set('B', { fields: { Amount: 2 } });
+      await store.set('A', { fields: { Amount: 3 } });
+      await store.set('C', { fields: { Amount: 4 } });
+
+      expect(await store.get('B')).toBeNull();
+      expect(await store.get('A')).toEqual({ fields: { Amount: 3 } });
+      expect(await store.get('C')).not.toBeNull();
+
+      await store.clear();
+      expect(await store.get('A')).toBeNull();
+    });
+
+    test('should share the state between file store instances', async () => {
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-state-'));
+      const filePath = path.join(tmpDir, 'sync-state.json');
+
+      try {
+        const instanceA = new FileSyncStateStore({ filePath, maxEntries: 1 });
+        const instanceB = new FileSyncStateStore({ filePath, maxEntries: 1 });
+
+        await instanceA.set('A', { writtenAt: '2025-09-01T00:00:00.000Z' });
+        await instanceA.set('B', { writtenAt: '2025-09-02T00:00:00.000Z' });
+
+        expect(await instanceB.get('A')).toBeNull();
+        expect(await instanceB.get('B')).toEqual({ writtenAt: '2025-09-02T00:00:00.000Z' });
+
+        await instanceB.delete('B');
+        expect(await instanceA.get('B')).toBeNull();
+
+        await instanceA.set('C', { writtenAt: '2025-09-03T00:00:00.000Z' });
+        await instanceB.clear();
+        expect(await instanceA.get('C')).toBeNull();
+      } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('findEcho', () => {
+    const fields = { Name: 'Propuesta QNVPIK', StageName: 'Proposal/Price Quote', Amount: 1000 };
+    const proposalData = { products: [{ code: 'SKU-1', quantity: 2 }] };
+
+    test('should recognize a webhook that repeats the written state', async () => {
+      await echoSuppression.recordWrite('QNVPIK', {
+        salesforceId: '006XX0000001',
+        fields,
+        proposalData,
+      });
+
+      expect(await echoSuppression.findEcho('QNVPIK', { ...fields }, proposalData)).toMatchObject({
+        salesforceId: '006XX0000001',
+        origin: 'prolibu',
+      });
+      expect(
+        await echoSuppression.findEcho('QNVPIK', { ...fields, Amount: 1200 }, proposalData)
+      ).toBeNull();
+      expect(
+        await echoSuppression.findEcho('QNVPIK', fields, {
+          products: [{ code: 'SKU-1', quantity: 3 }],
+        })
+      ).toBeNull();
+    });
+
+    test('should accept the stage written back to Prolibu as known state', async () => {
+      await echoSuppression.recordWrite('QNVPIK', {
+        salesforceId: '006XX0000001',
+        fields,
+        proposalData,
+      });
+      await echoSuppression.recordReverseWrite('QNVPIK', { StageName: 'Closed Won' });
+
+      const echo = await echoSuppression.findEcho(
+        'QNVPIK',
+        { ...fields, StageName: 'Closed Won' },
+        proposalData
+      );
+
+      expect(echo).toMatchObject({ origin: 'salesforce' });
+    });
+
+    test('should do nothing when echo suppression is disabled', async () => {
+      const { ECHO_SUPPRESSION_ENABLED, SF_CHANGE_DETECTION } = config;
+      config.ECHO_SUPPRESSION_ENABLED = false;
+      config.SF_CHANGE_DETECTION = 'off';
+
+      try {
+        await echoSuppression.recordWrite('QNVPIK', {
+          salesforceId: '006XX0000001',
+          fields,
+          proposalData,
+        });
+
+        expect(await echoSuppression.syncStateStore.get('QNVPIK')).toBeNull();
+        expect(await echoSuppression.findEcho('QNVPIK', fields, proposalData)).toBeNull();
+      } finally {
+        Object.assign(config, { ECHO_SUPPRESSION_ENABLED, SF_CHANGE_DETECTION });
+      }
+    });
+  });
+
+  describe('processWebhookEvent', () => {
+    test('should skip an update that only repeats the last sync', async () => {
+      await processWebhookEvent('proposal.created', proposal, 'trace-1');
+
+      const echo = await processWebhookEvent('proposal.updated', { ...proposal }, 'trace-2');
+
+      expect(echo).toMatchObject({
+        success: true,
+        skipped: true,
+        reason: 'echo',
+        salesforceId: '006XX0000001',
+      });
+      expect(salesforceService.updateOpportunity).not.toHaveBeenCalled();
+    });
+
+    test('should sync an update that changes the opportunity', async () => {
+      await processWebhookEvent('proposal.created', proposal, 'trace-1');
+
+      const update = await processWebhookEvent(
+        'proposal.updated',
+        { ...proposal, amount: { total: 1500 } },
+        'trace-2'
+      );
+
+      expect(update.skipped).toBeUndefined();
+      expect(salesforceService.updateOpportunity).toHaveBeenCalledTimes(1);
+      expect(await echoSuppression.syncStateStore.get('QNVPIK')).toMatchObject({
+        fields: { Amount: 1500 },
+      });
+    });
+
+    test('should forget the proposal when it is deleted', async () => {
+      await processWebhookEvent('proposal.created', proposal, 'trace-1');
+      await processWebhookEvent('proposal.deleted', proposal, 'trace-2');
+
+      expect(await echoSuppression.syncStateStore.get('QNVPIK')).toBeNull();
+    });
+  });
+
+  describe('sync origin', () => {
+    afterEach(() => {
+      config.SF_SYNC_ORIGIN_FIELD = undefined;
+    });
+
+    test('should not push back changes marked as written by the integration', async () => {
+      config.SF_SYNC_ORIGIN_FIELD = 'Last_Sync_Origin__c';
+      const updateStatus = jest.spyOn(prolibuClient, 'updateProposalStatus');
+
+      const outcome = await pushStageChange(
+        {
+          opportunityId: '006XX0000001',
+          prolibuId: 'QNVPIK',
+          stageName: 'Closed Won',
+          modifiedById: '005XX0000000002AAA',
+          syncOrigin: 'Prolibu',
+        },
+        'trace-1'
+      );
+
+      expect(outcome).toMatchObject({ status: 'skipped', reason: 'integration_write' });
+      expect(updateStatus).not.toHaveBeenCalled();
+    });
+
+    test('should record the stage pushed to Prolibu for echo detection', async () => {
+      jest.spyOn(prolibuClient, 'updateProposalStatus').mockResolvedValue({});
+      await processWebhookEvent('proposal.created', proposal, 'trace-1');
+
+      const outcome = await pushStageChange(
+        {
+          opportunityId: '006XX0000001',
+          prolibuId: 'QNVPIK',
+          stageName: 'Closed Won',
+          modifiedById: '005XX0000000002AAA',
+        },
+        'trace-2'
+      );
+
+      expect(outcome.status).toBe('pushed');
+      expect(await echoSuppression.syncStateStore.get('QNVPIK')).toMatchObject({
+        origin: 'salesforce',
+        fields: { StageName: 'Closed Won' },
+      });
+    });
+  });
+});
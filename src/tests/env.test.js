@@ -120,6 +120,33 @@ describe('Environment Validation', () => {
 
       expect(isValid).toBe(false);
     });
+
+    test('should require only client credentials for the client_credentials strategy', () => {
+      const config = {
+        SF_AUTH_STRATEGY: 'client_credentials',
+        SF_LOGIN_URL: 'https://empresa.my.salesforce.com',
+        SF_CLIENT_ID: 'client_id',
+        SF_CLIENT_SECRET: 'client_secret'
+      };
+
+      expect(validateSalesforceConfig(config)).toBe(true);
+      expect(validateSalesforceConfig({ ...config, SF_CLIENT_SECRET: undefined })).toBe(false);
+    });
+
+    test('should require an existing private key file for the jwt strategy', () => {
+      const config = {
+        SF_AUTH_STRATEGY: 'jwt',
+        SF_LOGIN_URL: 'https://login.salesforce.com',
+        SF_USERNAME: 'integration@example.com',
+        SF_CLIENT_ID: 'client_id',
+        SF_PRIVATE_KEY_FILE: __filename
+      };
+
+      expect(validateSalesforceConfig(config)).toBe(true);
+      expect(
+        validateSalesforceConfig({ ...config, SF_PRIVATE_KEY_FILE: './no-existe.key' })
+      ).toBe(false);
+    });
   });
 
   describe('envSchema', () => {
@@ -137,6 +164,29 @@ describe('Environment Validation', () => {
       expect(result.data.PORT).toBe(443);
     });
 
+    test('should default to the password auth strategy and reject unknown ones', () => {
+      expect(envSchema.parse({}).SF_AUTH_STRATEGY).toBe('password');
+      expect(envSchema.safeParse({ SF_AUTH_STRATEGY: 'saml' }).success).toBe(false);
+    });
+
+    test('should parse client match rules in order and reject unknown ones', () => {
+      expect(envSchema.parse({}).SF_ACCOUNT_MATCH_RULES).toEqual(['externalId', 'email', 'name']);
+      expect(envSchema.parse({ SF_CONTACT_MATCH_RULES: 'email, name' }).SF_CONTACT_MATCH_RULES).toEqual([
+        'email',
+        'name'
+      ]);
+      expect(envSchema.safeParse({ SF_ACCOUNT_MATCH_RULES: 'email,phone' }).success).toBe(false);
+    });
+
+    test('should parse amount and close date sources in order and reject unknown ones', () => {
+      const env = envSchema.parse({ SF_AMOUNT_SOURCES: 'hours, total', SF_HOURLY_RATE: '85.5' });
+      expect(env.SF_AMOUNT_SOURCES).toEqual(['hours', 'total']);
+      expect(env.SF_HOURLY_RATE).toBe(85.5);
+      expect(env.SF_CLOSE_DATE_SOURCES).toEqual(['expected', 'expiration']);
+      expect(envSchema.safeParse({ SF_AMOUNT_SOURCES: 'total,guess' }).success).toBe(false);
+      expect(envSchema.safeParse({ SF_HOURLY_RATE: '0' }).success).toBe(false);
+    });
+
     test('should reject invalid schema', () => {
       const invalidEnv = {
         NODE_ENV: 'invalid',
@@ -0,0 +1,198 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  DEFAULT_FIELD_MAPPING_FILE,
+  fieldMappingSchema,
+  loadFieldMapping,
+  setFieldMapping,
+  applyFieldMapping,
+} = require('../config/fieldMapping');
+const { adaptProlibuWebhook } = require('../webhooks/prolibu.adapter');
+const { validateWebhook } = require('../webhooks/prolibu.schema');
+const { processWebhookEvent } = require('../webhooks/prolibu.service');
+const salesforceService = require('../services/salesforce.service');
+
+/**
+ * Tests para el mapeo declarativo de campos Prolibu → Salesforce
+ * Verifica la validación del archivo, la coerción de tipos y el uso en el servicio
+ */
+
+jest.mock('../services/salesforce.service', () => ({
+  createOpportunity: jest.fn(),
+  updateOpportunity: jest.fn(),
+  markOpportunityAsClosedLost: jest.fn(),
+  getCurrencySettings: jest.fn().mockResolvedValue({
+    multiCurrency: false,
+    corporateCurrency: 'USD',
+    activeCurrencies: ['USD'],
+  }),
+}));
+
+describe('Field mapping', () => {
+  const defaultMapping = loadFieldMapping(DEFAULT_FIELD_MAPPING_FILE);
+
+  const customMapping = fieldMappingSchema.parse({
+    fields: [
+      { target: 'Name', source: 'title' },
+      { target: 'Rating__c', source: 'prolibu.rating', type: 'string', transform: 'uppercase' },
+      { target: 'Payments__c', source: 'prolibu.numberOfPayments', type: 'integer', default: 1 },
+      { target: 'Expiration__c', source: 'prolibu.expirationDate', type: 'date' },
+      { target: 'Reference__c', source: 'prolibu.referenceNumber', maxLength: 5, on: ['created'] },
+    ],
+  });
+
+  describe('default mapping', () => {
+    test('should build the standard Opportunity fields on create', () => {
+      expect(
+        applyFieldMapping(
+          { title: '  Propuesta  ', amount: { total: 2500 }, stage: 'won' },
+          'created',
+          defaultMapping
+        )
+      ).toEqual({ Name: 'Propuesta', Amount: 2500, StageName: 'Closed Won', Description: null });
+    });
+
+    test('should only include present fields on update', () => {
+      expect(applyFieldMapping({ stage: 'proposal' }, 'updated', defaultMapping)).toEqual({
+        StageName: 'Proposal/Price Quote',
+      });
+    });
+  });
+
+  describe('custom fields', () => {
+    const data = {
+      title: 'Propuesta',
+      prolibu: {
+        rating: 'cold',
+        numberOfPayments: '3.0',
+        expirationDate: '2025-09-30T23:59:59.000Z',
+        referenceNumber: 'REF-2025-001',
+      },
+    };
+
+    test('should read the raw Prolibu payload with coercion and transforms', () => {
+      expect(applyFieldMapping(data, 'created', customMapping)).toEqual({
+        Name: 'Propuesta',
+        Rating__c: 'COLD',
+        Payments__c: 3,
+        Expiration__c: '2025-09-30',
+        Reference__c: 'REF-2',
+      });
+    });
+
+    test('should apply defaults and unconvertible values only on create', () => {
+      const invalid = { prolibu: { numberOfPayments: 'varios', expirationDate: 'pronto' } };
+
+      expect(applyFieldMapping(invalid, 'created', customMapping)).toEqual({ Payments__c: 1 });
+      expect(applyFieldMapping(invalid, 'updated', customMapping)).toEqual({});
+    });
+  });
+
+  describe('loadFieldMapping', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'field-mapping-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    function writeMapping(content) {
+      const filePath = path.join(tmpDir, 'mapping.json');
+      fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+      return filePath;
+    }
+
+    test('should load a valid mapping file with defaults', () => {
+      const mapping = loadFieldMapping(writeMapping(customMapping));
+
+      expect(mapping.fields[0].on).toEqual(['created', 'updated']);
+    });
+
+    test('should reject invalid mappings with readable errors', () => {
+      expect(() => loadFieldMapping(writeMapping('{ fields: '))).toThrow(
+        'No se pudo leer el mapeo de campos'
+      );
+      expect(() =>
+        loadFieldMapping(
+          writeMapping({
+            fields: [
+              { target: 'Prolibu_External_Id__c', source: 'proposalId' },
+              { target: 'Name', source: 'title', transform: 'reverse' },
+            ],
+          })
+        )
+      ).toThrow(/fields\.0\.target: target no puede ser un campo reservado.*fields\.1\.transform/);
+      expect(() =>
+        loadFieldMapping(
+          writeMapping({
+            fields: [
+              { target: 'Name', source: 'title' },
+              { target: 'Name', source: 'prolibu.title' },
+            ],
+          })
+        )
+      ).toThrow('Cada target solo puede mapearse una vez');
+    });
+  });
+
+  describe('processWebhookEvent with a custom mapping', () => {
+    afterEach(() => {
+      setFieldMapping(null);
+    });
+
+    test('should send the mapped fields from the adapted Prolibu webhook', async () => {
+      setFieldMapping({
+        fields: [...defaultMapping.fields, { target: 'Rating__c', source: 'prolibu.rating' }],
+      });
+      salesforceService.createOpportunity.mockResolvedValue({
+        success: true,
+        salesforceId: '006XX0000001',
+        operation: 'created',
+      });
+
+      const adapted = adaptProlibuWebhook({
+        model: 'proposal',
+        action: 'create',
+        body: { proposalNumber: 'MAP-001', title: 'Propuesta', total: 100, rating: 'Hot' },
+      });
+      const { data } = validateWebhook(adapted);
+
+      await processWebhookEvent(adapted.event, data, 'trace-1');
+
+      expect(salesforceService.createOpportunity.mock.calls[0][0]).toMatchObject({
+        Name: 'Propuesta',
+        Amount: 100,
+        StageName: 'Qualification',
+        Rating__c: 'Hot',
+        Prolibu_External_Id__c: 'MAP-001',
+      });
+    });
+
+    test('should only keep the Prolibu paths referenced by the mapping', () => {
+      setFieldMapping({
+        fields: [
+          ...defaultMapping.fields,
+          { target: 'Company__c', source: 'prolibu.responsible.company' },
+        ],
+      });
+
+      const adapted = adaptProlibuWebhook({
+        model: 'proposal',
+        action: 'update',
+        body: {
+          proposalNumber: 'MAP-002',
+          title: 'Propuesta',
+          total: 100,
+          responsible: { company: 'ACME', email: 'vendedor@acme.com' },
+          relatedLead: { email: 'cliente@abc.com' },
+        },
+      });
+
+      expect(adapted.data.prolibu).toEqual({ responsible: { company: 'ACME' } });
+    });
+  });
+});
@@ -0,0 +1,130 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const {
+  createIdempotencyMiddleware,
+  computeIdempotencyKey,
+} = require('../app/middlewares/idempotency');
+const { MemoryIdempotencyStore, FileIdempotencyStore } = require('../app/libs/idempotencyStore');
+const { errorHandler, BusinessError } = require('../app/middlewares/errorHandler');
+
+/**
+ * Tests para el procesamiento idempotente de webhooks
+ * Verifica el cálculo de claves, la reutilización de respuestas y los almacenes
+ */
+
+function buildApp(handler, store = new MemoryIdempotencyStore()) {
+  const app = express();
+  app.use(express.json());
+  app.post('/webhook', createIdempotencyMiddleware({ store, ttlSeconds: 60 }), handler);
+  app.use(errorHandler);
+  return app;
+}
+
+describe('Idempotency', () => {
+  const webhook = {
+    event: 'proposal.deleted',
+    timestamp: '2025-08-28T12:00:00.000Z',
+    data: { proposalId: 'QNVPIK', reason: 'Propuesta delete en Prolibu' },
+  };
+
+  describe('computeIdempotencyKey', () => {
+    test('should prefer webhookId', () => {
+      expect(computeIdempotencyKey({ ...webhook, webhookId: 'wh-1' })).toBe('id:wh-1');
+    });
+
+    test('should hash event and data ignoring timestamp and key order', () => {
+      const reordered = {
+        timestamp: '2025-08-28T12:05:00.000Z',
+        data: { reason: 'Propuesta delete en Prolibu', proposalId: 'QNVPIK' },
+        event: 'proposal.deleted',
+      };
+
+      expect(computeIdempotencyKey(reordered)).toBe(computeIdempotencyKey(webhook));
+      expect(computeIdempotencyKey(webhook)).toMatch(/^hash:[a-f0-9]{64}$/);
+    });
+
+    test('should produce different keys for different data', () => {
+      const other = { ...webhook, data: { ...webhook.data, proposalId: 'OTHER' } };
+      expect(computeIdempotencyKey(other)).not.toBe(computeIdempotencyKey(webhook));
+    });
+  });
+
+  test('should return the stored response for a duplicate delivery', async () => {
+    const handler = jest.fn((req, res) =>
+      res.status(200).json({ status: 'ok', call: handler.mock.calls.length })
+    );
+    const app = buildApp(handler);
+
+    const first = await request(app).post('/webhook').send(webhook).expect(200);
+    expect(first.headers['idempotent-replayed']).toBe('false');
+
+    // Esperar a que se persista la respuesta
+    await new Promise(resolve => setImmediate(resolve));
+
+    const second = await request(app).post('/webhook').send(webhook).expect(200);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(second.headers['idempotent-replayed']).toBe('true');
+    expect(second.body).toEqual(first.body);
+  });
+
+  test('should reprocess a delivery whose first attempt failed', async () => {
+    let shouldFail = true;
+    const handler = jest.fn((req, res, next) => {
+      if (shouldFail) {
+        return next(new BusinessError('Fallo temporal', 'temporary_failure', 503));
+      }
+      return res.status(200).json({ status: 'ok' });
+    });
+    const app = buildApp(handler);
+
+    await request(app).post('/webhook').send(webhook).expect(503);
+    await new Promise(resolve => setImmediate(resolve));
+
+    shouldFail = false;
+    const retry = await request(app).post('/webhook').send(webhook).expect(200);
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(retry.headers['idempotent-replayed']).toBe('false');
+  });
+
+  test('should reject a duplicate while the original is still processing', async () => {
+    const store = new MemoryIdempotencyStore();
+    await store.begin(computeIdempotencyKey(webhook), 60000);
+
+    const app = buildApp((req, res) => res.status(200).json({}), store);
+    const response = await request(app).post('/webhook').send(webhook).expect(409);
+
+    expect(response.body.error).toBe('webhook_in_progress');
+  });
+
+  describe('FileIdempotencyStore', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'idempotency-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should persist completed responses across instances', async () => {
+      const filePath = path.join(tmpDir, 'idempotency.json');
+      const instanceA = new FileIdempotencyStore({ filePath });
+      const instanceB = new FileIdempotencyStore({ filePath });
+
+      expect(await instanceA.begin('id:wh-1', 60000)).toBeNull();
+      await instanceA.complete('id:wh-1', { statusCode: 200, body: { ok: true } }, 60000);
+
+      const record = await instanceB.begin('id:wh-1', 60000);
+      expect(record).toMatchObject({
+        status: 'completed',
+        response: { statusCode: 200, body: { ok: true } },
+      });
+    });
+  });
+});
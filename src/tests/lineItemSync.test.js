@@ -0,0 +1,164 @@
+const {
+  escapeSoql,
+  productKey,
+  buildProductFilter,
+  planLineItemChanges,
+} = require('../services/lineItemSync');
+const { adaptProducts } = require('../webhooks/prolibu.adapter');
+const { processWebhookEvent } = require('../webhooks/prolibu.service');
+const salesforceService = require('../services/salesforce.service');
+
+/**
+ * Tests para la sincronización de productos como OpportunityLineItems
+ * Verifica la adaptación de productos, la reconciliación de líneas y el flujo del servicio
+ */
+
+jest.mock('../services/salesforce.service', () => ({
+  createOpportunity: jest.fn(),
+  updateOpportunity: jest.fn(),
+  markOpportunityAsClosedLost: jest.fn(),
+  getPricebookId: jest.fn(),
+  syncOpportunityLineItems: jest.fn(),
+}));
+
+describe('Line item sync', () => {
+  describe('adaptProducts', () => {
+    test('should map Prolibu products to line items', () => {
+      expect(
+        adaptProducts([
+          { id: 'p1', sku: 'SKU-1', name: 'Licencia', price: '150.555', quantity: '2' },
+          { title: 'Soporte', price: 80, quantity: 1, description: 'Anual' },
+          { name: 'Sin cantidad', price: 10, quantity: 0 },
+        ])
+      ).toEqual([
+        {
+          productId: 'p1',
+          code: 'SKU-1',
+          name: 'Licencia',
+          quantity: 2,
+          unitPrice: 150.56,
+          description: undefined,
+        },
+        {
+          productId: undefined,
+          code: undefined,
+          name: 'Soporte',
+          quantity: 1,
+          unitPrice: 80,
+          description: 'Anual',
+        },
+      ]);
+    });
+  });
+
+  describe('query helpers', () => {
+    // Comilla simple construida aparte: eslint exige comillas simples y prettier las invierte
+    const quote = String.fromCharCode(39);
+
+    test('should escape quotes and backslashes for SOQL', () => {
+      expect(escapeSoql(`O${quote}Brien\\`)).toBe(`O\\${quote}Brien\\\\`);
+    });
+
+    test('should match products by code or by name', () => {
+      const products = [
+        { code: 'SKU-1', name: 'Licencia' },
+        { name: `Soporte O${quote}Brien` },
+        { code: 'SKU-1', name: 'Licencia' },
+      ];
+
+      expect(buildProductFilter(products, 'Product2.')).toBe(
+        `Product2.ProductCode IN (${quote}SKU-1${quote}) OR ` +
+          `Product2.Name IN (${quote}Soporte O\\${quote}Brien${quote})`
+      );
+      expect(productKey({ code: 'SKU-1', name: 'Otro' })).toBe(productKey({ code: 'sku-1' }));
+    });
+  });
+
+  describe('planLineItemChanges', () => {
+    const existing = [
+      { Id: 'L1', PricebookEntryId: 'PBE1', Quantity: 1, UnitPrice: 100, Description: null },
+      { Id: 'L2', PricebookEntryId: 'PBE2', Quantity: 3, UnitPrice: 50, Description: null },
+      { Id: 'L3', PricebookEntryId: 'PBE3', Quantity: 1, UnitPrice: 10, Description: null },
+    ];
+
+    test('should reconcile adds, removes and changes', () => {
+      const plan = planLineItemChanges(existing, [
+        { PricebookEntryId: 'PBE1', Quantity: 1, UnitPrice: 100, Description: null },
+        { PricebookEntryId: 'PBE2', Quantity: 5, UnitPrice: 50, Description: null },
+        { PricebookEntryId: 'PBE4', Quantity: 2, UnitPrice: 20, Description: 'Nuevo' },
+      ]);
+
+      expect(plan).toEqual({
+        toCreate: [{ PricebookEntryId: 'PBE4', Quantity: 2, UnitPrice: 20, Description: 'Nuevo' }],
+        toUpdate: [{ Id: 'L2', Quantity: 5, UnitPrice: 50, Description: null }],
+        toDelete: ['L3'],
+        unchanged: 1,
+      });
+    });
+
+    test('should pair repeated products in order and delete everything for no products', () => {
+      const repeated = [
+        { Id: 'L1', PricebookEntryId: 'PBE1', Quantity: 1, UnitPrice: 100 },
+        { Id: 'L2', PricebookEntryId: 'PBE1', Quantity: 2, UnitPrice: 100 },
+      ];
+
+      expect(
+        planLineItemChanges(repeated, [
+          { PricebookEntryId: 'PBE1', Quantity: 1, UnitPrice: 100 },
+          { PricebookEntryId: 'PBE1', Quantity: 2, UnitPrice: 100 },
+        ])
+      ).toMatchObject({ toCreate: [], toUpdate: [], toDelete: [], unchanged: 2 });
+      expect(planLineItemChanges(existing, []).toDelete).toEqual(['L1', 'L2', 'L3']);
+    });
+  });
+
+  describe('processWebhookEvent with products', () => {
+    const products = [{ code: 'SKU-1', name: 'Licencia', quantity: 2, unitPrice: 150 }];
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      salesforceService.getPricebookId.mockResolvedValue('01sSTANDARD');
+      salesforceService.updateOpportunity.mockResolvedValue({
+        success: true,
+        salesforceId: '006XX0000001',
+        operation: 'updated',
+      });
+      salesforceService.syncOpportunityLineItems.mockResolvedValue({
+        created: 1,
+        updated: 0,
+        deleted: 0,
+        unchanged: 0,
+      });
+    });
+
+    test('should leave Amount to the rollup and sync the line items', async () => {
+      const result = await processWebhookEvent(
+        'proposal.updated',
+        { proposalId: 'LINES-001', amount: { total: 300 }, products },
+        'trace-1'
+      );
+
+      const [opportunityData] = salesforceService.updateOpportunity.mock.calls[0];
+      expect(opportunityData).not.toHaveProperty('Amount');
+      expect(opportunityData.Pricebook2Id).toBe('01sSTANDARD');
+      expect(salesforceService.syncOpportunityLineItems).toHaveBeenCalledWith(
+        '006XX0000001',
+        products,
+        'trace-1',
+        {}
+      );
+      expect(result.lineItems).toMatchObject({ created: 1 });
+    });
+
+    test('should not touch line items when the webhook has no products', async () => {
+      await processWebhookEvent(
+        'proposal.updated',
+        { proposalId: 'LINES-002', amount: { total: 300 } },
+        'trace-1'
+      );
+
+      expect(salesforceService.updateOpportunity.mock.calls[0][0].Amount).toBe(300);
+      expect(salesforceService.syncOpportunityLineItems).not.toHaveBeenCalled();
+    });
+  });
+});
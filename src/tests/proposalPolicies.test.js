@@ -0,0 +1,146 @@
+const { resolveAmount, resolveCloseDate, toDateOnly } = require('../services/proposalPolicies');
+const { adaptProlibuWebhook } = require('../webhooks/prolibu.adapter');
+const { validateWebhook } = require('../webhooks/prolibu.schema');
+const { processWebhookEvent } = require('../webhooks/prolibu.service');
+const salesforceService = require('../services/salesforce.service');
+const echoSuppression = require('../services/echoSuppression');
+const realPayload = require('../../examples/prolibu-real-payload.json');
+
+/**
+ * Tests para las políticas de monto y fecha de cierre
+ * Verifica que los valores salgan de Prolibu en el orden configurado y que no se inventen
+ */
+
+jest.mock('../services/salesforce.service', () => ({
+  createOpportunity: jest.fn(),
+  updateOpportunity: jest.fn(),
+  markOpportunityAsClosedLost: jest.fn(),
+  getCurrencySettings: jest.fn(),
+  findActiveUserIdByEmail: jest.fn().mockResolvedValue(null),
+  getPricebookId: jest.fn(),
+  syncOpportunityLineItems: jest.fn(),
+}));
+
+describe('Proposal policies', () => {
+  describe('resolveAmount', () => {
+    test('should take the Prolibu total or the tax and discount aware subtotal', () => {
+      expect(resolveAmount({ total: '1190.005', amount: 1000 })).toEqual({
+        total: 1190.01,
+        source: 'total',
+      });
+      expect(resolveAmount({ total: 0, amount: 1000, discount: 100, tax: 171 })).toEqual({
+        total: 1071,
+        source: 'total',
+      });
+    });
+
+    test('should fall through the configured sources in order', () => {
+      const proposal = {
+        total: 0,
+        products: [{ price: '150', quantity: 2 }],
+        workingTime: '2',
+      };
+
+      expect(resolveAmount(proposal)).toEqual({ total: 300, source: 'products' });
+      expect(resolveAmount(proposal, ['hours', 'products'], { hourlyRate: 85 })).toEqual({
+        total: 170,
+        source: 'hours',
+      });
+    });
+
+    test('should leave the amount empty instead of inventing one', () => {
+      expect(resolveAmount({ total: 0, workingTime: '2' })).toEqual({ total: null, source: null });
+      expect(resolveAmount({ workingTime: '2' }, ['hours'])).toEqual({
+        total: null,
+        source: null,
+      });
+    });
+  });
+
+  describe('resolveCloseDate', () => {
+    test('should honour expectedCloseDate before expirationDate', () => {
+      expect(
+        resolveCloseDate({ expectedCloseDate: '2025-10-15', expirationDate: '2025-09-30' })
+      ).toEqual({ closeDate: '2025-10-15', source: 'expected' });
+      expect(resolveCloseDate({ expirationDate: '2025-09-30T23:59:59.000Z' })).toEqual({
+        closeDate: '2025-09-30',
+        source: 'expiration',
+      });
+      expect(
+        resolveCloseDate({ expectedCloseDate: '2025-10-15', expirationDate: '2025-09-30' }, [
+          'expiration',
+        ])
+      ).toEqual({ closeDate: '2025-09-30', source: 'expiration' });
+    });
+
+    test('should return no date when Prolibu has none', () => {
+      expect(resolveCloseDate({ expectedCloseDate: null, expirationDate: 'pronto' })).toEqual({
+        closeDate: undefined,
+        source: null,
+      });
+      expect(toDateOnly(null)).toBeUndefined();
+    });
+  });
+
+  describe('processWebhookEvent with policies', () => {
+    beforeEach(async () => {
+      await echoSuppression.clear();
+      jest.clearAllMocks();
+      salesforceService.getCurrencySettings.mockResolvedValue({
+        multiCurrency: true,
+        corporateCurrency: 'USD',
+        activeCurrencies: ['USD', 'COP'],
+      });
+      salesforceService.createOpportunity.mockResolvedValue({
+        success: true,
+        salesforceId: '006XX0000001',
+        operation: 'created',
+      });
+      salesforceService.updateOpportunity.mockResolvedValue({
+        success: true,
+        salesforceId: '006XX0000001',
+        operation: 'updated',
+      });
+    });
+
+    const adapt = (action, body) => {
+      const adapted = adaptProlibuWebhook({ model: 'proposal', action, body });
+      return { event: adapted.event, data: validateWebhook(adapted).data };
+    };
+
+    test('should create the real payload without Amount and record the sources', async () => {
+      const { event, data } = adapt('create', realPayload.body || realPayload);
+
+      const result = await processWebhookEvent(event, data, 'trace-1');
+
+      const opportunityData = salesforceService.createOpportunity.mock.calls[0][0];
+      expect(opportunityData).not.toHaveProperty('Amount');
+      expect(opportunityData.CloseDate).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+      expect(result.sources).toEqual({ amount: null, closeDate: 'default' });
+    });
+
+    test('should keep the Prolibu close date on create and update', async () => {
+      const body = {
+        proposalNumber: 'POL-001',
+        title: 'Propuesta',
+        total: 500,
+        expectedCloseDate: '2025-10-15T00:00:00.000Z',
+      };
+
+      const create = adapt('create', body);
+      const update = adapt('update', body);
+      const created = await processWebhookEvent(create.event, create.data, 'trace-1');
+      // Sin el estado del create, el update envía el registro completo con su CloseDate
+      await echoSuppression.clear();
+      const updated = await processWebhookEvent(update.event, update.data, 'trace-2');
+
+      expect(salesforceService.createOpportunity.mock.calls[0][0]).toMatchObject({
+        Amount: 500,
+        CloseDate: '2025-10-15',
+      });
+      expect(salesforceService.updateOpportunity.mock.calls[0][0].CloseDate).toBe('2025-10-15');
+      expect(created.sources).toEqual({ amount: 'total', closeDate: 'expected' });
+      expect(updated.sources).toEqual({ amount: 'total', closeDate: 'expected' });
+    });
+  });
+});
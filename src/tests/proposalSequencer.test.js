@@ -0,0 +1,180 @@
+const { KeyedMutex, ProposalSequencer } = require('../app/libs/proposalSequencer');
+const { processWebhookEvent } = require('../webhooks/prolibu.service');
+const salesforceService = require('../services/salesforce.service');
+
+/**
+ * Tests para el ordenamiento de eventos por propuesta
+ * Verifica la serialización por clave y el descarte de eventos obsoletos
+ */
+
+jest.mock('../services/salesforce.service', () => ({
+  createOpportunity: jest.fn(),
+  updateOpportunity: jest.fn(),
+  markOpportunityAsClosedLost: jest.fn(),
+}));
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(res => {
+    resolve = res;
+  });
+  return { promise, resolve };
+}
+
+describe('Proposal ordering', () => {
+  describe('KeyedMutex', () => {
+    test('should serialize functions with the same key', async () => {
+      const mutex = new KeyedMutex();
+      const gate = deferred();
+      const order = [];
+
+      const first = mutex.run('A', async () => {
+        await gate.promise;
+        order.push('first');
+      });
+      const second = mutex.run('A', async () => order.push('second'));
+      const other = mutex.run('B', async () => order.push('other'));
+
+      await other;
+      expect(order).toEqual(['other']);
+
+      gate.resolve();
+      await Promise.all([first, second]);
+
+      expect(order).toEqual(['other', 'first', 'second']);
+      expect(mutex.size()).toBe(0);
+    });
+
+    test('should keep running queued functions after a failure', async () => {
+      const mutex = new KeyedMutex();
+
+      const failing = mutex.run('A', async () => {
+        throw new Error('boom');
+      });
+      const next = mutex.run('A', async () => 'ok');
+
+      await expect(failing).rejects.toThrow('boom');
+      await expect(next).resolves.toBe('ok');
+    });
+  });
+
+  describe('ProposalSequencer', () => {
+    test('should drop events older than the last applied one', async () => {
+      const sequencer = new ProposalSequencer();
+      const fn = jest.fn().mockResolvedValue('applied');
+
+      await sequencer.run({ proposalId: 'A', updatedAt: '2025-08-28T21:00:00.000Z' }, fn);
+      const outcome = await sequencer.run(
+        { proposalId: 'A', updatedAt: '2025-08-28T20:59:59.000Z' },
+        fn
+      );
+
+      expect(outcome).toEqual({ stale: true, lastAppliedAt: '2025-08-28T21:00:00.000Z' });
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    test('should apply events without updatedAt or with the same updatedAt', async () => {
+      const sequencer = new ProposalSequencer();
+      const fn = jest.fn().mockResolvedValue('applied');
+      const updatedAt = '2025-08-28T21:00:00.000Z';
+
+      await sequencer.run({ proposalId: 'A', updatedAt }, fn);
+
+      expect(await sequencer.run({ proposalId: 'A', updatedAt }, fn)).toEqual({
+        stale: false,
+        result: 'applied',
+      });
+      expect((await sequencer.run({ proposalId: 'A' }, fn)).stale).toBe(false);
+      expect(fn).toHaveBeenCalledTimes(3);
+    });
+
+    test('should not remember versions of failed events', async () => {
+      const sequencer = new ProposalSequencer();
+
+      await expect(
+        sequencer.run({ proposalId: 'A', updatedAt: '2025-08-28T22:00:00.000Z' }, async () => {
+          throw new Error('Salesforce caído');
+        })
+      ).rejects.toThrow('Salesforce caído');
+
+      const outcome = await sequencer.run(
+        { proposalId: 'A', updatedAt: '2025-08-28T21:00:00.000Z' },
+        async () => 'applied'
+      );
+      expect(outcome.stale).toBe(false);
+    });
+
+    test('should evict the least recently applied proposals', async () => {
+      const sequencer = new ProposalSequencer({ maxEntries: 1 });
+      const updatedAt = '2025-08-28T21:00:00.000Z';
+
+      await sequencer.run({ proposalId: 'A', updatedAt }, async () => 'applied');
+      await sequencer.run({ proposalId: 'B', updatedAt }, async () => 'applied');
+
+      expect(sequencer.lastApplied.has('A')).toBe(false);
+      expect(sequencer.lastApplied.has('B')).toBe(true);
+    });
+  });
+
+  describe('processWebhookEvent', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+    });
+
+    test('should apply update and delete for the same proposal in arrival order', async () => {
+      const gate = deferred();
+      const calls = [];
+
+      salesforceService.updateOpportunity.mockImplementation(async () => {
+        calls.push('update:start');
+        await gate.promise;
+        calls.push('update:end');
+        return { success: true, salesforceId: 'SF_1', operation: 'updated' };
+      });
+      salesforceService.markOpportunityAsClosedLost.mockImplementation(async () => {
+        calls.push('delete');
+        return { success: true, salesforceId: 'SF_1', operation: 'closed_lost' };
+      });
+
+      const update = processWebhookEvent(
+        'proposal.updated',
+        { proposalId: 'ORDER-001', stage: 'proposal', updatedAt: '2025-08-28T21:00:00.000Z' },
+        'trace-1'
+      );
+      const deletion = processWebhookEvent(
+        'proposal.deleted',
+        { proposalId: 'ORDER-001', updatedAt: '2025-08-28T21:00:05.000Z' },
+        'trace-2'
+      );
+
+      await new Promise(resolve => setImmediate(resolve));
+      expect(calls).toEqual(['update:start']);
+
+      gate.resolve();
+      await Promise.all([update, deletion]);
+
+      expect(calls).toEqual(['update:start', 'update:end', 'delete']);
+    });
+
+    test('should skip a stale update that arrives after a newer delete', async () => {
+      salesforceService.markOpportunityAsClosedLost.mockResolvedValue({
+        success: true,
+        salesforceId: 'SF_2',
+      });
+
+      await processWebhookEvent(
+        'proposal.deleted',
+        { proposalId: 'ORDER-002', updatedAt: '2025-08-28T21:00:05.000Z' },
+        'trace-1'
+      );
+      const result = await processWebhookEvent(
+        'proposal.updated',
+        { proposalId: 'ORDER-002', stage: 'proposal', updatedAt: '2025-08-28T21:00:00.000Z' },
+        'trace-2'
+      );
+
+      expect(result).toMatchObject({ success: true, skipped: true, reason: 'stale_event' });
+      expect(salesforceService.updateOpportunity).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,206 @@
+const { config } = require('../app/libs/env');
+const { buildQuoteRecord, syncProposalQuotes } = require('../services/quoteSync');
+const { adaptVersions } = require('../webhooks/prolibu.adapter');
+const { processWebhookEvent } = require('../webhooks/prolibu.service');
+const salesforceService = require('../services/salesforce.service');
+
+/**
+ * Tests para la sincronización de las versiones de la propuesta como Quotes
+ * Verifica la adaptación de versiones, la Quote sincronizada y el historial de versiones
+ */
+
+jest.mock('../services/salesforce.service', () => ({
+  createOpportunity: jest.fn(),
+  updateOpportunity: jest.fn(),
+  markOpportunityAsClosedLost: jest.fn(),
+  getPricebookId: jest.fn(),
+  syncOpportunityLineItems: jest.fn(),
+  getOpportunityQuotes: jest.fn(),
+  saveQuotes: jest.fn(),
+  syncQuoteLineItems: jest.fn(),
+  setSyncedQuote: jest.fn(),
+}));
+
+describe('Quote sync', () => {
+  const versions = [
+    { versionId: 'V1', name: '20 Aug 2025, 10:00:00 am', total: 900, currency: 'USD' },
+    { versionId: 'V2', name: '28 Aug 2025, 04:51:14 pm', total: 1000, active: true },
+  ];
+  const products = [{ code: 'SKU-1', name: 'Licencia', quantity: 2, unitPrice: 500 }];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    salesforceService.getPricebookId.mockResolvedValue('01sSTANDARD');
+    salesforceService.syncQuoteLineItems.mockResolvedValue({ created: 1 });
+  });
+
+  describe('adaptVersions', () => {
+    test('should map Prolibu versions and mark the current one', () => {
+      expect(
+        adaptVersions({
+          proposalVersion: '68b0cf523361c60020e4bed5',
+          versions: [
+            {
+              date: '2025-08-28T21:51:14.326Z',
+              proposalVersionId: '68b0cf523361c60020e4bed5',
+              title: 'asda',
+              total: 0,
+              currency: 'COP',
+              versionName: '28 Aug 2025, 04:51:14 pm',
+            },
+          ],
+        })
+      ).toEqual([
+        {
+          versionId: '68b0cf523361c60020e4bed5',
+          name: '28 Aug 2025, 04:51:14 pm',
+          title: 'asda',
+          total: 0,
+          currency: 'COP',
+          createdAt: '2025-08-28T21:51:14.326Z',
+          active: true,
+        },
+      ]);
+    });
+
+    test('should add the current version when it is missing from versions', () => {
+      expect(
+        adaptVersions({ proposalVersionId: 'V3', versionName: 'Revisión 3', title: 'Propuesta' })
+      ).toEqual([
+        {
+          versionId: 'V3',
+          name: 'Revisión 3',
+          title: 'Propuesta',
+          currency: undefined,
+          active: true,
+        },
+      ]);
+      expect(adaptVersions({ versions: [] })).toBeUndefined();
+    });
+  });
+
+  describe('buildQuoteRecord', () => {
+    test('should only set the parent and pricebook when creating the quote', () => {
+      const context = {
+        opportunityId: '006XX0000001',
+        pricebookId: '01sSTANDARD',
+        versionField: 'Prolibu_Version_Id__c',
+      };
+
+      expect(buildQuoteRecord(versions[0], context)).toEqual({
+        Name: '20 Aug 2025, 10:00:00 am',
+        Prolibu_Version_Id__c: 'V1',
+        Description: 'Total en Prolibu: 900 USD',
+        OpportunityId: '006XX0000001',
+        Pricebook2Id: '01sSTANDARD',
+      });
+      expect(buildQuoteRecord(versions[1], { ...context, quoteId: '0Q0XX0000002' })).toEqual({
+        Id: '0Q0XX0000002',
+        Name: '28 Aug 2025, 04:51:14 pm',
+        Prolibu_Version_Id__c: 'V2',
+        Description: 'Total en Prolibu: 1000',
+      });
+    });
+  });
+
+  describe('syncProposalQuotes', () => {
+    test('should create the quotes and sync the active version', async () => {
+      salesforceService.getOpportunityQuotes.mockResolvedValue({
+        quotes: new Map(),
+        syncedQuoteId: null,
+      });
+      salesforceService.saveQuotes.mockResolvedValue(['0Q0XX0000001', '0Q0XX0000002']);
+
+      const results = await syncProposalQuotes({
+        opportunityId: '006XX0000001',
+        proposalId: 'QNVPIK',
+        versions,
+        products,
+        traceId: 'trace-1',
+      });
+
+      expect(results).toEqual([
+        { versionId: 'V1', quoteId: '0Q0XX0000001', status: 'created', active: undefined },
+        {
+          versionId: 'V2',
+          quoteId: '0Q0XX0000002',
+          status: 'created',
+          active: true,
+          lineItems: { created: 1 },
+        },
+      ]);
+      expect(salesforceService.syncQuoteLineItems).toHaveBeenCalledWith(
+        '0Q0XX0000002',
+        products,
+        'trace-1',
+        { currencyIsoCode: undefined }
+      );
+      expect(salesforceService.setSyncedQuote).toHaveBeenCalledWith('006XX0000001', '0Q0XX0000002');
+    });
+
+    test('should keep superseded quotes untouched and switch the synced quote', async () => {
+      salesforceService.getOpportunityQuotes.mockResolvedValue({
+        quotes: new Map([['V1', '0Q0XX0000001']]),
+        syncedQuoteId: '0Q0XX0000001',
+      });
+      salesforceService.saveQuotes.mockResolvedValue(['0Q0XX0000002']);
+
+      const results = await syncProposalQuotes({
+        opportunityId: '006XX0000001',
+        proposalId: 'QNVPIK',
+        versions,
+        traceId: 'trace-1',
+      });
+
+      expect(salesforceService.saveQuotes.mock.calls[0][0]).toHaveLength(1);
+      expect(results.map(result => result.status)).toEqual(['kept', 'created']);
+      expect(salesforceService.syncQuoteLineItems).not.toHaveBeenCalled();
+      expect(salesforceService.setSyncedQuote).toHaveBeenCalledWith('006XX0000001', '0Q0XX0000002');
+    });
+  });
+
+  describe('processWebhookEvent with quotes', () => {
+    beforeEach(() => {
+      config.SF_SYNC_QUOTES = true;
+      salesforceService.createOpportunity.mockResolvedValue({
+        success: true,
+        salesforceId: '006XX0000001',
+        operation: 'created',
+      });
+      salesforceService.getOpportunityQuotes.mockResolvedValue({
+        quotes: new Map([['V2', '0Q0XX0000002']]),
+        syncedQuoteId: '0Q0XX0000002',
+      });
+      salesforceService.saveQuotes.mockResolvedValue(['0Q0XX0000001', '0Q0XX0000002']);
+    });
+
+    afterEach(() => {
+      config.SF_SYNC_QUOTES = false;
+    });
+
+    test('should write the products on the synced quote instead of the opportunity', async () => {
+      const result = await processWebhookEvent(
+        'proposal.created',
+        {
+          proposalId: 'QNVPIK',
+          title: 'Propuesta',
+          stage: 'proposal',
+          amount: { total: 1000 },
+          products,
+          versions,
+        },
+        'trace-1'
+      );
+
+      expect(salesforceService.syncOpportunityLineItems).not.toHaveBeenCalled();
+      expect(salesforceService.syncQuoteLineItems).toHaveBeenCalledWith(
+        '0Q0XX0000002',
+        products,
+        'trace-1',
+        { currencyIsoCode: undefined }
+      );
+      expect(salesforceService.setSyncedQuote).not.toHaveBeenCalled();
+      expect(result.quotes.map(quote => quote.status)).toEqual(['created', 'updated']);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadRecordTypeRules,
+  setRecordTypeRules,
+  selectRecordType,
+  recordTypeRulesSchema,
+} = require('../config/recordTypeRules');
+const { setStageMapping, setOrgStages } = require('../config/stageMap');
+const { processWebhookEvent } = require('../webhooks/prolibu.service');
+const salesforceService = require('../services/salesforce.service');
+
+/**
+ * Tests para la elección del tipo de registro de la Opportunity
+ * Verifica las reglas, el mapeo de estados por proceso de ventas y el uso en el servicio
+ */
+
+jest.mock('../services/salesforce.service', () => ({
+  createOpportunity: jest.fn(),
+  updateOpportunity: jest.fn(),
+  markOpportunityAsClosedLost: jest.fn(),
+  getRecordTypeId: jest.fn(),
+}));
+
+describe('Record type rules', () => {
+  const rules = recordTypeRulesSchema.parse({
+    rules: [
+      {
+        recordType: 'Enterprise',
+        when: {
+          'prolibu.responsible.company': '59418bcd105605cc2693a981',
+          'amount.currency': 'USD',
+        },
+      },
+      { recordType: 'Partner', when: { 'prolibu.source': ['partner', 'referral'] } },
+    ],
+    default: 'Standard',
+  });
+
+  describe('selectRecordType', () => {
+    test('should pick the first rule whose conditions all match', () => {
+      expect(
+        selectRecordType(
+          {
+            amount: { currency: 'usd' },
+            prolibu: { responsible: { company: '59418bcd105605cc2693a981' }, source: 'Referral' },
+          },
+          rules
+        )
+      ).toBe('Enterprise');
+      expect(
+        selectRecordType({ amount: { currency: 'COP' }, prolibu: { source: 'Referral' } }, rules)
+      ).toBe('Partner');
+    });
+
+    test('should fall back to the default or to no record type', () => {
+      expect(selectRecordType({ prolibu: { source: null } }, rules)).toBe('Standard');
+      expect(selectRecordType({}, recordTypeRulesSchema.parse({ rules: rules.rules }))).toBeNull();
+      expect(selectRecordType({}, null)).toBeNull();
+    });
+  });
+
+  describe('loadRecordTypeRules', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'record-type-rules-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should reject rules without conditions', () => {
+      const filePath = path.join(tmpDir, 'rules.json');
+      fs.writeFileSync(filePath, JSON.stringify({ rules: [{ recordType: 'Partner', when: {} }] }));
+
+      expect(() => loadRecordTypeRules(filePath)).toThrow(
+        'rules.0.when: La regla debe tener al menos una condición'
+      );
+    });
+  });
+
+  describe('processWebhookEvent with record types', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      setRecordTypeRules({
+        rules: [{ recordType: 'Partner', when: { 'prolibu.source': 'partner' } }],
+      });
+      setStageMapping({
+        stages: { proposal: 'Proposal/Price Quote', won: 'Closed Won' },
+        recordTypes: { Partner: { stages: { proposal: 'Partner Review' } } },
+      });
+      salesforceService.getRecordTypeId.mockResolvedValue('012XX0000000001AAA');
+      salesforceService.createOpportunity.mockResolvedValue({
+        success: true,
+        salesforceId: '006XX0000001',
+        operation: 'created',
+      });
+      salesforceService.updateOpportunity.mockResolvedValue({
+        success: true,
+        salesforceId: '006XX0000001',
+        operation: 'updated',
+      });
+    });
+
+    afterEach(() => {
+      setRecordTypeRules(undefined);
+      setStageMapping(null);
+      setOrgStages(null);
+    });
+
+    const proposal = (proposalId, stage) => ({
+      proposalId,
+      title: 'Propuesta',
+      stage,
+      amount: { total: 100 },
+      prolibu: { source: 'partner' },
+    });
+
+    test('should set the record type and map stages with its overrides', async () => {
+      await processWebhookEvent('proposal.created', proposal('RT-001', 'proposal'), 'trace-1');
+
+      expect(salesforceService.getRecordTypeId).toHaveBeenCalledWith('Partner');
+      expect(salesforceService.createOpportunity.mock.calls[0][0]).toMatchObject({
+        RecordTypeId: '012XX0000000001AAA',
+        StageName: 'Partner Review',
+      });
+    });
+
+    test('should map stages by record type on update without changing it', async () => {
+      await processWebhookEvent('proposal.updated', proposal('RT-002', 'proposal'), 'trace-1');
+
+      const updateData = salesforceService.updateOpportunity.mock.calls[0][0];
+      expect(updateData.StageName).toBe('Partner Review');
+      expect(updateData.RecordTypeId).toBeUndefined();
+    });
+
+    test('should reject stages outside the sales process of the record type', async () => {
+      setOrgStages(
+        [
+          { name: 'Partner Review', isClosed: false, isWon: false, probability: 50 },
+          { name: 'Closed Won', isClosed: true, isWon: true, probability: 100 },
+        ],
+        [{ id: '012XX0000000001AAA', developerName: 'Partner', stages: ['Partner Review'] }]
+      );
+
+      await expect(
+        processWebhookEvent('proposal.created', proposal('RT-003', 'won'), 'trace-1')
+      ).rejects.toThrow('no pertenece al proceso de ventas del tipo de registro "Partner"');
+      expect(salesforceService.createOpportunity).not.toHaveBeenCalled();
+    });
+  });
+});
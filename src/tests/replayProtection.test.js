@@ -0,0 +1,202 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { createReplayProtection } = require('../app/middlewares/replayProtection');
+const {
+  createWebhookSignatureVerifier,
+  computeSignature,
+} = require('../app/middlewares/webhookSignature');
+const { MemoryNonceStore, FileNonceStore, createNonceStore } = require('../app/libs/nonceStore');
+const { errorHandler } = require('../app/middlewares/errorHandler');
+
+/**
+ * Tests para la protección contra replay de webhooks
+ * Verifica la ventana de tiempo, la detección de nonces repetidos y los almacenes
+ */
+
+const NOW = Date.parse('2025-08-28T21:51:14.000Z');
+
+function buildApp({ store = new MemoryNonceStore(), signedAt = NOW } = {}) {
+  const app = express();
+  app.use(express.json());
+
+  // Simula una firma ya verificada por verifyWebhookSignature
+  app.use((req, res, next) => {
+    const signature = req.get('X-Prolibu-Signature');
+    if (signature) {
+      req.webhookSignature = {
+        timestamp: signedAt,
+        secretVersion: 'current',
+        digest: signature.replace(/^sha256=/, '').toLowerCase(),
+      };
+    }
+    next();
+  });
+
+  app.post(
+    '/webhook',
+    createReplayProtection({ store, windowSeconds: 300, now: () => NOW }),
+    (req, res) => res.status(200).json({ nonce: req.webhookNonce })
+  );
+
+  app.use(errorHandler);
+
+  return app;
+}
+
+describe('Replay Protection', () => {
+  test('should reject a webhook delivered twice with the same signature', async () => {
+    const app = buildApp();
+
+    await request(app)
+      .post('/webhook')
+      .set('X-Prolibu-Signature', 'sha256=abc123')
+      .send({ event: 'proposal.updated' })
+      .expect(200);
+
+    const response = await request(app)
+      .post('/webhook')
+      .set('X-Prolibu-Signature', 'sha256=abc123')
+      .send({ event: 'proposal.updated' })
+      .expect(409);
+
+    expect(response.body.error).toBe('webhook_replayed');
+  });
+
+  test('should ignore an unsigned nonce header on a resent body', async () => {
+    const app = buildApp();
+
+    const first = await request(app)
+      .post('/webhook')
+      .set('X-Prolibu-Signature', 'sha256=captured')
+      .set('X-Prolibu-Nonce', 'delivery-1')
+      .send({ webhookId: 'wh-001' })
+      .expect(200);
+
+    expect(first.body.nonce).toBe(`webhook:wh-001@${NOW}`);
+
+    const response = await request(app)
+      .post('/webhook')
+      .set('X-Prolibu-Signature', 'sha256=captured')
+      .set('X-Prolibu-Nonce', 'delivery-2')
+      .send({ webhookId: 'wh-001' })
+      .expect(409);
+
+    expect(response.body.error).toBe('webhook_replayed');
+  });
+
+  test('should reject a replay that only changes the signature header format', async () => {
+    const secret = 'current-secret-0123456789';
+    const app = express();
+    app.use(
+      express.json({
+        verify: (req, res, buf) => {
+          req.rawBody = buf;
+        },
+      })
+    );
+    app.post(
+      '/webhook',
+      createWebhookSignatureVerifier({ secret, now: () => NOW }),
+      createReplayProtection({ store: new MemoryNonceStore(), windowSeconds: 300, now: () => NOW }),
+      (req, res) => res.status(200).json({ nonce: req.webhookNonce })
+    );
+    app.use(errorHandler);
+
+    const rawBody = JSON.stringify({ event: 'proposal.updated' });
+    const timestamp = String(Math.floor(NOW / 1000));
+    const digest = computeSignature(secret, timestamp, rawBody);
+    const deliver = signature =>
+      request(app)
+        .post('/webhook')
+        .set('Content-Type', 'application/json')
+        .set('X-Prolibu-Timestamp', timestamp)
+        .set('X-Prolibu-Signature', signature)
+        .send(rawBody);
+
+    await deliver(`sha256=${digest}`).expect(200);
+    await deliver(digest).expect(409);
+    await deliver(`sha256=${digest.toUpperCase()}`).expect(409);
+  });
+
+  test('should key on webhookId plus signed timestamp', async () => {
+    const response = await request(buildApp())
+      .post('/webhook')
+      .set('X-Prolibu-Signature', 'sha256=abc')
+      .send({ webhookId: 'wh-001' })
+      .expect(200);
+
+    expect(response.body.nonce).toBe(`webhook:wh-001@${NOW}`);
+  });
+
+  test('should reject webhooks signed outside the window', async () => {
+    const app = buildApp({ signedAt: NOW - 301 * 1000 });
+
+    const response = await request(app)
+      .post('/webhook')
+      .set('X-Prolibu-Signature', 'sha256=old')
+      .send({})
+      .expect(401);
+
+    expect(response.body.error).toBe('webhook_expired');
+  });
+
+  test('should skip unsigned webhooks', async () => {
+    const app = buildApp();
+
+    await request(app).post('/webhook').send({ webhookId: 'wh-002' }).expect(200);
+    await request(app).post('/webhook').send({ webhookId: 'wh-002' }).expect(200);
+  });
+
+  describe('MemoryNonceStore', () => {
+    test('should forget nonces after their TTL', async () => {
+      let currentTime = NOW;
+      const store = new MemoryNonceStore({ now: () => currentTime });
+
+      expect(await store.checkAndRemember('a', 1000)).toBe(true);
+      expect(await store.checkAndRemember('a', 1000)).toBe(false);
+
+      currentTime += 1001;
+      expect(await store.checkAndRemember('a', 1000)).toBe(true);
+    });
+
+    test('should evict least recently used nonces beyond capacity', async () => {
+      const store = new MemoryNonceStore({ maxEntries: 2 });
+
+      await store.checkAndRemember('a', 60000);
+      await store.checkAndRemember('b', 60000);
+      await store.checkAndRemember('c', 60000);
+
+      expect(await store.size()).toBe(2);
+      expect(await store.checkAndRemember('a', 60000)).toBe(true);
+    });
+  });
+
+  describe('FileNonceStore', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nonces-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should share nonces between store instances', async () => {
+      const filePath = path.join(tmpDir, 'nonces.json');
+      const instanceA = new FileNonceStore({ filePath });
+      const instanceB = new FileNonceStore({ filePath });
+
+      expect(await instanceA.checkAndRemember('shared', 60000)).toBe(true);
+      expect(await instanceB.checkAndRemember('shared', 60000)).toBe(false);
+      expect(await instanceB.size()).toBe(1);
+    });
+  });
+
+  test('createNonceStore should reject unknown types', () => {
+    expect(() => createNonceStore({ type: 'redis' })).toThrow(/no soportado/);
+  });
+});
@@ -0,0 +1,300 @@
+const http = require('http');
+const request = require('supertest');
+const { createServer } = require('../app/server');
+const { config } = require('../app/libs/env');
+const { parseOutboundMessage, parseChangeEvents } = require('../webhooks/salesforce.adapter');
+const { pushStageChange } = require('../services/reverseSync');
+const prolibuClient = require('../services/prolibuClient');
+const salesforceService = require('../services/salesforce.service');
+
+/**
+ * Tests para la sincronización inversa Salesforce → Prolibu
+ * Verifica el parseo de notificaciones, la prevención de bucles y el endpoint
+ */
+
+jest.mock('../services/salesforce.service', () => ({
+  getIntegrationUserId: jest.fn(),
+  getOpportunityById: jest.fn(),
+}));
+
+const INTEGRATION_USER_ID = '005XX0000000001AAA';
+const INBOUND_TOKEN = 'salesforce-inbound-token';
+
+const outboundMessage = `<?xml version="1.0" encoding="UTF-8"?>
+<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+ <soapenv:Body>
+  <notifications xmlns="http://soap.sforce.com/2005/09/outbound">
+   <OrganizationId>00DXX0000000001</OrganizationId>
+   <ActionId>04kXX0000000001</ActionId>
+   <SessionId xsi:nil="true"/>
+   <Notification>
+    <Id>04lXX0000000001</Id>
+    <sObject xsi:type="sf:Opportunity" xmlns:sf="urn:sobject.enterprise.soap.sforce.com">
+     <sf:Id>006XX0000000001AAA</sf:Id>
+     <sf:LastModifiedById>005XX0000000002AAA</sf:LastModifiedById>
+     <sf:Prolibu_External_Id__c>QNVPIK</sf:Prolibu_External_Id__c>
+     <sf:StageName>Closed Won</sf:StageName>
+    </sObject>
+   </Notification>
+  </notifications>
+ </soapenv:Body>
+</soapenv:Envelope>`;
+
+describe('Reverse sync', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    salesforceService.getIntegrationUserId.mockResolvedValue(INTEGRATION_USER_ID);
+  });
+
+  describe('salesforce.adapter', () => {
+    test('should parse Opportunity changes from an Outbound Message', () => {
+      expect(parseOutboundMessage(outboundMessage)).toEqual({
+        organizationId: '00DXX0000000001',
+        changes: [
+          {
+            notificationId: '04lXX0000000001',
+            opportunityId: '006XX0000000001AAA',
+            prolibuId: 'QNVPIK',
+            stageName: 'Closed Won',
+            modifiedById: '005XX0000000002AAA',
+          },
+        ],
+      });
+      expect(() => parseOutboundMessage('<html></html>')).toThrow('Outbound Message');
+    });
+
+    test('should parse Change Data Capture and Platform Event notifications', () => {
+      const { changes } = parseChangeEvents({
+        events: [
+          {
+            data: {
+              payload: {
+                ChangeEventHeader: {
+                  entityName: 'Opportunity',
+                  changeType: 'UPDATE',
+                  recordIds: ['006XX0000000001AAA', '006XX0000000002AAA'],
+                  commitUser: '005XX0000000002AAA',
+                },
+                StageName: 'Closed Lost',
+              },
+            },
+          },
+          { payload: { ChangeEventHeader: { entityName: 'Account', recordIds: ['001XX'] } } },
+          { Opportunity_Id__c: '006XX0000000003AAA', Stage_Name__c: 'Qualification' },
+        ],
+      });
+
+      expect(changes).toEqual([
+        {
+          opportunityId: '006XX0000000001AAA',
+          stageName: 'Closed Lost',
+          modifiedById: '005XX0000000002AAA',
+          prolibuId: undefined,
+        },
+        {
+          opportunityId: '006XX0000000002AAA',
+          stageName: 'Closed Lost',
+          modifiedById: '005XX0000000002AAA',
+          prolibuId: undefined,
+        },
+        {
+          opportunityId: '006XX0000000003AAA',
+          stageName: 'Qualification',
+          modifiedById: undefined,
+          prolibuId: undefined,
+        },
+      ]);
+    });
+  });
+
+  describe('pushStageChange', () => {
+    test('should update the Prolibu status mapped from the stage', async () => {
+      const updateSpy = jest.spyOn(prolibuClient, 'updateProposalStatus').mockResolvedValue({});
+
+      const result = await pushStageChange(
+        { opportunityId: '006XX0000000001AAA', prolibuId: 'QNVPIK', stageName: 'Closed Won' },
+        'trace-1'
+      );
+
+      expect(result).toMatchObject({ status: 'pushed', prolibuStatus: 'Accepted' });
+      expect(updateSpy).toHaveBeenCalledWith('QNVPIK', 'Accepted', 'trace-1');
+    });
+
+    test('should not echo changes made by the integration user', async () => {
+      const updateSpy = jest.spyOn(prolibuClient, 'updateProposalStatus');
+
+      const result = await pushStageChange(
+        {
+          opportunityId: '006XX0000000001AAA',
+          prolibuId: 'QNVPIK',
+          stageName: 'Closed Won',
+          modifiedById: '005XX0000000001',
+        },
+        'trace-1'
+      );
+
+      expect(result).toMatchObject({ status: 'skipped', reason: 'integration_write' });
+      expect(updateSpy).not.toHaveBeenCalled();
+    });
+
+    test('should look up the proposal id and skip stages without a Prolibu status', async () => {
+      const updateSpy = jest.spyOn(prolibuClient, 'updateProposalStatus');
+      salesforceService.getOpportunityById.mockResolvedValue({
+        Id: '006XX0000000001AAA',
+        Prolibu_External_Id__c: 'QNVPIK',
+      });
+
+      const result = await pushStageChange(
+        { opportunityId: '006XX0000000001AAA', stageName: 'Negotiation/Review' },
+        'trace-1'
+      );
+
+      expect(result).toMatchObject({
+        status: 'skipped',
+        reason: 'unmapped_stage',
+        proposalId: 'QNVPIK',
+      });
+      expect(updateSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('prolibuClient', () => {
+    let server;
+    let received;
+    const originalConfig = {
+      PROLIBU_API_URL: config.PROLIBU_API_URL,
+      PROLIBU_API_TOKEN: config.PROLIBU_API_TOKEN,
+    };
+
+    beforeAll(done => {
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => (body += chunk));
+        req.on('end', () => {
+          received = { method: req.method, url: req.url, headers: req.headers, body };
+          res.writeHead(req.url.includes('MISSING') ? 404 : 200, {
+            'Content-Type': 'application/json',
+          });
+          res.end(JSON.stringify({ ok: true }));
+        });
+      });
+      server.listen(0, '127.0.0.1', () => {
+        Object.assign(config, {
+          PROLIBU_API_URL: `http://127.0.0.1:${server.address().port}/v2/`,
+          PROLIBU_API_TOKEN: 'prolibu-api-token',
+        });
+        done();
+      });
+    });
+
+    afterAll(done => {
+      Object.assign(config, originalConfig);
+      server.close(done);
+    });
+
+    test('should PATCH the proposal status with the API token', async () => {
+      await expect(
+        prolibuClient.updateProposalStatus('QNVPIK', 'Accepted', 'trace-1')
+      ).resolves.toEqual({ ok: true });
+
+      expect(received).toMatchObject({
+        method: 'PATCH',
+        url: '/v2/proposal/QNVPIK',
+        body: JSON.stringify({ status: 'Accepted' }),
+      });
+      expect(received.headers.authorization).toBe('Bearer prolibu-api-token');
+    });
+
+    test('should reject HTTP errors with the status code', async () => {
+      await expect(
+        prolibuClient.updateProposalStatus('MISSING', 'Accepted', 'trace-1')
+      ).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('POST /webhooks/salesforce', () => {
+    let app;
+
+    beforeAll(() => {
+      app = createServer();
+    });
+
+    beforeEach(() => {
+      Object.assign(config, { SF_REVERSE_SYNC: true, SF_INBOUND_TOKEN: INBOUND_TOKEN });
+    });
+
+    afterEach(() => {
+      Object.assign(config, {
+        SF_REVERSE_SYNC: false,
+        SF_INBOUND_TOKEN: undefined,
+        SF_ORGANIZATION_ID: undefined,
+      });
+    });
+
+    test('should be disabled without SF_REVERSE_SYNC', async () => {
+      config.SF_REVERSE_SYNC = false;
+
+      const response = await request(app).post('/webhooks/salesforce').send({});
+
+      expect(response.status).toBe(403);
+    });
+
+    test('should reject requests without the inbound token', async () => {
+      const response = await request(app)
+        .post('/webhooks/salesforce?token=wrong-token')
+        .set('Content-Type', 'text/xml')
+        .send(outboundMessage);
+
+      expect(response.status).toBe(401);
+    });
+
+    test('should acknowledge an Outbound Message after updating Prolibu', async () => {
+      jest.spyOn(prolibuClient, 'updateProposalStatus').mockResolvedValue({});
+
+      const response = await request(app)
+        .post(`/webhooks/salesforce?token=${INBOUND_TOKEN}`)
+        .set('Content-Type', 'text/xml')
+        .send(outboundMessage);
+
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('<Ack>true</Ack>');
+      expect(prolibuClient.updateProposalStatus).toHaveBeenCalledWith(
+        'QNVPIK',
+        'Accepted',
+        expect.any(String)
+      );
+    });
+
+    test('should reject Outbound Messages from another org', async () => {
+      config.SF_ORGANIZATION_ID = '00DXX0000000009';
+
+      const response = await request(app)
+        .post(`/webhooks/salesforce?token=${INBOUND_TOKEN}`)
+        .set('Content-Type', 'text/xml')
+        .send(outboundMessage);
+
+      expect(response.status).toBe(401);
+    });
+
+    test('should answer 502 when Prolibu rejects the update so Salesforce retries', async () => {
+      jest
+        .spyOn(prolibuClient, 'updateProposalStatus')
+        .mockRejectedValue(new Error('Prolibu respondió HTTP 503'));
+
+      const response = await request(app)
+        .post('/webhooks/salesforce')
+        .set('x-salesforce-token', INBOUND_TOKEN)
+        .send({ Id: '006XX0000000001AAA', StageName: 'Closed Won', Prolibu_Id__c: 'QNVPIK' });
+
+      expect(response.status).toBe(502);
+      expect(response.body.data.results).toEqual([
+        {
+          opportunityId: '006XX0000000001AAA',
+          status: 'failed',
+          error: 'Prolibu respondió HTTP 503',
+        },
+      ]);
+    });
+  });
+});
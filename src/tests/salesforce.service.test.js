@@ -0,0 +1,650 @@
+const salesforceService = require('../services/salesforce.service');
+const { config } = require('../app/libs/env');
+const { isRecoverableError } = require('../app/middlewares/salesforceErrorHandler');
+
+/**
+ * Tests para las operaciones de Opportunity del servicio de Salesforce
+ * Usa una conexión simulada de jsforce para verificar las llamadas a la API
+ */
+
+describe('Salesforce Service', () => {
+  let sobject;
+
+  beforeEach(() => {
+    sobject = {
+      upsert: jest.fn(),
+      findOne: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      destroy: jest.fn(),
+    };
+    salesforceService.connection = { sobject: jest.fn(() => sobject) };
+    jest.spyOn(salesforceService, 'ensureConnection').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    salesforceService.connection = null;
+    salesforceService.standardPricebookId = null;
+    salesforceService.currencySettings = null;
+  });
+
+  const opportunityData = {
+    Name: 'Propuesta QNVPIK',
+    StageName: 'Proposal/Price Quote',
+    Prolibu_External_Id__c: 'QNVPIK',
+  };
+
+  describe('upsertOpportunity', () => {
+    test('should create through a single upsert on the External ID', async () => {
+      sobject.upsert.mockResolvedValue({ id: '006XX0000001', success: true, created: true });
+
+      const result = await salesforceService.upsertOpportunity(opportunityData, 'trace-1');
+
+      expect(sobject.upsert).toHaveBeenCalledWith(opportunityData, 'Prolibu_External_Id__c');
+      expect(sobject.findOne).not.toHaveBeenCalled();
+      expect(result).toEqual({
+        success: true,
+        salesforceId: '006XX0000001',
+        operation: 'created',
+        opportunityData,
+      });
+    });
+
+    test('should report updates when the record already existed', async () => {
+      sobject.upsert.mockResolvedValue({ id: '006XX0000001', success: true, created: false });
+
+      const result = await salesforceService.updateOpportunity(opportunityData, 'trace-1');
+
+      expect(result).toMatchObject({ salesforceId: '006XX0000001', operation: 'updated' });
+      expect(sobject.create).not.toHaveBeenCalled();
+      expect(sobject.update).not.toHaveBeenCalled();
+    });
+
+    test('should resolve the Id when the API answers without body', async () => {
+      sobject.upsert.mockResolvedValue({ success: true, errors: [] });
+      sobject.findOne.mockResolvedValue({ Id: '006XX0000002' });
+
+      const result = await salesforceService.createOpportunity(opportunityData, 'trace-1');
+
+      expect(result).toMatchObject({ salesforceId: '006XX0000002', operation: 'updated' });
+    });
+
+    test('should throw when Salesforce rejects the upsert', async () => {
+      sobject.upsert.mockResolvedValue({
+        success: false,
+        errors: [{ statusCode: 'REQUIRED_FIELD_MISSING' }],
+      });
+
+      await expect(salesforceService.upsertOpportunity(opportunityData, 'trace-1')).rejects.toThrow(
+        'Salesforce upsert failed'
+      );
+    });
+
+    test('should keep the status code of a rejected upsert for retries', async () => {
+      sobject.upsert.mockResolvedValue({
+        success: false,
+        errors: [
+          { statusCode: 'UNABLE_TO_LOCK_ROW', message: 'unable to obtain exclusive access' },
+        ],
+      });
+
+      const error = await salesforceService
+        .upsertOpportunity(opportunityData, 'trace-1')
+        .catch(rejection => rejection);
+
+      expect(error.errorCode).toBe('UNABLE_TO_LOCK_ROW');
+      expect(isRecoverableError(error)).toBe(true);
+    });
+
+    test('should keep the status code when closing the opportunity as lost fails', async () => {
+      sobject.findOne.mockResolvedValue({ Id: '006XX0000001' });
+      sobject.update.mockResolvedValue({
+        success: false,
+        errors: [
+          { statusCode: 'UNABLE_TO_LOCK_ROW', message: 'unable to obtain exclusive access' },
+        ],
+      });
+
+      const error = await salesforceService
+        .markOpportunityAsClosedLost('QNVPIK', 'trace-1', 'Propuesta eliminada')
+        .catch(rejection => rejection);
+
+      expect(error.message).toContain('Salesforce update failed');
+      expect(error.errorCode).toBe('UNABLE_TO_LOCK_ROW');
+      expect(isRecoverableError(error)).toBe(true);
+    });
+
+    test('should mark the write with the sync origin when the field is configured', async () => {
+      config.SF_SYNC_ORIGIN_FIELD = 'Last_Sync_Origin__c';
+      sobject.upsert.mockResolvedValue({ id: '006XX0000001', success: true, created: false });
+
+      try {
+        await salesforceService.upsertOpportunity(opportunityData, 'trace-1');
+      } finally {
+        config.SF_SYNC_ORIGIN_FIELD = undefined;
+      }
+
+      expect(sobject.upsert).toHaveBeenCalledWith(
+        { ...opportunityData, Last_Sync_Origin__c: 'Prolibu' },
+        'Prolibu_External_Id__c'
+      );
+    });
+
+    test('should read the current values of the requested fields', async () => {
+      sobject.findOne.mockResolvedValue({ Id: '006XX0000001', Amount: 1000 });
+
+      const opportunity = await salesforceService.getOpportunityFields('QNVPIK', ['Amount']);
+
+      expect(sobject.findOne).toHaveBeenCalledWith({ Prolibu_External_Id__c: 'QNVPIK' }, [
+        'Id',
+        'Amount',
+      ]);
+      expect(opportunity).toEqual({ Id: '006XX0000001', Amount: 1000 });
+    });
+  });
+
+  describe('syncOpportunityLineItems', () => {
+    const products = [
+      { code: 'SKU-1', name: 'Licencia', quantity: 3, unitPrice: 150 },
+      { code: 'SKU-2', name: 'Soporte', quantity: 1, unitPrice: 80 },
+    ];
+
+    function mockQueries(responses) {
+      salesforceService.connection.query = jest.fn(async soql => {
+        const match = Object.keys(responses).find(prefix => soql.includes(prefix));
+        return { records: match ? responses[match] : [] };
+      });
+    }
+
+    test('should create missing products and reconcile the lines', async () => {
+      mockQueries({
+        'FROM OpportunityLineItem': [
+          { Id: 'L1', PricebookEntryId: 'PBE1', Quantity: 2, UnitPrice: 150 },
+          { Id: 'L9', PricebookEntryId: 'PBE9', Quantity: 1, UnitPrice: 10 },
+        ],
+        'FROM Pricebook2': [{ Id: '01sSTANDARD' }],
+        'IsActive, Product2Id': [
+          {
+            Id: 'PBE1',
+            IsActive: true,
+            Product2Id: '01tA',
+            Product2: { ProductCode: 'SKU-1', Name: 'Licencia' },
+          },
+        ],
+      });
+      sobject.create
+        .mockResolvedValueOnce([{ id: '01tB', success: true }])
+        .mockResolvedValueOnce([{ id: 'PBE2', success: true }])
+        .mockResolvedValueOnce([{ id: 'L2', success: true }]);
+      sobject.update.mockResolvedValue([{ id: 'L1', success: true }]);
+      sobject.destroy.mockResolvedValue([{ id: 'L9', success: true }]);
+
+      const result = await salesforceService.syncOpportunityLineItems(
+        '006XX0000001',
+        products,
+        'trace-1'
+      );
+
+      expect(result).toEqual({ created: 1, updated: 1, deleted: 1, unchanged: 0 });
+      expect(sobject.create).toHaveBeenNthCalledWith(1, [
+        { Name: 'Soporte', ProductCode: 'SKU-2', IsActive: true },
+      ]);
+      expect(sobject.create).toHaveBeenNthCalledWith(2, [
+        { Pricebook2Id: '01sSTANDARD', Product2Id: '01tB', UnitPrice: 80, IsActive: true },
+      ]);
+      expect(sobject.create).toHaveBeenNthCalledWith(3, [
+        {
+          OpportunityId: '006XX0000001',
+          PricebookEntryId: 'PBE2',
+          Quantity: 1,
+          UnitPrice: 80,
+          Description: null,
+        },
+      ]);
+      expect(sobject.update).toHaveBeenCalledWith([
+        { Id: 'L1', Quantity: 3, UnitPrice: 150, Description: null },
+      ]);
+      expect(sobject.destroy).toHaveBeenCalledWith(['L9']);
+    });
+
+    test('should use pricebook entries in the opportunity currency on multi-currency orgs', async () => {
+      mockQueries({
+        'FROM Pricebook2': [{ Id: '01sSTANDARD' }],
+      });
+      sobject.create
+        .mockResolvedValueOnce([{ id: '01tA', success: true }])
+        .mockResolvedValueOnce([{ id: 'PBE1', success: true }])
+        .mockResolvedValueOnce([{ id: 'L1', success: true }]);
+
+      await salesforceService.syncOpportunityLineItems('006XX0000001', [products[0]], 'trace-1', {
+        currencyIsoCode: 'COP',
+      });
+
+      const queries = salesforceService.connection.query.mock.calls.map(call => call[0]);
+      expect(queries.filter(soql => soql.includes('FROM PricebookEntry'))).toEqual([
+        expect.stringMatching(/AND CurrencyIsoCode = .COP./),
+        expect.stringMatching(/AND CurrencyIsoCode = .COP./),
+      ]);
+      expect(sobject.create).toHaveBeenNthCalledWith(2, [
+        {
+          Pricebook2Id: '01sSTANDARD',
+          Product2Id: '01tA',
+          UnitPrice: 150,
+          IsActive: true,
+          CurrencyIsoCode: 'COP',
+        },
+      ]);
+    });
+
+    test('should remove every line when the proposal has no products', async () => {
+      mockQueries({
+        'FROM OpportunityLineItem': [{ Id: 'L1', PricebookEntryId: 'PBE1', Quantity: 1 }],
+      });
+      sobject.destroy.mockResolvedValue([{ id: 'L1', success: true }]);
+
+      const result = await salesforceService.syncOpportunityLineItems(
+        '006XX0000001',
+        [],
+        'trace-1'
+      );
+
+      expect(result).toEqual({ created: 0, updated: 0, deleted: 1, unchanged: 0 });
+      expect(salesforceService.connection.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('should throw when Salesforce rejects a line', async () => {
+      mockQueries({
+        'FROM OpportunityLineItem': [{ Id: 'L1', PricebookEntryId: 'PBE1', Quantity: 1 }],
+      });
+      sobject.destroy.mockResolvedValue([
+        { id: 'L1', success: false, errors: [{ statusCode: 'ENTITY_IS_LOCKED' }] },
+      ]);
+
+      await expect(
+        salesforceService.syncOpportunityLineItems('006XX0000001', [], 'trace-1')
+      ).rejects.toThrow('OpportunityLineItem deletion');
+    });
+
+    test('should keep the status code of the rejected line for retries', async () => {
+      mockQueries({
+        'FROM OpportunityLineItem': [{ Id: 'L1', PricebookEntryId: 'PBE1', Quantity: 1 }],
+      });
+      sobject.destroy.mockResolvedValue([
+        {
+          id: 'L1',
+          success: false,
+          errors: [
+            { statusCode: 'REQUEST_LIMIT_EXCEEDED', message: 'TotalRequests Limit exceeded' },
+          ],
+        },
+      ]);
+
+      const error = await salesforceService
+        .syncOpportunityLineItems('006XX0000001', [], 'trace-1')
+        .catch(rejection => rejection);
+
+      expect(error.errorCode).toBe('REQUEST_LIMIT_EXCEEDED');
+      expect(isRecoverableError(error)).toBe(true);
+    });
+  });
+
+  describe('quotes', () => {
+    test('should index the opportunity quotes by Prolibu version', async () => {
+      salesforceService.connection.query = jest.fn().mockResolvedValue({
+        records: [{ Id: '0Q0XX0000001', Prolibu_Version_Id__c: 'V1' }],
+      });
+      sobject.findOne.mockResolvedValue({ SyncedQuoteId: '0Q0XX0000001' });
+
+      const result = await salesforceService.getOpportunityQuotes(
+        '006XX0000001',
+        'Prolibu_Version_Id__c'
+      );
+
+      expect(result.quotes.get('V1')).toBe('0Q0XX0000001');
+      expect(result.syncedQuoteId).toBe('0Q0XX0000001');
+      expect(salesforceService.connection.query).toHaveBeenCalledWith(
+        expect.stringMatching(/FROM Quote WHERE OpportunityId = .006XX0000001./)
+      );
+    });
+
+    test('should return the quote ids in the order of the records', async () => {
+      sobject.create.mockResolvedValue([{ id: '0Q0XX0000002', success: true }]);
+      sobject.update.mockResolvedValue([{ id: '0Q0XX0000001', success: true }]);
+
+      const ids = await salesforceService.saveQuotes([
+        { Id: '0Q0XX0000001', Name: 'V1' },
+        { Name: 'V2', OpportunityId: '006XX0000001' },
+      ]);
+
+      expect(ids).toEqual(['0Q0XX0000001', '0Q0XX0000002']);
+      expect(sobject.create).toHaveBeenCalledWith([{ Name: 'V2', OpportunityId: '006XX0000001' }]);
+    });
+
+    test('should reconcile the lines of the quote', async () => {
+      salesforceService.connection.query = jest.fn().mockResolvedValue({
+        records: [{ Id: 'QL1', PricebookEntryId: 'PBE1', Quantity: 1 }],
+      });
+      sobject.destroy.mockResolvedValue([{ id: 'QL1', success: true }]);
+
+      const result = await salesforceService.syncQuoteLineItems('0Q0XX0000001', [], 'trace-1');
+
+      expect(result).toEqual({ created: 0, updated: 0, deleted: 1, unchanged: 0 });
+      expect(salesforceService.connection.query).toHaveBeenCalledWith(
+        expect.stringMatching(/FROM QuoteLineItem WHERE QuoteId = .0Q0XX0000001./)
+      );
+    });
+  });
+
+  describe('resolveClient', () => {
+    const client = {
+      id: 'COMP-1',
+      name: 'Empresa ABC S.A.',
+      contact: { firstName: 'Ana', lastName: 'Pérez', email: 'ana@abc.com' },
+    };
+
+    test('should reuse the account and contact that already exist', async () => {
+      sobject.findOne
+        .mockResolvedValueOnce(null) // Account por email del contacto
+        .mockResolvedValueOnce({ Id: '001XX0000001' }) // Account por nombre
+        .mockResolvedValueOnce({ Id: '003XX0000001' }); // Contact por email
+
+      const result = await salesforceService.resolveClient(client, 'trace-1');
+
+      expect(result).toEqual({
+        accountId: '001XX0000001',
+        contactId: '003XX0000001',
+        account: 'matched_by_name',
+        contact: 'matched_by_email',
+      });
+      expect(salesforceService.connection.sobject).toHaveBeenNthCalledWith(1, 'Contact');
+      expect(sobject.findOne).toHaveBeenNthCalledWith(2, { Name: 'Empresa ABC S.A.' }, ['Id']);
+      expect(sobject.create).not.toHaveBeenCalled();
+    });
+
+    test('should create the missing account and its contact', async () => {
+      sobject.findOne.mockResolvedValue(null);
+      sobject.create
+        .mockResolvedValueOnce({ id: '001XX0000002', success: true })
+        .mockResolvedValueOnce({ id: '003XX0000002', success: true });
+
+      const result = await salesforceService.resolveClient(client, 'trace-1');
+
+      expect(result).toMatchObject({ account: 'created', contact: 'created' });
+      expect(sobject.create).toHaveBeenNthCalledWith(1, { Name: 'Empresa ABC S.A.' });
+      expect(sobject.create).toHaveBeenNthCalledWith(
+        2,
+        expect.objectContaining({ LastName: 'Pérez', AccountId: '001XX0000002' })
+      );
+    });
+  });
+
+  describe('ensurePrimaryContactRole', () => {
+    test('should add the contact as primary with the configured role', async () => {
+      sobject.findOne.mockResolvedValue(null);
+      sobject.create.mockResolvedValue({ id: '00KXX0000001', success: true });
+
+      const result = await salesforceService.ensurePrimaryContactRole(
+        '006XX0000001',
+        '003XX0000001',
+        'trace-1'
+      );
+
+      expect(result).toBe('created');
+      expect(sobject.create).toHaveBeenCalledWith({
+        OpportunityId: '006XX0000001',
+        ContactId: '003XX0000001',
+        Role: 'Decision Maker',
+        IsPrimary: true,
+      });
+    });
+
+    test('should only mark an existing role as primary', async () => {
+      sobject.findOne.mockResolvedValue({ Id: '00KXX0000001', IsPrimary: false });
+      sobject.update.mockResolvedValue({ id: '00KXX0000001', success: true });
+
+      await expect(
+        salesforceService.ensurePrimaryContactRole('006XX0000001', '003XX0000001', 'trace-1')
+      ).resolves.toBe('updated');
+      expect(sobject.update).toHaveBeenCalledWith({ Id: '00KXX0000001', IsPrimary: true });
+      expect(sobject.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('uploadOpportunityFile', () => {
+    const file = {
+      title: 'Propuesta QNVPIK - pdfUrl',
+      fileName: 'QNVPIK-pdfUrl.pdf',
+      content: Buffer.from('%PDF-1.4'),
+    };
+
+    test('should create the file and link it to the opportunity', async () => {
+      sobject.create
+        .mockResolvedValueOnce({ id: '068XX0000001', success: true })
+        .mockResolvedValueOnce({ id: '06AXX0000001', success: true });
+      sobject.findOne.mockResolvedValue({ ContentDocumentId: '069XX0000001' });
+
+      const contentDocumentId = await salesforceService.uploadOpportunityFile(
+        '006XX0000001',
+        file,
+        'trace-1'
+      );
+
+      expect(contentDocumentId).toBe('069XX0000001');
+      expect(sobject.create).toHaveBeenNthCalledWith(1, {
+        Title: file.title,
+        PathOnClient: file.fileName,
+        VersionData: file.content.toString('base64'),
+      });
+      expect(sobject.create).toHaveBeenNthCalledWith(2, {
+        ContentDocumentId: '069XX0000001',
+        LinkedEntityId: '006XX0000001',
+        ShareType: 'V',
+        Visibility: 'AllUsers',
+      });
+    });
+
+    test('should add a new version to an existing file without linking again', async () => {
+      sobject.create.mockResolvedValue({ id: '068XX0000002', success: true });
+
+      await salesforceService.uploadOpportunityFile(
+        '006XX0000001',
+        { ...file, contentDocumentId: '069XX0000001' },
+        'trace-1'
+      );
+
+      expect(sobject.create).toHaveBeenCalledTimes(1);
+      expect(sobject.create.mock.calls[0][0].ContentDocumentId).toBe('069XX0000001');
+    });
+  });
+
+  describe('getCurrencySettings', () => {
+    test('should read the active currencies of a multi-currency org once', async () => {
+      sobject.describe = jest
+        .fn()
+        .mockResolvedValue({ fields: [{ name: 'Amount' }, { name: 'CurrencyIsoCode' }] });
+      salesforceService.connection.query = jest.fn().mockResolvedValue({
+        records: [
+          { IsoCode: 'USD', IsCorporate: true },
+          { IsoCode: 'COP', IsCorporate: false },
+        ],
+      });
+
+      const expected = {
+        multiCurrency: true,
+        corporateCurrency: 'USD',
+        activeCurrencies: ['USD', 'COP'],
+      };
+      await expect(salesforceService.getCurrencySettings()).resolves.toEqual(expected);
+      await expect(salesforceService.getCurrencySettings()).resolves.toEqual(expected);
+      expect(sobject.describe).toHaveBeenCalledTimes(1);
+      expect(salesforceService.connection.query.mock.calls[0][0]).toContain('FROM CurrencyType');
+    });
+
+    test('should use the organization currency on single-currency orgs', async () => {
+      sobject.describe = jest.fn().mockResolvedValue({ fields: [{ name: 'Amount' }] });
+      salesforceService.connection.query = jest.fn().mockResolvedValue({
+        records: [{ DefaultCurrencyIsoCode: 'USD' }],
+      });
+
+      await expect(salesforceService.getCurrencySettings()).resolves.toEqual({
+        multiCurrency: false,
+        corporateCurrency: 'USD',
+        activeCurrencies: ['USD'],
+      });
+      expect(salesforceService.connection.query.mock.calls[0][0]).toContain('FROM Organization');
+    });
+  });
+
+  describe('getOpportunityStages', () => {
+    test('should return the active stages with their closed/won flags', async () => {
+      salesforceService.connection.query = jest.fn().mockResolvedValue({
+        records: [
+          {
+            ApiName: 'Contract Signed',
+            MasterLabel: 'Contrato firmado',
+            IsClosed: true,
+            IsWon: true,
+            DefaultProbability: 100,
+          },
+        ],
+      });
+
+      await expect(salesforceService.getOpportunityStages()).resolves.toEqual([
+        {
+          name: 'Contract Signed',
+          label: 'Contrato firmado',
+          isClosed: true,
+          isWon: true,
+          probability: 100,
+        },
+      ]);
+      expect(salesforceService.connection.query.mock.calls[0][0]).toContain(
+        'FROM OpportunityStage WHERE IsActive = true'
+      );
+    });
+  });
+
+  describe('record types', () => {
+    test('should load the active record types with the stages of their sales process', async () => {
+      sobject.find = jest
+        .fn()
+        .mockResolvedValue([
+          { Id: '012XX0000000001AAA', DeveloperName: 'Partner', Name: 'Partner' },
+        ]);
+      salesforceService.connection.request = jest.fn().mockResolvedValue({
+        values: [{ value: 'Partner Review' }, { value: 'Closed Won' }],
+      });
+
+      await expect(salesforceService.getOpportunityRecordTypes()).resolves.toEqual([
+        {
+          id: '012XX0000000001AAA',
+          developerName: 'Partner',
+          name: 'Partner',
+          stages: ['Partner Review', 'Closed Won'],
+        },
+      ]);
+      expect(salesforceService.connection.request).toHaveBeenCalledWith(
+        '/ui-api/object-info/Opportunity/picklist-values/012XX0000000001AAA/StageName'
+      );
+    });
+
+    test('should resolve and cache record type ids by developer name', async () => {
+      salesforceService.recordTypeIds.clear();
+      sobject.findOne.mockResolvedValueOnce({ Id: '012XX0000000001AAA' }).mockResolvedValue(null);
+
+      await expect(salesforceService.getRecordTypeId('Partner')).resolves.toBe(
+        '012XX0000000001AAA'
+      );
+      await expect(salesforceService.getRecordTypeId('Partner')).resolves.toBe(
+        '012XX0000000001AAA'
+      );
+      await expect(salesforceService.getRecordTypeId('012XX0000000002AAA')).resolves.toBe(
+        '012XX0000000002AAA'
+      );
+      await expect(salesforceService.getRecordTypeId('Missing')).rejects.toThrow(
+        /record type .Missing. not found or inactive/
+      );
+      expect(sobject.findOne).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('session handling', () => {
+    let connect;
+
+    beforeEach(() => {
+      salesforceService.ensureConnection.mockRestore();
+      salesforceService.connection.query = jest.fn();
+      salesforceService.isConnected = true;
+      salesforceService.sessionEstablishedAt = Date.now();
+      connect = jest.spyOn(salesforceService, 'connect').mockImplementation(async () => {
+        salesforceService.isConnected = true;
+        salesforceService.sessionEstablishedAt = Date.now();
+      });
+    });
+
+    afterEach(() => {
+      salesforceService.isConnected = false;
+      salesforceService.sessionEstablishedAt = null;
+    });
+
+    const invalidSession = () => {
+      const error = new Error('Session expired or invalid');
+      error.errorCode = 'INVALID_SESSION_ID';
+      return error;
+    };
+
+    test('should not probe the connection before each call', async () => {
+      sobject.upsert.mockResolvedValue({ id: '006XX0000001', success: true, created: true });
+
+      await salesforceService.upsertOpportunity(opportunityData, 'trace-1');
+
+      expect(salesforceService.connection.query).not.toHaveBeenCalled();
+      expect(connect).not.toHaveBeenCalled();
+    });
+
+    test('should refresh the session and retry once on INVALID_SESSION_ID', async () => {
+      sobject.upsert
+        .mockRejectedValueOnce(invalidSession())
+        .mockResolvedValueOnce({ id: '006XX0000001', success: true, created: false });
+
+      const result = await salesforceService.upsertOpportunity(opportunityData, 'trace-1');
+
+      expect(connect).toHaveBeenCalledTimes(1);
+      expect(sobject.upsert).toHaveBeenCalledTimes(2);
+      expect(result.operation).toBe('updated');
+    });
+
+    test('should not retry more than once', async () => {
+      sobject.upsert.mockRejectedValue(invalidSession());
+
+      await expect(
+        salesforceService.upsertOpportunity(opportunityData, 'trace-1')
+      ).rejects.toMatchObject({ errorCode: 'INVALID_SESSION_ID' });
+      expect(sobject.upsert).toHaveBeenCalledTimes(2);
+    });
+
+    test('should share a single refresh between concurrent calls', async () => {
+      sobject.findOne
+        .mockRejectedValueOnce(invalidSession())
+        .mockRejectedValueOnce(invalidSession());
+      sobject.findOne.mockResolvedValue(null);
+
+      await Promise.all([
+        salesforceService.getOpportunityByProlibuId('A', 'trace-1'),
+        salesforceService.getOpportunityByProlibuId('B', 'trace-2'),
+      ]);
+
+      expect(connect).toHaveBeenCalledTimes(1);
+    });
+
+    test('should refresh proactively when the session is older than the max age', async () => {
+      salesforceService.sessionEstablishedAt = Date.now() - salesforceService.sessionMaxAgeMs;
+      sobject.findOne.mockResolvedValue(null);
+
+      await salesforceService.getOpportunityByProlibuId('QNVPIK', 'trace-1');
+
+      expect(connect).toHaveBeenCalledTimes(1);
+    });
+  });
+});
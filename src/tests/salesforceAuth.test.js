@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jsforce = require('jsforce');
+const {
+  authenticateSalesforce,
+  createJwtAssertion,
+  resolveJwtAudience,
+  JWT_BEARER_GRANT,
+} = require('../services/salesforceAuth');
+
+/**
+ * Tests para las estrategias de autenticación con Salesforce
+ * Verifica la aserción JWT y que cada estrategia use el flujo OAuth correcto
+ */
+
+describe('Salesforce Auth', () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+  });
+
+  const userInfo = {
+    id: '005XX000001',
+    organizationId: '00DXX000001',
+    url: 'https://login.salesforce.com/id/00DXX000001/005XX000001',
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createJwtAssertion', () => {
+    test('should sign the JWT bearer claims with RS256', () => {
+      const assertion = createJwtAssertion({
+        clientId: 'consumer-key',
+        username: 'integration@example.com',
+        audience: 'https://login.salesforce.com',
+        privateKey,
+        now: () => Date.parse('2025-08-28T21:51:14.000Z'),
+      });
+
+      const [header, claims, signature] = assertion.split('.');
+      expect(JSON.parse(Buffer.from(header, 'base64url').toString())).toEqual({
+        alg: 'RS256',
+        typ: 'JWT',
+      });
+      expect(JSON.parse(Buffer.from(claims, 'base64url').toString())).toEqual({
+        iss: 'consumer-key',
+        sub: 'integration@example.com',
+        aud: 'https://login.salesforce.com',
+        exp: Date.parse('2025-08-28T21:51:14.000Z') / 1000 + 180,
+      });
+      expect(
+        crypto.verify(
+          'RSA-SHA256',
+          Buffer.from(`${header}.${claims}`),
+          publicKey,
+          Buffer.from(signature, 'base64url')
+        )
+      ).toBe(true);
+    });
+  });
+
+  describe('resolveJwtAudience', () => {
+    test('should use test.salesforce.com for sandboxes', () => {
+      expect(resolveJwtAudience({ SF_LOGIN_URL: 'https://test.salesforce.com' })).toBe(
+        'https://test.salesforce.com'
+      );
+      expect(resolveJwtAudience({ SF_LOGIN_URL: 'https://empresa.my.salesforce.com' })).toBe(
+        'https://login.salesforce.com'
+      );
+      expect(resolveJwtAudience({ SF_JWT_AUDIENCE: 'https://custom.example.com' })).toBe(
+        'https://custom.example.com'
+      );
+    });
+  });
+
+  describe('authenticateSalesforce', () => {
+    test('should use username and password by default', async () => {
+      const login = jest.spyOn(jsforce.Connection.prototype, 'login').mockResolvedValue(userInfo);
+
+      const result = await authenticateSalesforce({
+        SF_USERNAME: 'user@example.com',
+        SF_PASSWORD: 'password',
+        SF_TOKEN: 'token',
+      });
+
+      expect(result.strategy).toBe('password');
+      expect(login).toHaveBeenCalledWith('user@example.com', 'passwordtoken');
+    });
+
+    test('should authorize with a signed assertion for the jwt strategy', async () => {
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sf-auth-'));
+      const keyFile = path.join(tmpDir, 'salesforce.key');
+      fs.writeFileSync(keyFile, privateKey);
+      const authorize = jest
+        .spyOn(jsforce.Connection.prototype, 'authorize')
+        .mockResolvedValue(userInfo);
+      const login = jest.spyOn(jsforce.Connection.prototype, 'login');
+
+      try {
+        const result = await authenticateSalesforce({
+          SF_AUTH_STRATEGY: 'jwt',
+          SF_LOGIN_URL: 'https://login.salesforce.com',
+          SF_USERNAME: 'integration@example.com',
+          SF_CLIENT_ID: 'consumer-key',
+          SF_PRIVATE_KEY_FILE: keyFile,
+        });
+
+        expect(result).toMatchObject({ strategy: 'jwt', userInfo });
+        expect(authorize).toHaveBeenCalledWith({
+          grant_type: JWT_BEARER_GRANT,
+          assertion: expect.stringMatching(/^[\w-]+\.[\w-]+\.[\w-]+$/),
+        });
+        expect(login).not.toHaveBeenCalled();
+      } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+      }
+    });
+
+    test('should authorize with the connected app for client_credentials', async () => {
+      const authorize = jest
+        .spyOn(jsforce.Connection.prototype, 'authorize')
+        .mockResolvedValue(userInfo);
+
+      const { connection } = await authenticateSalesforce({
+        SF_AUTH_STRATEGY: 'client_credentials',
+        SF_LOGIN_URL: 'https://empresa.my.salesforce.com',
+        SF_CLIENT_ID: 'consumer-key',
+        SF_CLIENT_SECRET: 'consumer-secret',
+      });
+
+      expect(authorize).toHaveBeenCalledWith({
+        grant_type: 'client_credentials',
+        client_id: 'consumer-key',
+        client_secret: 'consumer-secret',
+      });
+      expect(connection.oauth2.tokenServiceUrl).toBe(
+        'https://empresa.my.salesforce.com/services/oauth2/token'
+      );
+    });
+
+    test('should reject unknown strategies', async () => {
+      await expect(authenticateSalesforce({ SF_AUTH_STRATEGY: 'saml' })).rejects.toThrow(
+        'no soportada'
+      );
+    });
+  });
+});
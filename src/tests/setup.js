@@ -3,6 +3,8 @@
  * Configuración global para todos los tests
  */
 
+const http = require('http');
+
 // Configure environment for testing
 process.env.NODE_ENV = 'test';
 process.env.PORT = '3001';
@@ -118,6 +120,29 @@ global.testUtils = {
    */
   wait: (ms) => new Promise(resolve => setTimeout(resolve, ms)),
 
+  /**
+   * Starts a local HTTP server serving in-memory files (stand-in for external file URLs)
+   * routes: { '/path': Buffer | { status, headers, body } }
+   */
+  startFileServer: (routes = {}) => new Promise(resolve => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+      requests.push(req.url);
+      const route = routes[req.url];
+      const { status = 200, headers = {}, body = '' } = Buffer.isBuffer(route) ? { body: route } : route || { status: 404 };
+      res.writeHead(status, headers);
+      res.end(body);
+    });
+
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  }),
+
   /**
    * Generates a random test ID
    */
@@ -1,13 +1,31 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { config } = require('../app/libs/env');
+const { createServer } = require('../app/server');
 const {
+  DEFAULT_STAGE_MAPPING_FILE,
+  loadStageMapping,
+  getStageMapping,
+  setStageMapping,
+  reloadStageMapping,
+  watchStageMapping,
+  setOrgStages,
+  refreshOrgStages,
+  getSalesforceStages,
+  unwatchStageMapping,
+  mapStatusToStage,
   mapStageToSalesforce,
   isValidSalesforceStage,
   isStageClosed,
+  isStageWon,
   getStageProbability,
   getProlibuStagesForSalesforce,
+  getProlibuStatusForSalesforce,
   getMappingInfo,
-  STAGE_MAPPING,
   VALID_SALESFORCE_STAGES,
-  CLOSED_STAGES
+  CLOSED_STAGES,
 } = require('../config/stageMap');
 
 /**
@@ -80,7 +98,7 @@ describe('Stage Mapping', () => {
         { prolibu: 'lost', salesforce: 'Closed Lost' },
         { prolibu: 'closed_lost', salesforce: 'Closed Lost' },
         { prolibu: 'cancelled', salesforce: 'Closed Lost' },
-        { prolibu: 'declined', salesforce: 'Closed Lost' }
+        { prolibu: 'declined', salesforce: 'Closed Lost' },
       ];
 
       testCases.forEach(({ prolibu, salesforce }) => {
@@ -158,6 +176,19 @@ describe('Stage Mapping', () => {
     });
   });
 
+  describe('getProlibuStatusForSalesforce', () => {
+    test('should return the first Prolibu status mapped to the Salesforce stage', () => {
+      expect(getProlibuStatusForSalesforce('Qualification')).toBe('Draft');
+      expect(getProlibuStatusForSalesforce('Proposal/Price Quote')).toBe('Sent');
+      expect(getProlibuStatusForSalesforce('Closed Won')).toBe('Accepted');
+      expect(getProlibuStatusForSalesforce('Closed Lost')).toBe('Rejected');
+    });
+
+    test('should return null when no Prolibu status maps to the stage', () => {
+      expect(getProlibuStatusForSalesforce('Negotiation/Review')).toBeNull();
+    });
+  });
+
   describe('getMappingInfo', () => {
     test('should return complete mapping information', () => {
       const info = getMappingInfo();
@@ -167,7 +198,7 @@ describe('Stage Mapping', () => {
         prolibsStages: expect.any(Array),
         salesforceStages: expect.any(Array),
         closedStages: expect.any(Array),
-        mappingTable: expect.any(Object)
+        mappingTable: expect.any(Object),
       });
 
       expect(info.totalMappings).toBeGreaterThan(0);
@@ -178,15 +209,18 @@ describe('Stage Mapping', () => {
 
     test('should have consistent mapping count', () => {
       const info = getMappingInfo();
-      expect(info.totalMappings).toBe(Object.keys(STAGE_MAPPING).length);
-      expect(info.prolibsStages).toEqual(Object.keys(STAGE_MAPPING));
+      const { stages, version } = getStageMapping();
+      expect(info.totalMappings).toBe(Object.keys(stages).length);
+      expect(info.prolibsStages).toEqual(Object.keys(stages));
+      expect(info.version).toBe(version);
     });
   });
 
   describe('Constants', () => {
-    test('STAGE_MAPPING should be properly defined', () => {
-      expect(typeof STAGE_MAPPING).toBe('object');
-      expect(Object.keys(STAGE_MAPPING).length).toBeGreaterThan(0);
+    test('default stage mapping file should be properly defined', () => {
+      const { stages, statuses } = loadStageMapping(DEFAULT_STAGE_MAPPING_FILE);
+      expect(Object.keys(stages).length).toBeGreaterThan(0);
+      expect(statuses.Accepted).toBe('won');
     });
 
     test('VALID_SALESFORCE_STAGES should contain expected stages', () => {
@@ -200,7 +234,7 @@ describe('Stage Mapping', () => {
         'Proposal/Price Quote',
         'Negotiation/Review',
         'Closed Won',
-        'Closed Lost'
+        'Closed Lost',
       ];
 
       expectedStages.forEach(stage => {
@@ -212,4 +246,187 @@ describe('Stage Mapping', () => {
       expect(CLOSED_STAGES).toEqual(['Closed Won', 'Closed Lost']);
     });
   });
+  describe('Configurable mapping', () => {
+    const ADMIN_TOKEN = 'admin-token-for-tests-123';
+    const customTables = {
+      version: '7',
+      statuses: { Draft: 'qualification', Signed: 'contract' },
+      stages: { qualification: 'Qualification', Contract: 'Closed Won' },
+    };
+    let tmpDir;
+    let filePath;
+    let originalFile;
+    let originalToken;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stage-mapping-'));
+      filePath = path.join(tmpDir, 'stageMapping.json');
+      originalFile = config.SF_STAGE_MAPPING_FILE;
+      originalToken = config.ADMIN_API_TOKEN;
+      config.SF_STAGE_MAPPING_FILE = filePath;
+      config.ADMIN_API_TOKEN = ADMIN_TOKEN;
+      fs.writeFileSync(filePath, JSON.stringify(customTables));
+      setStageMapping(null);
+    });
+
+    afterEach(() => {
+      unwatchStageMapping();
+      setOrgStages(null);
+      config.SF_STAGE_MAPPING_FILE = originalFile;
+      config.ADMIN_API_TOKEN = originalToken;
+      setStageMapping(null);
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should load the configured file with a content-based version', () => {
+      const mapping = getStageMapping();
+
+      expect(mapping.version).toMatch(/^7\+[0-9a-f]{8}$/);
+      expect(mapStatusToStage('Signed')).toBe('contract');
+      expect(mapStageToSalesforce('contract')).toBe('Closed Won');
+      expect(() => mapStageToSalesforce('proposal')).toThrow(/no tiene mapeo definido/);
+    });
+
+    test('should reject statuses that point to undefined stages', () => {
+      fs.writeFileSync(
+        filePath,
+        JSON.stringify({ statuses: { Sent: 'proposal' }, stages: { lead: 'Prospecting' } })
+      );
+      expect(() => loadStageMapping(filePath)).toThrow(
+        /statuses\.Sent: El estado .proposal. no está definido en stages/
+      );
+    });
+
+    test('should reload changes and keep the active version when the file is invalid', () => {
+      const { version } = getStageMapping();
+
+      fs.writeFileSync(filePath, '{ "stages": ');
+      expect(reloadStageMapping()).toBe(false);
+      expect(getStageMapping().version).toBe(version);
+
+      fs.writeFileSync(filePath, JSON.stringify({ ...customTables, version: '8' }));
+      expect(reloadStageMapping()).toBe(true);
+      expect(getStageMapping().version).toMatch(/^8\+/);
+      expect(reloadStageMapping()).toBe(false);
+    });
+
+    test('should pick up file changes while watching', async () => {
+      getStageMapping();
+      watchStageMapping({ intervalMs: 20 });
+      // Dar tiempo a la primera lectura del archivo antes de modificarlo
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      // mtime distinto aunque el sistema de archivos tenga resolución de segundos
+      fs.writeFileSync(filePath, JSON.stringify({ ...customTables, version: '9' }));
+      const future = new Date(Date.now() + 5000);
+      fs.utimesSync(filePath, future, future);
+
+      for (let i = 0; i < 100 && !getStageMapping().version.startsWith('9+'); i++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+
+      expect(getStageMapping().version).toMatch(/^9\+/);
+    });
+
+    test('should expose and replace the mapping through the admin API', async () => {
+      const admin = (method, url) =>
+        request(createServer())[method](url).set('Authorization', `Bearer ${ADMIN_TOKEN}`);
+
+      const invalid = await admin('put', '/admin/stage-mapping')
+        .send({ statuses: { Sent: 'proposal' }, stages: { won: 'Closed Won' } })
+        .expect(400);
+      expect(invalid.body.error).toBe('invalid_stage_mapping');
+
+      const updated = await admin('put', '/admin/stage-mapping')
+        .send({ version: '10', stages: { won: 'Closed Won', lost: 'Closed Lost' } })
+        .expect(200);
+      expect(updated.body).toMatchObject({ persisted: true });
+      expect(updated.body.stageMapping.version).toMatch(/^10\+/);
+      expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).stages).toEqual({
+        won: 'Closed Won',
+        lost: 'Closed Lost',
+      });
+      expect(fs.readdirSync(tmpDir).filter(file => file.endsWith('.tmp'))).toEqual([]);
+
+      const current = await admin('get', '/admin/stage-mapping').expect(200);
+      expect(current.body.stageMapping.version).toBe(updated.body.stageMapping.version);
+      expect(mapStageToSalesforce('lost')).toBe('Closed Lost');
+    });
+    describe('org stages', () => {
+      const orgStages = [
+        { name: 'Qualification', isClosed: false, isWon: false, probability: 15 },
+        { name: 'Contract Signed', isClosed: true, isWon: true, probability: 100 },
+        { name: 'No Budget', isClosed: true, isWon: false, probability: 0 },
+      ];
+
+      test('should use the org stages for closed, won and probability', () => {
+        setOrgStages(orgStages);
+
+        expect(isStageClosed('Contract Signed')).toBe(true);
+        expect(isStageWon('Contract Signed')).toBe(true);
+        expect(isStageClosed('No Budget')).toBe(true);
+        expect(isStageWon('No Budget')).toBe(false);
+        expect(getStageProbability('Qualification')).toBe(15);
+        expect(isValidSalesforceStage('Prospecting')).toBe(false);
+      });
+
+      test('should flag active mappings that target stages missing from the org', () => {
+        getStageMapping();
+        setOrgStages(orgStages);
+
+        expect(getMappingInfo()).toMatchObject({
+          stageSource: 'org',
+          closedStages: ['Contract Signed', 'No Budget'],
+          unknownStages: [{ stage: 'contract', target: 'Closed Won' }],
+        });
+      });
+
+      test('should reject new mappings with stages missing from the org', () => {
+        setOrgStages(orgStages);
+
+        expect(() =>
+          setStageMapping({ stages: { signed: 'Contract Signed', won: 'Closed Won' } })
+        ).toThrow(/stages\.won: la etapa .Closed Won. no existe en Salesforce/);
+        expect(setStageMapping({ stages: { signed: 'Contract Signed' } }).stages).toEqual({
+          signed: 'Contract Signed',
+        });
+      });
+
+      test('should validate record type overrides against their sales process', () => {
+        setOrgStages(orgStages, [
+          {
+            id: '012XX0000000001AAA',
+            developerName: 'Partner',
+            stages: ['Qualification', 'No Budget'],
+          },
+        ]);
+
+        expect(() =>
+          setStageMapping({
+            stages: { signed: 'Contract Signed' },
+            recordTypes: { Partner: { stages: { signed: 'Contract Signed' } } },
+          })
+        ).toThrow(/recordTypes\.Partner\.stages\.signed: la etapa .Contract Signed. no existe/);
+        expect(getSalesforceStages('012XX0000000001AAA')).toEqual(['Qualification', 'No Budget']);
+        expect(getSalesforceStages('Unknown')).toEqual([
+          'Qualification',
+          'Contract Signed',
+          'No Budget',
+        ]);
+      });
+
+      test('should keep the loaded stages when a refresh fails', async () => {
+        getStageMapping();
+        await expect(refreshOrgStages(async () => orgStages)).resolves.toBe(true);
+        await expect(
+          refreshOrgStages(async () => {
+            throw new Error('INVALID_SESSION_ID');
+          })
+        ).resolves.toBe(false);
+
+        expect(getMappingInfo().stageSource).toBe('org');
+        expect(isStageWon('Contract Signed')).toBe(true);
+      });
+    });
+  });
 });
@@ -0,0 +1,175 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { UserMapper } = require('../services/userMapping');
+const { adaptUser } = require('../webhooks/prolibu.adapter');
+const { processWebhookEvent, userMapper } = require('../webhooks/prolibu.service');
+const salesforceService = require('../services/salesforce.service');
+const echoSuppression = require('../services/echoSuppression');
+
+/**
+ * Tests para la asignación de propietarios a partir de usuarios de Prolibu
+ * Verifica overrides, búsqueda cacheada por email y propietario por defecto
+ */
+
+jest.mock('../services/salesforce.service', () => ({
+  createOpportunity: jest.fn(),
+  updateOpportunity: jest.fn(),
+  markOpportunityAsClosedLost: jest.fn(),
+  findActiveUserIdByEmail: jest.fn(),
+}));
+
+describe('User mapping', () => {
+  describe('adaptUser', () => {
+    test('should accept populated users, emails and ids', () => {
+      expect(adaptUser({ _id: 'U1', email: 'ana@prolibu.com', firstName: 'Ana' })).toEqual({
+        id: 'U1',
+        email: 'ana@prolibu.com',
+      });
+      expect(adaptUser('ana@prolibu.com')).toEqual({ email: 'ana@prolibu.com' });
+      expect(adaptUser('5fd282b1321868051ee1d57a')).toEqual({ id: '5fd282b1321868051ee1d57a' });
+      expect(adaptUser({ firstName: 'Sin datos' })).toBeNull();
+    });
+  });
+
+  describe('UserMapper', () => {
+    let lookup;
+    let now;
+
+    beforeEach(() => {
+      lookup = jest.fn();
+      now = 0;
+    });
+
+    function createMapper(options = {}) {
+      return new UserMapper({ lookup, now: () => now, cacheTtlMs: 1000, ...options });
+    }
+
+    test('should prefer the override table over the email lookup', async () => {
+      const mapper = createMapper({ overrides: { 'Ana@Prolibu.com': '005OVERRIDE' } });
+
+      const result = await mapper.resolve([
+        { email: 'juan@prolibu.com' },
+        { email: 'ana@prolibu.com' },
+      ]);
+
+      expect(result).toEqual({
+        ownerId: '005OVERRIDE',
+        source: 'override',
+        email: 'ana@prolibu.com',
+      });
+      expect(lookup).not.toHaveBeenCalled();
+    });
+
+    test('should try candidates in order and cache lookups, including misses', async () => {
+      lookup.mockImplementation(async email => (email === 'juan@prolibu.com' ? '005JUAN' : null));
+      const mapper = createMapper();
+      const candidates = [{ email: 'Ana@prolibu.com' }, { email: 'juan@prolibu.com' }];
+
+      await expect(mapper.resolve(candidates)).resolves.toMatchObject({
+        ownerId: '005JUAN',
+        source: 'email',
+      });
+      await mapper.resolve(candidates);
+
+      expect(lookup).toHaveBeenCalledTimes(2);
+      expect(lookup).toHaveBeenCalledWith('ana@prolibu.com');
+
+      now = 1000;
+      await mapper.resolve(candidates);
+      expect(lookup).toHaveBeenCalledTimes(4);
+    });
+
+    test('should fall back to the default owner', async () => {
+      lookup.mockResolvedValue(null);
+
+      await expect(
+        createMapper({ defaultOwnerId: '00GQUEUE' }).resolve([{ email: 'x@prolibu.com' }])
+      ).resolves.toEqual({ ownerId: '00GQUEUE', source: 'default', email: null });
+      await expect(createMapper().resolve([])).resolves.toMatchObject({
+        ownerId: null,
+        source: null,
+      });
+    });
+
+    test('should load overrides from a file and reload them after clear', async () => {
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'owner-map-'));
+      const overridesFile = path.join(tmpDir, 'owners.json');
+      fs.writeFileSync(overridesFile, JSON.stringify({ U1: '005FIRST' }));
+
+      try {
+        const mapper = createMapper({ overridesFile });
+        await expect(mapper.resolve([{ id: 'U1' }])).resolves.toMatchObject({
+          ownerId: '005FIRST',
+        });
+
+        fs.writeFileSync(overridesFile, JSON.stringify({ U1: '005SECOND' }));
+        await expect(mapper.resolve([{ id: 'U1' }])).resolves.toMatchObject({
+          ownerId: '005FIRST',
+        });
+
+        mapper.clear();
+        await expect(mapper.resolve([{ id: 'U1' }])).resolves.toMatchObject({
+          ownerId: '005SECOND',
+        });
+      } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('processWebhookEvent with owners', () => {
+    const result = { success: true, salesforceId: '006XX0000001' };
+
+    beforeEach(async () => {
+      await echoSuppression.clear();
+      jest.clearAllMocks();
+      userMapper.clear();
+      userMapper.defaultOwnerId = null;
+      salesforceService.createOpportunity.mockResolvedValue({ ...result, operation: 'created' });
+      salesforceService.updateOpportunity.mockResolvedValue({ ...result, operation: 'updated' });
+    });
+
+    test('should set OwnerId from the responsible user', async () => {
+      salesforceService.findActiveUserIdByEmail.mockResolvedValue('005ANA');
+
+      await processWebhookEvent(
+        'proposal.created',
+        {
+          proposalId: 'OWNER-001',
+          title: 'Propuesta',
+          amount: { total: 100 },
+          stage: 'qualification',
+          owners: [{ email: 'ana@prolibu.com' }],
+        },
+        'trace-1'
+      );
+
+      expect(salesforceService.createOpportunity.mock.calls[0][0].OwnerId).toBe('005ANA');
+    });
+
+    test('should only use the default owner when creating', async () => {
+      salesforceService.findActiveUserIdByEmail.mockResolvedValue(null);
+      userMapper.defaultOwnerId = '005DEFAULT';
+      const owners = [{ email: 'externo@prolibu.com' }];
+
+      await processWebhookEvent(
+        'proposal.created',
+        {
+          proposalId: 'OWNER-002',
+          title: 'Propuesta',
+          amount: { total: 100 },
+          stage: 'qualification',
+          owners,
+        },
+        'trace-1'
+      );
+      // El update repite los owners del create: se olvida el estado para que llegue a Salesforce
+      await echoSuppression.clear();
+      await processWebhookEvent('proposal.updated', { proposalId: 'OWNER-002', owners }, 'trace-1');
+
+      expect(salesforceService.createOpportunity.mock.calls[0][0].OwnerId).toBe('005DEFAULT');
+      expect(salesforceService.updateOpportunity.mock.calls[0][0]).not.toHaveProperty('OwnerId');
+    });
+  });
+});
@@ -0,0 +1,272 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { WebhookQueue } = require('../app/libs/webhookQueue');
+const { DeadLetterStore } = require('../app/libs/deadLetterStore');
+const { WebhookWorker, webhookQueue, classifyFailure } = require('../webhooks/prolibu.worker');
+const salesforceService = require('../services/salesforce.service');
+const { config } = require('../app/libs/env');
+const { createServer } = require('../app/server');
+
+/**
+ * Tests para la cola durable de webhooks y su worker
+ * Verifica persistencia, recuperación tras reinicio, métricas, reintentos y la respuesta 202
+ */
+
+function recoverableError(errorCode) {
+  const error = new Error(`Salesforce error ${errorCode}`);
+  error.errorCode = errorCode;
+  return error;
+}
+
+jest.mock('../services/salesforce.service', () => ({
+  createOpportunity: jest.fn(),
+  updateOpportunity: jest.fn(),
+  markOpportunityAsClosedLost: jest.fn(),
+}));
+
+describe('Webhook Queue', () => {
+  let tmpDir;
+  let filePath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-queue-'));
+    filePath = path.join(tmpDir, 'queue.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const delivery = {
+    event: 'proposal.updated',
+    data: { proposalId: 'QNVPIK', stage: 'proposal' },
+    traceId: 'trace-1',
+  };
+
+  test('should persist deliveries across queue instances', async () => {
+    const queue = new WebhookQueue({ filePath });
+    const item = await queue.enqueue(delivery);
+
+    expect(item).toMatchObject({ status: 'pending', attempts: 0, event: 'proposal.updated' });
+    expect(item.id).toEqual(expect.any(String));
+
+    const restarted = new WebhookQueue({ filePath });
+    const claimed = await restarted.claim();
+
+    expect(claimed).toMatchObject({ id: item.id, status: 'processing', attempts: 1 });
+    expect(await restarted.claim()).toBeNull();
+  });
+
+  test('should recover deliveries interrupted by a restart', async () => {
+    const queue = new WebhookQueue({ filePath });
+    await queue.enqueue(delivery);
+    await queue.claim();
+
+    const restarted = new WebhookQueue({ filePath });
+    expect(await restarted.recoverInterrupted()).toBe(1);
+    expect(await restarted.claim()).toMatchObject({ attempts: 2 });
+  });
+
+  test('should expose depth metrics', async () => {
+    let currentTime = Date.parse('2025-08-28T21:51:14.000Z');
+    const queue = new WebhookQueue({ filePath, now: () => currentTime });
+
+    await queue.enqueue(delivery);
+    await queue.enqueue(delivery);
+    const claimed = await queue.claim();
+    await queue.complete(claimed.id);
+
+    currentTime += 5000;
+    const metrics = await queue.getMetrics();
+
+    expect(metrics).toMatchObject({
+      depth: 1,
+      processing: 0,
+      oldestPendingAgeMs: 5000,
+      enqueuedTotal: 2,
+      processedTotal: 1,
+      failedTotal: 0,
+    });
+  });
+
+  describe('WebhookWorker', () => {
+    test('should drain the queue through processEvent', async () => {
+      const queue = new WebhookQueue({ filePath });
+      const processEvent = jest.fn().mockResolvedValue({ success: true, salesforceId: 'SF_1' });
+      const worker = new WebhookWorker({ queue, processEvent });
+
+      await queue.enqueue(delivery);
+      await queue.enqueue({ ...delivery, data: { proposalId: 'OTHER' } });
+
+      expect(await worker.drain()).toBe(2);
+      expect(processEvent).toHaveBeenCalledWith('proposal.updated', delivery.data, 'trace-1');
+      expect(await queue.getMetrics()).toMatchObject({ depth: 0, processedTotal: 2 });
+    });
+
+    test('should move failed deliveries to dead letters', async () => {
+      const queue = new WebhookQueue({ filePath });
+      const deadLetters = new DeadLetterStore({ filePath: path.join(tmpDir, 'dead.json') });
+      const processEvent = jest.fn().mockRejectedValue(new Error('Salesforce caído'));
+      const worker = new WebhookWorker({ queue, processEvent, deadLetters });
+
+      await queue.enqueue({ ...delivery, rawPayload: { original: true } });
+      await worker.drain();
+
+      expect(await queue.getMetrics()).toMatchObject({ depth: 0, failedTotal: 1 });
+
+      const { items } = await deadLetters.list();
+      expect(items).toHaveLength(1);
+      expect(items[0]).toMatchObject({
+        source: 'queue',
+        event: 'proposal.updated',
+        proposalId: 'QNVPIK',
+        failureReason: 'non_recoverable',
+        rawPayload: { original: true },
+        adaptedPayload: { event: 'proposal.updated', data: delivery.data },
+        error: { message: 'Salesforce caído', classification: expect.any(Object) },
+      });
+    });
+
+    test('should reschedule recoverable errors with backoff', async () => {
+      let currentTime = Date.parse('2025-08-28T21:51:14.000Z');
+      const queue = new WebhookQueue({ filePath, now: () => currentTime });
+      const processEvent = jest
+        .fn()
+        .mockRejectedValueOnce(recoverableError('REQUEST_LIMIT_EXCEEDED'))
+        .mockResolvedValueOnce({ success: true, salesforceId: 'SF_1' });
+      const worker = new WebhookWorker({ queue, processEvent, maxAttempts: 3 });
+
+      await queue.enqueue(delivery);
+      await worker.drain();
+
+      // REQUEST_LIMIT_EXCEEDED espera 30s en el primer intento
+      expect(await queue.getMetrics()).toMatchObject({ depth: 1, retrying: 1, retriedTotal: 1 });
+      expect(await worker.drain()).toBe(0);
+
+      currentTime += 30000;
+      expect(await worker.drain()).toBe(1);
+      expect(processEvent).toHaveBeenCalledTimes(2);
+      expect(await queue.getMetrics()).toMatchObject({ depth: 0, processedTotal: 1 });
+    });
+
+    test('should dead-letter deliveries that exhaust their attempts', async () => {
+      let currentTime = Date.parse('2025-08-28T21:51:14.000Z');
+      const queue = new WebhookQueue({ filePath, now: () => currentTime });
+      const deadLetters = new DeadLetterStore({ filePath: path.join(tmpDir, 'dead.json') });
+      const timeout = new Error('connect ETIMEDOUT');
+      timeout.code = 'ETIMEDOUT';
+      const worker = new WebhookWorker({
+        queue,
+        deadLetters,
+        processEvent: jest.fn().mockRejectedValue(timeout),
+        maxAttempts: 2,
+      });
+
+      await queue.enqueue(delivery);
+      await worker.drain();
+      currentTime += 1000;
+      await worker.drain();
+
+      expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).items).toHaveLength(0);
+
+      const {
+        items: [deadLetter],
+      } = await deadLetters.list();
+      expect(deadLetter).toMatchObject({
+        failureReason: 'max_attempts_exceeded',
+        attempts: 2,
+        error: { code: 'ETIMEDOUT' },
+      });
+      expect(deadLetter.history).toHaveLength(2);
+    });
+  });
+
+  describe('classifyFailure', () => {
+    test('should retry recoverable errors using getRetryDelay', () => {
+      expect(classifyFailure(recoverableError('REQUEST_LIMIT_EXCEEDED'), 2, 5)).toEqual({
+        action: 'retry',
+        delayMs: 60000,
+      });
+    });
+
+    test('should fail non recoverable errors immediately', () => {
+      expect(classifyFailure(recoverableError('INSUFFICIENT_ACCESS'), 1, 5)).toEqual({
+        action: 'fail',
+        reason: 'non_recoverable',
+      });
+    });
+
+    test('should fail when max attempts are reached', () => {
+      expect(classifyFailure(recoverableError('REQUEST_LIMIT_EXCEEDED'), 5, 5)).toEqual({
+        action: 'fail',
+        reason: 'max_attempts_exceeded',
+      });
+    });
+  });
+
+  describe('POST /webhooks/prolibu in async mode', () => {
+    const originalAsyncMode = config.WEBHOOK_ASYNC_MODE;
+
+    afterEach(() => {
+      config.WEBHOOK_ASYNC_MODE = originalAsyncMode;
+    });
+
+    test('should acknowledge with 202 and a deliveryId', async () => {
+      config.WEBHOOK_ASYNC_MODE = true;
+      const enqueueSpy = jest
+        .spyOn(webhookQueue, 'enqueue')
+        .mockResolvedValue({ id: 'delivery-123', status: 'pending' });
+
+      const response = await request(createServer())
+        .post('/webhooks/prolibu')
+        .send({
+          event: 'proposal.updated',
+          data: { proposalId: 'ASYNC-001', stage: 'proposal' },
+        })
+        .expect(202);
+
+      expect(response.body).toMatchObject({
+        status: 'accepted',
+        data: { proposalId: 'ASYNC-001', deliveryId: 'delivery-123', queued: true },
+      });
+      expect(enqueueSpy).toHaveBeenCalledWith(
+        expect.objectContaining({ event: 'proposal.updated' })
+      );
+
+      enqueueSpy.mockRestore();
+    });
+  });
+
+  describe('POST /webhooks/prolibu in sync mode', () => {
+    test('should hand recoverable Salesforce errors to the retry queue', async () => {
+      salesforceService.updateOpportunity.mockRejectedValueOnce(
+        recoverableError('REQUEST_LIMIT_EXCEEDED')
+      );
+      const enqueueSpy = jest
+        .spyOn(webhookQueue, 'enqueue')
+        .mockResolvedValue({ id: 'delivery-retry', status: 'pending' });
+
+      const response = await request(createServer())
+        .post('/webhooks/prolibu')
+        .send({
+          event: 'proposal.updated',
+          data: { proposalId: 'RETRY-001', stage: 'proposal' },
+        })
+        .expect(202);
+
+      expect(response.body.data).toMatchObject({
+        deliveryId: 'delivery-retry',
+        retryScheduled: true,
+        retryInMs: 30000,
+      });
+      expect(enqueueSpy).toHaveBeenCalledWith(
+        expect.objectContaining({ event: 'proposal.updated' }),
+        expect.objectContaining({ delayMs: 30000 })
+      );
+
+      enqueueSpy.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,143 @@
+const express = require('express');
+const request = require('supertest');
+const {
+  createWebhookSignatureVerifier,
+  computeSignature,
+  parseTimestamp,
+} = require('../app/middlewares/webhookSignature');
+const { errorHandler } = require('../app/middlewares/errorHandler');
+
+/**
+ * Tests para la verificación de firma HMAC de webhooks
+ * Verifica firma, tolerancia de timestamp y rotación de secretos
+ */
+
+const CURRENT_SECRET = 'current-secret-0123456789';
+const PREVIOUS_SECRET = 'previous-secret-0123456789';
+const NOW = Date.parse('2025-08-28T21:51:14.000Z');
+
+function buildApp(options = {}) {
+  const app = express();
+
+  app.use(
+    express.json({
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      },
+    })
+  );
+
+  app.post(
+    '/webhook',
+    createWebhookSignatureVerifier({
+      secret: CURRENT_SECRET,
+      previousSecret: PREVIOUS_SECRET,
+      now: () => NOW,
+      ...options,
+    }),
+    (req, res) => res.status(200).json({ ok: true, signature: req.webhookSignature })
+  );
+
+  app.use(errorHandler);
+
+  return app;
+}
+
+function signedRequest(app, body, { secret = CURRENT_SECRET, timestamp } = {}) {
+  const rawBody = JSON.stringify(body);
+  const ts = timestamp || String(Math.floor(NOW / 1000));
+
+  return request(app)
+    .post('/webhook')
+    .set('Content-Type', 'application/json')
+    .set('X-Prolibu-Timestamp', ts)
+    .set('X-Prolibu-Signature', `sha256=${computeSignature(secret, ts, rawBody)}`)
+    .send(rawBody);
+}
+
+describe('Webhook Signature Verification', () => {
+  const payload = { model: 'proposal', action: 'create', body: { proposalNumber: 'QNVPIK' } };
+
+  test('should accept a request signed with the current secret', async () => {
+    const response = await signedRequest(buildApp(), payload).expect(200);
+
+    expect(response.body.signature).toMatchObject({
+      timestamp: NOW,
+      secretVersion: 'current',
+    });
+  });
+
+  test('should accept a request signed with the previous secret during rotation', async () => {
+    const response = await signedRequest(buildApp(), payload, { secret: PREVIOUS_SECRET }).expect(
+      200
+    );
+
+    expect(response.body.signature.secretVersion).toBe('previous');
+  });
+
+  test('should reject a request signed with an unknown secret', async () => {
+    const response = await signedRequest(buildApp(), payload, {
+      secret: 'attacker-secret-0123456789',
+    }).expect(401);
+
+    expect(response.body.error).toBe('invalid_signature');
+    expect(response.body.traceId).toBeDefined();
+  });
+
+  test('should reject a tampered body', async () => {
+    const ts = String(Math.floor(NOW / 1000));
+    const signature = computeSignature(CURRENT_SECRET, ts, JSON.stringify(payload));
+
+    const response = await request(buildApp())
+      .post('/webhook')
+      .set('Content-Type', 'application/json')
+      .set('X-Prolibu-Timestamp', ts)
+      .set('X-Prolibu-Signature', signature)
+      .send(JSON.stringify({ ...payload, action: 'delete' }))
+      .expect(401);
+
+    expect(response.body.error).toBe('invalid_signature');
+  });
+
+  test('should reject requests without signature headers', async () => {
+    const response = await request(buildApp()).post('/webhook').send(payload).expect(401);
+
+    expect(response.body.error).toBe('missing_signature');
+  });
+
+  test('should reject timestamps outside the tolerance window', async () => {
+    const staleTimestamp = String(Math.floor(NOW / 1000) - 301);
+
+    const response = await signedRequest(buildApp(), payload, {
+      timestamp: staleTimestamp,
+    }).expect(401);
+
+    expect(response.body.error).toBe('signature_timestamp_out_of_range');
+  });
+
+  test('should skip verification when no secret is configured and not required', async () => {
+    const app = buildApp({ secret: undefined, previousSecret: undefined });
+
+    await request(app).post('/webhook').send(payload).expect(200);
+  });
+
+  test('should fail closed when no secret is configured but verification is required', async () => {
+    const app = buildApp({ secret: undefined, previousSecret: undefined, required: true });
+
+    const response = await request(app).post('/webhook').send(payload).expect(401);
+
+    expect(response.body.error).toBe('signature_not_configured');
+  });
+
+  describe('parseTimestamp', () => {
+    test('should parse unix seconds and ISO dates', () => {
+      expect(parseTimestamp('1756417874')).toBe(1756417874000);
+      expect(parseTimestamp('2025-08-28T21:51:14.000Z')).toBe(NOW);
+    });
+
+    test('should return null for invalid values', () => {
+      expect(parseTimestamp('not-a-date')).toBeNull();
+      expect(parseTimestamp(undefined)).toBeNull();
+    });
+  });
+});
@@ -4,6 +4,12 @@
  */
 
 const { logger } = require('../app/libs/logger');
+const { mapStatusToStage } = require('../config/stageMap');
+const { config } = require('../app/libs/env');
+const { pickExchangeRate } = require('../services/currency');
+const { resolveAmount, resolveCloseDate } = require('../services/proposalPolicies');
+const { getFieldMapping, readPath } = require('../config/fieldMapping');
+const { getRecordTypeRules } = require('../config/recordTypeRules');
 
 /**
  * Verifica si el webhook recibido es del formato nativo de Prolibu
@@ -36,18 +42,188 @@ const ACTION_TO_EVENT_MAP = {
 };
 
 /**
- * Mapea los estados de Prolibu a estados de Salesforce
+ * Convierte un valor numérico de Prolibu (number o string) a número
  */
-const STATUS_TO_STAGE_MAP = {
-  Draft: 'qualification',
-  Open: 'qualification',
-  Sent: 'proposal',
-  Viewed: 'proposal',
-  Accepted: 'won',
-  Rejected: 'lost',
-  Expired: 'lost',
-  Cancelled: 'lost',
-};
+function toNumber(value) {
+  return typeof value === 'string' ? parseFloat(value) || 0 : value || 0;
+}
+
+/**
+ * Convierte los productos de Prolibu en líneas para OpportunityLineItems
+ * Se descartan las líneas sin cantidad, que Salesforce no acepta
+ *
+ * @param {Array} products - Productos de la propuesta en Prolibu
+ * @returns {Array} Líneas { productId, code, name, quantity, unitPrice, description }
+ */
+function adaptProducts(products) {
+  return products
+    .map((product, index) => {
+      const code = product.code || product.sku || product.productCode || undefined;
+
+      return {
+        productId: product.id || product._id || undefined,
+        code,
+        name: product.name || product.title || code || `Producto ${index + 1}`,
+        quantity: toNumber(product.quantity),
+        unitPrice: Math.round(toNumber(product.price) * 100) / 100,
+        description: product.description || undefined,
+      };
+    })
+    .filter(product => product.quantity > 0);
+}
+
+/**
+ * Convierte el lead relacionado de Prolibu en el cliente de la propuesta (Account + Contact)
+ * Prolibu puede enviar el lead poblado o solo su id
+ *
+ * @param {Object|string} relatedLead - Lead relacionado con la propuesta
+ * @returns {Object|undefined} Cliente { id, name, contact: { id, firstName, lastName, email, phone } }
+ */
+function adaptClient(relatedLead) {
+  if (!relatedLead) {
+    return undefined;
+  }
+
+  if (typeof relatedLead === 'string') {
+    return { contact: { id: relatedLead } };
+  }
+
+  const company =
+    relatedLead.company && typeof relatedLead.company === 'object' ? relatedLead.company : {};
+
+  return {
+    id: company.id || company._id || undefined,
+    name: relatedLead.companyName || company.companyName || company.name || undefined,
+    contact: {
+      id: relatedLead.id || relatedLead._id || undefined,
+      firstName: relatedLead.firstName || undefined,
+      lastName: relatedLead.lastName || undefined,
+      email: relatedLead.email || undefined,
+      phone: relatedLead.mobile || relatedLead.phone || undefined,
+    },
+  };
+}
+
+/**
+ * Convierte un usuario de Prolibu (poblado, email o id) en candidato a propietario
+ *
+ * @param {Object|string} user - Usuario de Prolibu
+ * @returns {Object|null} Usuario { id, email } o null si no trae datos
+ */
+function adaptUser(user) {
+  if (!user) {
+    return null;
+  }
+
+  if (typeof user === 'string') {
+    return user.includes('@') ? { email: user } : { id: user };
+  }
+
+  const adapted = { id: user.id || user._id || undefined, email: user.email || undefined };
+  return adapted.id || adapted.email ? adapted : null;
+}
+
+// Campos de Prolibu que pueden traer la URL de un PDF de la propuesta
+const DOCUMENT_FIELDS = ['pdfUrl', 'pdf1', 'pdf2', 'pdf3', 'pdf4', 'pdf5'];
+
+/**
+ * Reúne los PDFs referenciados por la propuesta
+ *
+ * @param {Object} proposalData - Propuesta de Prolibu
+ * @returns {Array} PDFs { slot, url } (solo URLs http/https)
+ */
+function adaptDocuments(proposalData) {
+  return DOCUMENT_FIELDS.filter(
+    field => typeof proposalData[field] === 'string' && /^https?:\/\//.test(proposalData[field])
+  ).map(field => ({ slot: field, url: proposalData[field] }));
+}
+
+/**
+ * Reúne las versiones de la propuesta y marca la vigente (proposalVersion)
+ * Si la versión vigente no viene en versions se agrega con los datos de la propuesta
+ *
+ * @param {Object} proposalData - Propuesta de Prolibu
+ * @returns {Array|undefined} Versiones { versionId, name, title, total, currency, createdAt, active }
+ */
+function adaptVersions(proposalData) {
+  const activeId = proposalData.proposalVersionId || proposalData.proposalVersion;
+  const versions = (Array.isArray(proposalData.versions) ? proposalData.versions : [])
+    .filter(version => version && version.proposalVersionId)
+    .map(version => ({
+      versionId: version.proposalVersionId,
+      name: version.versionName || undefined,
+      title: version.title || undefined,
+      total: typeof version.total === 'number' ? version.total : undefined,
+      currency: version.currency || undefined,
+      createdAt: version.date || undefined,
+      active: version.proposalVersionId === activeId,
+    }));
+
+  if (activeId && !versions.some(version => version.active)) {
+    versions.push({
+      versionId: activeId,
+      name: proposalData.versionName || undefined,
+      title: proposalData.title || undefined,
+      currency: proposalData.currency || undefined,
+      active: true,
+    });
+  }
+
+  return versions.length > 0 ? versions : undefined;
+}
+
+// Prefijo de las rutas que leen del payload original en el mapeo de campos y las reglas
+const PROLIBU_SOURCE_PREFIX = 'prolibu.';
+
+/**
+ * Rutas del payload original que referencian el mapeo de campos y las reglas de tipo de registro
+ *
+ * @returns {Array<string>} Rutas relativas a la propuesta (ej. responsible.company)
+ */
+function referencedProlibuPaths() {
+  const rules = getRecordTypeRules();
+  const sourcePaths = [
+    ...getFieldMapping().fields.map(field => field.source),
+    ...(rules ? rules.rules.flatMap(rule => Object.keys(rule.when)) : []),
+  ];
+
+  return [
+    ...new Set(
+      sourcePaths
+        .filter(sourcePath => sourcePath.startsWith(PROLIBU_SOURCE_PREFIX))
+        .map(sourcePath => sourcePath.slice(PROLIBU_SOURCE_PREFIX.length))
+    ),
+  ];
+}
+
+/**
+ * Copia de la propuesta reducida a las rutas referenciadas: el resto del payload no viaja en
+ * los datos adaptados (cola, dead letters, idempotencia, logs)
+ *
+ * @param {Object} proposalData - Propuesta de Prolibu
+ * @returns {Object|undefined} Valores por ruta anidados como en el original
+ */
+function pickProlibuSources(proposalData) {
+  const picked = {};
+
+  referencedProlibuPaths().forEach(sourcePath => {
+    const value = readPath(proposalData, sourcePath);
+    if (value === undefined) {
+      return;
+    }
+
+    const keys = sourcePath.split('.');
+    const parent = keys.slice(0, -1).reduce((target, key) => {
+      if (!target[key] || typeof target[key] !== 'object') {
+        target[key] = {};
+      }
+      return target[key];
+    }, picked);
+    parent[keys[keys.length - 1]] = value;
+  });
+
+  return Object.keys(picked).length > 0 ? picked : undefined;
+}
 
 /**
  * Convierte un webhook de Prolibu al formato interno
@@ -95,114 +271,70 @@ function adaptProlibuWebhook(prolibuWebhook) {
       throw new Error(`Acción no soportada: ${action}`);
     }
 
-    // Determinar el stage basado en el status o stage
+    // Determinar el stage basado en el status o stage (tabla statuses del mapeo de estados)
     const status = proposalData.status || proposalData.stage || 'Draft';
-    let stage = STATUS_TO_STAGE_MAP[status];
+    let stage = mapStatusToStage(status);
 
     // Si no se encontró el stage en el mapeo, usar qualification como default
     if (!stage) {
       stage = 'qualification';
     }
 
-    // Calcular closeDate - usar expectedCloseDate de Prolibu o calcular una por defecto
-    const closeDate =
-      proposalData.expectedCloseDate ||
-      proposalData.closeDate ||
-      proposalData.close_date ||
-      new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
-
-    // Calcular el total basado en los productos, total directo o workingTime
-    let totalAmount = 0;
-    if (proposalData.total && proposalData.total > 0) {
-      // Asegurar que sea un número
-      totalAmount =
-        typeof proposalData.total === 'string'
-          ? parseFloat(proposalData.total) || 0
-          : proposalData.total;
-    } else if (proposalData.amount && proposalData.amount > 0) {
-      // Asegurar que sea un número
-      totalAmount =
-        typeof proposalData.amount === 'string'
-          ? parseFloat(proposalData.amount) || 0
-          : proposalData.amount;
-    } else if (
-      proposalData.products &&
-      Array.isArray(proposalData.products) &&
-      proposalData.products.length > 0
-    ) {
-      // Calcular total de productos si existe
-      totalAmount = proposalData.products.reduce((sum, product) => {
-        const price =
-          typeof product.price === 'string' ? parseFloat(product.price) || 0 : product.price || 0;
-        const quantity =
-          typeof product.quantity === 'string'
-            ? parseFloat(product.quantity) || 0
-            : product.quantity || 0;
-        return sum + price * quantity;
-      }, 0);
-    } else if (proposalData.workingTime) {
-      // Estimar basado en tiempo de trabajo (ejemplo: $100/hora)
-      // workingTime puede venir como string o number
-      const workingHours =
-        typeof proposalData.workingTime === 'string'
-          ? parseFloat(proposalData.workingTime) || 0
-          : proposalData.workingTime || 0;
-      totalAmount = workingHours * 100;
-    }
-
-    // Si no hay monto, usar un valor por defecto de 1000 para evitar errores de validación
-    if (totalAmount <= 0) {
-      totalAmount = 1000;
-    }
+    // Fecha de cierre y monto según las políticas configuradas; sin datos quedan vacíos
+    const { closeDate, source: closeDateSource } = resolveCloseDate(
+      proposalData,
+      config.SF_CLOSE_DATE_SOURCES
+    );
+    const { total: totalAmount, source: amountSource } = resolveAmount(
+      proposalData,
+      config.SF_AMOUNT_SOURCES,
+      { hourlyRate: config.SF_HOURLY_RATE }
+    );
 
-    // Asegurar que totalAmount sea un número válido
-    totalAmount = Math.round(totalAmount * 100) / 100; // Redondear a 2 decimales
+    // Fecha de modificación en Prolibu, usada para ordenar eventos de la misma propuesta
+    const updatedAtMs = Date.parse(proposalData.updatedAt);
+    const updatedAt = Number.isNaN(updatedAtMs) ? undefined : new Date(updatedAtMs).toISOString();
 
     // Construir el webhook adaptado
     const adaptedWebhook = {
       event,
       timestamp: new Date().toISOString(),
+      webhookId: prolibuWebhook.webhookId, // Se conserva para deduplicación si Prolibu lo envía
       data: {
         proposalId,
         title: proposalData.title || `Propuesta ${proposalId}`,
         stage,
         closeDate,
+        closeDateSource: closeDateSource || undefined,
         amount: {
           total: totalAmount,
+          source: amountSource || undefined,
           currency: proposalData.currency || 'USD',
+          // Tasa de Prolibu para convertir a la moneda corporativa en orgs de una moneda
+          exchangeRate: pickExchangeRate(proposalData),
         },
         description:
           proposalData.specialObservations ||
           proposalData.content ||
           `Propuesta creada desde Prolibu - ${proposalId}`,
-
-        // Datos adicionales de Prolibu
-        prolibu: {
-          proposalNumber: proposalData.proposalNumber,
-          status: status,
-          stage: proposalData.stage,
-          stagePosition: proposalData.stagePosition,
-          workingTime:
-            typeof proposalData.workingTime === 'string'
-              ? parseFloat(proposalData.workingTime) || 0
-              : proposalData.workingTime,
-          numberOfPayments: proposalData.numberOfPayments,
-          expectedCloseDate: proposalData.expectedCloseDate,
-          expirationDate: proposalData.expirationDate,
-          referenceNumber: proposalData.referenceNumber,
-          source: proposalData.source,
-          responsible: proposalData.responsible,
-          relatedLead: proposalData.relatedLead,
-          relatedUser: proposalData.relatedUser,
-          pdfUrl: proposalData.pdfUrl,
-          comparativeProposal: proposalData.comparativeProposal,
-          unpublishProposal: proposalData.unpublishProposal,
-          rating: proposalData.rating,
-          customExchangeRate: proposalData.customExchangeRate,
-          exchangeRate: proposalData.exchangeRate,
-          createdBy: proposalData.createdBy?.email || proposalData.createdBy?.id,
-          updatedBy: proposalData.updatedBy,
-        },
+        updatedAt,
+        // Líneas de producto solo si Prolibu envía el detalle (un arreglo vacío elimina las líneas)
+        products: Array.isArray(proposalData.products)
+          ? adaptProducts(proposalData.products)
+          : undefined,
+        // Cliente (Account/Contact) a partir del lead relacionado
+        client: adaptClient(proposalData.relatedLead),
+        // PDFs a vincular como Salesforce Files
+        documents: adaptDocuments(proposalData),
+        // Versiones de la propuesta a reflejar como Quotes
+        versions: adaptVersions(proposalData),
+        // Candidatos a propietario de la Opportunity, en orden de prioridad
+        owners: [adaptUser(proposalData.responsible), adaptUser(proposalData.createdBy)].filter(
+          Boolean
+        ),
+
+        // Valores del payload original que usan las rutas prolibu.* del mapeo y las reglas
+        prolibu: pickProlibuSources(proposalData),
       },
     };
 
@@ -218,6 +350,8 @@ function adaptProlibuWebhook(prolibuWebhook) {
         proposalId,
         stage,
         amount: adaptedWebhook.data.amount.total,
+        amountSource,
+        closeDateSource,
         fullAdaptedWebhook: JSON.stringify(adaptedWebhook, null, 2),
       },
       'Webhook de Prolibu adaptado exitosamente'
@@ -254,7 +388,8 @@ function prolibuWebhookAdapter(req, res, next) {
       // Adaptar el webhook
       const adaptedWebhook = adaptProlibuWebhook(req.body);
 
-      // Reemplazar el body con el formato adaptado
+      // Reemplazar el body con el formato adaptado conservando el original
+      req.originalBody = req.body;
       req.body = adaptedWebhook;
       req.isProlibuWebhook = true;
 
@@ -289,7 +424,11 @@ function prolibuWebhookAdapter(req, res, next) {
 module.exports = {
   isProlibuWebhook,
   adaptProlibuWebhook,
+  adaptProducts,
+  adaptClient,
+  adaptUser,
+  adaptDocuments,
+  adaptVersions,
   prolibuWebhookAdapter,
   ACTION_TO_EVENT_MAP,
-  STATUS_TO_STAGE_MAP,
 };
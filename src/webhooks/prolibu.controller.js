@@ -1,5 +1,12 @@
 const { validateWebhook } = require('./prolibu.schema');
 const { processWebhookEvent } = require('./prolibu.service');
+const {
+  webhookQueue,
+  deadLetterStore,
+  classifyFailure,
+  buildDeadLetter,
+} = require('./prolibu.worker');
+const { config } = require('../app/libs/env');
 const { logger } = require('../app/libs/logger');
 const { BusinessError } = require('../app/middlewares/errorHandler');
 
@@ -66,12 +73,89 @@ async function handleProlibuWebhook(req, res, next) {
       'Webhook validado exitosamente'
     );
 
+    // Modo asíncrono: persistir en la cola durable y confirmar de inmediato
+    if (config.WEBHOOK_ASYNC_MODE) {
+      const delivery = await webhookQueue.enqueue({
+        event: validatedWebhook.event,
+        data: validatedWebhook.data,
+        webhookId: validatedWebhook.webhookId,
+        traceId: req.traceId,
+        rawPayload: req.originalBody || req.body,
+      });
+
+      controllerLogger.info(
+        {
+          event: validatedWebhook.event,
+          proposalId: validatedWebhook.data.proposalId,
+          deliveryId: delivery.id,
+        },
+        'Webhook encolado para procesamiento asíncrono'
+      );
+
+      return res.status(202).json({
+        status: 'accepted',
+        message: 'Webhook encolado para procesamiento',
+        traceId: req.traceId,
+        data: {
+          event: validatedWebhook.event,
+          proposalId: validatedWebhook.data.proposalId,
+          deliveryId: delivery.id,
+          queued: true,
+        },
+      });
+    }
+
     // Procesar el evento usando el servicio
-    const result = await processWebhookEvent(
-      validatedWebhook.event,
-      validatedWebhook.data,
-      req.traceId
-    );
+    let result;
+    try {
+      result = await processWebhookEvent(
+        validatedWebhook.event,
+        validatedWebhook.data,
+        req.traceId
+      );
+    } catch (processingError) {
+      // Errores transitorios de Salesforce: delegar el reintento a la cola durable
+      const decision = classifyFailure(processingError, 1, config.WEBHOOK_RETRY_MAX_ATTEMPTS || 5);
+      if (decision.action !== 'retry') {
+        await recordDeadLetter(req, res, validatedWebhook, processingError, decision.reason);
+        throw processingError;
+      }
+
+      const delivery = await webhookQueue.enqueue(
+        {
+          event: validatedWebhook.event,
+          data: validatedWebhook.data,
+          webhookId: validatedWebhook.webhookId,
+          traceId: req.traceId,
+          rawPayload: req.originalBody || req.body,
+        },
+        { error: processingError, delayMs: decision.delayMs }
+      );
+
+      controllerLogger.warn(
+        {
+          error: processingError.message,
+          errorCode: processingError.errorCode || processingError.code,
+          deliveryId: delivery.id,
+          retryInMs: decision.delayMs,
+        },
+        'Error recuperable procesando webhook - reintento programado'
+      );
+
+      return res.status(202).json({
+        status: 'accepted',
+        message: 'Error temporal en Salesforce, el webhook se reintentará automáticamente',
+        traceId: req.traceId,
+        data: {
+          event: validatedWebhook.event,
+          proposalId: validatedWebhook.data.proposalId,
+          deliveryId: delivery.id,
+          queued: true,
+          retryScheduled: true,
+          retryInMs: decision.delayMs,
+        },
+      });
+    }
 
     controllerLogger.info(
       {
@@ -92,7 +176,11 @@ async function handleProlibuWebhook(req, res, next) {
         event: validatedWebhook.event,
         proposalId: validatedWebhook.data.proposalId,
         salesforceId: result.salesforceId,
-        processed: true,
+        processed: !result.skipped,
+        ...(result.operation && { operation: result.operation }),
+        ...(result.stageMappingVersion && { stageMappingVersion: result.stageMappingVersion }),
+        ...(result.sources && { sources: result.sources }),
+        ...(result.skipped && { skipped: true, reason: result.reason }),
       },
     });
   } catch (error) {
@@ -110,6 +198,46 @@ async function handleProlibuWebhook(req, res, next) {
   }
 }
 
+/**
+ * Guarda como dead letter un webhook que falló definitivamente en modo síncrono
+ * Un fallo al guardar se registra pero no oculta el error original
+ *
+ * @param {Object} req - Request de Express
+ * @param {Object} res - Response de Express
+ * @param {Object} validatedWebhook - Webhook validado
+ * @param {Error} error - Error del procesamiento
+ * @param {string} reason - Motivo del fallo definitivo
+ */
+async function recordDeadLetter(req, res, validatedWebhook, error, reason) {
+  try {
+    const deadLetter = await deadLetterStore.add(
+      buildDeadLetter({
+        adaptedPayload: {
+          event: validatedWebhook.event,
+          data: validatedWebhook.data,
+          webhookId: validatedWebhook.webhookId,
+        },
+        rawPayload: req.originalBody || req.body,
+        error,
+        reason,
+        source: 'sync',
+        traceId: req.traceId,
+      })
+    );
+
+    res.set('X-Dead-Letter-Id', deadLetter.id);
+  } catch (storeError) {
+    logger.error(
+      {
+        component: 'prolibu.controller',
+        traceId: req.traceId,
+        error: storeError.message,
+      },
+      'Error guardando dead letter'
+    );
+  }
+}
+
 /**
  * Endpoint de health check específico para webhooks
  * Verifica que el servicio esté operativo y listo para recibir webhooks
@@ -140,6 +268,10 @@ async function healthCheck(req, res, next) {
     // TODO: En pasos futuros, verificar conexión con Salesforce
     // healthStatus.salesforce = await checkSalesforceConnection();
 
+    if (config.WEBHOOK_ASYNC_MODE) {
+      healthStatus.queue = await webhookQueue.getMetrics();
+    }
+
     controllerLogger.debug(healthStatus, 'Health check completado');
 
     res.status(200).json(healthStatus);
@@ -182,6 +314,7 @@ function getSupportedEvents(req, res, next) {
         webhook: 'POST /webhooks/prolibu',
         health: 'GET /webhooks/prolibu/health',
         info: 'GET /webhooks/prolibu/info',
+        queue: 'GET /webhooks/prolibu/queue',
       },
       documentation: {
         description: 'Microservicio para sincronizar webhooks de Prolibu con Salesforce',
@@ -204,8 +337,47 @@ function getSupportedEvents(req, res, next) {
   }
 }
 
+/**
+ * Endpoint con métricas de la cola durable de webhooks
+ * Expone profundidad, entregas en proceso/fallidas y contadores acumulados
+ *
+ * @param {Object} req - Request de Express
+ * @param {Object} res - Response de Express
+ * @param {Function} next - Función next de Express
+ */
+async function getQueueMetrics(req, res, next) {
+  const controllerLogger = logger.child({
+    component: 'prolibu.controller',
+    operation: 'getQueueMetrics',
+    traceId: req.traceId,
+  });
+
+  try {
+    const metrics = await webhookQueue.getMetrics();
+    metrics.deadLetters = await deadLetterStore.count();
+
+    controllerLogger.debug(metrics, 'Métricas de cola servidas');
+
+    res.status(200).json({
+      asyncMode: Boolean(config.WEBHOOK_ASYNC_MODE),
+      timestamp: new Date().toISOString(),
+      ...metrics,
+    });
+  } catch (error) {
+    controllerLogger.error(
+      {
+        error: error.message,
+      },
+      'Error obteniendo métricas de la cola'
+    );
+
+    next(error);
+  }
+}
+
 module.exports = {
   handleProlibuWebhook,
   healthCheck,
   getSupportedEvents,
+  getQueueMetrics,
 };
@@ -1,6 +1,14 @@
 const express = require('express');
-const { handleProlibuWebhook, healthCheck, getSupportedEvents } = require('./prolibu.controller');
+const {
+  handleProlibuWebhook,
+  healthCheck,
+  getSupportedEvents,
+  getQueueMetrics,
+} = require('./prolibu.controller');
 const { prolibuWebhookAdapter } = require('./prolibu.adapter');
+const { verifyWebhookSignature } = require('../app/middlewares/webhookSignature');
+const { rejectReplayedWebhooks } = require('../app/middlewares/replayProtection');
+const { idempotentWebhook } = require('../app/middlewares/idempotency');
 
 /**
  * Router para manejar todos los endpoints relacionados con webhooks de Prolibu
@@ -15,10 +23,25 @@ const router = express.Router();
  *
  * Headers requeridos:
  * - Content-Type: application/json
+ * - X-Prolibu-Signature: sha256=<hmac> (si PROLIBU_WEBHOOK_SECRET está configurado)
+ * - X-Prolibu-Timestamp: segundos Unix o ISO 8601 usados en la firma
  *
  * Body: Ver schemas en prolibu.schema.js
+ *
+ * Las entregas repetidas (mismo webhookId o mismo contenido) dentro del TTL de idempotencia
+ * reciben la respuesta original con el header Idempotent-Replayed: true
+ *
+ * Con WEBHOOK_ASYNC_MODE=true responde 202 con un deliveryId y el procesamiento
+ * contra Salesforce ocurre en segundo plano (ver prolibu.worker.js)
  */
-router.post('/', prolibuWebhookAdapter, handleProlibuWebhook);
+router.post(
+  '/',
+  verifyWebhookSignature,
+  rejectReplayedWebhooks,
+  prolibuWebhookAdapter,
+  idempotentWebhook,
+  handleProlibuWebhook
+);
 
 /**
  * GET /webhooks/prolibu/health
@@ -34,4 +57,11 @@ router.get('/health', healthCheck);
  */
 router.get('/info', getSupportedEvents);
 
+/**
+ * GET /webhooks/prolibu/queue
+ * Métricas de la cola durable (profundidad, fallidos, antigüedad del más viejo)
+ * Relevante cuando WEBHOOK_ASYNC_MODE=true
+ */
+router.get('/queue', getQueueMetrics);
+
 module.exports = router;
@@ -7,8 +7,58 @@ const { z } = require('zod');
 
 // Schema base para el monto (amount)
 const amountSchema = z.object({
-  total: z.number().positive('El monto total debe ser mayor a 0'),
-  currency: z.string().optional(), // Para futuras expansiones multi-moneda
+  total: z.number().positive('El monto total debe ser mayor a 0').nullable(), // null: sin monto
+  source: z.string().optional(), // Fuente del monto en Prolibu (total, products, hours)
+  currency: z.string().optional(), // CurrencyIsoCode o moneda de origen de la conversión
+  exchangeRate: z.number().positive('amount.exchangeRate debe ser mayor a 0').optional(),
+});
+
+// Schema para una línea de producto (OpportunityLineItem)
+const productSchema = z.object({
+  productId: z.string().optional(),
+  code: z.string().optional(), // ProductCode en Salesforce; si falta se busca por nombre
+  name: z.string().min(1, 'products[].name es requerido'),
+  quantity: z.number().positive('products[].quantity debe ser mayor a 0'),
+  unitPrice: z.number().nonnegative('products[].unitPrice no puede ser negativo'),
+  description: z.string().optional(),
+});
+
+// Schema para el cliente de la propuesta (Account y Contact principal en Salesforce)
+const clientContactSchema = z.object({
+  id: z.string().optional(),
+  firstName: z.string().optional(),
+  lastName: z.string().optional(),
+  email: z.string().email('client.contact.email debe ser un email válido').optional(),
+  phone: z.string().optional(),
+});
+
+const clientSchema = z.object({
+  id: z.string().optional(), // Id de la empresa en Prolibu (External ID del Account)
+  name: z.string().optional(), // Nombre del Account
+  contact: clientContactSchema.optional(),
+});
+
+// Schema para un usuario de Prolibu candidato a propietario (OwnerId)
+const ownerSchema = z.object({
+  id: z.string().optional(),
+  email: z.string().email('owners[].email debe ser un email válido').optional(),
+});
+
+// Schema para un PDF de la propuesta (Salesforce File vinculado a la Opportunity)
+const documentSchema = z.object({
+  slot: z.string().min(1, 'documents[].slot es requerido'), // pdfUrl, pdf1..pdf5
+  url: z.string().url('documents[].url debe ser una URL válida'),
+});
+
+// Schema para una versión de la propuesta (Quote en Salesforce)
+const versionSchema = z.object({
+  versionId: z.string().min(1, 'versions[].versionId es requerido'),
+  name: z.string().optional(), // versionName en Prolibu
+  title: z.string().optional(),
+  total: z.number().optional(),
+  currency: z.string().optional(),
+  createdAt: z.string().optional(),
+  active: z.boolean().default(false), // Versión vigente de la propuesta
 });
 
 // Schema base para datos de propuesta
@@ -21,9 +71,17 @@ const baseProposalDataSchema = z.object({
     .string()
     .regex(/^\d{4}-\d{2}-\d{2}$/, 'closeDate debe tener formato YYYY-MM-DD')
     .optional(),
+  closeDateSource: z.string().optional(), // Fuente de closeDate en Prolibu (expected, expiration)
   description: z.string().optional(), // Campo adicional común
-  clientId: z.string().optional(), // Para futuras relaciones con Account/Contact
+  clientId: z.string().optional(), // Equivalen a client.id y client.name
   clientName: z.string().optional(),
+  client: clientSchema.optional(), // Se resuelve a AccountId y OpportunityContactRole
+  owners: z.array(ownerSchema).optional(), // Responsable y creador, en orden de prioridad
+  documents: z.array(documentSchema).optional(), // PDFs de la propuesta
+  prolibu: z.record(z.unknown()).optional(), // Rutas del payload original que usa el mapeo
+  updatedAt: z.string().datetime({ offset: true }).optional(), // Para descartar eventos obsoletos
+  products: z.array(productSchema).optional(), // Se reflejan como OpportunityLineItems
+  versions: z.array(versionSchema).optional(), // Se reflejan como Quotes
 });
 
 /**
@@ -62,6 +120,7 @@ const proposalDeletedDataSchema = z.object({
     .regex(/^\d{4}-\d{2}-\d{2}$/, 'closeDate debe tener formato YYYY-MM-DD')
     .optional(),
   reason: z.string().optional(), // Razón de eliminación
+  updatedAt: z.string().datetime({ offset: true }).optional(),
 });
 
 /**
@@ -193,6 +252,10 @@ module.exports = {
 
   // Schemas auxiliares
   amountSchema,
+  productSchema,
+  clientSchema,
+  ownerSchema,
+  documentSchema,
   baseProposalDataSchema,
 
   // Funciones de validación
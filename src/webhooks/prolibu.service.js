@@ -1,6 +1,17 @@
+const { config } = require('../app/libs/env');
 const { logger } = require('../app/libs/logger');
-const { mapStageToSalesforce, isStageClosed } = require('../config/stageMap');
+const { ProposalSequencer } = require('../app/libs/proposalSequencer');
+const { isStageClosed, getStageMapping } = require('../config/stageMap');
+const { applyFieldMapping, getFieldMapping } = require('../config/fieldMapping');
+const { selectRecordType } = require('../config/recordTypeRules');
 const salesforceService = require('../services/salesforce.service');
+const { UserMapper } = require('../services/userMapping');
+const { syncOpportunityDocuments } = require('../services/documentSync');
+const { syncProposalQuotes } = require('../services/quoteSync');
+const { planCurrency, convertAmount } = require('../services/currency');
+const echoSuppression = require('../services/echoSuppression');
+const { planOpportunityUpdate } = require('../services/changeDetection');
+const { SalesforceUnitOfWork, isReference } = require('../services/salesforceUnitOfWork');
 
 /**
  * Servicio para manejar la lógica de negocio de webhooks de Prolibu
@@ -8,6 +19,424 @@ const salesforceService = require('../services/salesforce.service');
  * En este paso contiene stubs - la integración real se implementará posteriormente
  */
 
+/**
+ * Indica si las líneas de producto de la propuesta deben reflejarse en Salesforce
+ * Solo cuando el webhook trae el arreglo products (aunque esté vacío)
+ */
+function shouldSyncLineItems(proposalData) {
+  return config.SF_SYNC_LINE_ITEMS !== false && Array.isArray(proposalData.products);
+}
+
+/**
+ * Prepara la Opportunity para tener líneas de producto: usa el catálogo configurado
+ * y deja que Salesforce calcule Amount sumando las líneas
+ *
+ * @param {Object} opportunityData - Datos de la Opportunity a enviar (se modifica)
+ * @param {Object} proposalData - Datos de la propuesta
+ */
+async function prepareForLineItems(opportunityData, proposalData) {
+  if (!shouldSyncLineItems(proposalData) || proposalData.products.length === 0) {
+    return;
+  }
+
+  delete opportunityData.Amount;
+  opportunityData.Pricebook2Id = await salesforceService.getPricebookId();
+}
+
+/**
+ * Indica si las versiones de la propuesta deben reflejarse como Quotes
+ * Solo si el webhook trae la versión vigente, que es la que lleva los productos
+ */
+function shouldSyncQuotes(proposalData) {
+  return (
+    config.SF_SYNC_QUOTES === true &&
+    Boolean(proposalData.versions?.some(version => version.active))
+  );
+}
+
+/**
+ * Productos de la propuesta con los precios en la moneda de la Opportunity
+ *
+ * @param {Object[]} products - Líneas de producto validadas
+ * @param {Object|null} currency - Resultado de prepareCurrency
+ * @returns {Object[]} Productos (convertidos si la Opportunity se convirtió)
+ */
+function productsInCurrency(products, currency) {
+  if (!currency?.conversion) {
+    return products;
+  }
+
+  return products.map(product => ({
+    ...product,
+    unitPrice: convertAmount(
+      product.unitPrice,
+      currency.conversion.rate,
+      config.SF_EXCHANGE_RATE_MODE
+    ),
+  }));
+}
+
+/**
+ * Reconcilia las líneas de producto tras sincronizar la Opportunity
+ * Con Quotes las líneas se escriben en la Quote sincronizada y Salesforce las copia
+ *
+ * @param {Object} salesforceResult - Resultado del upsert de la Opportunity
+ * @param {Object} proposalData - Datos de la propuesta
+ * @param {string} traceId - ID de trazabilidad del request
+ * @param {Object|null} [currency] - Resultado de prepareCurrency
+ * @param {SalesforceUnitOfWork|null} [unitOfWork] - Unidad de trabajo del webhook
+ * @returns {Promise<Object>} Resultado con el resumen de líneas (lineItems)
+ */
+async function syncLineItems(
+  salesforceResult,
+  proposalData,
+  traceId,
+  currency = null,
+  unitOfWork = null
+) {
+  if (!shouldSyncLineItems(proposalData) || shouldSyncQuotes(proposalData)) {
+    return salesforceResult;
+  }
+
+  const lineItems = await salesforceService.syncOpportunityLineItems(
+    salesforceResult.salesforceId,
+    productsInCurrency(proposalData.products, currency),
+    traceId,
+    { currencyIsoCode: currency?.currencyIsoCode, ...(unitOfWork && { unitOfWork }) }
+  );
+
+  return { ...salesforceResult, lineItems };
+}
+
+/**
+ * Refleja las versiones de la propuesta como Quotes de la Opportunity
+ *
+ * @param {Object} salesforceResult - Resultado del upsert de la Opportunity
+ * @param {Object} proposalData - Datos de la propuesta
+ * @param {string} traceId - ID de trazabilidad del request
+ * @param {Object|null} [currency] - Resultado de prepareCurrency
+ * @returns {Promise<Object>} Resultado con el estado de cada versión (quotes)
+ */
+async function syncQuotes(salesforceResult, proposalData, traceId, currency = null) {
+  if (!shouldSyncQuotes(proposalData)) {
+    return salesforceResult;
+  }
+
+  const quotes = await syncProposalQuotes({
+    opportunityId: salesforceResult.salesforceId,
+    proposalId: proposalData.proposalId,
+    versions: proposalData.versions,
+    products: shouldSyncLineItems(proposalData)
+      ? productsInCurrency(proposalData.products, currency)
+      : undefined,
+    currencyIsoCode: currency?.currencyIsoCode,
+    traceId,
+  });
+
+  return { ...salesforceResult, quotes };
+}
+
+/**
+ * Refleja la moneda de la propuesta en la Opportunity
+ * En orgs multimoneda asigna CurrencyIsoCode; en orgs de una sola moneda convierte Amount
+ * a la moneda corporativa y guarda el monto, la moneda y la tasa originales en los campos
+ * configurados (SF_ORIGINAL_AMOUNT_FIELD, SF_ORIGINAL_CURRENCY_FIELD, SF_EXCHANGE_RATE_FIELD)
+ *
+ * @param {Object} opportunityData - Datos de la Opportunity a enviar (se modifica)
+ * @param {Object} proposalData - Datos de la propuesta
+ * @returns {Promise<Object|null>} { currencyIsoCode } o { conversion }, o null si no aplica
+ */
+async function prepareCurrency(opportunityData, proposalData) {
+  if (config.SF_SYNC_CURRENCY === false || !proposalData.amount?.currency) {
+    return null;
+  }
+
+  const settings = await salesforceService.getCurrencySettings();
+  const currency = planCurrency(proposalData.amount, settings);
+  if (!currency) {
+    return null;
+  }
+
+  if (currency.currencyIsoCode) {
+    opportunityData.CurrencyIsoCode = currency.currencyIsoCode;
+    return currency;
+  }
+
+  const { from, rate } = currency.conversion;
+  if (typeof opportunityData.Amount === 'number') {
+    opportunityData.Amount = convertAmount(
+      opportunityData.Amount,
+      rate,
+      config.SF_EXCHANGE_RATE_MODE
+    );
+  }
+
+  const originals = [
+    [config.SF_ORIGINAL_AMOUNT_FIELD, proposalData.amount.total],
+    [config.SF_ORIGINAL_CURRENCY_FIELD, from],
+    [config.SF_EXCHANGE_RATE_FIELD, rate],
+  ];
+  originals
+    .filter(([field]) => field)
+    .forEach(([field, value]) => {
+      opportunityData[field] = value;
+    });
+
+  return currency;
+}
+
+/**
+ * Reúne el cliente de la propuesta: el objeto client y los campos planos clientId/clientName
+ *
+ * @param {Object} proposalData - Datos de la propuesta
+ * @returns {Object|null} Cliente { id, name, contact } o null si no hay datos del cliente
+ */
+function buildClient(proposalData) {
+  if (config.SF_SYNC_CLIENTS === false) {
+    return null;
+  }
+
+  const client = {
+    ...proposalData.client,
+    id: proposalData.client?.id || proposalData.clientId,
+    name: proposalData.client?.name || proposalData.clientName,
+  };
+
+  return client.id || client.name || client.contact ? client : null;
+}
+
+/**
+ * Resuelve el Account y Contact del cliente y asocia el Account a la Opportunity
+ *
+ * @param {Object} opportunityData - Datos de la Opportunity a enviar (se modifica)
+ * @param {Object} proposalData - Datos de la propuesta
+ * @param {string} traceId - ID de trazabilidad del request
+ * @param {SalesforceUnitOfWork|null} [unitOfWork] - Unidad de trabajo del webhook
+ * @returns {Promise<Object|null>} Resultado de resolveClient o null si no hay cliente
+ */
+async function prepareClient(opportunityData, proposalData, traceId, unitOfWork = null) {
+  const client = buildClient(proposalData);
+  if (!client) {
+    return null;
+  }
+
+  const resolved = await salesforceService.resolveClient(client, traceId, { unitOfWork });
+  if (resolved.accountId) {
+    opportunityData.AccountId = resolved.accountId;
+  }
+
+  return resolved;
+}
+
+/**
+ * Agrega el contacto principal (OpportunityContactRole) tras sincronizar la Opportunity
+ *
+ * @param {Object} salesforceResult - Resultado del upsert de la Opportunity
+ * @param {Object|null} clientResult - Resultado de prepareClient
+ * @param {string} traceId - ID de trazabilidad del request
+ * @param {SalesforceUnitOfWork|null} [unitOfWork] - Unidad de trabajo del webhook
+ * @returns {Promise<Object>} Resultado con el cliente resuelto (client)
+ */
+async function syncContactRole(salesforceResult, clientResult, traceId, unitOfWork = null) {
+  if (!clientResult) {
+    return salesforceResult;
+  }
+
+  let contactRole = null;
+  if (clientResult.contactId) {
+    contactRole = await salesforceService.ensurePrimaryContactRole(
+      salesforceResult.salesforceId,
+      clientResult.contactId,
+      traceId,
+      { unitOfWork }
+    );
+  }
+
+  return { ...salesforceResult, client: { ...clientResult, contactRole } };
+}
+
+/**
+ * Unidad de trabajo para las escrituras dependientes del webhook (SF_COMPOSITE_WRITES)
+ *
+ * @returns {SalesforceUnitOfWork|null} Unidad de trabajo, o null si cada escritura va por separado
+ */
+function createUnitOfWork() {
+  return config.SF_COMPOSITE_WRITES === true ? new SalesforceUnitOfWork() : null;
+}
+
+/**
+ * Aplica las escrituras acumuladas en la unidad de trabajo y resuelve sus referencias
+ * Las Quotes y los PDFs se sincronizan después, ya con el Id real de la Opportunity
+ *
+ * @param {Object} salesforceResult - Resultado con referencias pendientes
+ * @param {Object} opportunityData - Datos enviados a la Opportunity (se resuelven sus referencias)
+ * @param {SalesforceUnitOfWork|null} unitOfWork - Unidad de trabajo del webhook
+ * @param {string} traceId - ID de trazabilidad del request
+ * @returns {Promise<Object>} Resultado con Ids reales y operation 'created' o 'updated'
+ */
+async function commitWrites(salesforceResult, opportunityData, unitOfWork, traceId) {
+  if (!unitOfWork) {
+    return salesforceResult;
+  }
+
+  const results = await salesforceService.commitUnitOfWork(unitOfWork, traceId);
+  Object.assign(opportunityData, unitOfWork.resolve(opportunityData));
+
+  const resolved = unitOfWork.resolve(salesforceResult);
+  const opportunity = results.get('opportunity');
+  if (opportunity) {
+    resolved.salesforceId = opportunity.id || resolved.salesforceId;
+    resolved.operation = opportunity.created ? 'created' : 'updated';
+  }
+
+  return resolved;
+}
+
+/**
+ * Sincroniza los registros que dependen de la Opportunity (líneas y rol de contacto) y aplica la
+ * unidad de trabajo. Si el Id de la Opportunity todavía es una referencia no se pueden consultar
+ * sus líneas y roles existentes: esos registros se sincronizan después del commit, con el Id real
+ *
+ * @param {Object} salesforceResult - Resultado del upsert de la Opportunity
+ * @param {Object} opportunityData - Datos enviados a la Opportunity (se resuelven sus referencias)
+ * @param {Object} dependents - { proposalData, clientResult, currency }
+ * @param {SalesforceUnitOfWork|null} unitOfWork - Unidad de trabajo del webhook
+ * @param {string} traceId - ID de trazabilidad del request
+ * @returns {Promise<Object>} Resultado con líneas, cliente e Ids reales
+ */
+async function syncDependentRecords(
+  salesforceResult,
+  opportunityData,
+  { proposalData, clientResult, currency },
+  unitOfWork,
+  traceId
+) {
+  const syncChildren = async (result, client, childUnitOfWork) => {
+    const withLineItems = await syncLineItems(
+      result,
+      proposalData,
+      traceId,
+      currency,
+      childUnitOfWork
+    );
+    return syncContactRole(withLineItems, client, traceId, childUnitOfWork);
+  };
+
+  if (!unitOfWork || !isReference(salesforceResult.salesforceId)) {
+    const pending = await syncChildren(salesforceResult, clientResult, unitOfWork);
+    return commitWrites(pending, opportunityData, unitOfWork, traceId);
+  }
+
+  const committed = await commitWrites(salesforceResult, opportunityData, unitOfWork, traceId);
+  return syncChildren(committed, unitOfWork.resolve(clientResult), null);
+}
+
+/**
+ * Vincula los PDFs de la propuesta a la Opportunity como Salesforce Files
+ *
+ * @param {Object} salesforceResult - Resultado del upsert de la Opportunity
+ * @param {Object} proposalData - Datos de la propuesta
+ * @param {string} traceId - ID de trazabilidad del request
+ * @returns {Promise<Object>} Resultado con el estado de cada PDF (documents)
+ */
+async function syncDocuments(salesforceResult, proposalData, traceId) {
+  if (config.SF_SYNC_DOCUMENTS === false || !proposalData.documents?.length) {
+    return salesforceResult;
+  }
+
+  const documents = await syncOpportunityDocuments({
+    opportunityId: salesforceResult.salesforceId,
+    proposalId: proposalData.proposalId,
+    documents: proposalData.documents,
+    traceId,
+  });
+
+  return { ...salesforceResult, documents };
+}
+
+/**
+ * Asigna la CloseDate de la Opportunity según la política de fecha de cierre
+ * Se respeta la fecha de Prolibu; sin ella una etapa cerrada usa hoy y, al crear (Salesforce
+ * exige CloseDate), una abierta usa hoy + SF_CLOSE_DATE_DEFAULT_DAYS
+ *
+ * @param {Object} opportunityData - Datos de la Opportunity a enviar (se modifica)
+ * @param {Object} proposalData - Datos de la propuesta
+ * @param {boolean} isCreate - Si la Opportunity se está creando
+ * @returns {string|null} Fuente de la fecha (expected, expiration, payload, closed_stage, default)
+ */
+function assignCloseDate(opportunityData, proposalData, isCreate) {
+  const today = new Date().toISOString().split('T')[0];
+
+  if (proposalData.closeDate) {
+    opportunityData.CloseDate = proposalData.closeDate;
+    return proposalData.closeDateSource || 'payload';
+  }
+
+  if (opportunityData.StageName && isStageClosed(opportunityData.StageName)) {
+    opportunityData.CloseDate = today;
+    return 'closed_stage';
+  }
+
+  if (!isCreate) {
+    return null;
+  }
+
+  const days = config.SF_CLOSE_DATE_DEFAULT_DAYS ?? 30;
+  opportunityData.CloseDate = new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+    .toISOString()
+    .split('T')[0];
+  return 'default';
+}
+
+/**
+ * Fuentes del monto y la fecha de cierre usadas, para registrarlas en el resultado
+ */
+function describeSources(proposalData, closeDateSource) {
+  const amount = proposalData.amount;
+  const hasAmount = amount?.total !== undefined && amount?.total !== null;
+
+  return {
+    amount: amount?.source || (hasAmount ? 'payload' : null),
+    closeDate: closeDateSource,
+  };
+}
+
+// Resuelve los usuarios de Prolibu a propietarios de Salesforce (búsquedas cacheadas por email)
+const userMapper = new UserMapper({
+  lookup: email => salesforceService.findActiveUserIdByEmail(email),
+  overridesFile: config.SF_OWNER_MAP_FILE,
+  defaultOwnerId: config.SF_DEFAULT_OWNER_ID,
+  cacheTtlMs: (config.SF_USER_CACHE_TTL_SECONDS || 3600) * 1000,
+});
+
+/**
+ * Asigna el OwnerId de la Opportunity a partir del responsable o creador de la propuesta
+ * Al actualizar no se usa el propietario por defecto, para no pisar reasignaciones
+ * hechas en Salesforce cuando el usuario de Prolibu no tiene equivalente
+ *
+ * @param {Object} opportunityData - Datos de la Opportunity a enviar (se modifica)
+ * @param {Object} proposalData - Datos de la propuesta
+ * @param {boolean} allowDefault - Si se puede usar SF_DEFAULT_OWNER_ID
+ * @returns {Promise<Object|null>} Resultado de userMapper.resolve o null si está desactivado
+ */
+async function assignOwner(opportunityData, proposalData, allowDefault) {
+  if (config.SF_ASSIGN_OWNER === false || (!allowDefault && !proposalData.owners?.length)) {
+    return null;
+  }
+
+  const owner = await userMapper.resolve(proposalData.owners);
+  if (owner.ownerId && (allowDefault || owner.source !== 'default')) {
+    opportunityData.OwnerId = owner.ownerId;
+  }
+
+  return owner;
+}
+
+// Serializa los eventos de cada propuesta y descarta los que llegan con updatedAt obsoleto
+const proposalSequencer = new ProposalSequencer({
+  maxEntries: config.PROPOSAL_SEQUENCER_MAX_ENTRIES || 10000,
+});
+
 /**
  * Procesa un evento de creación de propuesta
  * Convierte datos de Prolibu al formato esperado por Salesforce
@@ -27,35 +456,70 @@ async function handleProposalCreated(proposalData, traceId) {
   serviceLogger.info('Procesando creación de propuesta');
 
   try {
-    // Mapear estado de Prolibu a Salesforce
-    const salesforceStage = mapStageToSalesforce(proposalData.stage);
-
-    // Preparar datos para Salesforce
+    // Preparar datos para Salesforce según el mapeo de campos configurado
+    // La versión del mapeo de estados se toma junto con el mapeo para registrar la usada
+    // Los estados se mapean según el proceso de ventas del tipo de registro elegido
+    const { version: stageMappingVersion } = getStageMapping();
+    const recordType = selectRecordType(proposalData);
     const opportunityData = {
-      Name: proposalData.title,
-      Amount: proposalData.amount.total,
-      StageName: salesforceStage,
+      ...applyFieldMapping(proposalData, 'created', getFieldMapping(), { recordType }),
       Prolibu_External_Id__c: proposalData.proposalId,
-      Description: proposalData.description || null,
-      // Fecha de cierre: si está cerrado, usar hoy; si no, estimar en 30 días
-      CloseDate: isStageClosed(salesforceStage)
-        ? new Date().toISOString().split('T')[0]
-        : new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
     };
+    if (recordType) {
+      opportunityData.RecordTypeId = await salesforceService.getRecordTypeId(recordType);
+    }
+    const salesforceStage = opportunityData.StageName;
+    const sources = describeSources(
+      proposalData,
+      assignCloseDate(opportunityData, proposalData, true)
+    );
+    const mappedFields = { ...opportunityData };
+
+    const unitOfWork = createUnitOfWork();
+    const currency = await prepareCurrency(opportunityData, proposalData);
+    await prepareForLineItems(opportunityData, proposalData);
+    const clientResult = await prepareClient(opportunityData, proposalData, traceId, unitOfWork);
+    const owner = await assignOwner(opportunityData, proposalData, true);
 
     // Integrar con Salesforce
-    const salesforceResult = await salesforceService.createOpportunity(opportunityData, traceId);
+    let salesforceResult = await salesforceService.createOpportunity(opportunityData, traceId, {
+      unitOfWork,
+    });
+    salesforceResult = await syncDependentRecords(
+      salesforceResult,
+      opportunityData,
+      { proposalData, clientResult, currency },
+      unitOfWork,
+      traceId
+    );
+    salesforceResult = await syncQuotes(salesforceResult, proposalData, traceId, currency);
+    salesforceResult = await syncDocuments(salesforceResult, proposalData, traceId);
+    await echoSuppression.recordWrite(proposalData.proposalId, {
+      salesforceId: salesforceResult.salesforceId,
+      fields: mappedFields,
+      syncedFields: opportunityData,
+      proposalData,
+    });
 
     serviceLogger.info(
       {
         salesforceStage,
+        stageMappingVersion,
+        recordType,
         salesforceId: salesforceResult.salesforceId,
         amount: opportunityData.Amount,
+        sources,
+        currency: currency?.currencyIsoCode || currency?.conversion,
+        accountId: opportunityData.AccountId,
+        ownerId: opportunityData.OwnerId,
+        ownerSource: owner?.source,
+        lineItems: salesforceResult.lineItems,
+        quotes: salesforceResult.quotes,
       },
       'Propuesta creada exitosamente en Salesforce'
     );
 
-    return salesforceResult;
+    return { ...salesforceResult, stageMappingVersion, sources };
   } catch (error) {
     serviceLogger.error(
       {
@@ -88,46 +552,100 @@ async function handleProposalUpdated(proposalData, traceId) {
   serviceLogger.info('Procesando actualización de propuesta');
 
   try {
-    // Preparar objeto de actualización solo con campos que vienen
+    // Preparar objeto de actualización solo con los campos mapeados que vienen
+    // El tipo de registro no se cambia al actualizar, pero define el mapeo de estados: se
+    // vuelve a elegir con las reglas sobre este payload, no se lee el RecordTypeId de la
+    // Opportunity, así que las condiciones de las reglas no deben cambiar tras la creación
+    const { version: stageMappingVersion } = getStageMapping();
+    const recordType = selectRecordType(proposalData);
     const updateData = {
       Prolibu_External_Id__c: proposalData.proposalId, // Para buscar el registro
+      ...applyFieldMapping(proposalData, 'updated', getFieldMapping(), { recordType }),
     };
 
-    // Añadir campos solo si están presentes
-    if (proposalData.title) {
-      updateData.Name = proposalData.title;
-    }
+    // Fecha de cierre solo si Prolibu la envía o el nuevo estado está cerrado
+    const sources = describeSources(proposalData, assignCloseDate(updateData, proposalData, false));
+    const mappedFields = { ...updateData };
 
-    if (proposalData.amount?.total) {
-      updateData.Amount = proposalData.amount.total;
-    }
-
-    if (proposalData.stage) {
-      const salesforceStage = mapStageToSalesforce(proposalData.stage);
-      updateData.StageName = salesforceStage;
-
-      // Si el nuevo estado está cerrado, actualizar fecha de cierre
-      if (isStageClosed(salesforceStage)) {
-        updateData.CloseDate = proposalData.closeDate || new Date().toISOString().split('T')[0];
-      }
+    // Eco: el webhook repite lo último que escribimos (por ejemplo, tras la sincronización
+    // inversa Prolibu vuelve a notificar el status que le enviamos)
+    const echo = await echoSuppression.findEcho(
+      proposalData.proposalId,
+      mappedFields,
+      proposalData
+    );
+    if (echo) {
+      serviceLogger.info(
+        { salesforceId: echo.salesforceId, origin: echo.origin, writtenAt: echo.writtenAt },
+        'Webhook descartado: repite el último estado escrito'
+      );
+
+      return {
+        success: true,
+        skipped: true,
+        reason: 'echo',
+        salesforceId: echo.salesforceId,
+        stageMappingVersion,
+        sources,
+      };
     }
 
-    if (proposalData.description) {
-      updateData.Description = proposalData.description;
+    const unitOfWork = createUnitOfWork();
+    const currency = await prepareCurrency(updateData, proposalData);
+    await prepareForLineItems(updateData, proposalData);
+    const clientResult = await prepareClient(updateData, proposalData, traceId, unitOfWork);
+    await assignOwner(updateData, proposalData, false);
+
+    // Integrar con Salesforce enviando solo los campos que cambiaron
+    const plan = await planOpportunityUpdate(updateData);
+    let salesforceResult;
+    if (plan.unchanged) {
+      serviceLogger.info(
+        { salesforceId: plan.salesforceId },
+        'La Opportunity no cambia: se omite la actualización en Salesforce'
+      );
+      salesforceResult = {
+        success: true,
+        salesforceId: plan.salesforceId,
+        operation: 'unchanged',
+        opportunityData: plan.record,
+      };
+    } else {
+      // Con el Id que ya cargó la detección de cambios, líneas y rol de contacto entran al commit
+      salesforceResult = await salesforceService.updateOpportunity(plan.record, traceId, {
+        unitOfWork,
+        ...(unitOfWork && { salesforceId: plan.salesforceId }),
+      });
     }
-
-    // Integrar con Salesforce
-    const salesforceResult = await salesforceService.updateOpportunity(updateData, traceId);
+    salesforceResult = await syncDependentRecords(
+      salesforceResult,
+      updateData,
+      { proposalData, clientResult, currency },
+      unitOfWork,
+      traceId
+    );
+    salesforceResult = await syncQuotes(salesforceResult, proposalData, traceId, currency);
+    salesforceResult = await syncDocuments(salesforceResult, proposalData, traceId);
+    await echoSuppression.recordWrite(proposalData.proposalId, {
+      salesforceId: salesforceResult.salesforceId,
+      fields: mappedFields,
+      syncedFields: updateData,
+      proposalData,
+    });
 
     serviceLogger.info(
       {
-        fieldsUpdated: Object.keys(updateData).filter(key => key !== 'Prolibu_External_Id__c'),
+        fieldsUpdated: plan.changedFields,
+        stageMappingVersion,
+        sources,
         salesforceId: salesforceResult.salesforceId,
+        lineItems: salesforceResult.lineItems,
+        quotes: salesforceResult.quotes,
       },
       'Propuesta actualizada exitosamente en Salesforce'
     );
 
-    return salesforceResult;
+    return { ...salesforceResult, stageMappingVersion, sources };
   } catch (error) {
     serviceLogger.error(
       {
@@ -166,6 +684,7 @@ async function handleProposalDeleted(proposalData, traceId) {
       traceId,
       proposalData.reason
     );
+    await echoSuppression.forget(proposalData.proposalId);
 
     serviceLogger.info(
       {
@@ -189,9 +708,34 @@ async function handleProposalDeleted(proposalData, traceId) {
   }
 }
 
+/**
+ * Delega el evento al handler específico según su tipo
+ *
+ * @param {string} eventType - Tipo de evento (proposal.created, etc.)
+ * @param {Object} proposalData - Datos de la propuesta
+ * @param {string} traceId - ID de trazabilidad del request
+ * @returns {Promise<Object>} Resultado del handler
+ */
+async function dispatchEvent(eventType, proposalData, traceId) {
+  const handlers = {
+    'proposal.created': handleProposalCreated,
+    'proposal.updated': handleProposalUpdated,
+    'proposal.deleted': handleProposalDeleted,
+  };
+
+  const handler = handlers[eventType];
+  if (!handler) {
+    throw new Error(`Tipo de evento no soportado: ${eventType}`);
+  }
+
+  return handler(proposalData, traceId);
+}
+
 /**
  * Procesa cualquier evento de webhook según su tipo
  * Función principal que delega a los handlers específicos
+ * Los eventos de una misma propuesta se procesan de a uno y en orden de llegada; los que
+ * traen un updatedAt anterior al último aplicado se descartan sin tocar Salesforce
  *
  * @param {string} eventType - Tipo de evento (proposal.created, etc.)
  * @param {Object} proposalData - Datos de la propuesta
@@ -210,25 +754,30 @@ async function processWebhookEvent(eventType, proposalData, traceId) {
   serviceLogger.info('Iniciando procesamiento de evento webhook');
 
   try {
-    let result;
-
-    switch (eventType) {
-      case 'proposal.created':
-        result = await handleProposalCreated(proposalData, traceId);
-        break;
-
-      case 'proposal.updated':
-        result = await handleProposalUpdated(proposalData, traceId);
-        break;
-
-      case 'proposal.deleted':
-        result = await handleProposalDeleted(proposalData, traceId);
-        break;
+    const outcome = await proposalSequencer.run(proposalData, () =>
+      dispatchEvent(eventType, proposalData, traceId)
+    );
 
-      default:
-        throw new Error(`Tipo de evento no soportado: ${eventType}`);
+    if (outcome.stale) {
+      serviceLogger.warn(
+        {
+          updatedAt: proposalData.updatedAt,
+          lastAppliedAt: outcome.lastAppliedAt,
+        },
+        'Evento obsoleto descartado: ya se aplicó una versión más reciente de la propuesta'
+      );
+
+      return {
+        success: true,
+        skipped: true,
+        reason: 'stale_event',
+        salesforceId: null,
+        lastAppliedAt: outcome.lastAppliedAt,
+      };
     }
 
+    const result = outcome.result;
+
     serviceLogger.info(
       {
         eventType,
@@ -257,4 +806,6 @@ module.exports = {
   handleProposalUpdated,
   handleProposalDeleted,
   processWebhookEvent,
+  proposalSequencer,
+  userMapper,
 };
@@ -0,0 +1,281 @@
+const { config } = require('../app/libs/env');
+const { logger } = require('../app/libs/logger');
+const { WebhookQueue, summarizeError } = require('../app/libs/webhookQueue');
+const { DeadLetterStore } = require('../app/libs/deadLetterStore');
+const {
+  handleSalesforceError,
+  isRecoverableError,
+  getRetryDelay,
+} = require('../app/middlewares/salesforceErrorHandler');
+const { processWebhookEvent } = require('./prolibu.service');
+
+/**
+ * Worker en segundo plano que drena la cola durable de webhooks
+ * Procesa las entregas una a una a través de processWebhookEvent y reprograma
+ * con backoff las que fallan por errores recuperables de Salesforce
+ * Las que fallan definitivamente se guardan como dead letters
+ */
+
+/**
+ * Decide qué hacer con una entrega que falló
+ * Los errores recuperables se reintentan con el backoff de getRetryDelay hasta maxAttempts;
+ * el resto va directo a dead letters
+ *
+ * @param {Error} error - Error del intento
+ * @param {number} attempt - Número del intento que falló (1 = primero)
+ * @param {number} maxAttempts - Intentos máximos permitidos
+ * @returns {Object} { action: 'retry', delayMs } o { action: 'fail', reason }
+ */
+function classifyFailure(error, attempt, maxAttempts) {
+  if (!isRecoverableError(error)) {
+    return { action: 'fail', reason: 'non_recoverable' };
+  }
+
+  if (attempt >= maxAttempts) {
+    return { action: 'fail', reason: 'max_attempts_exceeded' };
+  }
+
+  return { action: 'retry', delayMs: getRetryDelay(error, attempt) };
+}
+
+/**
+ * Construye una dead letter a partir de una entrega fallida
+ * Clasifica el error con handleSalesforceError y cierra el historial de intentos
+ *
+ * @param {Object} params - Datos de la entrega fallida
+ * @param {Object} params.adaptedPayload - { event, data, webhookId } validados
+ * @param {Object} [params.rawPayload] - Payload original recibido de Prolibu
+ * @param {Error} params.error - Error del último intento
+ * @param {string} params.reason - Motivo del fallo definitivo
+ * @param {string} params.source - Origen: 'sync', 'queue' o 'replay'
+ * @param {string} [params.traceId] - Trace ID de la entrega
+ * @param {number} [params.attempts] - Intentos realizados
+ * @param {Object[]} [params.history] - Historial de intentos previos
+ * @returns {Object} Entrada lista para DeadLetterStore.add
+ */
+function buildDeadLetter({
+  adaptedPayload,
+  rawPayload,
+  error,
+  reason,
+  source,
+  traceId,
+  attempts = 1,
+  history = [],
+}) {
+  const summary = summarizeError(error);
+
+  return {
+    source,
+    traceId,
+    failureReason: reason,
+    rawPayload,
+    adaptedPayload,
+    error: {
+      ...summary,
+      classification: handleSalesforceError(error, traceId),
+    },
+    attempts,
+    history: [...history, { attempt: attempts, at: new Date().toISOString(), error: summary }],
+  };
+}
+
+class WebhookWorker {
+  constructor({
+    queue,
+    pollIntervalMs = 1000,
+    maxAttempts = 5,
+    processEvent = processWebhookEvent,
+    deadLetters = null,
+  } = {}) {
+    this.queue = queue;
+    this.deadLetters = deadLetters;
+    this.pollIntervalMs = pollIntervalMs;
+    this.maxAttempts = maxAttempts;
+    this.processEvent = processEvent;
+    this.running = false;
+    this.stopRequested = false;
+    this.timer = null;
+    this.currentRun = null;
+    this.workerLogger = logger.child({
+      component: 'prolibu.worker',
+    });
+  }
+
+  /**
+   * Inicia el worker y recupera entregas interrumpidas por un reinicio
+   */
+  async start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    this.stopRequested = false;
+
+    const recovered = await this.queue.recoverInterrupted();
+    this.workerLogger.info(
+      { recovered, pollIntervalMs: this.pollIntervalMs },
+      'Worker de cola de webhooks iniciado'
+    );
+
+    this.schedule(0);
+  }
+
+  /**
+   * Detiene el worker esperando a que termine la entrega en curso
+   */
+  async stop() {
+    this.running = false;
+    this.stopRequested = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (this.currentRun) {
+      await this.currentRun;
+    }
+
+    this.workerLogger.info('Worker de cola de webhooks detenido');
+  }
+
+  schedule(delayMs) {
+    if (!this.running) {
+      return;
+    }
+
+    this.timer = setTimeout(() => {
+      this.currentRun = this.drain()
+        .catch(error =>
+          this.workerLogger.error({ error: error.message }, 'Error drenando la cola de webhooks')
+        )
+        .finally(() => {
+          this.currentRun = null;
+          this.schedule(this.pollIntervalMs);
+        });
+    }, delayMs);
+
+    // No mantener vivo el proceso solo por el worker
+    this.timer.unref();
+  }
+
+  /**
+   * Procesa entregas hasta vaciar las disponibles
+   *
+   * @returns {Promise<number>} Cantidad de entregas procesadas
+   */
+  async drain() {
+    let processed = 0;
+
+    while (!this.stopRequested) {
+      const item = await this.queue.claim();
+      if (!item) {
+        break;
+      }
+
+      await this.processItem(item);
+      processed++;
+    }
+
+    return processed;
+  }
+
+  /**
+   * Procesa una entrega reclamada y registra su resultado en la cola
+   *
+   * @param {Object} item - Entrega reclamada
+   */
+  async processItem(item) {
+    const itemLogger = this.workerLogger.child({
+      deliveryId: item.id,
+      traceId: item.traceId,
+      event: item.event,
+      proposalId: item.data.proposalId,
+      attempt: item.attempts,
+    });
+
+    try {
+      const result = await this.processEvent(item.event, item.data, item.traceId);
+      await this.queue.complete(item.id);
+
+      itemLogger.info(
+        {
+          salesforceId: result.salesforceId,
+          stageMappingVersion: result.stageMappingVersion,
+          sources: result.sources,
+        },
+        'Entrega de la cola procesada'
+      );
+    } catch (error) {
+      const decision = classifyFailure(error, item.attempts, this.maxAttempts);
+
+      if (decision.action === 'retry') {
+        await this.queue.retry(item.id, error, decision.delayMs);
+
+        itemLogger.warn(
+          {
+            error: error.message,
+            errorCode: error.errorCode || error.code,
+            delayMs: decision.delayMs,
+            maxAttempts: this.maxAttempts,
+          },
+          'Error recuperable procesando entrega - reintento programado'
+        );
+        return;
+      }
+
+      // Guardar la dead letter antes de retirarla de la cola para no perderla
+      let deadLetter = null;
+      if (this.deadLetters) {
+        deadLetter = await this.deadLetters.add(
+          buildDeadLetter({
+            adaptedPayload: { event: item.event, data: item.data, webhookId: item.webhookId },
+            rawPayload: item.rawPayload,
+            error,
+            reason: decision.reason,
+            source: 'queue',
+            traceId: item.traceId,
+            attempts: item.attempts,
+            history: item.history,
+          })
+        );
+      }
+
+      await this.queue.fail(item.id);
+
+      itemLogger.error(
+        {
+          error: error.message,
+          errorCode: error.errorCode || error.code,
+          reason: decision.reason,
+          deadLetterId: deadLetter?.id,
+        },
+        'Error procesando entrega de la cola - enviada a dead letters'
+      );
+    }
+  }
+}
+
+// Instancias singleton configuradas desde el entorno
+const webhookQueue = new WebhookQueue({
+  filePath: config.WEBHOOK_QUEUE_FILE || './data/webhook-queue.json',
+});
+
+const deadLetterStore = new DeadLetterStore({
+  filePath: config.DEAD_LETTER_FILE || './data/dead-letters.json',
+});
+
+const webhookWorker = new WebhookWorker({
+  queue: webhookQueue,
+  deadLetters: deadLetterStore,
+  pollIntervalMs: config.WEBHOOK_QUEUE_POLL_INTERVAL_MS,
+  maxAttempts: config.WEBHOOK_RETRY_MAX_ATTEMPTS,
+});
+
+module.exports = {
+  WebhookWorker,
+  classifyFailure,
+  buildDeadLetter,
+  webhookQueue,
+  deadLetterStore,
+  webhookWorker,
+};
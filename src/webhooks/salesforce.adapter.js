@@ -0,0 +1,182 @@
+const { config } = require('../app/libs/env');
+
+/**
+ * Adaptador de notificaciones de Salesforce para la sincronización inversa
+ * Convierte Outbound Messages (SOAP) y notificaciones JSON (Change Data Capture o
+ * Platform Events) en cambios de Opportunity con una forma común:
+ *   { opportunityId, prolibuId?, stageName?, modifiedById?, syncOrigin?, notificationId? }
+ */
+
+const OUTBOUND_NAMESPACE = 'http://soap.sforce.com/2005/09/outbound';
+
+const XML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\u0027',
+};
+
+/**
+ * Decodifica las entidades XML de un valor de texto
+ */
+function decodeXml(value) {
+  return value.replace(/&(amp|lt|gt|quot|apos|#\d+|#x[0-9a-f]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code =
+        name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : +name.slice(1);
+      return String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[name.toLowerCase()];
+  });
+}
+
+/**
+ * Primer valor de texto del elemento indicado, ignorando el prefijo de namespace
+ */
+function readElement(xml, name) {
+  const match = xml.match(
+    new RegExp(`<(?:\\w+:)?${name}(?:\\s[^>]*)?>([^<]*)</(?:\\w+:)?${name}>`)
+  );
+  return match ? decodeXml(match[1].trim()) : undefined;
+}
+
+/**
+ * Parsea un Outbound Message de Salesforce
+ * Solo se consideran las notificaciones de Opportunity
+ *
+ * @param {string} xml - Envelope SOAP recibido
+ * @returns {Object} { organizationId, changes }
+ * @throws {Error} Si el body no es un Outbound Message
+ */
+function parseOutboundMessage(xml) {
+  if (typeof xml !== 'string' || !/<(?:\w+:)?notifications[\s>]/.test(xml)) {
+    throw new Error('El body no es un Outbound Message de Salesforce');
+  }
+
+  const changes = [];
+  const notifications = xml.matchAll(
+    /<(?:\w+:)?Notification(?:\s[^>]*)?>([\s\S]*?)<\/(?:\w+:)?Notification>/g
+  );
+
+  for (const [, notification] of notifications) {
+    const sObject = notification.match(
+      /<(?:\w+:)?sObject(\s[^>]*)?>([\s\S]*?)<\/(?:\w+:)?sObject>/
+    );
+    if (!sObject || !/type="(?:\w+:)?Opportunity"/.test(sObject[1] || '')) {
+      continue;
+    }
+
+    const fields = {};
+    for (const [, field, value] of sObject[2].matchAll(
+      /<(?:\w+:)?(\w+)(?:\s[^>]*)?>([^<]*)<\/(?:\w+:)?\1>/g
+    )) {
+      fields[field] = decodeXml(value.trim());
+    }
+
+    changes.push({
+      notificationId: readElement(notification.replace(sObject[0], ''), 'Id'),
+      opportunityId: fields.Id,
+      prolibuId: fields.Prolibu_External_Id__c || undefined,
+      stageName: fields.StageName || undefined,
+      modifiedById: fields.LastModifiedById || undefined,
+      syncOrigin: (config.SF_SYNC_ORIGIN_FIELD && fields[config.SF_SYNC_ORIGIN_FIELD]) || undefined,
+    });
+  }
+
+  return {
+    organizationId: readElement(xml, 'OrganizationId'),
+    changes,
+  };
+}
+
+/**
+ * Respuesta SOAP para un Outbound Message
+ * Con Ack false (o sin respuesta) Salesforce reintenta la entrega
+ *
+ * @param {boolean} ack - Si la entrega se procesó
+ * @returns {string} Envelope SOAP
+ */
+function buildOutboundAck(ack) {
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>' +
+    '<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/">' +
+    '<soapenv:Body>' +
+    `<notificationsResponse xmlns="${OUTBOUND_NAMESPACE}"><Ack>${ack}</Ack></notificationsResponse>` +
+    '</soapenv:Body>' +
+    '</soapenv:Envelope>'
+  );
+}
+
+/**
+ * Normaliza el nombre de un campo para aceptar campos estándar y personalizados de
+ * Platform Events (StageName, Stage_Name__c y stageName se consideran equivalentes)
+ */
+function normalizeKey(key) {
+  return key.replace(/__c$/i, '').replace(/_/g, '').toLowerCase();
+}
+
+/**
+ * Primer valor presente entre los nombres de campo indicados (ya normalizados)
+ */
+function pickField(payload, names) {
+  const entry = Object.entries(payload).find(
+    ([key, value]) => names.includes(normalizeKey(key)) && value !== null && value !== ''
+  );
+  return entry ? entry[1] : undefined;
+}
+
+/**
+ * Convierte un evento JSON en cambios de Opportunity
+ * Los eventos de Change Data Capture pueden agrupar varios registros (recordIds)
+ */
+function adaptChangeEvent(event) {
+  const payload = event?.data?.payload || event?.payload || event;
+  if (!payload || typeof payload !== 'object') {
+    return [];
+  }
+
+  const header = payload.ChangeEventHeader;
+  if (header && header.entityName !== 'Opportunity') {
+    return [];
+  }
+
+  const stageName = pickField(payload, ['stagename', 'stage']);
+  const prolibuId = pickField(payload, ['prolibuexternalid', 'prolibuid', 'proposalid']);
+  const modifiedById =
+    header?.commitUser || pickField(payload, ['lastmodifiedbyid', 'modifiedbyid']);
+  const syncOrigin = config.SF_SYNC_ORIGIN_FIELD
+    ? pickField(payload, [normalizeKey(config.SF_SYNC_ORIGIN_FIELD)])
+    : undefined;
+  const recordIds = header?.recordIds || [pickField(payload, ['opportunityid', 'id'])];
+
+  return recordIds
+    .filter(Boolean)
+    .map(opportunityId => ({ opportunityId, prolibuId, stageName, modifiedById, syncOrigin }));
+}
+
+/**
+ * Parsea una notificación JSON de Salesforce
+ * Acepta un evento, un arreglo de eventos o { events: [...] }
+ *
+ * @param {Object|Object[]} body - Body JSON recibido
+ * @returns {Object} { changes }
+ */
+function parseChangeEvents(body) {
+  let events = [body];
+  if (Array.isArray(body)) {
+    events = body;
+  } else if (Array.isArray(body?.events)) {
+    events = body.events;
+  }
+
+  return {
+    changes: events.flatMap(adaptChangeEvent),
+  };
+}
+
+module.exports = {
+  parseOutboundMessage,
+  parseChangeEvents,
+  buildOutboundAck,
+};
@@ -0,0 +1,93 @@
+const {
+  parseOutboundMessage,
+  parseChangeEvents,
+  buildOutboundAck,
+} = require('./salesforce.adapter');
+const { isSameSalesforceId, pushStageChanges } = require('../services/reverseSync');
+const { config } = require('../app/libs/env');
+const { logger } = require('../app/libs/logger');
+const { BusinessError, WebhookAuthError } = require('../app/middlewares/errorHandler');
+
+/**
+ * Controlador para las notificaciones de Salesforce (sincronización inversa)
+ * Recibe cambios de Opportunity y los refleja como status de la propuesta en Prolibu
+ */
+
+/**
+ * Maneja el endpoint POST /webhooks/salesforce
+ * Acepta Outbound Messages (text/xml) y notificaciones JSON (Change Data Capture o
+ * Platform Events). Si algún cambio falla, los Outbound Messages responden Ack false
+ * y las notificaciones JSON HTTP 502, para que el emisor reintente la entrega
+ *
+ * @param {Object} req - Request de Express
+ * @param {Object} res - Response de Express
+ * @param {Function} next - Función next de Express para manejo de errores
+ */
+async function handleSalesforceNotification(req, res, next) {
+  const controllerLogger = logger.child({
+    component: 'salesforce.controller',
+    operation: 'handleSalesforceNotification',
+    traceId: req.traceId,
+  });
+
+  try {
+    const isOutboundMessage = typeof req.body === 'string';
+
+    let notification;
+    try {
+      notification = isOutboundMessage
+        ? parseOutboundMessage(req.body)
+        : parseChangeEvents(req.body);
+    } catch (parseError) {
+      throw new BusinessError(parseError.message, 'invalid_salesforce_notification', 400);
+    }
+
+    if (
+      isOutboundMessage &&
+      config.SF_ORGANIZATION_ID &&
+      !isSameSalesforceId(notification.organizationId, config.SF_ORGANIZATION_ID)
+    ) {
+      throw new WebhookAuthError(
+        `Outbound Message de una org no autorizada: ${notification.organizationId}`,
+        'unknown_organization'
+      );
+    }
+
+    controllerLogger.info(
+      {
+        format: isOutboundMessage ? 'outbound_message' : 'json',
+        changes: notification.changes.length,
+      },
+      'Notificación de Salesforce recibida'
+    );
+
+    const results = await pushStageChanges(notification.changes, req.traceId);
+    const failed = results.some(result => result.status === 'failed');
+
+    controllerLogger.info(
+      { results: results.map(result => `${result.opportunityId}:${result.status}`) },
+      'Notificación de Salesforce procesada'
+    );
+
+    if (isOutboundMessage) {
+      return res
+        .status(failed ? 502 : 200)
+        .type('text/xml')
+        .send(buildOutboundAck(!failed));
+    }
+
+    res.status(failed ? 502 : 200).json({
+      status: failed ? 'error' : 'ok',
+      traceId: req.traceId,
+      data: { results },
+    });
+  } catch (error) {
+    controllerLogger.error({ error: error.message }, 'Error procesando notificación de Salesforce');
+
+    next(error);
+  }
+}
+
+module.exports = {
+  handleSalesforceNotification,
+};
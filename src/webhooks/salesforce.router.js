@@ -0,0 +1,30 @@
+const express = require('express');
+const { handleSalesforceNotification } = require('./salesforce.controller');
+const { requireSalesforceToken } = require('../app/middlewares/salesforceInboundAuth');
+
+/**
+ * Router para las notificaciones de Salesforce (sincronización inversa hacia Prolibu)
+ */
+const router = express.Router();
+
+/**
+ * POST /webhooks/salesforce
+ * Recibe cambios de Opportunity desde Salesforce y actualiza el status de la propuesta
+ * en Prolibu. Requiere SF_REVERSE_SYNC=true y el token SF_INBOUND_TOKEN
+ *
+ * Formatos aceptados:
+ * - Outbound Message (SOAP, text/xml): responde con el Ack que espera Salesforce.
+ *   El token va en la URL configurada en Salesforce (?token=...)
+ * - JSON (Change Data Capture o Platform Events), con el header x-salesforce-token
+ */
+router.post(
+  '/',
+  requireSalesforceToken,
+  express.text({
+    type: ['text/xml', 'application/xml', 'application/soap+xml'],
+    limit: '1mb',
+  }),
+  handleSalesforceNotification
+);
+
+module.exports = router;